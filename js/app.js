@@ -17,6 +17,10 @@ class App {
         this.undoStack = [];
         this.redoStack = [];
 
+        // Levels: the active level lives in the editor, the others hold serialized content
+        this.levels = [{ name: 'Level 1' }];
+        this.currentLevelIndex = 0;
+
         this.initToolbar();
         this.initPanels();
         this.initObjectLibrary();
@@ -48,6 +52,8 @@ class App {
         this.initFriendInbox();
         this.initCommunityTemplates();
         this.initTerrainSculpting();
+        this.initLevels();
+        this.initHistory();
 
         this.VERSION = '1.0.0';
         this.currentProjectId = null;
@@ -63,6 +69,10 @@ class App {
         this._latestScreenshot = null;
         this._publishThumbnail = null;
 
+        // Live play session state (published game viewer)
+        this._playWs = null;
+        this._playId = null;
+
         // Collab state
         this._collabWs = null;
         this._collabRoom = null;
@@ -70,6 +80,11 @@ class App {
         this._collabMembers = [];
         this._collabBroadcastPaused = false;
         this._collabRole = 'editor';
+        this._collabSeq = 0;
+        this._collabResyncing = false;
+        this._collabVersions = new Map();
+        this._collabLocks = new Map();
+        this._collabSelectedId = null;
 
         // Terrain sculpting state
         this._terrain = null;
@@ -101,6 +116,9 @@ class App {
         });
 
         this.runtime.onStop = () => this.onPlayStop();
+        this.runtime.onLoadLevel = (level) => this._loadLevelContent(level);
+        this.runtime.breakpoints = this.blockCode.breakpoints;
+        this.runtime.onDebuggerUpdate = () => this._onDebuggerUpdate();
 
         // Migrate old single-project storage to multi-project
         this.migrateOldProject();
@@ -205,7 +223,9 @@ class App {
             const deg = parseFloat(rotateAngleInput.value);
             if (isNaN(deg)) return;
             const axis = rotateAxisSelect.value;
+            const before = this._snapshotObject(obj);
             obj.rotation[axis] = THREE.MathUtils.degToRad(deg);
+            this._recordObjectChange(obj, before);
             this.updateProperties(obj);
         };
         rotateAngleInput.addEventListener('keydown', (e) => {
@@ -233,6 +253,9 @@ class App {
         // Play/Stop
         document.getElementById('btn-play').addEventListener('click', () => this.startPlay());
         document.getElementById('btn-stop').addEventListener('click', () => this.stopPlay());
+        document.getElementById('btn-replay').addEventListener('click', () => this.startReplay());
+        document.getElementById('btn-replay-save').addEventListener('click', () => this.downloadReplay());
+        document.getElementById('btn-replay-load').addEventListener('click', () => this.loadReplayFile());
 
         // Undo/Redo
         document.getElementById('btn-undo').addEventListener('click', () => this.undo());
@@ -245,6 +268,9 @@ class App {
         // Debug Variables
         document.getElementById('btn-debug-vars').addEventListener('click', () => this.runtime.toggleDebugVars());
         document.getElementById('debug-vars-close').addEventListener('click', () => this.runtime.toggleDebugVars());
+        document.getElementById('debug-grid-toggle').addEventListener('click', () => this.runtime.toggleCollisionGrid());
+        document.getElementById('btn-debug-pause').addEventListener('click', () => this.toggleScriptPause());
+        document.getElementById('btn-debug-step').addEventListener('click', () => this.runtime.stepScripts());
 
         // Viewport fullscreen
         document.getElementById('btn-fullscreen-viewport').addEventListener('click', () => {
@@ -289,13 +315,18 @@ class App {
         }
     }
 
-    _startRuntime() {
+    _startRuntime(replay = null) {
+        this._aiDiscardPreview();
         this.blockCode.saveScriptsToObject();
         this.runtime.playerColors = this.gameSettings.playerColors;
         this.runtime.characterParts = this.gameSettings.characterParts || null;
         this.runtime._uiScreens = this.uiScreens;
         this.runtime._customSounds = this.customSounds;
-        this.runtime.start(this.gameSettings);
+        this.runtime.levels = this._getAllLevels();
+        this.runtime.currentLevelIndex = this.currentLevelIndex;
+        document.getElementById('level-tabs').classList.add('hidden');
+        document.getElementById('replay-controls').classList.add('hidden');
+        this.runtime.start(this.gameSettings, { replay });
     }
 
     stopPlay() {
@@ -315,9 +346,97 @@ class App {
     }
 
     onPlayStop() {
+        // Levels loaded during play replaced the editor scene; bring back the one being edited
+        if (this.runtime._levelChanged) {
+            this._loadLevelContent(this.runtime.levels[this.currentLevelIndex]);
+            this.updateObjectCount();
+        }
+        document.getElementById('level-tabs').classList.remove('hidden');
+        document.getElementById('replay-controls').classList.remove('hidden');
+        this.blockCode.showRunningBlocks([]);
+        this._onDebuggerUpdate();
+        document.getElementById('btn-replay').disabled = !this.runtime.lastReplay;
+        document.getElementById('btn-replay-save').disabled = !this.runtime.lastReplay;
         this.refreshExplorer();
     }
 
+    // ===== Script Debugger =====
+
+    toggleScriptPause() {
+        if (!this.runtime.isRunning) return;
+        if (this.runtime.scriptsPaused()) this.runtime.resumeScripts();
+        else this.runtime.pauseScripts();
+    }
+
+    _onDebuggerUpdate() {
+        const paused = this.runtime.isRunning && this.runtime.scriptsPaused();
+        const pauseBtn = document.getElementById('btn-debug-pause');
+        pauseBtn.classList.toggle('paused', paused);
+        pauseBtn.querySelector('.material-icons-round').textContent = paused ? 'play_arrow' : 'pause';
+        pauseBtn.title = paused ? 'Resume (F8)' : 'Pause scripts (F8)';
+        document.getElementById('btn-debug-step').disabled = !paused;
+        if (this.runtime.isRunning) this.blockCode.showRunningBlocks(this.runtime.scriptThreads());
+    }
+
+    // ===== Replays =====
+
+    // Play a recorded run back frame for frame (the last run unless one is given). It only
+    // matches the original while the scene and scripts are unchanged.
+    startReplay(replay = this.runtime.lastReplay) {
+        if (this.runtime.isRunning || !replay) return;
+        if (this._collabRoom && this._collabMembers.length > 1) {
+            this.toast('Replays can\'t be watched while others are in the party', 'error');
+            return;
+        }
+        const level = replay.level || 0;
+        if (!this.levels[level]) {
+            this.toast('This replay was recorded on a level that no longer exists', 'error');
+            return;
+        }
+        this.switchLevel(level);
+        if (this.currentLevelIndex !== level) return;
+        this._startRuntime(replay);
+    }
+
+    downloadReplay() {
+        const replay = this.runtime.lastReplay;
+        if (!replay) return;
+        const filename = (this.projectName || 'cobalt-game').replace(/[^a-z0-9_-]/gi, '_') + '-replay.json';
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    loadReplayFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (ev) => {
+                let replay;
+                try {
+                    replay = JSON.parse(ev.target.result);
+                } catch (err) {
+                    replay = null;
+                }
+                if (!Runtime.isValidReplay(replay)) {
+                    this.toast('That file is not a replay', 'error');
+                    return;
+                }
+                this.startReplay(replay);
+            };
+            reader.readAsText(file);
+        });
+        input.click();
+    }
+
     // ===== Panels =====
 
     initPanels() {
@@ -349,7 +468,7 @@ class App {
                 this.scene3d.selectObject(obj);
                 this.refreshExplorer();
                 this.updateObjectCount();
-                this.saveUndoState();
+                this._recordAdd([obj]);
             });
         });
 
@@ -363,7 +482,7 @@ class App {
                 this.scene3d.selectObject(obj);
                 this.refreshExplorer();
                 this.updateObjectCount();
-                this.saveUndoState();
+                this._recordAdd([obj]);
             });
         });
 
@@ -377,9 +496,10 @@ class App {
     }
 
     addTerrainPiece(type) {
+        let obj = null;
         switch (type) {
             case 'flat': {
-                const obj = this.scene3d.addObject('box', {
+                obj = this.scene3d.addObject('box', {
                     name: 'Ground',
                     position: { x: 0, y: -0.125, z: 0 },
                     scale: { x: 10, y: 0.25, z: 10 },
@@ -390,7 +510,7 @@ class App {
                 break;
             }
             case 'raise': {
-                const obj = this.scene3d.addObject('box', {
+                obj = this.scene3d.addObject('box', {
                     name: 'Hill',
                     position: { x: 0, y: 1, z: 0 },
                     scale: { x: 4, y: 2, z: 4 },
@@ -401,7 +521,7 @@ class App {
                 break;
             }
             case 'water': {
-                const obj = this.scene3d.addObject('box', {
+                obj = this.scene3d.addObject('box', {
                     name: 'Water',
                     position: { x: 0, y: -0.4, z: 0 },
                     scale: { x: 10, y: 0.1, z: 10 },
@@ -416,13 +536,15 @@ class App {
             }
             case 'paint': {
                 // Paint the selected object
-                const obj = this.scene3d.selectedObject;
-                if (obj) {
-                    const mat = obj.material || this._getFirstChildMaterial(obj);
+                const target = this.scene3d.selectedObject;
+                if (target) {
+                    const mat = target.material || this._getFirstChildMaterial(target);
                     const activeSwatch = document.querySelector('.material-swatches .swatch.active');
                     if (mat && activeSwatch) {
+                        const before = this._snapshotObject(target);
                         mat.color.set(activeSwatch.style.background);
                         this.scene3d._needsRender = true;
+                        this._recordObjectChange(target, before);
                     }
                 }
                 return;
@@ -430,7 +552,7 @@ class App {
         }
         this.refreshExplorer();
         this.updateObjectCount();
-        this.saveUndoState();
+        this._recordAdd([obj]);
     }
 
     // ===== Explorer =====
@@ -470,6 +592,29 @@ class App {
 
             tree.appendChild(item);
         });
+        this._updateTouchDropdowns();
+    }
+
+    // Offer "touching object <name>" / "touching tag <tag>" in condition dropdowns
+    _updateTouchDropdowns() {
+        const names = new Set();
+        const tags = new Set();
+        this.scene3d.objects.forEach(obj => {
+            if (obj.userData.name) names.add(obj.userData.name);
+            (obj.userData.tags || []).forEach(t => tags.add(t));
+        });
+        this.blockCode._updateTouchDropdowns([...names], [...tags]);
+    }
+
+    // Friction and bounciness are 0..1 in the panel, over collab and in the physics step;
+    // null when the text isn't a number
+    static parseUnitValue(text) {
+        const value = parseFloat(text);
+        return isFinite(value) ? Math.max(0, Math.min(1, value)) : null;
+    }
+
+    static parseTags(text) {
+        return [...new Set(String(text || '').split(',').map(t => t.trim()).filter(Boolean))];
     }
 
     getObjectIcon(type) {
@@ -519,6 +664,14 @@ class App {
             }
         });
 
+        document.getElementById('prop-tags').addEventListener('change', (e) => {
+            if (this.scene3d.selectedObject) {
+                this.scene3d.selectedObject.userData.tags = App.parseTags(e.target.value);
+                e.target.value = this.scene3d.selectedObject.userData.tags.join(', ');
+                this._updateTouchDropdowns();
+            }
+        });
+
         // Visibility
         document.getElementById('prop-visible').addEventListener('change', (e) => {
             if (this.scene3d.selectedObject) {
@@ -580,6 +733,22 @@ class App {
             }
         });
 
+        document.getElementById('prop-collider').addEventListener('change', (e) => {
+            if (this.scene3d.selectedObject) {
+                this.scene3d.selectedObject.userData.collider = e.target.value;
+            }
+        });
+
+        ['friction', 'bounciness'].forEach(prop => {
+            document.getElementById('prop-' + prop).addEventListener('change', (e) => {
+                if (this.scene3d.selectedObject) {
+                    const value = App.parseUnitValue(e.target.value) ?? 0;
+                    this.scene3d.selectedObject.userData[prop] = value;
+                    e.target.value = value;
+                }
+            });
+        });
+
         // Actions
         document.getElementById('btn-duplicate').addEventListener('click', () => {
             this.duplicateAllSelected();
@@ -610,6 +779,7 @@ class App {
 
         // Auto-set block code target so drag-and-drop works immediately
         this.blockCode.setTarget(obj);
+        this._collabSelectionChanged(obj);
     }
 
     onObjectDeselected() {
@@ -624,6 +794,7 @@ class App {
 
         this.blockCode.setTarget(null);
         this.refreshExplorer();
+        this._collabSelectionChanged(null);
     }
 
     onMultiSelectChanged(objects) {
@@ -695,6 +866,7 @@ class App {
         if (!obj) return;
 
         document.getElementById('prop-name').value = obj.userData.name;
+        document.getElementById('prop-tags').value = (obj.userData.tags || []).join(', ');
         document.getElementById('prop-visible').checked = obj.visible;
         document.getElementById('prop-locked').checked = obj.userData.locked;
 
@@ -713,6 +885,9 @@ class App {
         document.getElementById('prop-anchored').checked = obj.userData.anchored;
         document.getElementById('prop-collidable').checked = obj.userData.collidable;
         document.getElementById('prop-mass').value = obj.userData.mass;
+        document.getElementById('prop-friction').value = obj.userData.friction ?? 0.5;
+        document.getElementById('prop-bounciness').value = obj.userData.bounciness ?? 0;
+        document.getElementById('prop-collider').value = obj.userData.collider || 'auto';
 
         // Update material properties
         const mat = obj.material || this._getFirstChildMaterial(obj);
@@ -1090,14 +1265,14 @@ class App {
 
     deleteSelected() {
         if (this.scene3d.selectedObjects.length > 1) {
-            this.saveUndoState();
             const toDelete = [...this.scene3d.selectedObjects];
+            this._recordRemove(toDelete);
             toDelete.forEach(obj => this.scene3d.removeObject(obj));
             this.scene3d.selectedObjects = [];
             this.refreshExplorer();
             this.updateObjectCount();
         } else if (this.scene3d.selectedObject) {
-            this.saveUndoState();
+            this._recordRemove([this.scene3d.selectedObject]);
             this.scene3d.removeObject(this.scene3d.selectedObject);
             this.refreshExplorer();
             this.updateObjectCount();
@@ -1106,25 +1281,23 @@ class App {
 
     duplicateAllSelected() {
         if (this.scene3d.selectedObjects.length > 1) {
-            this.saveUndoState();
-            let lastDup = null;
             const toDuplicate = [...this.scene3d.selectedObjects];
-            toDuplicate.forEach(obj => {
-                const dup = this.scene3d.duplicateObject(obj);
-                if (dup) lastDup = dup;
-            });
+            const dups = toDuplicate.map(obj => this.scene3d.duplicateObject(obj)).filter(Boolean);
+            const lastDup = dups[dups.length - 1];
             if (lastDup) {
                 this.scene3d.selectObject(lastDup);
             }
             this.refreshExplorer();
             this.updateObjectCount();
+            this._recordAdd(dups, `Duplicate ${dups.length} objects`);
         } else if (this.scene3d.selectedObject) {
-            this.saveUndoState();
+            const name = this.scene3d.selectedObject.userData.name;
             const dup = this.scene3d.duplicateObject(this.scene3d.selectedObject);
             if (dup) {
                 this.scene3d.selectObject(dup);
                 this.refreshExplorer();
                 this.updateObjectCount();
+                this._recordAdd([dup], 'Duplicate ' + name);
             }
         }
     }
@@ -1143,6 +1316,7 @@ class App {
         forward.normalize();
         const right = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
 
+        const before = this._snapshotObject(obj);
         let dx = 0, dz = 0;
         switch (key) {
             case 'ArrowUp':    dx += forward.x; dz += forward.z; break;
@@ -1163,6 +1337,7 @@ class App {
 
         this.scene3d._needsRender = true;
         this.updateProperties(obj);
+        this._recordObjectChange(obj, before);
 
         // Broadcast transform to collab members
         if (this.scene3d.onObjectChanged) {
@@ -1192,6 +1367,18 @@ class App {
             }
         });
 
+        // Script debugger keys while playing in the editor
+        document.addEventListener('keydown', (e) => {
+            if (!this.runtime.isRunning || this._ppScene3d) return;
+            if (e.key === 'F8') {
+                e.preventDefault();
+                this.toggleScriptPause();
+            } else if (e.key === 'F10') {
+                e.preventDefault();
+                this.runtime.stepScripts();
+            }
+        });
+
         document.addEventListener('keydown', (e) => {
             if (!this.currentProjectId) return;
             if (this.runtime.isRunning) return;
@@ -1364,6 +1551,7 @@ class App {
     initSaveLoad() {
         document.getElementById('btn-save').addEventListener('click', () => this.saveProject());
         document.getElementById('btn-export').addEventListener('click', () => this.exportGame());
+        document.getElementById('btn-export-html').addEventListener('click', () => this.exportPlayableHtml());
         document.getElementById('btn-share').addEventListener('click', () => this.shareProject());
     }
 
@@ -1455,31 +1643,29 @@ class App {
     }
 
     _gatherProjectData() {
+        // While play mode has swapped in another level, the edited level only exists in the runtime's snapshot
+        const playLevel = this.runtime.isRunning && this.runtime._levelChanged ? this.runtime.levels[this.currentLevelIndex] : null;
         const data = {
-            version: 1,
+            version: ProjectFormat.CURRENT_VERSION,
             type: '3d',
             name: this.projectName || 'My Game',
-            scene: this.scene3d.serialize(),
+            scene: playLevel ? playLevel.scene : this.scene3d.serialize(),
             customVariables: this.blockCode.customVariables,
             customLocalVariables: this.blockCode.customLocalVariables,
             customMessages: this.blockCode.customMessages,
+            customBlocks: Object.values(this.blockCode.customBlocks),
             globalScripts: this.blockCode.globalScripts,
             customObjects: this.customObjects,
             uiScreens: this.uiScreens,
             sounds: this.customSounds,
             environment: {
-                skyColor: document.getElementById('sky-color').value,
-                skybox: document.getElementById('skybox-type').value,
-                ambientLight: document.getElementById('ambient-light').value,
-                fogDensity: document.getElementById('fog-density').value,
-                shadows: document.getElementById('shadows-enabled').checked,
-                weather: document.getElementById('weather-type').value,
-                bgMusic: document.getElementById('bg-music').value,
-                musicVolume: document.getElementById('music-volume').value,
+                ...(playLevel ? playLevel.environment : this._gatherLevelEnvironment()),
                 playerColors: this.gameSettings.playerColors,
                 controlScheme: this.gameSettings.controlScheme,
                 speed: this.gameSettings.speed,
                 jumpForce: this.gameSettings.jumpForce,
+                maxSlope: this.gameSettings.maxSlope,
+                stepHeight: this.gameSettings.stepHeight,
                 sensitivity: this.gameSettings.sensitivity,
                 keyBindings: this.gameSettings.keyBindings,
                 characterParts: this.gameSettings.characterParts,
@@ -1487,20 +1673,54 @@ class App {
             }
         };
         // Terrain data
-        if (this._terrain) {
-            const t = this._terrain;
-            data.terrain = {
-                size: t.userData.terrainSize,
-                resolution: t.userData.terrainResolution,
-                heightData: Array.from(t.userData.heightData),
-                colorData: Array.from(t.userData.colorData),
-                terrainCollision: t.userData.terrainCollision !== false
-            };
-        }
+        const terrain = playLevel ? playLevel.terrain : this._gatherTerrainData();
+        if (terrain) data.terrain = terrain;
+        // Levels: the active level's content is the top-level scene/environment/terrain above
+        data.levels = this.levels.map((l, i) => i === this.currentLevelIndex ? { name: l.name } : l);
+        data.currentLevel = this.currentLevelIndex;
         return data;
     }
 
+    _gatherLevelEnvironment() {
+        return {
+            skyColor: document.getElementById('sky-color').value,
+            skybox: document.getElementById('skybox-type').value,
+            ambientLight: document.getElementById('ambient-light').value,
+            fogDensity: document.getElementById('fog-density').value,
+            shadows: document.getElementById('shadows-enabled').checked,
+            weather: document.getElementById('weather-type').value,
+            bgMusic: document.getElementById('bg-music').value,
+            musicVolume: document.getElementById('music-volume').value
+        };
+    }
+
+    _gatherTerrainData() {
+        if (!this._terrain) return null;
+        const t = this._terrain;
+        return {
+            size: t.userData.terrainSize,
+            resolution: t.userData.terrainResolution,
+            heightData: Array.from(t.userData.heightData),
+            colorData: Array.from(t.userData.colorData),
+            terrainCollision: t.userData.terrainCollision !== false
+        };
+    }
+
+    // Upgrade saved data to the current project format. Malformed data is reported to the user
+    // and null is returned, so callers can bail out before touching the open project.
+    _prepareProjectData(data, title = 'Can\'t Open Project') {
+        try {
+            return ProjectFormat.load(data);
+        } catch (e) {
+            console.error('Invalid project data:', e.errors || e.message);
+            this.showConfirm(title, (e.errors || [e.message]).join('\n'), 'OK', 'danger');
+            return null;
+        }
+    }
+
+    // Expects data that has been through _prepareProjectData
     _applyProjectData(data) {
+        this._aiDiscardPreview();
         this.scene3d.deserialize(data.scene);
 
         if (data.customVariables) {
@@ -1515,6 +1735,7 @@ class App {
             this.blockCode.customMessages = data.customMessages;
             this.blockCode._updateMessageDropdowns();
         }
+        this.blockCode.setCustomBlocks(data.customBlocks || []);
         if (data.globalScripts) {
             this.blockCode.globalScripts = data.globalScripts;
         }
@@ -1531,32 +1752,7 @@ class App {
         }
 
         if (data.environment) {
-            document.getElementById('sky-color').value = data.environment.skyColor;
-            document.getElementById('ambient-light').value = data.environment.ambientLight;
-            document.getElementById('fog-density').value = data.environment.fogDensity;
-            document.getElementById('shadows-enabled').checked = data.environment.shadows;
-
-            this.scene3d.setSkyColor(data.environment.skyColor);
-            if (data.environment.skybox) {
-                document.getElementById('skybox-type').value = data.environment.skybox;
-                this.scene3d.setSkybox(data.environment.skybox);
-            }
-            this.scene3d.setAmbientIntensity(data.environment.ambientLight / 100);
-            this.scene3d.setFog(parseInt(data.environment.fogDensity));
-            this.scene3d.setShadows(data.environment.shadows);
-
-            if (data.environment.weather) {
-                document.getElementById('weather-type').value = data.environment.weather;
-                this.scene3d.setWeather(data.environment.weather);
-            }
-            if (data.environment.bgMusic) {
-                document.getElementById('bg-music').value = data.environment.bgMusic;
-                this.gameSettings.bgMusic = data.environment.bgMusic;
-            }
-            if (data.environment.musicVolume) {
-                document.getElementById('music-volume').value = data.environment.musicVolume;
-                this.gameSettings.musicVolume = parseInt(data.environment.musicVolume);
-            }
+            this._applyLevelEnvironment(data.environment);
             if (data.environment.playerColors) {
                 this.gameSettings.playerColors = data.environment.playerColors;
                 document.getElementById('setting-player-body').value = data.environment.playerColors.body;
@@ -1571,6 +1767,8 @@ class App {
             }
             if (data.environment.speed) this.gameSettings.speed = data.environment.speed;
             if (data.environment.jumpForce) this.gameSettings.jumpForce = data.environment.jumpForce;
+            if (data.environment.maxSlope !== undefined) this.gameSettings.maxSlope = data.environment.maxSlope;
+            if (data.environment.stepHeight !== undefined) this.gameSettings.stepHeight = data.environment.stepHeight;
             if (data.environment.sensitivity) this.gameSettings.sensitivity = data.environment.sensitivity;
             if (data.environment.keyBindings) this.gameSettings.keyBindings = data.environment.keyBindings;
             if (data.environment.characterParts) this.gameSettings.characterParts = data.environment.characterParts;
@@ -1596,10 +1794,53 @@ class App {
             this._removeTerrain();
         }
 
+        // Restore levels
+        this.levels = data.levels.map(l => ({ ...l }));
+        this.currentLevelIndex = data.currentLevel || 0;
+        this.levels[this.currentLevelIndex] = { name: this.levels[this.currentLevelIndex].name };
+        this._renderLevelTabs();
+
         this.refreshExplorer();
         this.updateObjectCount();
     }
 
+    _applyLevelEnvironment(env) {
+        document.getElementById('sky-color').value = env.skyColor;
+        document.getElementById('ambient-light').value = env.ambientLight;
+        document.getElementById('fog-density').value = env.fogDensity;
+        document.getElementById('shadows-enabled').checked = env.shadows;
+
+        this.scene3d.setSkyColor(env.skyColor);
+        if (env.skybox) {
+            document.getElementById('skybox-type').value = env.skybox;
+            this.scene3d.setSkybox(env.skybox);
+        }
+        this.scene3d.setAmbientIntensity(env.ambientLight / 100);
+        this.scene3d.setFog(parseInt(env.fogDensity));
+        this.scene3d.setShadows(env.shadows);
+
+        if (env.weather) {
+            document.getElementById('weather-type').value = env.weather;
+            this.scene3d.setWeather(env.weather);
+        }
+        if (env.bgMusic) {
+            document.getElementById('bg-music').value = env.bgMusic;
+            this.gameSettings.bgMusic = env.bgMusic;
+        }
+        if (env.musicVolume) {
+            document.getElementById('music-volume').value = env.musicVolume;
+            this.gameSettings.musicVolume = parseInt(env.musicVolume);
+        }
+    }
+
+    // Send a whole level environment to the party; music is not shared
+    _collabSendEnvironment(env) {
+        if (!this._collabRoom) return;
+        ['skyColor', 'skybox', 'ambientLight', 'fogDensity', 'shadows', 'weather'].forEach(prop => {
+            this._collabSend({ type: 'update-environment', prop, value: env[prop] });
+        });
+    }
+
     captureThumbnail() {
         try {
             this.scene3d.renderer.render(this.scene3d.scene, this.scene3d.camera);
@@ -1617,7 +1858,7 @@ class App {
         const old = localStorage.getItem('blockforge_project');
         if (!old) return;
         try {
-            const data = JSON.parse(old);
+            const data = ProjectFormat.migrate(JSON.parse(old));
             const id = this.generateProjectId();
             const now = Date.now();
             this.saveProjectData(id, data);
@@ -1922,6 +2163,10 @@ class App {
             { section: 'File', items: [
                 ['Save', 'Ctrl+S'], ['Play / Stop', 'F5']
             ]},
+            { section: 'Debug (while playing)', items: [
+                ['Pause / Resume Scripts', 'F8'], ['Step to Next Block', 'F10'],
+                ['Toggle Breakpoint', 'Click a block\'s left edge']
+            ]},
             { section: 'View', items: [
                 ['Fullscreen Viewport', 'Viewport Button'], ['Deselect', 'Escape'],
                 ['Shortcuts', '?']
@@ -2042,21 +2287,25 @@ class App {
         this.projectName = name;
 
         // Reset editor state
+        this._aiDiscardPreview();
         this.scene3d.deserialize([]);
         this.blockCode.customVariables = [];
         this.blockCode.customLocalVariables = [];
         this.blockCode.customMessages = [];
+        this.blockCode.setCustomBlocks([]);
         this.blockCode._updateVariableDropdowns();
         this.blockCode._updateLocalVariableDropdowns();
         this.blockCode._updateMessageDropdowns();
         this._removeTerrain();
+        this.levels = [{ name: 'Level 1' }];
+        this.currentLevelIndex = 0;
+        this._renderLevelTabs();
         this.customObjects = [];
         this.renderCustomObjectButtons();
         this.uiScreens = [];
         this.renderScreenButtons();
         this.blockCode._updateScreenDropdowns(this.uiScreens);
-        this.undoStack = [];
-        this.redoStack = [];
+        this.clearHistory();
 
         // Reset environment to defaults
         document.getElementById('sky-color').value = '#87CEEB';
@@ -2118,11 +2367,13 @@ class App {
     }
 
     loadProjectById(id) {
-        const data = this.getProjectData(id);
-        if (!data) {
+        const saved = this.getProjectData(id);
+        if (!saved) {
             this.toast('Failed to load project', 'error');
             return;
         }
+        const data = this._prepareProjectData(saved);
+        if (!data) return;
 
         // Show loading spinner
         const loadingOverlay = document.getElementById('loading-overlay');
@@ -2133,8 +2384,7 @@ class App {
         this.projectName = (index[id] && index[id].name) || data.name || 'My Game';
         if (this._aiLoadProjectCmds) this._aiLoadProjectCmds();
 
-        this.undoStack = [];
-        this.redoStack = [];
+        this.clearHistory();
         this.hasUnsavedChanges = false;
         this.lastSaveTime = index[id] ? index[id].modifiedAt : Date.now();
 
@@ -2412,8 +2662,16 @@ class App {
             if (!file) return;
             const reader = new FileReader();
             reader.onload = (ev) => {
+                let parsed;
+                try {
+                    parsed = JSON.parse(ev.target.result);
+                } catch (err) {
+                    this.toast('Failed to import: invalid JSON', 'error');
+                    return;
+                }
+                const data = this._prepareProjectData(parsed, 'Can\'t Import ' + file.name);
+                if (!data) return;
                 try {
-                    const data = JSON.parse(ev.target.result);
                     const id = this.generateProjectId();
                     const now = Date.now();
                     this.saveProjectData(id, data);
@@ -2428,7 +2686,8 @@ class App {
                     this.renderProjectGrid();
                     this.toast('Project imported!', 'success');
                 } catch (err) {
-                    this.toast('Failed to import: invalid JSON', 'error');
+                    console.error('Import failed:', err);
+                    this.toast('Failed to import project', 'error');
                 }
             };
             reader.readAsText(file);
@@ -2451,7 +2710,7 @@ class App {
                     { type: 'wall', name: 'South Wall', position: { x: 0, y: 1, z: 15 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 7.5, y: 1, z: 1 }, color: '#95a5a6', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'East Wall', position: { x: 15, y: 1, z: 0 }, rotation: { x: 0, y: 90, z: 0 }, scale: { x: 7.5, y: 1, z: 1 }, color: '#95a5a6', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'West Wall', position: { x: -15, y: 1, z: 0 }, rotation: { x: 0, y: 90, z: 0 }, scale: { x: 7.5, y: 1, z: 1 }, color: '#95a5a6', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'crate', name: 'Cover1', position: { x: -5, y: 0.4, z: -5 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#d4a24e', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'crate', name: 'Cover2', position: { x: 5, y: 0.4, z: 5 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#d4a24e', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'crate', name: 'Cover3', position: { x: 5, y: 0.4, z: -5 }, rotation: { x: 0, y: 45, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#d4a24e', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2465,16 +2724,16 @@ class App {
                 color: '#1abc9c',
                 scene: [
                     { type: 'platform', name: 'Start Platform', position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1, z: 1.5 }, color: '#1abc9c', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'platform', name: 'Platform 2', position: { x: 4, y: 1.5, z: -2 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#1abc9c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'platform', name: 'Platform 3', position: { x: 8, y: 3, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#1abc9c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'platform', name: 'Platform 4', position: { x: 5, y: 4.5, z: 4 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.8, y: 1, z: 0.8 }, color: '#16a085', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'platform', name: 'Platform 5', position: { x: 9, y: 6, z: 6 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.8, y: 1, z: 0.8 }, color: '#16a085', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'platform', name: 'Platform 6', position: { x: 13, y: 7.5, z: 4 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#1abc9c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'platform', name: 'Goal Platform', position: { x: 16, y: 9, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1, z: 1.5 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Goal Gem', position: { x: 16, y: 10, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#e74c3c', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 1', position: { x: 4, y: 2.5, z: -2 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 2', position: { x: 8, y: 4, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] }
+                    { type: 'gem', name: 'Goal Gem', position: { x: 16, y: 10, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 1', position: { x: 4, y: 2.5, z: -2 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 2', position: { x: 8, y: 4, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] }
                 ]
             },
             'obstacle-course': {
@@ -2484,7 +2743,7 @@ class App {
                 color: '#e67e22',
                 scene: [
                     { type: 'box', name: 'Start Area', position: { x: 0, y: -0.25, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 6, y: 0.5, z: 6 }, color: '#4a7c3f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Path 1', position: { x: 0, y: -0.25, z: -6 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 0.5, z: 6 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'Obstacle Wall 1', position: { x: 0, y: 1, z: -7 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.3, y: 0.7, z: 1 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Path 2', position: { x: 0, y: -0.25, z: -12 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 0.5, z: 4 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2492,7 +2751,7 @@ class App {
                     { type: 'box', name: 'High Path', position: { x: 0, y: 2, z: -19 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 0.5, z: 6 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Narrow Bridge', position: { x: 4, y: 2, z: -22 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 6, y: 0.5, z: 0.8 }, color: '#8B6914', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Finish Area', position: { x: 8, y: 2, z: -22 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 4, y: 0.5, z: 4 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Finish Gem', position: { x: 8, y: 3.5, z: -22 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#e74c3c', anchored: false, collidable: true, mass: 1, scripts: [] }
+                    { type: 'gem', name: 'Finish Gem', position: { x: 8, y: 3.5, z: -22 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] }
                 ]
             },
             'village': {
@@ -2502,7 +2761,7 @@ class App {
                 color: '#27ae60',
                 scene: [
                     { type: 'box', name: 'Ground', position: { x: 0, y: -0.25, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 30, y: 0.5, z: 30 }, color: '#4a7c3f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Main Path', position: { x: 0, y: 0.02, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 3, y: 0.05, z: 20 }, color: '#C2B280', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Cross Path', position: { x: 0, y: 0.02, z: -3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 16, y: 0.05, z: 3 }, color: '#C2B280', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'house', name: 'House 1', position: { x: -5, y: 0, z: -3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#e67e22', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2524,7 +2783,7 @@ class App {
                 color: '#3498db',
                 scene: [
                     { type: 'box', name: 'Main Deck', position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 12, y: 0.3, z: 12 }, color: '#5a6a7a', anchored: true, collidable: true, mass: 1, material: { roughness: 0.3, metalness: 0.8, opacity: 1 }, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Side Deck A', position: { x: -9, y: 2, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 6, y: 0.3, z: 6 }, color: '#4a5a6a', anchored: true, collidable: true, mass: 1, material: { roughness: 0.3, metalness: 0.8, opacity: 1 }, scripts: [] },
                     { type: 'box', name: 'Side Deck B', position: { x: 9, y: 2, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 6, y: 0.3, z: 6 }, color: '#4a5a6a', anchored: true, collidable: true, mass: 1, material: { roughness: 0.3, metalness: 0.8, opacity: 1 }, scripts: [] },
                     { type: 'box', name: 'Bridge A', position: { x: -5, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 4, y: 0.2, z: 1.5 }, color: '#6a7a8a', anchored: true, collidable: true, mass: 1, material: { roughness: 0.3, metalness: 0.8, opacity: 1 }, scripts: [] },
@@ -2545,19 +2804,19 @@ class App {
                 color: '#f1c40f',
                 scene: [
                     { type: 'box', name: 'Arena Floor', position: { x: 0, y: -0.25, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 24, y: 0.5, z: 24 }, color: '#4a7c3f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 1', position: { x: 3, y: 0.5, z: 3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 2', position: { x: -3, y: 0.5, z: 3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 3', position: { x: 3, y: 0.5, z: -3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 4', position: { x: -3, y: 0.5, z: -3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 5', position: { x: 7, y: 0.5, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 6', position: { x: -7, y: 0.5, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 7', position: { x: 0, y: 0.5, z: 7 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 8', position: { x: 0, y: 0.5, z: -7 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Gem 1', position: { x: 8, y: 0.8, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#e74c3c', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Gem 2', position: { x: -8, y: 0.8, z: -8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#9b59b6', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Gem 3', position: { x: -8, y: 0.8, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#3498db', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Gem 4', position: { x: 8, y: 0.8, z: -8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 1', position: { x: 3, y: 0.5, z: 3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 2', position: { x: -3, y: 0.5, z: 3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 3', position: { x: 3, y: 0.5, z: -3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 4', position: { x: -3, y: 0.5, z: -3 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 5', position: { x: 7, y: 0.5, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 6', position: { x: -7, y: 0.5, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 7', position: { x: 0, y: 0.5, z: 7 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 8', position: { x: 0, y: 0.5, z: -7 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Gem 1', position: { x: 8, y: 0.8, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Gem 2', position: { x: -8, y: 0.8, z: -8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#9b59b6', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Gem 3', position: { x: -8, y: 0.8, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#3498db', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Gem 4', position: { x: 8, y: 0.8, z: -8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Pedestal 1', position: { x: 8, y: 0.25, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 0.5, z: 1 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Pedestal 2', position: { x: -8, y: 0.25, z: -8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 0.5, z: 1 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Pedestal 3', position: { x: -8, y: 0.25, z: 8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 0.5, z: 1 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2571,7 +2830,7 @@ class App {
                 color: '#c0392b',
                 scene: [
                     { type: 'box', name: 'Floor', position: { x: 0, y: -0.25, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 40, y: 0.5, z: 40 }, color: '#5a5a5a', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 15 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 15 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Perimeter walls
                     { type: 'wall', name: 'Wall N', position: { x: 0, y: 1.5, z: -20 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 10, y: 1.5, z: 1 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'Wall S', position: { x: 0, y: 1.5, z: 20 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 10, y: 1.5, z: 1 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2589,8 +2848,8 @@ class App {
                     { type: 'npc', name: 'Enemy 2', position: { x: 8, y: 0, z: -10 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#c0392b', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'npc', name: 'Enemy 3', position: { x: 0, y: 0, z: -16 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.2, y: 1.2, z: 1.2 }, color: '#922b21', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Pickups
-                    { type: 'gem', name: 'Health Pack', position: { x: -10, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Ammo Pack', position: { x: 10, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#3498db', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Health Pack', position: { x: -10, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Ammo Pack', position: { x: 10, y: 0.5, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#3498db', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Lighting
                     { type: 'light-point', name: 'Light 1', position: { x: -8, y: 4, z: -8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#ff6633', anchored: true, collidable: false, mass: 1, scripts: [] },
                     { type: 'light-point', name: 'Light 2', position: { x: 8, y: 4, z: -8 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#ff6633', anchored: true, collidable: false, mass: 1, scripts: [] },
@@ -2605,7 +2864,7 @@ class App {
                 scene: [
                     // Main room
                     { type: 'box', name: 'Room 1 Floor', position: { x: 0, y: -0.25, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 10, y: 0.5, z: 10 }, color: '#3d3d3d', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'R1 Wall N', position: { x: 0, y: 1.5, z: -5 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 1.5, z: 1 }, color: '#5d4e37', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'R1 Wall S', position: { x: 0, y: 1.5, z: 5 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2.5, y: 1.5, z: 1 }, color: '#5d4e37', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'R1 Wall W', position: { x: -5, y: 1.5, z: 0 }, rotation: { x: 0, y: 90, z: 0 }, scale: { x: 2.5, y: 1.5, z: 1 }, color: '#5d4e37', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2620,7 +2879,7 @@ class App {
                     { type: 'wall', name: 'R2 Wall S', position: { x: 14, y: 1.5, z: 4 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 1.5, z: 1 }, color: '#5d4e37', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Enemies & loot
                     { type: 'npc', name: 'Skeleton', position: { x: 14, y: 0, z: 0 }, rotation: { x: 0, y: -90, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#bdc3c7', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Treasure', position: { x: 16, y: 0.8, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Treasure', position: { x: 16, y: 0.8, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'crate', name: 'Barrel 1', position: { x: -3, y: 0.4, z: -3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#7d5a3c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'crate', name: 'Barrel 2', position: { x: -3, y: 0.4, z: 3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#7d5a3c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Torches
@@ -2642,7 +2901,7 @@ class App {
                     { type: 'box', name: 'Track Curve E', position: { x: 12, y: -0.1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 4, y: 0.2, z: 28 }, color: '#444444', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Track Curve W', position: { x: -12, y: -0.1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 4, y: 0.2, z: 28 }, color: '#444444', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Infield', position: { x: 0, y: -0.2, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 16, y: 0.1, z: 20 }, color: '#4a7c3f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'Start', position: { x: 0, y: 0.5, z: 12 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'Start', position: { x: 0, y: 0.5, z: 12 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Barriers
                     { type: 'wall', name: 'Barrier Inner N', position: { x: 0, y: 0.3, z: -10 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 5, y: 0.3, z: 1 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'wall', name: 'Barrier Inner S', position: { x: 0, y: 0.3, z: 10 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 5, y: 0.3, z: 1 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2655,10 +2914,10 @@ class App {
                     { type: 'box', name: 'Checkpoint 2', position: { x: 0, y: 0.01, z: -12 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 4, y: 0.02, z: 0.3 }, color: '#f1c40f', anchored: true, collidable: false, mass: 1, scripts: [] },
                     { type: 'box', name: 'Checkpoint 3', position: { x: -12, y: 0.01, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.3, y: 0.02, z: 4 }, color: '#f1c40f', anchored: true, collidable: false, mass: 1, scripts: [] },
                     // Coins on track
-                    { type: 'coin', name: 'Coin 1', position: { x: 6, y: 0.4, z: -12 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 2', position: { x: -6, y: 0.4, z: -12 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 3', position: { x: 12, y: 0.4, z: 6 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 4', position: { x: -12, y: 0.4, z: -6 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] }
+                    { type: 'coin', name: 'Coin 1', position: { x: 6, y: 0.4, z: -12 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 2', position: { x: -6, y: 0.4, z: -12 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 3', position: { x: 12, y: 0.4, z: 6 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 4', position: { x: -12, y: 0.4, z: -6 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] }
                 ]
             },
             'tower-defense': {
@@ -2668,7 +2927,7 @@ class App {
                 color: '#8e44ad',
                 scene: [
                     { type: 'box', name: 'Ground', position: { x: 0, y: -0.25, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 30, y: 0.5, z: 30 }, color: '#4a7c3f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: -12, y: 0.5, z: 12 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: -12, y: 0.5, z: 12 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Path (sand-colored)
                     { type: 'box', name: 'Path 1', position: { x: -12, y: 0.02, z: 6 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 0.05, z: 14 }, color: '#C2B280', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Path 2', position: { x: -6, y: 0.02, z: -1 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 14, y: 0.05, z: 2 }, color: '#C2B280', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2681,7 +2940,7 @@ class App {
                     { type: 'cylinder', name: 'Tower Spot 3', position: { x: 6, y: 0.3, z: 6 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 0.6, z: 2 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'cylinder', name: 'Tower Spot 4', position: { x: 6, y: 0.3, z: -5 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 0.6, z: 2 }, color: '#7f8c8d', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // End point
-                    { type: 'gem', name: 'Base', position: { x: 12, y: 0.8, z: -7 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#e74c3c', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Base', position: { x: 12, y: 0.8, z: -7 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 2, y: 2, z: 2 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Enemies on path
                     { type: 'npc', name: 'Creep 1', position: { x: -12, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 0.8, y: 0.8, z: 0.8 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'npc', name: 'Creep 2', position: { x: 0, y: 0, z: -1 }, rotation: { x: 0, y: 90, z: 0 }, scale: { x: 0.8, y: 0.8, z: 0.8 }, color: '#e74c3c', anchored: true, collidable: true, mass: 1, scripts: [] },
@@ -2700,7 +2959,7 @@ class App {
                     { type: 'cylinder', name: 'Island Base', position: { x: 0, y: -0.3, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 16, y: 0.6, z: 16 }, color: '#c2b280', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Beach', position: { x: 0, y: 0.01, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 14, y: 0.02, z: 14 }, color: '#f0d9a0', anchored: true, collidable: true, mass: 1, scripts: [] },
                     { type: 'box', name: 'Grass', position: { x: 0, y: 0.03, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 10, y: 0.02, z: 10 }, color: '#4a7c3f', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'spawn', name: 'SpawnPoint', position: { x: 0, y: 0.5, z: 3 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2ecc71', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Trees
                     { type: 'tree', name: 'Palm 1', position: { x: -3, y: 0, z: -2 }, rotation: { x: 0, y: 30, z: 0 }, scale: { x: 1.2, y: 1.5, z: 1.2 }, color: '#27ae60', anchored: true, collidable: false, mass: 1, scripts: [] },
                     { type: 'tree', name: 'Palm 2', position: { x: 3, y: 0, z: -3 }, rotation: { x: 0, y: 120, z: 0 }, scale: { x: 1, y: 1.3, z: 1 }, color: '#27ae60', anchored: true, collidable: false, mass: 1, scripts: [] },
@@ -2709,11 +2968,11 @@ class App {
                     { type: 'house', name: 'Beach Hut', position: { x: 3, y: 0, z: 2 }, rotation: { x: 0, y: -45, z: 0 }, scale: { x: 0.8, y: 0.8, z: 0.8 }, color: '#c2b280', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Treasure
                     { type: 'crate', name: 'Chest', position: { x: -4, y: 0.3, z: 0 }, rotation: { x: 0, y: 15, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#8B6914', anchored: true, collidable: true, mass: 1, scripts: [] },
-                    { type: 'gem', name: 'Treasure', position: { x: -4, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'gem', name: 'Treasure', position: { x: -4, y: 1, z: 0 }, rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1.5, y: 1.5, z: 1.5 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // Coins scattered
-                    { type: 'coin', name: 'Coin 1', position: { x: 1, y: 0.4, z: -4 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 2', position: { x: -3, y: 0.4, z: 4 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
-                    { type: 'coin', name: 'Coin 3', position: { x: 5, y: 0.4, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: false, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 1', position: { x: 1, y: 0.4, z: -4 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 2', position: { x: -3, y: 0.4, z: 4 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
+                    { type: 'coin', name: 'Coin 3', position: { x: 5, y: 0.4, z: 0 }, rotation: { x: 90, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#f1c40f', anchored: true, collidable: true, mass: 1, scripts: [] },
                     // NPC
                     { type: 'npc', name: 'Castaway', position: { x: 2, y: 0, z: 1 }, rotation: { x: 0, y: -90, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#e67e22', anchored: true, collidable: true, mass: 1, scripts: [] }
                 ]
@@ -2779,8 +3038,7 @@ class App {
         }
 
         // Reset undo stack
-        this.undoStack = [];
-        this.redoStack = [];
+        this.clearHistory();
 
         // Refresh explorer and deselect
         this.scene3d.deselect();
@@ -2837,6 +3095,8 @@ class App {
             controlScheme: 'first-person',
             speed: 6,
             jumpForce: 8,
+            maxSlope: 45,
+            stepHeight: 0.35,
             sensitivity: 5,
             mouseOrbit: false,
             keyBindings: { ...defaultBindings },
@@ -2895,6 +3155,14 @@ class App {
             this.gameSettings.jumpForce = parseInt(e.target.value);
             document.getElementById('setting-jump-val').textContent = e.target.value;
         });
+        document.getElementById('setting-max-slope').addEventListener('input', (e) => {
+            this.gameSettings.maxSlope = parseInt(e.target.value);
+            document.getElementById('setting-max-slope-val').textContent = e.target.value + '°';
+        });
+        document.getElementById('setting-step-height').addEventListener('input', (e) => {
+            this.gameSettings.stepHeight = parseFloat(e.target.value);
+            document.getElementById('setting-step-height-val').textContent = e.target.value;
+        });
         sensSlider.addEventListener('input', (e) => {
             this.gameSettings.sensitivity = parseInt(e.target.value);
             document.getElementById('setting-sensitivity-val').textContent = e.target.value;
@@ -3501,16 +3769,160 @@ class App {
         this.toast('Game exported!', 'success');
     }
 
+    // Bundle the engine scripts, styles and project data into one HTML file that boots into play mode
+    async exportPlayableHtml() {
+        this.blockCode.saveScriptsToObject();
+        const data = this._gatherProjectData();
+        const name = this.projectName || 'Cobalt Game';
+        this.toast('Building playable HTML...');
+
+        let scripts, css;
+        try {
+            const load = (src) => fetch(src).then(r => {
+                if (!r.ok) throw new Error('Failed to load ' + src);
+                return r.text();
+            });
+            scripts = await Promise.all(App.PLAYER_SCRIPTS.map(load));
+            css = await load('css/style.css');
+        } catch (e) {
+            console.error('Export failed:', e);
+            this.toast('Export failed: could not load the game engine files', 'error');
+            return;
+        }
+
+        // Inline scripts must not contain a closing script tag
+        const inline = (text) => text.replace(/<\/(script)/gi, '<\\/$1');
+        const title = name.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+<style>${css}</style>
+<style>
+html, body { margin: 0; height: 100%; overflow: hidden; background: #000; }
+#standalone-start { position: fixed; inset: 0; z-index: 10001; display: flex; flex-direction: column;
+    align-items: center; justify-content: center; gap: 12px; background: rgba(0,0,0,0.55);
+    color: #fff; font-family: 'Inter', sans-serif; cursor: pointer; }
+#standalone-start .standalone-title { font-size: 36px; font-weight: 700; }
+#standalone-start .standalone-hint { font-size: 16px; opacity: 0.75; }
+</style>
+</head>
+<body>
+<div class="pp-viewport pp-fullscreen" id="pp-viewport-container">
+    <canvas id="pp-canvas"></canvas>
+    <div id="pp-play-overlay" class="hidden">
+        <div class="play-hud">
+            <div class="play-info"><span>WASD to move | Arrows to look | Space to jump | ESC to stop</span></div>
+            <div class="game-hud" id="pp-game-hud"></div>
+        </div>
+    </div>
+    <div id="pp-crosshair" class="hidden">${document.getElementById('pp-crosshair').innerHTML}</div>
+</div>
+<div id="standalone-start">
+    <span class="standalone-title">${title}</span>
+    <span class="standalone-hint">Click to play</span>
+</div>
+<div id="game-loading-screen" class="hidden"></div>
+${scripts.map(src => `<script>${inline(src)}</script>`).join('\n')}
+<script type="application/json" id="game-data">${inline(JSON.stringify(data))}</script>
+<script>GamePlayer.bootStandalone(JSON.parse(document.getElementById('game-data').textContent));</script>
+</body>
+</html>
+`;
+
+        const blob = new Blob([html], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name.replace(/[^a-z0-9_-]/gi, '_') + '.html';
+        a.click();
+        URL.revokeObjectURL(url);
+
+        this.toast('Playable HTML exported!', 'success');
+    }
+
     // ===== Undo/Redo =====
 
-    saveUndoState() {
-        this.undoStack.push(JSON.stringify(this.scene3d.serialize()));
-        if (this.undoStack.length > 50) this.undoStack.shift();
+    // History entries are { label, ops, time }. Every op can be applied forward (redo) or
+    // backward (undo), so only the objects it touches change and collaborators receive
+    // the result through the regular collab messages.
+
+    initHistory() {
+        this._historyGroup = null;
+        this._pendingEdit = null;
+        this._transformEdit = null;
+
+        const panel = document.getElementById('history-panel');
+        document.getElementById('btn-history').addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+            this._renderHistoryPanel();
+        });
+        document.getElementById('history-panel-close').addEventListener('click', () => panel.classList.add('hidden'));
+
+        // A whole gizmo or viewport drag becomes one step
+        this.scene3d.onTransformStart = (obj) => {
+            this._transformEdit = { obj, before: this._snapshotObject(obj) };
+        };
+        this.scene3d.onTransformEnd = (obj) => {
+            const edit = this._transformEdit;
+            this._transformEdit = null;
+            if (!edit || edit.obj !== obj) return;
+            this._recordObjectChange(obj, edit.before);
+            // Live transform broadcasts are throttled, make sure the final pose arrives
+            if (this._collabRoom && !this._collabBroadcastPaused && this._collabCanEdit()) {
+                this._collabSend(this._collabTransformMessage(obj));
+            }
+        };
+
+        // Property panel: snapshot when an interaction starts, record once the value is committed
+        const rightPanel = document.getElementById('right-panel');
+        rightPanel.addEventListener('pointerdown', () => this._beginObjectEdit(), true);
+        rightPanel.addEventListener('focusin', () => this._beginObjectEdit(), true);
+        rightPanel.addEventListener('change', () => this._commitObjectEdit());
+        rightPanel.addEventListener('click', () => this._commitObjectEdit());
+
+        this.blockCode.onScriptEdit = (obj, scripts) => this._recordScriptEdit(obj, scripts);
+    }
+
+    _pushHistory(label, ops) {
+        if (!ops || ops.length === 0) return;
+        this._pendingEdit = null;
+        if (this._historyGroup) {
+            this._historyGroup.ops.push(...ops);
+            return;
+        }
+        this.undoStack.push({ label, ops, time: Date.now() });
+        if (this.undoStack.length > 100) this.undoStack.shift();
+        this.redoStack = [];
+        this._afterHistoryChange();
+    }
+
+    beginHistoryGroup(label) {
+        this._historyGroup = { label, ops: [] };
+    }
+
+    endHistoryGroup() {
+        const group = this._historyGroup;
+        this._historyGroup = null;
+        if (group) this._pushHistory(group.label, group.ops);
+    }
+
+    clearHistory() {
+        this.undoStack = [];
         this.redoStack = [];
+        this._historyGroup = null;
+        this._pendingEdit = null;
+        this._renderHistoryPanel();
+    }
+
+    _afterHistoryChange() {
         this.hasUnsavedChanges = true;
         this.updateToolbarProjectName();
         // Debounced auto-save: save 3 seconds after last change
         this._debouncedSave();
+        this._renderHistoryPanel();
     }
 
     _debouncedSave() {
@@ -3523,26 +3935,284 @@ class App {
         }, 3000);
     }
 
+    // --- Recording ---
+
+    _serializeForHistory(obj) {
+        const data = JSON.parse(JSON.stringify(this.scene3d.serializeObject(obj)));
+        data.visible = obj.visible;
+        data.locked = !!obj.userData.locked;
+        return data;
+    }
+
+    _recordAdd(objects, label) {
+        const list = objects.filter(Boolean);
+        if (list.length === 0) return;
+        this._pushHistory(
+            label || (list.length === 1 ? 'Add ' + list[0].userData.name : `Add ${list.length} objects`),
+            list.map(obj => ({ type: 'add', data: this._serializeForHistory(obj) }))
+        );
+    }
+
+    _recordRemove(objects, label) {
+        const list = objects.filter(Boolean);
+        if (list.length === 0) return;
+        this._pushHistory(
+            label || (list.length === 1 ? 'Delete ' + list[0].userData.name : `Delete ${list.length} objects`),
+            list.map(obj => ({ type: 'remove', data: this._serializeForHistory(obj) }))
+        );
+    }
+
+    _snapshotObject(obj) {
+        const data = this.scene3d.serializeObject(obj);
+        return JSON.parse(JSON.stringify({
+            transform: { position: data.position, rotation: data.rotation, scale: data.scale },
+            name: data.name,
+            tags: data.tags || [],
+            color: data.color,
+            childColors: data.childColors,
+            anchored: data.anchored,
+            collidable: data.collidable,
+            mass: data.mass,
+            friction: data.friction ?? 0.5,
+            bounciness: data.bounciness ?? 0,
+            collider: data.collider || 'auto',
+            visible: obj.visible,
+            locked: !!obj.userData.locked,
+            roughness: data.material ? data.material.roughness : null,
+            metalness: data.material ? data.material.metalness : null,
+            opacity: data.material ? data.material.opacity : null,
+            texture: { textureId: data.textureId, tileScale: data.tileScale },
+            quickAnimations: data.quickAnimations,
+            animations: data.animations
+        }));
+    }
+
+    _diffObjectOps(collabId, before, after) {
+        const ops = [];
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => {
+            if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+            if (key === 'transform') {
+                ops.push({ type: 'transform', collabId, from: before.transform, to: after.transform });
+            } else {
+                ops.push({ type: 'property', collabId, prop: key, from: before[key], to: after[key] });
+            }
+        });
+        return ops;
+    }
+
+    _recordObjectChange(obj, before, label) {
+        const ops = this._diffObjectOps(obj.userData.collabId, before, this._snapshotObject(obj));
+        if (ops.length === 0) return;
+        this._pushHistory(label || this._describeObjectOps(obj.userData.name, ops), ops);
+    }
+
+    _describeObjectOps(name, ops) {
+        if (ops.length > 1) return 'Edit ' + name;
+        const op = ops[0];
+        if (op.type === 'transform') {
+            const changed = (key) => JSON.stringify(op.from[key]) !== JSON.stringify(op.to[key]);
+            if (changed('position')) return 'Move ' + name;
+            if (changed('rotation')) return 'Rotate ' + name;
+            return 'Scale ' + name;
+        }
+        const verbs = {
+            name: 'Rename', color: 'Recolor', childColors: 'Recolor',
+            visible: 'Toggle visibility of', locked: 'Toggle lock on',
+            quickAnimations: 'Change animations of', animations: 'Change animations of'
+        };
+        return (verbs[op.prop] || `Change ${op.prop} of`) + ' ' + name;
+    }
+
+    _beginObjectEdit() {
+        const obj = this.scene3d.selectedObject;
+        if (!obj) return;
+        if (this._pendingEdit && this._pendingEdit.obj === obj) return;
+        this._pendingEdit = { obj, before: this._snapshotObject(obj) };
+    }
+
+    _commitObjectEdit() {
+        const edit = this._pendingEdit;
+        if (!edit || !this.scene3d.objects.includes(edit.obj)) return;
+        this._recordObjectChange(edit.obj, edit.before);
+        // Keep tracking the same object for follow-up edits without a new focus
+        this._pendingEdit = { obj: edit.obj, before: this._snapshotObject(edit.obj) };
+    }
+
+    _recordScriptEdit(obj, scripts) {
+        const collabId = obj ? obj.userData.collabId : null;
+        const last = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+        // Fold a burst of edits on the same scripts into one step
+        if (!this._historyGroup && last && this.redoStack.length === 0 && now - last.time < 1500 &&
+            last.ops.length === 1 && last.ops[0].type === 'script' && last.ops[0].collabId === collabId) {
+            last.time = now;
+            return;
+        }
+        // The resulting scripts are captured when the step is undone
+        this._pushHistory(obj ? 'Edit scripts of ' + obj.userData.name : 'Edit game scripts', [{
+            type: 'script', collabId, from: JSON.parse(JSON.stringify(scripts || [])), to: null
+        }]);
+    }
+
+    // --- Applying ---
+
     undo() {
-        if (this._collabRoom) { this.toast('Undo disabled during collaboration'); return; }
-        if (this.undoStack.length === 0) return;
-        this.redoStack.push(JSON.stringify(this.scene3d.serialize()));
-        const state = JSON.parse(this.undoStack.pop());
-        this.scene3d.deserialize(state);
-        this.refreshExplorer();
-        this.updateObjectCount();
-        this.toast('Undo');
+        const entry = this._stepHistory(true);
+        if (entry) this.toast('Undo: ' + entry.label);
     }
 
     redo() {
-        if (this._collabRoom) { this.toast('Redo disabled during collaboration'); return; }
-        if (this.redoStack.length === 0) return;
-        this.undoStack.push(JSON.stringify(this.scene3d.serialize()));
-        const state = JSON.parse(this.redoStack.pop());
-        this.scene3d.deserialize(state);
+        const entry = this._stepHistory(false);
+        if (entry) this.toast('Redo: ' + entry.label);
+    }
+
+    _stepHistory(reverse) {
+        if (this.runtime.isRunning) return null;
+        if (!this._collabCanEdit()) { this.toast('You are a viewer and cannot edit'); return null; }
+        const source = reverse ? this.undoStack : this.redoStack;
+        const entry = source.pop();
+        if (!entry) return null;
+        const ops = reverse ? [...entry.ops].reverse() : entry.ops;
+        ops.forEach(op => this._applyHistoryOp(op, reverse));
+        (reverse ? this.redoStack : this.undoStack).push(entry);
+        this._pendingEdit = null;
+
+        this.scene3d._needsRender = true;
         this.refreshExplorer();
         this.updateObjectCount();
-        this.toast('Redo');
+        const selected = this.scene3d.selectedObject;
+        if (selected) {
+            this.updateProperties(selected);
+            this.updateNpcColors(selected);
+            this._refreshAnimateTab(selected);
+        }
+        this._afterHistoryChange();
+        return entry;
+    }
+
+    _jumpToHistory(applied) {
+        while (this.undoStack.length > applied) {
+            if (!this._stepHistory(true)) return;
+        }
+        while (this.undoStack.length < applied) {
+            if (!this._stepHistory(false)) return;
+        }
+    }
+
+    _applyHistoryOp(op, reverse) {
+        const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+        const send = (msg) => { if (this._collabRoom) this._collabSend(msg); };
+
+        switch (op.type) {
+            case 'add':
+            case 'remove': {
+                const existing = this.scene3d.findByCollabId(op.data.collabId);
+                if ((op.type === 'add') === reverse) {
+                    // Removal broadcasts through the onObjectRemoved hook
+                    if (existing) this.scene3d.removeObject(existing);
+                    break;
+                }
+                if (existing) break;
+                const paused = this._collabBroadcastPaused;
+                this._collabBroadcastPaused = true;
+                const obj = this.scene3d.deserializeObject(clone(op.data));
+                this._collabBroadcastPaused = paused;
+                obj.visible = op.data.visible !== false;
+                obj.userData.visible = obj.visible;
+                obj.userData.locked = !!op.data.locked;
+                this._collabBroadcastObject(obj);
+                break;
+            }
+            case 'transform': {
+                const obj = this.scene3d.findByCollabId(op.collabId);
+                if (!obj) break;
+                const t = reverse ? op.from : op.to;
+                this.scene3d.remoteUpdateTransform(op.collabId, t.position, t.rotation, t.scale);
+                send(this._collabTransformMessage(obj));
+                break;
+            }
+            case 'property': {
+                if (!this.scene3d.findByCollabId(op.collabId)) break;
+                const value = clone(reverse ? op.from : op.to);
+                this.scene3d.remoteUpdateProperty(op.collabId, op.prop, value);
+                send({ type: 'update-property', collabId: op.collabId, prop: op.prop, value });
+                break;
+            }
+            case 'script': {
+                const obj = op.collabId ? this.scene3d.findByCollabId(op.collabId) : null;
+                if (op.collabId && !obj) break;
+                if (reverse) op.to = clone(obj ? (obj.userData.scripts || []) : this.blockCode.globalScripts);
+                const scripts = clone(reverse ? op.from : op.to);
+                if (obj) {
+                    this.scene3d.remoteUpdateProperty(op.collabId, 'scripts', scripts);
+                    send({ type: 'update-property', collabId: op.collabId, prop: 'scripts', value: scripts });
+                } else {
+                    this.blockCode.globalScripts = scripts;
+                }
+                if (this.blockCode.targetObject === obj) {
+                    this.blockCode.workspaceScripts = scripts;
+                    this.blockCode.renderWorkspace();
+                }
+                break;
+            }
+            case 'terrain': {
+                const data = reverse ? op.from : op.to;
+                const paused = this._collabBroadcastPaused;
+                this._collabBroadcastPaused = true;
+                if (data) this._createTerrainFromData(data);
+                else this._removeTerrain();
+                this._collabBroadcastPaused = paused;
+                if (this._collabRoom) {
+                    if (data) this._collabSendTerrain(data);
+                    else this._collabSend({ type: 'terrain-remove' });
+                }
+                break;
+            }
+            case 'terrain-edit': {
+                if (!this._terrain) break;
+                const vertices = reverse ? op.from : op.to;
+                this._applyTerrainVertices(vertices, op.tool);
+                send({ type: 'terrain-edit', vertices, tool: op.tool });
+                break;
+            }
+            case 'environment': {
+                const env = reverse ? op.from : op.to;
+                this._applyLevelEnvironment(env);
+                this._collabSendEnvironment(env);
+                break;
+            }
+        }
+    }
+
+    // --- History panel ---
+
+    _renderHistoryPanel() {
+        const panel = document.getElementById('history-panel');
+        if (!panel || panel.classList.contains('hidden')) return;
+        const list = document.getElementById('history-list');
+        const icons = {
+            add: 'add_box', remove: 'delete', transform: 'open_with', property: 'tune',
+            script: 'code', terrain: 'terrain', 'terrain-edit': 'landscape', environment: 'wb_sunny'
+        };
+        const applied = this.undoStack.length;
+        const entries = [...this.undoStack, ...[...this.redoStack].reverse()];
+
+        let html = `<div class="history-item${applied === 0 ? ' current' : ''}" data-applied="0">
+            <span class="material-icons-round">flag</span><span>Start</span></div>`;
+        html += entries.map((entry, i) => {
+            const cls = i + 1 === applied ? ' current' : (i >= applied ? ' undone' : '');
+            const icon = icons[entry.ops[0].type] || 'history';
+            return `<div class="history-item${cls}" data-applied="${i + 1}">
+                <span class="material-icons-round">${icon}</span><span>${this._escHtml(entry.label)}</span></div>`;
+        }).join('');
+        list.innerHTML = html;
+
+        list.querySelectorAll('.history-item').forEach(el => {
+            el.addEventListener('click', () => this._jumpToHistory(parseInt(el.dataset.applied)));
+        });
+        const current = list.querySelector('.history-item.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
     }
 
     _isBlockEditorActive() {
@@ -3576,9 +4246,11 @@ class App {
 
     pasteObjects() {
         if (!this._clipboard || this._clipboard.length === 0) return;
+        const pasted = [];
         this._clipboard.forEach(data => {
             const obj = this.scene3d.addObject(data.type, data.color);
             if (obj) {
+                pasted.push(obj);
                 obj.position.set(data.position.x + 1, data.position.y, data.position.z + 1);
                 obj.rotation.set(data.rotation.x, data.rotation.y, data.rotation.z);
                 obj.scale.set(data.scale.x, data.scale.y, data.scale.z);
@@ -3588,6 +4260,7 @@ class App {
         });
         this.refreshExplorer();
         this.updateObjectCount();
+        this._recordAdd(pasted, `Paste ${pasted.length} object(s)`);
         this.toast(`Pasted ${this._clipboard.length} object(s)`);
     }
 
@@ -3607,7 +4280,11 @@ class App {
         try {
             const encoded = hash.substring('#project='.length);
             const json = decodeURIComponent(escape(atob(encoded)));
-            const data = JSON.parse(json);
+            const data = this._prepareProjectData(JSON.parse(json), 'Can\'t Open Shared Project');
+            if (!data) {
+                history.replaceState(null, '', window.location.pathname);
+                return false;
+            }
 
             // Assign a new project ID so it can be saved
             this.currentProjectId = this.generateProjectId();
@@ -4114,7 +4791,7 @@ class App {
                 this.scene3d.selectObject(obj);
                 this.refreshExplorer();
                 this.updateObjectCount();
-                this.saveUndoState();
+                this._recordAdd([obj]);
             });
             btn.querySelector('.custom-obj-delete').addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -5663,7 +6340,10 @@ class App {
         document.getElementById('pp-report-btn').onclick = () => this._ppReport();
         document.getElementById('pp-like-btn').onclick = () => this._ppToggleLike();
         document.getElementById('pp-fav-btn').onclick = () => this._ppToggleFavorite();
+        document.getElementById('pp-share-replay-btn').onclick = () => this._ppShareReplay();
+        document.getElementById('pp-share-replay-btn').classList.add('hidden');
         this._ppLoadStats();
+        this._ppLoadReplays();
         // Record view (fire-and-forget)
         if (this._ppProject?.id) fetch('/api/projects/' + this._ppProject.id + '/view', { method: 'POST' }).catch(() => {});
         const creatorCard = document.querySelector('.pp-creator-card');
@@ -5679,37 +6359,19 @@ class App {
             this._loadProjectIntoViewer(data);
         } catch (e) {
             console.error('Failed to init viewer:', e);
+            if (e.errors) this.toast(e.message, 'error');
         }
     }
 
     _initViewerScene() {
         // Clean up previous viewer if any
-        if (this._ppScene3d) {
-            this._ppScene3d.dispose();
-            this._ppScene3d = null;
-        }
-        if (this._ppRuntime) {
-            if (this._ppRuntime.isRunning) this._ppRuntime.stop();
-            this._ppRuntime = null;
+        if (this._ppPlayer) {
+            this._ppPlayer.dispose();
+            this._ppPlayer = null;
         }
 
-        const canvas = document.getElementById('pp-canvas');
-
-        // Create viewer-mode Scene3D
-        this._ppScene3d = new Scene3D(canvas, { viewerMode: true });
-
-        // Create a minimal blockCode that can compile scripts using real block definitions
-        const blockDefs = BlockCode.prototype.defineBlocks.call({});
-        this._ppBlockCode = {
-            customVariables: [],
-            customMessages: [],
-            blocks: blockDefs,
-            compileScripts: BlockCode.prototype.compileScripts,
-            _compileBlock: BlockCode.prototype._compileBlock
-        };
-
-        // Create runtime with domMap pointing to viewer DOM
-        this._ppRuntime = new Runtime(this._ppScene3d, this._ppBlockCode, {
+        // Viewer-mode scene, script compiler and runtime, with the runtime pointing at the viewer DOM
+        this._ppPlayer = new GamePlayer(document.getElementById('pp-canvas'), {
             crosshair: document.getElementById('pp-crosshair'),
             playOverlay: document.getElementById('pp-play-overlay'),
             btnPlay: document.getElementById('pp-btn-play'),
@@ -5717,112 +6379,112 @@ class App {
             statusMode: null,
             gameHud: document.getElementById('pp-game-hud')
         });
+        this._ppScene3d = this._ppPlayer.scene3d;
+        this._ppBlockCode = this._ppPlayer.blockCode;
+        this._ppRuntime = this._ppPlayer.runtime;
 
         this._ppRuntime.onStop = () => {
             document.getElementById('pp-btn-play').classList.remove('active');
             document.getElementById('pp-btn-stop').classList.remove('active');
+            this._ppPlayer.reset();
+            this._ppLeaveSession();
+            if (this._ppRuntime.lastReplay) document.getElementById('pp-share-replay-btn').classList.remove('hidden');
         };
     }
 
     _loadProjectIntoViewer(data) {
-        if (!this._ppScene3d) return;
-
-        // Deserialize scene objects
-        if (data.scene) {
-            this._ppScene3d.deserialize(data.scene);
-        }
-
-        // Apply environment settings
-        if (data.environment) {
-            const env = data.environment;
-            if (env.skyColor) this._ppScene3d.setSkyColor(env.skyColor);
-            if (env.skybox) this._ppScene3d.setSkybox(env.skybox);
-            if (env.ambientLight) this._ppScene3d.setAmbientIntensity(env.ambientLight / 100);
-            if (env.fogDensity) this._ppScene3d.setFog(parseInt(env.fogDensity));
-            if (env.shadows !== undefined) this._ppScene3d.setShadows(env.shadows);
-            if (env.weather) this._ppScene3d.setWeather(env.weather);
-        }
-
-        // Store game settings for play mode
-        const env = data.environment || {};
-        this._ppGameSettings = {
-            controlScheme: env.controlScheme || 'first-person',
-            speed: env.speed || 6,
-            jumpForce: env.jumpForce || 8,
-            sensitivity: env.sensitivity || 5,
-            keyBindings: env.keyBindings || {
-                moveForward: 'KeyW',
-                moveBack: 'KeyS',
-                moveLeft: 'KeyA',
-                moveRight: 'KeyD',
-                lookUp: 'ArrowUp',
-                lookDown: 'ArrowDown',
-                lookLeft: 'ArrowLeft',
-                lookRight: 'ArrowRight',
-                jump: 'Space'
-            },
-            playerColors: env.playerColors || { body: '#4c97ff', head: '#f5cba7', detail: '#e0b090' },
-            bgMusic: env.bgMusic || 'none',
-            musicVolume: env.musicVolume || 30
-        };
-
-        // Store custom variables/messages for the blockcode stub
-        if (data.customVariables) this._ppBlockCode.customVariables = data.customVariables;
-        if (data.customMessages) this._ppBlockCode.customMessages = data.customMessages;
-        if (data.uiScreens) this._ppRuntime._uiScreens = data.uiScreens;
-
-        // Load terrain into viewer
-        if (data.terrain) {
-            const { size, resolution, heightData, colorData, terrainCollision } = data.terrain;
-            const geo = new THREE.PlaneGeometry(size, size, resolution, resolution);
-            geo.rotateX(-Math.PI / 2);
-            const pos = geo.attributes.position;
-            const hArr = new Float32Array(heightData);
-            for (let i = 0; i < pos.count && i < hArr.length; i++) {
-                pos.setY(i, hArr[i]);
-            }
-            geo.computeVertexNormals();
-            const colors = colorData ? new Float32Array(colorData) : new Float32Array(pos.count * 3);
-            if (!colorData) {
-                for (let i = 0; i < colors.length; i += 3) {
-                    colors[i] = 0.29; colors[i + 1] = 0.49; colors[i + 2] = 0.25;
-                }
-            }
-            geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-            const mat = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.9, metalness: 0, side: THREE.DoubleSide });
-            const mesh = new THREE.Mesh(geo, mat);
-            mesh.receiveShadow = true;
-            mesh.userData.isTerrain = true;
-            mesh.userData.terrainSize = size;
-            mesh.userData.terrainResolution = resolution;
-            mesh.userData.heightData = hArr;
-            mesh.userData.colorData = new Float32Array(colors);
-            mesh.userData.terrainCollision = terrainCollision !== false;
-            mesh.name = 'Terrain';
-            this._ppScene3d.scene.add(mesh);
-        }
-
-        // Load global scripts for viewer
-        if (data.globalScripts) {
-            this._ppBlockCode.globalScripts = data.globalScripts;
-        }
-
-        // Force a render
-        this._ppScene3d._needsRender = true;
+        if (!this._ppPlayer) return;
+        this._ppPlayer.load(data);
+        this._ppGameSettings = this._ppPlayer.settings;
 
         // Resize after showing
         setTimeout(() => this._ppScene3d.onResize(), 100);
     }
 
     _ppStartPlay() {
-        if (!this._ppRuntime || this._ppRuntime.isRunning) return;
-        this._ppRuntime.playerColors = this._ppGameSettings.playerColors;
-        this._ppRuntime._uiScreens = this._ppRuntime._uiScreens || [];
-        this._ppRuntime.start(this._ppGameSettings);
+        if (!this._ppPlayer || this._ppRuntime.isRunning) return;
+        this._ppRuntime.cloudProjectId = this._ppProject?.id || null;
+        this._ppPlayer.start();
+        document.getElementById('pp-btn-play').classList.add('active');
+        document.getElementById('pp-btn-stop').classList.add('active');
+        this._ppJoinSession();
+    }
+
+    async _ppLoadReplays() {
+        const list = document.getElementById('pp-replays-list');
+        list.innerHTML = '';
+        if (!this._ppProject?.id) return;
+        let replays = [];
+        try {
+            const res = await fetch(`/api/projects/${this._ppProject.id}/replays`);
+            if (res.ok) replays = (await res.json()).replays;
+        } catch (e) { /* offline */ }
+        if (replays.length === 0) {
+            list.innerHTML = '<div class="pp-replays-empty">No replays yet. Play, then share your run!</div>';
+            return;
+        }
+        replays.forEach(r => {
+            const item = document.createElement('div');
+            item.className = 'pp-replay-item' + (r.outdated ? ' outdated' : '');
+            const seconds = Math.round(r.frames / 60);
+            const length = Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+            // Runs from before the game was republished would play out differently now
+            item.innerHTML = `
+                <div class="pp-replay-info">
+                    <span class="pp-replay-title">${this._escHtml(r.title)}</span>
+                    <span class="pp-replay-meta">${this._escHtml(r.username)} · ${length}${r.outdated ? ' · older version' : ''}</span>
+                </div>
+                <button class="pp-replay-watch" title="${r.outdated ? 'Recorded on an older version of this game' : 'Watch'}"${r.outdated ? ' disabled' : ''}><span class="material-icons-round">play_arrow</span></button>
+            `;
+            item.querySelector('.pp-replay-watch').onclick = () => this._ppWatchReplay(r.id);
+            list.appendChild(item);
+        });
+    }
+
+    async _ppWatchReplay(id) {
+        if (!this._ppPlayer || this._ppRuntime.isRunning) return;
+        let replay = null;
+        let outdated = false;
+        try {
+            const res = await fetch('/api/replays/' + id);
+            if (res.ok) ({ replay, outdated } = await res.json());
+        } catch (e) { /* offline */ }
+        if (!Runtime.isValidReplay(replay)) {
+            this.toast('Couldn\'t load that replay', 'error');
+            return;
+        }
+        if (outdated) {
+            this.toast('This replay was recorded on an older version of the game', 'error');
+            return;
+        }
+        this._ppRuntime.cloudProjectId = this._ppProject?.id || null;
+        this._ppPlayer.start(replay);
         document.getElementById('pp-btn-play').classList.add('active');
         document.getElementById('pp-btn-stop').classList.add('active');
     }
 
+    async _ppShareReplay() {
+        const replay = this._ppRuntime?.lastReplay;
+        if (!replay || !this._ppProject?.id) return;
+        if (!this._cachedUser || this._cachedUser.id === 'local-guest') { this.toast('Sign in to share replays', 'info'); return; }
+        const title = await this.showPrompt('Share Replay', 'Give your run a title:', 'My run');
+        if (title === null || title === undefined) return;
+        try {
+            const res = await fetch(`/api/projects/${this._ppProject.id}/replays`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ title, replay, projectVersion: this._ppProject.publishedAt })
+            });
+            const data = await res.json();
+            if (!res.ok) { this.toast(data.error || 'Failed to share replay', 'error'); return; }
+            document.getElementById('pp-share-replay-btn').classList.add('hidden');
+            this.toast('Replay shared!', 'success');
+            this._ppLoadReplays();
+        } catch (e) {
+            this.toast('Failed to share replay', 'error');
+        }
+    }
+
     _ppStopPlay() {
         if (!this._ppRuntime || !this._ppRuntime.isRunning) return;
         this._ppRuntime.stop();
@@ -5830,6 +6492,103 @@ class App {
         document.getElementById('pp-btn-stop').classList.remove('active');
     }
 
+    // ===== Live Play Sessions =====
+
+    // Join everyone else playing this published game. If this fails the game keeps running offline.
+    _ppJoinSession() {
+        const runtime = this._ppRuntime;
+        if (!runtime || !this._ppProject?.id || !this._cachedUser || this._cachedUser.id === 'local-guest') return;
+        this._ppLeaveSession();
+
+        const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const ws = new WebSocket(`${proto}//${location.host}`);
+        this._playWs = ws;
+        ws.onopen = () => {
+            const pc = runtime.playerController;
+            ws.send(JSON.stringify({
+                type: 'play-join',
+                projectId: this._ppProject.id,
+                characterParts: this._ppGameSettings.characterParts,
+                playerColors: this._ppGameSettings.playerColors,
+                state: pc ? { position: pc.mesh.position, yaw: pc.mesh.rotation.y, level: runtime.currentLevelIndex } : null
+            }));
+        };
+        ws.onmessage = (e) => {
+            let msg;
+            try { msg = JSON.parse(e.data); } catch { return; }
+            this._handlePlayMessage(msg, runtime);
+        };
+        ws.onclose = () => {
+            if (this._playWs !== ws) return;
+            const wasJoined = this._playId !== null;
+            this._playWs = null;
+            this._ppDetachSession(runtime);
+            if (wasJoined && runtime.isRunning) this.toast('Lost connection to the game server — playing offline');
+        };
+    }
+
+    _ppLeaveSession() {
+        if (!this._playWs) return;
+        const ws = this._playWs;
+        this._playWs = null;
+        ws.close();
+        if (this._ppRuntime) this._ppDetachSession(this._ppRuntime);
+    }
+
+    _ppDetachSession(runtime) {
+        this._playId = null;
+        runtime.onNetworkState = null;
+        runtime.onNetworkBroadcast = null;
+        runtime.clearRemotePlayers();
+    }
+
+    _playSend(msg) {
+        if (this._playWs && this._playWs.readyState === WebSocket.OPEN) {
+            this._playWs.send(JSON.stringify(msg));
+        }
+    }
+
+    _handlePlayMessage(msg, runtime) {
+        switch (msg.type) {
+            case 'play-joined': {
+                this._playId = msg.playerId;
+                runtime.netTickRate = msg.tickRate || 10;
+                runtime.onNetworkState = (state) => this._playSend({ type: 'play-state', ...state });
+                runtime.onNetworkBroadcast = (m) => this._playSend({ type: 'play-broadcast', msg: m });
+                msg.players.forEach(p => runtime.addRemotePlayer(p));
+                if (msg.players.length > 0) {
+                    const n = msg.players.length;
+                    this.toast(`Playing online with ${n} other player${n === 1 ? '' : 's'}`);
+                }
+                break;
+            }
+            case 'player-joined': {
+                runtime.addRemotePlayer(msg.player, true);
+                this.toast(msg.player.displayName + ' joined the game');
+                break;
+            }
+            case 'player-left': {
+                runtime.removeRemotePlayer(msg.playerId, true);
+                this.toast(msg.displayName + ' left the game');
+                break;
+            }
+            case 'play-tick': {
+                // Our own transform and broadcasts come back in the tick too
+                msg.players.forEach(p => {
+                    if (p.playerId !== this._playId) runtime.setRemotePlayerState(p.playerId, p.state);
+                });
+                msg.messages.forEach(m => {
+                    if (m.playerId !== this._playId) runtime.receiveNetworkBroadcast(m.msg);
+                });
+                break;
+            }
+            case 'play-error': {
+                this.toast(msg.error, 'error');
+                break;
+            }
+        }
+    }
+
     async _ppLoadStats() {
         if (!this._ppProject) return;
         try {
@@ -5998,10 +6757,11 @@ class App {
         if (exitBtn) exitBtn.classList.add('hidden');
 
         // Dispose viewer
-        if (this._ppScene3d) {
-            this._ppScene3d.dispose();
-            this._ppScene3d = null;
+        if (this._ppPlayer) {
+            this._ppPlayer.dispose();
+            this._ppPlayer = null;
         }
+        this._ppScene3d = null;
         this._ppRuntime = null;
         this._ppBlockCode = null;
         this._ppProjectData = null;
@@ -6500,9 +7260,11 @@ class App {
                     reject(new Error('WebSocket connection rejected'));
                     return;
                 }
+                if (this._collabWs === ws) this._collabWs = null;
                 if (this._collabRoom) {
-                    this.toast('Disconnected from room');
-                    this._collabCleanup();
+                    // The server keeps the room and our role for a while, so try to get back in
+                    this.toast('Connection lost — reconnecting...');
+                    this._collabReconnect(this._collabRoom, 1);
                 }
             };
             ws.onmessage = (e) => {
@@ -6514,6 +7276,21 @@ class App {
         });
     }
 
+    async _collabReconnect(code, attempt) {
+        if (this._collabRoom !== code) return; // left in the meantime
+        try {
+            await this._collabConnect();
+            this._collabSend({ type: 'join-room', roomCode: code, rejoin: true });
+        } catch {
+            if (attempt >= 5) {
+                this._collabCleanup();
+                this.toast('Could not reconnect to the room');
+                return;
+            }
+            setTimeout(() => this._collabReconnect(code, attempt + 1), Math.min(1000 * 2 ** attempt, 15000));
+        }
+    }
+
     async _checkSessionAndReconnect() {
         try {
             const res = await fetch('/api/me');
@@ -6530,6 +7307,13 @@ class App {
         this._collabMembers = [];
         this._collabBroadcastPaused = false;
         this._collabRole = 'editor';
+        this._collabSeq = 0;
+        this._collabResyncing = false;
+        this._collabVersions = new Map();
+        this._collabLocks = new Map();
+        this._collabSelectedId = null;
+        this.scene3d.objects.forEach(obj => this.scene3d.setRemoteLock(obj, null));
+        this._updateCollabLockNotice();
 
         // Unhook broadcasts
         this.scene3d.onObjectAdded = null;
@@ -6546,6 +7330,8 @@ class App {
     }
 
     _collabSend(msg) {
+        // Tell the server which version of the object this edit was made on
+        if (msg.collabId && this._collabVersions) msg.baseVersion = this._collabVersions.get(msg.collabId) || 0;
         if (this._collabWs && this._collabWs.readyState === WebSocket.OPEN) {
             this._collabWs.send(JSON.stringify(msg));
         }
@@ -6566,7 +7352,7 @@ class App {
         }
         try {
             await this._collabConnect();
-            this._collabSend({ type: 'create-room', projectName: this.projectName });
+            this._collabSend({ type: 'create-room', projectName: this.projectName, projectData: this._gatherProjectData() });
         } catch {
             this.toast('Connection failed — are you signed in?');
         }
@@ -6618,17 +7404,21 @@ class App {
         this.refreshExplorer();
         this.updateObjectCount();
 
-        // Now join the room — the host will send scene state
+        // Now join the room — the server will send the scene state
         this.collabJoinRoom(code.trim());
     }
 
     _handleCollabMessage(msg) {
+        // Relayed edits and acks carry the room's sequence number
+        if (typeof msg.seq === 'number' && msg.type !== 'room-state' && !this._collabTrackSeq(msg)) return;
+
         switch (msg.type) {
             case 'room-created': {
                 this._collabRoom = msg.roomCode;
                 this._collabIsHost = true;
                 this._collabMembers = msg.members || [];
                 this._hookCollabBroadcasts();
+                this._collabSelectionChanged(this.scene3d.selectedObject);
                 document.getElementById('btn-party').classList.add('in-room');
                 this._updateCollabUI();
                 this._updatePresenceBar();
@@ -6637,44 +7427,46 @@ class App {
                 break;
             }
             case 'room-joined': {
+                // Rejoining after a dropped connection keeps the existing hooks
+                const rejoined = this._collabRoom === msg.roomCode;
                 this._collabRoom = msg.roomCode;
-                this._collabIsHost = false;
-                this._collabRole = msg.role || 'editor';
+                this._collabIsHost = msg.role === 'host';
+                this._collabRole = msg.role === 'viewer' ? 'viewer' : 'editor';
                 this._collabMembers = msg.members || [];
-                this._hookCollabBroadcasts();
+                if (!rejoined) this._hookCollabBroadcasts();
 
                 // Disable save for guests
-                document.getElementById('btn-save').classList.add('guest-disabled');
+                document.getElementById('btn-save').classList.toggle('guest-disabled', !this._collabIsHost);
                 document.getElementById('btn-party').classList.add('in-room');
                 this._updateCollabUI();
                 this._updatePresenceBar();
-                this.showCollabModal();
-                this.toast('Joined room: ' + msg.roomCode, 'success');
-                break;
-            }
-            case 'request-state': {
-                // Host: send full scene to new joiner
-                if (this._collabIsHost) {
-                    const data = this._gatherProjectData();
-                    this._collabSend({
-                        type: 'room-state',
-                        targetUserId: msg.userId,
-                        projectData: data
-                    });
+                if (rejoined) {
+                    this.toast('Reconnected to room', 'success');
+                } else {
+                    this.showCollabModal();
+                    this.toast('Joined room: ' + msg.roomCode, 'success');
                 }
                 break;
             }
             case 'room-state': {
-                // Guest: receive full scene from host
-                if (msg.projectData) {
+                // Receive the room's canonical scene from the server
+                const roomData = msg.projectData && this._prepareProjectData(msg.projectData, 'Can\'t Sync Room');
+                if (roomData) {
+                    this._collabSeq = msg.seq || 0;
+                    this._collabResyncing = false;
+                    this._collabVersions = new Map(Object.entries(msg.versions || {}));
+                    this._collabLocks = new Map((msg.locks || []).map(l => [l.collabId, l]));
+                    this._collabSelectedId = null;
                     this._collabBroadcastPaused = true;
-                    this._applyProjectData(msg.projectData);
+                    this._applyProjectData(roomData);
+                    this._collabLocks.forEach((lock, collabId) => this._collabSetLock(collabId, lock));
                     this.projectName = msg.projectData.name || this.projectName;
                     this.updateToolbarProjectName();
                     this.refreshExplorer();
                     this.updateObjectCount();
                     this._collabBroadcastPaused = false;
-                    this.toast('Scene synced from host', 'success');
+                    this.clearHistory();
+                    this.toast('Scene synced', 'success');
                 }
                 break;
             }
@@ -6689,12 +7481,22 @@ class App {
                 this._collabMembers = msg.members || [];
                 this._updateCollabUI();
                 this._updatePresenceBar();
-                this.toast(msg.displayName + ' left');
+                this.toast(msg.displayName + (msg.disconnected ? ' lost connection' : ' left'));
+                break;
+            }
+            case 'host-changed': {
+                this._collabMembers = msg.members || [];
+                this._collabIsHost = msg.hostUserId === this._cachedUser?.id;
+                if (this._collabIsHost) this._collabRole = 'editor';
+                document.getElementById('btn-save').classList.toggle('guest-disabled', !this._collabIsHost);
+                this._updateCollabUI();
+                this._updatePresenceBar();
+                this.toast(this._collabIsHost ? 'You are now the host' : msg.displayName + ' is now the host', 'info');
                 break;
             }
             case 'room-closed': {
                 this._collabCleanup();
-                this.toast('Room was closed by the host');
+                this.toast('The room was closed');
                 break;
             }
             case 'left-room': {
@@ -6705,6 +7507,36 @@ class App {
                 this.toast(msg.message || 'Room error');
                 break;
             }
+            case 'ack':
+                break;
+            case 'edit-rejected': {
+                // Roll the object back to the server's copy
+                this._collabApplyObjectData(msg.collabId, msg.object);
+                if (msg.version) this._collabVersions.set(msg.collabId, msg.version);
+                this.toast(msg.reason === 'locked'
+                    ? msg.displayName + ' is editing this object'
+                    : 'Someone else changed this object first — your edit was undone');
+                break;
+            }
+            case 'object-locked': {
+                this._collabSetLock(msg.collabId, { userId: msg.userId, displayName: msg.displayName });
+                break;
+            }
+            case 'lock-denied': {
+                this._collabSetLock(msg.collabId, { userId: msg.userId, displayName: msg.displayName });
+                this.toast(msg.displayName + ' is editing this object');
+                break;
+            }
+            case 'object-unlocked': {
+                this._collabSetLock(msg.collabId, null);
+                // Pick up the lock if we were waiting on it
+                const selected = this.scene3d.selectedObject;
+                if (selected && selected.userData.collabId === msg.collabId && this._collabCanEdit()) {
+                    this._collabSelectedId = msg.collabId;
+                    this._collabSend({ type: 'lock-object', collabId: msg.collabId });
+                }
+                break;
+            }
             case 'add-object': {
                 this._collabBroadcastPaused = true;
                 const obj = this.scene3d.remoteAddObject(msg.objectType, msg.objectData);
@@ -6737,6 +7569,7 @@ class App {
             case 'update-property': {
                 this.scene3d.remoteUpdateProperty(msg.collabId, msg.prop, msg.value);
                 if (msg.prop === 'name') this.refreshExplorer();
+                if (msg.prop === 'tags') this._updateTouchDropdowns();
                 if (msg.prop === 'scripts') {
                     const obj = this.scene3d.findByCollabId(msg.collabId);
                     if (obj && obj === this.scene3d.selectedObject) {
@@ -6815,25 +7648,7 @@ class App {
             }
             case 'terrain-edit': {
                 if (!this._terrain) break;
-                const pos = this._terrain.geometry.attributes.position;
-                const colorAttr = this._terrain.geometry.attributes.color;
-                for (const v of msg.vertices) {
-                    const idx = v[0], height = v[1];
-                    if (idx < pos.count) {
-                        pos.setY(idx, height);
-                        this._terrain.userData.heightData[idx] = height;
-                        if (msg.tool === 'paint' && colorAttr && v.length >= 5) {
-                            colorAttr.setXYZ(idx, v[2], v[3], v[4]);
-                        }
-                    }
-                }
-                pos.needsUpdate = true;
-                if (msg.tool === 'paint' && colorAttr) {
-                    colorAttr.needsUpdate = true;
-                    this._terrain.userData.colorData = new Float32Array(colorAttr.array);
-                }
-                if (msg.tool !== 'paint') this._terrain.geometry.computeVertexNormals();
-                this.scene3d._needsRender = true;
+                this._applyTerrainVertices(msg.vertices, msg.tool);
                 break;
             }
             case 'terrain-remove': {
@@ -6850,31 +7665,10 @@ class App {
         this.scene3d.onObjectAdded = (mesh) => {
             if (this._collabBroadcastPaused) return;
             if (!this._collabCanEdit()) { this.toast('You are a viewer and cannot edit'); return; }
-            let color = '#4a90d9';
-            if (mesh.material && mesh.material.color) color = '#' + mesh.material.color.getHexString();
             this._collabSend({
                 type: 'add-object',
                 objectType: mesh.userData.type,
-                objectData: {
-                    collabId: mesh.userData.collabId,
-                    name: mesh.userData.name,
-                    position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
-                    rotation: {
-                        x: THREE.MathUtils.radToDeg(mesh.rotation.x),
-                        y: THREE.MathUtils.radToDeg(mesh.rotation.y),
-                        z: THREE.MathUtils.radToDeg(mesh.rotation.z)
-                    },
-                    scale: { x: mesh.scale.x, y: mesh.scale.y, z: mesh.scale.z },
-                    color: color,
-                    anchored: mesh.userData.anchored,
-                    collidable: mesh.userData.collidable,
-                    mass: mesh.userData.mass,
-                    scripts: mesh.userData.scripts,
-                    customParts: mesh.userData.customParts,
-                    customObjectId: mesh.userData.customObjectId,
-                    animations: mesh.userData.animations || null,
-                    quickAnimations: mesh.userData.quickAnimations || null
-                }
+                objectData: this._collabObjectData(mesh)
             });
         };
 
@@ -6900,17 +7694,7 @@ class App {
             const now = Date.now();
             if (now - lastTransformBroadcast < 66) return; // ~15fps
             lastTransformBroadcast = now;
-            this._collabSend({
-                type: 'update-transform',
-                collabId: obj.userData.collabId,
-                position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
-                rotation: {
-                    x: THREE.MathUtils.radToDeg(obj.rotation.x),
-                    y: THREE.MathUtils.radToDeg(obj.rotation.y),
-                    z: THREE.MathUtils.radToDeg(obj.rotation.z)
-                },
-                scale: { x: obj.scale.x, y: obj.scale.y, z: obj.scale.z }
-            });
+            this._collabSend(this._collabTransformMessage(obj));
         };
 
         // Block code script changes
@@ -6929,6 +7713,136 @@ class App {
         this._collabPropertyHooks();
     }
 
+    // Returns false for duplicates and for messages after a gap, which triggers a resync
+    _collabTrackSeq(msg) {
+        if (this._collabResyncing || msg.seq <= this._collabSeq) return false;
+        if (msg.seq > this._collabSeq + 1) {
+            this._collabResyncing = true;
+            this._collabSend({ type: 'request-state' });
+            return false;
+        }
+        this._collabSeq = msg.seq;
+        const collabId = msg.collabId || (msg.objectData && msg.objectData.collabId);
+        if (collabId && msg.version) this._collabVersions.set(collabId, msg.version);
+        return true;
+    }
+
+    _collabSelectionChanged(obj) {
+        if (!this._collabRoom) return;
+        const collabId = obj ? obj.userData.collabId : null;
+        if (collabId !== this._collabSelectedId && this._collabCanEdit()) {
+            if (this._collabSelectedId) this._collabSend({ type: 'unlock-object', collabId: this._collabSelectedId });
+            this._collabSelectedId = null;
+            // Objects someone else holds are locked once they let go
+            if (collabId && !obj.userData.remoteLock) {
+                this._collabSelectedId = collabId;
+                this._collabSend({ type: 'lock-object', collabId });
+            }
+        }
+        this._updateCollabLockNotice();
+    }
+
+    _collabSetLock(collabId, lock) {
+        if (lock) this._collabLocks.set(collabId, lock);
+        else this._collabLocks.delete(collabId);
+        const obj = this.scene3d.findByCollabId(collabId);
+        if (obj) this.scene3d.setRemoteLock(obj, lock);
+        if (lock && this._collabSelectedId === collabId) this._collabSelectedId = null;
+        this._updateCollabLockNotice();
+    }
+
+    _updateCollabLockNotice() {
+        const notice = document.getElementById('collab-lock-notice');
+        const obj = this.scene3d.selectedObject;
+        const lock = obj && obj.userData.remoteLock;
+        notice.classList.toggle('hidden', !lock);
+        if (lock) document.getElementById('collab-lock-text').textContent = lock.displayName + ' is editing this';
+    }
+
+    // Bring a local object in line with the room document's copy (null when it no longer exists)
+    _collabApplyObjectData(collabId, data) {
+        const obj = this.scene3d.findByCollabId(collabId);
+        this._collabBroadcastPaused = true;
+        if (!data) {
+            if (obj) this.scene3d.removeObject(obj);
+        } else if (!obj) {
+            this.scene3d.deserializeObject(data);
+        } else {
+            this.scene3d.remoteUpdateTransform(collabId, data.position, data.rotation, data.scale);
+            ['name', 'tags', 'color', 'anchored', 'collidable', 'mass', 'friction', 'bounciness', 'collider', 'scripts', 'childColors', 'animations', 'quickAnimations', 'visible', 'locked'].forEach(prop => {
+                if (data[prop] !== undefined) this.scene3d.remoteUpdateProperty(collabId, prop, data[prop]);
+            });
+            if (data.material) {
+                ['roughness', 'metalness', 'opacity'].forEach(prop => {
+                    if (data.material[prop] !== undefined) this.scene3d.remoteUpdateProperty(collabId, prop, data.material[prop]);
+                });
+            }
+            this.scene3d.remoteUpdateProperty(collabId, 'texture', { textureId: data.textureId, tileScale: data.tileScale });
+            if (obj === this.scene3d.selectedObject) this.updateProperties(obj);
+        }
+        this._collabBroadcastPaused = false;
+        this.refreshExplorer();
+        this.updateObjectCount();
+    }
+
+    _collabObjectData(mesh) {
+        let color = '#4a90d9';
+        if (mesh.material && mesh.material.color) color = '#' + mesh.material.color.getHexString();
+        return {
+            collabId: mesh.userData.collabId,
+            name: mesh.userData.name,
+            position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
+            rotation: {
+                x: THREE.MathUtils.radToDeg(mesh.rotation.x),
+                y: THREE.MathUtils.radToDeg(mesh.rotation.y),
+                z: THREE.MathUtils.radToDeg(mesh.rotation.z)
+            },
+            scale: { x: mesh.scale.x, y: mesh.scale.y, z: mesh.scale.z },
+            color: color,
+            anchored: mesh.userData.anchored,
+            collidable: mesh.userData.collidable,
+            mass: mesh.userData.mass,
+            scripts: mesh.userData.scripts,
+            customParts: mesh.userData.customParts,
+            customObjectId: mesh.userData.customObjectId,
+            animations: mesh.userData.animations || null,
+            quickAnimations: mesh.userData.quickAnimations || null
+        };
+    }
+
+    _collabTransformMessage(obj) {
+        return {
+            type: 'update-transform',
+            collabId: obj.userData.collabId,
+            position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
+            rotation: {
+                x: THREE.MathUtils.radToDeg(obj.rotation.x),
+                y: THREE.MathUtils.radToDeg(obj.rotation.y),
+                z: THREE.MathUtils.radToDeg(obj.rotation.z)
+            },
+            scale: { x: obj.scale.x, y: obj.scale.y, z: obj.scale.z }
+        };
+    }
+
+    // Send a locally restored object, including the look that add-object does not carry
+    _collabBroadcastObject(obj) {
+        if (!this._collabRoom) return;
+        this._collabSend({ type: 'add-object', objectType: obj.userData.type, objectData: this._collabObjectData(obj) });
+        const snapshot = this._snapshotObject(obj);
+        ['childColors', 'visible', 'locked', 'roughness', 'metalness', 'opacity', 'texture'].forEach(prop => {
+            this._collabSend({ type: 'update-property', collabId: obj.userData.collabId, prop, value: snapshot[prop] });
+        });
+    }
+
+    _collabSendTerrain(data) {
+        this._collabSend({ type: 'terrain-create', size: data.size, resolution: data.resolution });
+        this._collabSend({ type: 'terrain-edit', tool: 'raise', vertices: data.heightData.map((h, i) => [i, h]) });
+        this._collabSend({
+            type: 'terrain-edit', tool: 'paint',
+            vertices: data.heightData.map((h, i) => [i, h, data.colorData[i * 3], data.colorData[i * 3 + 1], data.colorData[i * 3 + 2]])
+        });
+    }
+
     _collabPropertyHooks() {
         const sendProp = (prop, value) => {
             if (this._collabBroadcastPaused || !this.scene3d.selectedObject) return;
@@ -6946,11 +7860,20 @@ class App {
         // Name
         const nameInput = document.getElementById('prop-name');
         nameInput.addEventListener('change', () => sendProp('name', nameInput.value));
+        const tagsInput = document.getElementById('prop-tags');
+        tagsInput.addEventListener('change', () => sendProp('tags', App.parseTags(tagsInput.value)));
 
         // Physics
         document.getElementById('prop-anchored').addEventListener('change', (e) => sendProp('anchored', e.target.checked));
         document.getElementById('prop-collidable').addEventListener('change', (e) => sendProp('collidable', e.target.checked));
         document.getElementById('prop-mass').addEventListener('change', (e) => sendProp('mass', parseFloat(e.target.value)));
+        ['friction', 'bounciness'].forEach(prop => {
+            document.getElementById('prop-' + prop).addEventListener('change', (e) => {
+                const value = App.parseUnitValue(e.target.value);
+                if (value !== null) sendProp(prop, value);
+            });
+        });
+        document.getElementById('prop-collider').addEventListener('change', (e) => sendProp('collider', e.target.value));
 
         // Visibility & locked
         document.getElementById('prop-visible').addEventListener('change', (e) => sendProp('visible', e.target.checked));
@@ -6984,15 +7907,18 @@ class App {
                 const avatarContent = m.avatarUrl
                     ? `<img src="${m.avatarUrl}" alt="${this._escHtml(m.displayName)}" style="width:100%;height:100%;object-fit:cover;border-radius:50%">`
                     : (m.displayName || '?')[0].toUpperCase();
-                const memberRole = m.role || (i === 0 ? 'host' : 'editor');
+                const memberRole = m.role || 'editor';
                 let roleHtml;
-                if (i === 0) {
+                if (memberRole === 'host') {
                     roleHtml = '<span class="collab-role-badge host">Host</span>';
                 } else if (this._collabIsHost) {
                     roleHtml = `<select class="collab-role-select" data-user-id="${m.userId}" onchange="app._setCollabRole(this)">
                         <option value="editor"${memberRole === 'editor' ? ' selected' : ''}>Editor</option>
                         <option value="viewer"${memberRole === 'viewer' ? ' selected' : ''}>Viewer</option>
-                    </select>`;
+                    </select>
+                    <button class="collab-make-host" title="Make host" onclick="app._collabTransferHost(${m.userId})">
+                        <span class="material-icons-round">star_outline</span>
+                    </button>`;
                 } else {
                     roleHtml = `<span class="collab-role-badge ${memberRole}">${memberRole === 'viewer' ? 'Viewer' : 'Editor'}</span>`;
                 }
@@ -7034,6 +7960,7 @@ class App {
 
         // Conversation history for multi-turn context
         this._aiHistory = [];
+        this._aiPreview = null;
 
         btn.addEventListener('click', () => {
             panel.classList.toggle('hidden');
@@ -7049,6 +7976,10 @@ class App {
         const submit = () => {
             const prompt = input.value.trim();
             if (!prompt) return;
+            if (this._aiPreview) {
+                this.toast('Apply or discard the current preview first', 'info');
+                return;
+            }
             input.value = '';
             this._aiGenerateStructure(prompt);
         };
@@ -7057,6 +7988,11 @@ class App {
         input.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') submit();
         });
+
+        // Stops a streaming build; objects already placed stay in the scene
+        document.getElementById('ai-cancel-btn').addEventListener('click', () => {
+            if (this._aiBuildAbort) this._aiBuildAbort.abort();
+        });
     }
 
     _aiGetSceneContext() {
@@ -7068,6 +8004,7 @@ class App {
                 if (obj.userData && obj.userData.objectType === 'spawn') continue;
                 const o = {
                     name: obj.name || 'Unnamed',
+                    id: obj.userData.collabId,
                     type: obj.userData?.objectType || 'box',
                     position: {
                         x: Math.round(obj.position.x * 100) / 100,
@@ -7092,10 +8029,10 @@ class App {
                 objects.push(o);
             }
         }
-        if (objects.length === 0) return '';
+        if (objects.length === 0) return this._aiGetWorldContext();
         const limited = objects.slice(0, 30);
         let ctx = limited.map(o => {
-            let s = `${o.name} (${o.type}) at [${o.position.x},${o.position.y},${o.position.z}] scale [${o.scale.x},${o.scale.y},${o.scale.z}]`;
+            let s = `${o.name} (${o.type}) id ${o.id} at [${o.position.x},${o.position.y},${o.position.z}] scale [${o.scale.x},${o.scale.y},${o.scale.z}]`;
             if (o.color) s += ` color ${o.color}`;
             if (o.rotation) s += ` rot ${o.rotation}`;
             return s;
@@ -7103,10 +8040,28 @@ class App {
         // Note which object is selected
         if (this.scene3d.selectedObject) {
             const sel = this.scene3d.selectedObject;
-            ctx += '\n[Selected: ' + (sel.name || 'Unnamed') + ']';
+            ctx += '\n[Selected: ' + (sel.name || 'Unnamed') + ' id ' + sel.userData.collabId + ']';
         }
         if (objects.length > 30) ctx += `\n...and ${objects.length - 30} more objects`;
-        return ctx;
+        return ctx + '\n' + this._aiGetWorldContext();
+    }
+
+    // Terrain and environment lines for the scene context, so prompts like "make it night" or
+    // "add a hill" start from what the level has
+    _aiGetWorldContext() {
+        const lines = [];
+        if (this._terrain) {
+            const heights = this._terrain.userData.heightData;
+            let low = Infinity, high = -Infinity;
+            for (let i = 0; i < heights.length; i++) {
+                low = Math.min(low, heights[i]);
+                high = Math.max(high, heights[i]);
+            }
+            lines.push(`[Terrain: ${this._terrain.userData.terrainSize}x${this._terrain.userData.terrainSize} at the origin, heights ${Math.round(low * 10) / 10} to ${Math.round(high * 10) / 10}]`);
+        }
+        const env = this._gatherLevelEnvironment();
+        lines.push(`[Environment: skybox ${env.skybox}, sky color ${env.skyColor}, ambient light ${env.ambientLight}, fog ${env.fogDensity}, weather ${env.weather}, music ${env.bgMusic}]`);
+        return lines.join('\n');
     }
 
     _aiAddMessage(text, type) {
@@ -7125,8 +8080,12 @@ class App {
         return msg;
     }
 
+    // The server streams the build as server-sent events, one object per "object" event. Each
+    // change shows up as a ghost in the scene and a row in a diff list as soon as it arrives;
+    // nothing touches the real scene until the user applies the preview (see _aiApplyPreview).
     async _aiGenerateStructure(prompt) {
         const buildBtn = document.getElementById('ai-build-btn');
+        const cancelBtn = document.getElementById('ai-cancel-btn');
         const input = document.getElementById('ai-prompt-input');
         const container = document.getElementById('ai-messages');
 
@@ -7136,13 +8095,25 @@ class App {
         // Show loading
         const loadingEl = document.createElement('div');
         loadingEl.className = 'ai-loading';
-        loadingEl.innerHTML = '<span class="ai-loading-dots"><span></span><span></span><span></span></span> Generating...';
+        loadingEl.innerHTML = '<span class="ai-loading-dots"><span></span><span></span><span></span></span> <span class="ai-loading-text">Generating...</span>';
         container.appendChild(loadingEl);
         container.scrollTop = container.scrollHeight;
+        const loadingText = loadingEl.querySelector('.ai-loading-text');
 
-        buildBtn.disabled = true;
+        buildBtn.classList.add('hidden');
+        cancelBtn.classList.remove('hidden');
         input.disabled = true;
 
+        const controller = new AbortController();
+        this._aiBuildAbort = controller;
+
+        // Offset from camera target so new structures appear in front of the user
+        const target = this.scene3d.orbitControls.target;
+        const preview = this._aiStartPreview(prompt, { x: target.x, z: target.z });
+        container.insertBefore(preview.el, loadingEl);
+
+        let finished = null;
+        let errorText = null;
         try {
             const sceneContext = this._aiGetSceneContext();
             const res = await fetch('/api/ai/build', {
@@ -7152,117 +8123,409 @@ class App {
                     prompt,
                     history: this._aiHistory,
                     sceneContext
-                })
+                }),
+                signal: controller.signal
             });
 
-            loadingEl.remove();
-
             if (!res.ok) {
                 const err = await res.json().catch(() => ({ error: 'Request failed' }));
-                this._aiAddMessage(err.error || 'Failed to generate', 'ai-error');
-                return;
+                errorText = err.error || 'Failed to generate';
+            } else {
+                await this._aiReadEventStream(res, (event, data) => {
+                    if (event === 'object') {
+                        this._aiPreviewAdd(preview, data);
+                        loadingText.textContent = 'Building... ' + preview.items.length + ' change' + (preview.items.length !== 1 ? 's' : '');
+                        container.scrollTop = container.scrollHeight;
+                    } else if (event === 'done') {
+                        finished = data;
+                    }
+                });
             }
+        } catch (err) {
+            if (err.name !== 'AbortError') errorText = 'Connection error. Please try again.';
+        } finally {
+            loadingEl.remove();
+            this._aiBuildAbort = null;
+            cancelBtn.classList.add('hidden');
+            buildBtn.classList.remove('hidden');
+            input.disabled = false;
+            input.focus();
+        }
 
-            const data = await res.json();
-            const objects = data.objects;
+        // The preview may already be gone (a level switch or play started mid-stream)
+        if (this._aiPreview !== preview) return;
 
-            if (!objects || objects.length === 0) {
-                this._aiAddMessage('No objects were generated. Try a different prompt.', 'ai-error');
-                return;
-            }
+        const cancelled = controller.signal.aborted;
+        if (preview.items.length === 0) {
+            this._aiClearPreview();
+            preview.el.remove();
+            if (cancelled) this._aiAddMessage('Build stopped.', 'ai-system');
+            else this._aiAddMessage(errorText || 'No objects were generated. Try a different prompt.', 'ai-error');
+            return;
+        }
 
-            // Store conversation history (summary only — NOT raw JSON, to prevent AI from re-outputting all previous objects)
-            this._aiHistory.push({ role: 'user', content: prompt });
-            const objSummaries = objects.map(o => {
-                const action = o.action || 'add';
-                if (action === 'remove') return 'Removed ' + o.target;
-                if (action === 'modify') return 'Modified ' + o.target;
-                return 'Added ' + (o.name || o.type);
-            }).join(', ');
-            this._aiHistory.push({ role: 'assistant', content: 'Done. ' + objSummaries });
-            // Keep history bounded
-            if (this._aiHistory.length > 12) this._aiHistory = this._aiHistory.slice(-12);
+        let note = '';
+        if (cancelled) note = 'Stopped early. Review what arrived.';
+        else if (!finished || !finished.complete) note = 'The response was cut off. Review what arrived.';
+        this._aiFinishPreview(preview, note);
+    }
 
-            // Calculate offset from camera target so new structures appear in front of the user
-            const target = this.scene3d.orbitControls.target;
-            const offsetX = target.x;
-            const offsetZ = target.z;
+    // ===== AI Build Preview =====
+    // One preview at a time: { prompt, offset, items, el }. Each item is one sanitized change
+    // from the server plus what the editor made of it: { obj, action, target, ghost, checked,
+    // problem }. Items with a problem (target not found, or ambiguous) can't be applied.
+    // Terrain and environment changes have no ghost; they only show up as rows until applied.
 
-            this.saveUndoState();
+    _aiStartPreview(prompt, offset) {
+        const el = document.createElement('div');
+        el.className = 'ai-preview';
+        el.innerHTML = '<div class="ai-preview-header"><span class="material-icons-round">visibility</span><span class="ai-preview-title">Preview</span></div><div class="ai-preview-list"></div>';
+        const preview = { prompt, offset, items: [], el, list: el.querySelector('.ai-preview-list') };
+        this._aiPreview = preview;
+        return preview;
+    }
+
+    _aiPreviewAdd(preview, obj) {
+        if (this._aiPreview !== preview) return;
+        const action = obj.action || 'add';
+        const item = { obj, action, target: null, ghost: null, checked: true, problem: null };
+
+        if (action === 'add') {
+            item.addOptions = {
+                name: obj.name,
+                position: {
+                    x: obj.position.x + preview.offset.x,
+                    y: obj.position.y,
+                    z: obj.position.z + preview.offset.z
+                },
+                scale: obj.scale,
+                color: obj.color
+            };
+            if (obj.rotation) item.addOptions.rotation = obj.rotation;
+            if (obj.customParts) item.addOptions.customParts = obj.customParts;
+            item.ghost = this.scene3d.addGhost(obj.type, item.addOptions);
+            if (obj.texture) this.textureManager.applyTexture(item.ghost, obj.texture, 1);
+        } else if (action === 'modify' || action === 'remove') {
+            const resolved = this._aiResolveTarget(obj);
+            item.target = resolved.object || null;
+            item.problem = resolved.problem || null;
+            if (item.target && action === 'remove') {
+                item.ghost = this.scene3d.cloneAsGhost(item.target, '#ef4444');
+            } else if (item.target) {
+                item.ghost = this.scene3d.cloneAsGhost(item.target);
+                this._aiApplyChanges(item.ghost, obj);
+            }
+            if (item.problem) item.checked = false;
+        }
+        preview.items.push(item);
+        this.scene3d._needsRender = true;
 
-            let added = 0, modified = 0, removed = 0;
+        const icons = { add: 'add_circle', modify: 'edit', remove: 'remove_circle', terrain: 'landscape', environment: 'wb_sunny' };
+        const row = document.createElement('label');
+        row.className = 'ai-preview-item ai-preview-' + action + (item.problem ? ' has-problem' : '');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = item.checked;
+        checkbox.disabled = !!item.problem;
+        checkbox.addEventListener('change', () => {
+            item.checked = checkbox.checked;
+            if (item.ghost) item.ghost.visible = item.checked;
+            this.scene3d._needsRender = true;
+            this._aiUpdatePreviewCount(preview);
+        });
+        const icon = document.createElement('span');
+        icon.className = 'material-icons-round';
+        icon.textContent = icons[action];
+        const label = document.createElement('span');
+        label.className = 'ai-preview-label';
+        if (action === 'terrain' || action === 'environment') label.textContent = this._aiDescribeWorldChange(obj);
+        else label.textContent = action === 'add' ? (obj.name || obj.type) : (item.target ? item.target.name : obj.target || obj.targetId);
+        row.append(checkbox, icon, label);
+        if (item.problem) {
+            const note = document.createElement('span');
+            note.className = 'ai-preview-note';
+            note.textContent = item.problem;
+            row.appendChild(note);
+        }
+        preview.list.appendChild(row);
+        this._aiUpdatePreviewCount(preview);
+    }
+
+    // Objects are matched by collabId first; names are only trusted when exactly one object has it
+    _aiResolveTarget(obj) {
+        if (obj.targetId) {
+            const byId = this.scene3d.findByCollabId(obj.targetId);
+            if (byId) return { object: byId };
+        }
+        const name = (obj.target || '').toLowerCase();
+        const matches = name ? this.scene3d.objects.filter(o => o.name && o.name.toLowerCase() === name) : [];
+        if (matches.length === 1) return { object: matches[0] };
+        if (matches.length === 0) return { problem: 'not found' };
+        return { problem: matches.length + ' objects have this name' };
+    }
+
+    _aiDescribeWorldChange(obj) {
+        if (obj.action === 'environment') {
+            const labels = { skybox: 'sky', skyColor: 'sky color', ambientLight: 'light', fogDensity: 'fog', weather: 'weather', bgMusic: 'music' };
+            return 'Environment: ' + Object.keys(labels).filter(key => obj[key] !== undefined).map(key => labels[key] + ' ' + obj[key]).join(', ');
+        }
+        const verbs = { raise: 'Raise', lower: 'Lower', flatten: 'Flatten', paint: 'Paint' };
+        return `${verbs[obj.tool]} terrain at ${Math.round(obj.x)}, ${Math.round(obj.z)}`;
+    }
+
+    // Copy the properties a "modify" change sets onto an object (or its ghost)
+    _aiApplyChanges(target, obj) {
+        if (obj.position) target.position.set(obj.position.x, obj.position.y, obj.position.z);
+        if (obj.scale) target.scale.set(obj.scale.x, obj.scale.y, obj.scale.z);
+        if (obj.color && target.material && target.material.color) target.material.color.set(obj.color);
+        if (obj.rotation) {
+            target.rotation.set(
+                (obj.rotation.x || 0) * Math.PI / 180,
+                (obj.rotation.y || 0) * Math.PI / 180,
+                (obj.rotation.z || 0) * Math.PI / 180
+            );
+        }
+        if (obj.texture) {
+            this.textureManager.applyTexture(target, obj.texture === 'none' ? null : obj.texture, target.userData.tileScale || 1);
+        }
+    }
 
-            for (const obj of objects) {
-                const action = obj.action || 'add';
+    _aiUpdatePreviewCount(preview) {
+        const counts = { add: 0, modify: 0, remove: 0, terrain: 0, environment: 0 };
+        preview.items.forEach(item => counts[item.action]++);
+        const parts = [];
+        if (counts.add > 0) parts.push(counts.add + ' added');
+        if (counts.modify > 0) parts.push(counts.modify + ' modified');
+        if (counts.remove > 0) parts.push(counts.remove + ' removed');
+        if (counts.terrain > 0) parts.push(counts.terrain + ' terrain');
+        if (counts.environment > 0) parts.push('environment');
+        preview.el.querySelector('.ai-preview-title').textContent = 'Preview · ' + parts.join(', ');
+        const applyBtn = preview.el.querySelector('.ai-preview-apply');
+        if (applyBtn) {
+            const chosen = preview.items.filter(item => item.checked && !item.problem).length;
+            applyBtn.textContent = 'Apply ' + chosen;
+            applyBtn.disabled = chosen === 0;
+        }
+    }
+
+    _aiFinishPreview(preview, note) {
+        if (note) {
+            const noteEl = document.createElement('div');
+            noteEl.className = 'ai-preview-status';
+            noteEl.textContent = note;
+            preview.el.appendChild(noteEl);
+        }
+        const actions = document.createElement('div');
+        actions.className = 'ai-preview-actions';
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'ai-preview-discard';
+        discardBtn.textContent = 'Discard';
+        discardBtn.addEventListener('click', () => this._aiDiscardPreview());
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'ai-preview-apply';
+        applyBtn.addEventListener('click', () => this._aiApplyPreview());
+        actions.append(discardBtn, applyBtn);
+        preview.el.appendChild(actions);
+        this._aiUpdatePreviewCount(preview);
+        const container = document.getElementById('ai-messages');
+        container.scrollTop = container.scrollHeight;
+    }
 
-                if (action === 'remove' && obj.target) {
-                    const found = this.scene3d.objects.find(o =>
-                        o.name && o.name.toLowerCase() === obj.target.toLowerCase()
-                    );
-                    if (found) {
-                        this.scene3d.removeObject(found);
-                        removed++;
-                    }
-                    continue;
-                }
+    // Remove the ghosts and freeze the diff list; returns the preview that was showing
+    _aiClearPreview() {
+        const preview = this._aiPreview;
+        if (!preview) return null;
+        this._aiPreview = null;
+        if (this._aiBuildAbort) this._aiBuildAbort.abort();
+        preview.items.forEach(item => this.scene3d.removeGhost(item.ghost));
+        preview.el.querySelectorAll('input').forEach(cb => { cb.disabled = true; });
+        const actions = preview.el.querySelector('.ai-preview-actions');
+        if (actions) actions.remove();
+        preview.el.classList.add('done');
+        return preview;
+    }
 
-                if (action === 'modify' && obj.target) {
-                    const found = this.scene3d.objects.find(o =>
-                        o.name && o.name.toLowerCase() === obj.target.toLowerCase()
-                    );
-                    if (found) {
-                        if (obj.position) found.position.set(obj.position.x, obj.position.y, obj.position.z);
-                        if (obj.scale) found.scale.set(obj.scale.x, obj.scale.y, obj.scale.z);
-                        if (obj.color && found.material && found.material.color) found.material.color.set(obj.color);
-                        if (obj.rotation) {
-                            found.rotation.set(
-                                (obj.rotation.x || 0) * Math.PI / 180,
-                                (obj.rotation.y || 0) * Math.PI / 180,
-                                (obj.rotation.z || 0) * Math.PI / 180
-                            );
-                        }
-                        if (obj.name) found.name = obj.name;
-                        modified++;
-                    }
-                    continue;
-                }
+    _aiDiscardPreview() {
+        const preview = this._aiClearPreview();
+        if (!preview) return;
+        preview.el.classList.add('discarded');
+        this._aiAddMessage('Preview discarded.', 'ai-system');
+    }
 
-                // Default: add
-                const opts = {
-                    name: obj.name,
-                    position: {
-                        x: obj.position.x + offsetX,
-                        y: obj.position.y,
-                        z: obj.position.z + offsetZ
-                    },
-                    scale: obj.scale,
-                    color: obj.color
-                };
-                if (obj.rotation) opts.rotation = obj.rotation;
-                if (obj.customParts) opts.customParts = obj.customParts;
-                this.scene3d.addObject(obj.type, opts);
-                added++;
+    // Commit the checked changes as a single undo step
+    _aiApplyPreview() {
+        const preview = this._aiClearPreview();
+        if (!preview) return;
+        const chosen = preview.items.filter(item => item.checked && !item.problem);
+
+        const counts = { added: 0, modified: 0, removed: 0, terrain: 0, environment: 0 };
+        const applied = [];
+        this.beginHistoryGroup('AI build');
+        // Terrain goes first so objects placed on it land on its final shape
+        const terrain = chosen.filter(item => item.action === 'terrain').map(item => item.obj);
+        if (terrain.length > 0) {
+            this._aiApplyTerrain(terrain, preview.offset);
+            counts.terrain = terrain.length;
+            applied.push(...terrain);
+        }
+        chosen.forEach(item => {
+            if (item.action === 'terrain') return;
+            if (this._aiApplyBuildItem(item, counts)) applied.push(item.obj);
+        });
+        this.endHistoryGroup();
+
+        this.scene3d._needsRender = true;
+        this.refreshExplorer();
+        this.updateObjectCount();
+        if (this.scene3d.selectedObject) this.onObjectSelected(this.scene3d.selectedObject);
+
+        if (applied.length === 0) {
+            this._aiAddMessage('Nothing was applied.', 'ai-error');
+            return;
+        }
+
+        // Store conversation history (summary only — NOT raw JSON, to prevent AI from re-outputting all previous objects)
+        this._aiHistory.push({ role: 'user', content: preview.prompt });
+        const objSummaries = applied.map(o => {
+            const action = o.action || 'add';
+            if (action === 'remove') return 'Removed ' + o.target;
+            if (action === 'modify') return 'Modified ' + o.target;
+            if (action === 'terrain' || action === 'environment') return this._aiDescribeWorldChange(o);
+            return 'Added ' + (o.name || o.type);
+        }).join(', ');
+        const skipped = preview.items.length - applied.length;
+        this._aiHistory.push({ role: 'assistant', content: 'Done. ' + objSummaries + (skipped > 0 ? ' (the user left out ' + skipped + ' other change' + (skipped !== 1 ? 's' : '') + ')' : '') });
+        // Keep history bounded
+        if (this._aiHistory.length > 12) this._aiHistory = this._aiHistory.slice(-12);
+
+        const { added, modified, removed } = counts;
+        const parts = [];
+        if (added > 0) parts.push('Added ' + added);
+        if (modified > 0) parts.push('Modified ' + modified);
+        if (removed > 0) parts.push('Removed ' + removed);
+        if (parts.length > 0) parts[parts.length - 1] += ' object' + ((added + modified + removed) !== 1 ? 's' : '');
+        if (counts.terrain > 0) parts.push('Shaped terrain');
+        if (counts.environment > 0) parts.push('Changed environment');
+        const msg = parts.join(', ') + '!';
+        this._aiAddMessage(msg, 'ai-result');
+        this.toast(msg, 'success');
+    }
+
+    // Parse a text/event-stream response, calling onEvent(name, data) for each JSON event
+    async _aiReadEventStream(res, onEvent) {
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let pending = '';
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            pending += decoder.decode(value, { stream: true });
+            const blocks = pending.split('\n\n');
+            pending = blocks.pop();
+            for (const block of blocks) {
+                let event = 'message', data = '';
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+                if (!data) continue;
+                let parsed;
+                try { parsed = JSON.parse(data); } catch (e) { continue; }
+                onEvent(event, parsed);
             }
+        }
+    }
 
-            this.scene3d._needsRender = true;
-            this.refreshExplorer();
-            this.updateObjectCount();
-            if (this.scene3d.selectedObject) this.onObjectSelected(this.scene3d.selectedObject);
+    // Apply one previewed change. Returns false when its target has left the scene meanwhile.
+    _aiApplyBuildItem(item, counts) {
+        const { obj, action, target } = item;
+        if (action === 'add') {
+            const added = this.scene3d.addObject(obj.type, item.addOptions);
+            if (obj.texture) this.textureManager.applyTexture(added, obj.texture, 1);
+            this._recordAdd([added]);
+            counts.added++;
+            return true;
+        }
+        if (action === 'environment') {
+            this._aiApplyEnvironment(obj);
+            counts.environment++;
+            return true;
+        }
+        if (!target || !this.scene3d.objects.includes(target)) return false;
+        if (action === 'remove') {
+            this._recordRemove([target]);
+            this.scene3d.removeObject(target);
+            counts.removed++;
+        } else {
+            const before = this._snapshotObject(target);
+            this._aiApplyChanges(target, obj);
+            if (obj.name) target.name = obj.name;
+            this._recordObjectChange(target, before);
+            counts.modified++;
+        }
+        return true;
+    }
 
-            const parts = [];
-            if (added > 0) parts.push('Added ' + added);
-            if (modified > 0) parts.push('Modified ' + modified);
-            if (removed > 0) parts.push('Removed ' + removed);
-            const msg = parts.join(', ') + ' object' + ((added + modified + removed) !== 1 ? 's' : '') + '!';
-            this._aiAddMessage(msg, 'ai-result');
-            this.toast(msg, 'success');
-        } catch (err) {
-            loadingEl.remove();
-            this._aiAddMessage('Connection error. Please try again.', 'ai-error');
-        } finally {
-            buildBtn.disabled = false;
-            input.disabled = false;
-            input.focus();
+    _aiApplyEnvironment(change) {
+        const before = this._gatherLevelEnvironment();
+        const after = { ...before };
+        ['skybox', 'skyColor', 'ambientLight', 'fogDensity', 'weather', 'bgMusic'].forEach(key => {
+            // Stored as the panel's input values, like _gatherLevelEnvironment
+            if (change[key] !== undefined) after[key] = String(change[key]);
+        });
+        this._applyLevelEnvironment(after);
+        this._collabSendEnvironment(after);
+        this._pushHistory('Change environment', [{ type: 'environment', from: before, to: after }]);
+    }
+
+    // Sculpt all terrain changes in order (creating a terrain if the level has none) and record
+    // them as one before/after snapshot
+    _aiApplyTerrain(changes, offset) {
+        const before = this._gatherTerrainData();
+        const paused = this._collabBroadcastPaused;
+        this._collabBroadcastPaused = true;
+        if (!this._terrain) this._createTerrain(50, 64);
+        this._collabBroadcastPaused = paused;
+
+        changes.forEach(change => this._aiSculptTerrain(change, offset));
+        const geo = this._terrain.geometry;
+        geo.attributes.position.needsUpdate = true;
+        geo.attributes.color.needsUpdate = true;
+        geo.computeVertexNormals();
+        this._terrain.userData.colorData = new Float32Array(geo.attributes.color.array);
+        this.scene3d._needsRender = true;
+        this.markUnsaved();
+
+        const after = this._gatherTerrainData();
+        if (this._collabRoom) this._collabSendTerrain(after);
+        this._pushHistory('Shape terrain', [{ type: 'terrain', from: before, to: after }]);
+    }
+
+    // Like one brush dab, but sized by the change: hills fade smoothly from the center, while
+    // flatten and paint hold full strength out to 70% of the radius
+    _aiSculptTerrain(change, offset) {
+        const pos = this._terrain.geometry.attributes.position;
+        const colorAttr = this._terrain.geometry.attributes.color;
+        const cx = change.x + offset.x, cz = change.z + offset.z;
+        const color = change.tool === 'paint' ? new THREE.Color(change.color) : null;
+
+        for (let i = 0; i < pos.count; i++) {
+            const dist = Math.sqrt((pos.getX(i) - cx) ** 2 + (pos.getZ(i) - cz) ** 2);
+            if (dist > change.radius) continue;
+            const t = dist / change.radius;
+            let weight;
+            if (change.tool === 'raise' || change.tool === 'lower') weight = (1 + Math.cos(Math.PI * t)) / 2;
+            else weight = t < 0.7 ? 1 : (1 + Math.cos(Math.PI * (t - 0.7) / 0.3)) / 2;
+
+            const vy = pos.getY(i);
+            if (change.tool === 'raise') pos.setY(i, vy + change.height * weight);
+            else if (change.tool === 'lower') pos.setY(i, vy - change.height * weight);
+            else if (change.tool === 'flatten') pos.setY(i, vy + (change.height - vy) * weight);
+            else {
+                const r = colorAttr.getX(i), g = colorAttr.getY(i), b = colorAttr.getZ(i);
+                colorAttr.setXYZ(i, r + (color.r - r) * weight, g + (color.g - g) * weight, b + (color.b - b) * weight);
+            }
+            this._terrain.userData.heightData[i] = pos.getY(i);
         }
     }
 
@@ -7282,6 +8545,7 @@ class App {
         });
         document.getElementById('ai-script-help-close').addEventListener('click', () => helpPanel.classList.add('hidden'));
         this._aiScriptHistory = [];
+        this._aiReviewFinish = null;
         this._aiGhostCmd = null;
         this._aiCmdIdx = -1;
 
@@ -7723,6 +8987,16 @@ class App {
                     return;
                 }
 
+                const target = this.blockCode.targetObject;
+                if (!await this._aiReviewScripts(stacks, data.report, 'Replace scripts')) {
+                    this._aiScriptShowStatus('Changes discarded', 'success');
+                    return;
+                }
+                if (this.blockCode.targetObject !== target) {
+                    this._aiScriptShowStatus('Selection changed, changes discarded', 'error');
+                    return;
+                }
+
                 // Replace: clear existing and add new
                 this.blockCode.workspaceScripts = [];
                 const added = this.blockCode.addScriptStacks(stacks);
@@ -7754,7 +9028,7 @@ class App {
             let readable = label;
             if (b.values && def && def.inputs) {
                 for (const [k, v] of Object.entries(b.values)) {
-                    readable = readable.replace('{' + k + '}', v);
+                    readable = readable.replace('{' + k + '}', v && typeof v === 'object' ? '(' + describe(v) + ')' : v);
                 }
             }
             s += ' "' + readable + '"';
@@ -7809,6 +9083,16 @@ class App {
                 return;
             }
 
+            const target = this.blockCode.targetObject;
+            if (!await this._aiReviewScripts(stacks, data.report, 'Add scripts')) {
+                this._aiScriptShowStatus('Scripts discarded', 'success');
+                return;
+            }
+            if (this.blockCode.targetObject !== target) {
+                this._aiScriptShowStatus('Selection changed, scripts discarded', 'error');
+                return;
+            }
+
             const added = this.blockCode.addScriptStacks(stacks);
 
             if (added === 0) {
@@ -7840,6 +9124,90 @@ class App {
         }
     }
 
+    // Shows the server's per-stack check of AI scripts (see ScriptSchema.validateStacks) under
+    // the script bar. Resolves true when the user accepts them, false when they discard them.
+    _aiReviewScripts(stacks, report, acceptLabel) {
+        // One review at a time: a newer one discards the review still showing
+        if (this._aiReviewFinish) this._aiReviewFinish(false);
+        const panel = document.getElementById('ai-script-review');
+        const entries = report && Array.isArray(report.stacks)
+            ? report.stacks
+            : stacks.map((stack, i) => ({ index: i + 1, kept: true, errors: [], repairs: [] }));
+        const blocks = this.blockCode.blocks;
+        const describe = (b) => {
+            const def = blocks[b.blockId];
+            let text = (def ? def.label : b.blockId).replace(/\{(\w+)\}/g, (match, key) => {
+                const value = b.values && b.values[key] !== undefined ? b.values[key] : def?.inputs?.[key]?.default;
+                return value && typeof value === 'object' ? '(' + describe(value) + ')' : String(value ?? '');
+            });
+            if (b.children && b.children.length > 0) text += ' { ' + b.children.map(describe).join(' → ') + ' }';
+            return text;
+        };
+        const el = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        document.getElementById('ai-script-status').classList.add('hidden');
+        panel.innerHTML = '';
+        const repairs = entries.reduce((sum, e) => sum + e.repairs.length, 0);
+        const errors = entries.reduce((sum, e) => sum + e.errors.length, 0);
+        const header = el('div', 'ai-review-header');
+        header.appendChild(el('span', 'material-icons-round', 'fact_check'));
+        header.appendChild(el('strong', '', 'Review AI scripts'));
+        const summary = [stacks.length + ' stack' + (stacks.length !== 1 ? 's' : '')];
+        if (repairs > 0) summary.push(repairs + ' fixed');
+        if (errors > 0) summary.push(errors + ' problem' + (errors !== 1 ? 's' : ''));
+        if (report && report.reprompted) summary.push('asked the AI twice');
+        header.appendChild(el('span', 'ai-review-summary', summary.join(' · ')));
+        panel.appendChild(header);
+
+        let next = 0;
+        entries.forEach(entry => {
+            const stack = entry.kept ? stacks[next++] : null;
+            const card = el('div', 'ai-review-stack');
+            if (entry.repairs.length > 0) card.classList.add('has-repairs');
+            if (entry.errors.length > 0) card.classList.add('has-errors');
+            if (!stack) card.classList.add('dropped');
+            const action = !stack ? 'left out'
+                : stack.replaceStack ? 'replaces stack ' + stack.replaceStack
+                : stack.appendToStack ? 'adds to stack ' + stack.appendToStack : 'new stack';
+            card.appendChild(el('div', 'ai-review-title', 'Stack ' + entry.index + ' · ' + action));
+            if (stack) card.appendChild(el('div', 'ai-review-blocks', stack.blocks.map(describe).join(' → ')));
+            if (entry.repairs.length > 0 || entry.errors.length > 0) {
+                const list = el('ul');
+                entry.repairs.forEach(text => list.appendChild(el('li', 'ai-review-repair', text)));
+                entry.errors.forEach(text => list.appendChild(el('li', 'ai-review-error', text)));
+                card.appendChild(list);
+            }
+            panel.appendChild(card);
+        });
+
+        const actions = el('div', 'ai-rules-actions');
+        const discardBtn = el('button', 'ai-rules-btn ai-review-discard', 'Discard');
+        const acceptBtn = el('button', 'ai-rules-btn', acceptLabel);
+        acceptBtn.disabled = stacks.length === 0;
+        actions.appendChild(discardBtn);
+        actions.appendChild(acceptBtn);
+        panel.appendChild(actions);
+        panel.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            const finish = (accepted) => {
+                if (this._aiReviewFinish !== finish) return;
+                this._aiReviewFinish = null;
+                panel.classList.add('hidden');
+                panel.innerHTML = '';
+                resolve(accepted);
+            };
+            this._aiReviewFinish = finish;
+            discardBtn.addEventListener('click', () => finish(false));
+            acceptBtn.addEventListener('click', () => finish(true));
+        });
+    }
+
     // ===== Screenshot =====
 
     initScreenshot() {
@@ -8108,7 +9476,7 @@ class App {
                 this.scene3d.selectObject(obj);
                 this.refreshExplorer();
                 this.updateObjectCount();
-                this.saveUndoState();
+                this._recordAdd([obj]);
             });
             grid.appendChild(btn);
         });
@@ -8303,46 +9671,31 @@ class App {
 
     _showGameLoadingScreen(ls, onComplete) {
         const overlay = document.getElementById('game-loading-screen');
-        overlay.classList.remove('hidden', 'fade-out');
-        overlay.style.background = ls.bgColor;
-        if (ls.bgImage) {
-            overlay.style.backgroundImage = `url(${ls.bgImage})`;
-            overlay.style.backgroundSize = 'cover';
-            overlay.style.backgroundPosition = 'center';
-        } else {
-            overlay.style.backgroundImage = '';
-        }
-        overlay.innerHTML = `
-            <span class="gls-title">${ls.title}</span>
-            ${ls.subtitle ? `<span class="gls-subtitle">${ls.subtitle}</span>` : ''}
-            <div class="gls-progress"><div class="gls-progress-fill" id="gls-progress-fill"></div></div>
-        `;
-
-        const duration = (ls.duration || 2) * 1000;
-        const startTime = performance.now();
-        const fill = document.getElementById('gls-progress-fill');
-
-        const animateProgress = () => {
-            const elapsed = performance.now() - startTime;
-            const pct = Math.min(elapsed / duration, 1);
-            if (fill) fill.style.width = (pct * 100) + '%';
-            if (pct < 1) {
-                requestAnimationFrame(animateProgress);
-            } else {
-                overlay.classList.add('fade-out');
-                this._loadingScreenTimer = setTimeout(() => {
-                    overlay.classList.add('hidden');
-                    overlay.innerHTML = '';
-                    this._loadingScreenTimer = null;
-                }, 500);
-                onComplete();
-            }
-        };
-        requestAnimationFrame(animateProgress);
+        GamePlayer.showLoadingScreen(overlay, ls, () => {
+            this._loadingScreenTimer = setTimeout(() => {
+                overlay.classList.add('hidden');
+                overlay.innerHTML = '';
+                this._loadingScreenTimer = null;
+            }, 500);
+            onComplete();
+        });
     }
 
     // ===== Animate Tab =====
 
+    // Engine scripts bundled into exported playable HTML, in load order
+    static PLAYER_SCRIPTS = [
+        'js/three.min.js',
+        'js/OrbitControls.js',
+        'js/textures.js',
+        'js/spatial-grid.js',
+        'js/scene3d.js',
+        'js/blockcode.js',
+        'js/runtime.js',
+        'js/project-format.js',
+        'js/player.js'
+    ];
+
     static QUICK_ANIM_PRESETS = [
         { type: 'spin',       label: 'Spin',    icon: 'sync',                   controls: [{ key: 'speed', label: 'Speed', min: 0.1, max: 5, step: 0.1, def: 1 }, { key: 'axis', label: 'Axis', kind: 'select', options: ['x','y','z'], def: 'y' }] },
         { type: 'bounce',     label: 'Bounce',  icon: 'arrow_upward',           controls: [{ key: 'speed', label: 'Speed', min: 0.5, max: 5, step: 0.1, def: 2 }, { key: 'height', label: 'Height', min: 0.5, max: 5, step: 0.1, def: 2 }] },
@@ -8468,7 +9821,6 @@ class App {
         const obj = this.scene3d.selectedObject;
         if (!obj) return;
         if (!obj.userData.quickAnimations) obj.userData.quickAnimations = [];
-        this.saveUndoState();
         const idx = obj.userData.quickAnimations.findIndex(a => a.type === preset.type);
         if (idx >= 0) {
             obj.userData.quickAnimations.splice(idx, 1);
@@ -8989,8 +10341,9 @@ class App {
         try {
             const resp = await fetch('/api/templates/' + id + '/use', { method: 'POST' });
             const { templateData } = await resp.json();
-            if (templateData) {
-                this._applyProjectData(templateData);
+            const data = templateData && this._prepareProjectData(templateData, 'Can\'t Use Template');
+            if (data) {
+                this._applyProjectData(data);
                 document.getElementById('templates-modal').classList.add('hidden');
                 this.toast('Template applied!');
                 this.markUnsaved();
@@ -9024,6 +10377,161 @@ class App {
         } catch { this.toast('Failed to publish template', 'error'); }
     }
 
+    // ===== Levels =====
+
+    initLevels() {
+        document.getElementById('level-tab-add').addEventListener('click', () => this.addLevel());
+        this._renderLevelTabs();
+    }
+
+    _renderLevelTabs() {
+        const strip = document.getElementById('level-tabs-list');
+        if (!strip) return;
+        strip.innerHTML = '';
+        this.levels.forEach((level, idx) => {
+            const tab = document.createElement('div');
+            tab.className = 'level-tab' + (idx === this.currentLevelIndex ? ' active' : '');
+            tab.title = 'Double-click to rename';
+            tab.innerHTML = `<span class="level-tab-name">${this._escHtml(level.name)}</span>`;
+            tab.addEventListener('click', () => this.switchLevel(idx));
+            tab.addEventListener('dblclick', () => this.renameLevel(idx));
+            if (this.levels.length > 1) {
+                const close = document.createElement('button');
+                close.className = 'level-tab-close';
+                close.title = 'Delete level';
+                close.innerHTML = '<span class="material-icons-round">close</span>';
+                close.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.deleteLevel(idx);
+                });
+                tab.appendChild(close);
+            }
+            strip.appendChild(tab);
+        });
+        this.blockCode._updateLevelDropdowns(this.levels.map(l => l.name));
+    }
+
+    _canEditLevels() {
+        if (this.runtime.isRunning) return false;
+        if (this._collabRoom) {
+            this.toast('Levels cannot be changed during collaboration');
+            return false;
+        }
+        return true;
+    }
+
+    _captureActiveLevel() {
+        return {
+            name: this.levels[this.currentLevelIndex].name,
+            scene: this.scene3d.serialize(),
+            environment: this._gatherLevelEnvironment(),
+            terrain: this._gatherTerrainData()
+        };
+    }
+
+    // All levels with their content, including the one open in the editor
+    _getAllLevels() {
+        return this.levels.map((l, i) => i === this.currentLevelIndex ? this._captureActiveLevel() : l);
+    }
+
+    // Expand saved project data into full levels (the active one is stored at the top level)
+    _levelsFromData(data) {
+        return GamePlayer.levelsFromData(data);
+    }
+
+    _loadLevelContent(level) {
+        this._aiDiscardPreview();
+        const wasPaused = this._collabBroadcastPaused;
+        this._collabBroadcastPaused = true;
+        this.scene3d.deserialize(level.scene || []);
+        if (level.environment) this._applyLevelEnvironment(level.environment);
+        if (level.terrain) {
+            this._createTerrainFromData(level.terrain);
+        } else {
+            this._removeTerrain();
+        }
+        this._collabBroadcastPaused = wasPaused;
+    }
+
+    _defaultLevelEnvironment() {
+        return {
+            skyColor: '#87CEEB', skybox: 'default', ambientLight: '60', fogDensity: '0',
+            shadows: true, weather: 'none', bgMusic: 'none', musicVolume: '30'
+        };
+    }
+
+    switchLevel(index) {
+        if (index === this.currentLevelIndex || !this.levels[index]) return;
+        if (!this._canEditLevels()) return;
+        this.blockCode.saveScriptsToObject();
+        this.scene3d.deselectAll();
+        this.levels[this.currentLevelIndex] = this._captureActiveLevel();
+        this._loadLevelContent(this.levels[index]);
+        this.levels[index] = { name: this.levels[index].name };
+        this.currentLevelIndex = index;
+        this._afterLevelChange();
+    }
+
+    async addLevel() {
+        if (!this._canEditLevels()) return;
+        let n = this.levels.length + 1;
+        while (this.levels.some(l => l.name === 'Level ' + n)) n++;
+        const name = await this.showPrompt('New Level', 'Enter a name for the level:', 'Level ' + n);
+        if (!name || !name.trim()) return;
+        if (this.levels.some(l => l.name.toLowerCase() === name.trim().toLowerCase())) {
+            this.toast('A level with that name already exists', 'error');
+            return;
+        }
+        this.blockCode.saveScriptsToObject();
+        this.scene3d.deselectAll();
+        this.levels[this.currentLevelIndex] = this._captureActiveLevel();
+        this._loadLevelContent({ scene: [], environment: this._defaultLevelEnvironment(), terrain: null });
+        this.scene3d.initDefaultScene();
+        this.levels.push({ name: name.trim() });
+        this.currentLevelIndex = this.levels.length - 1;
+        this._afterLevelChange();
+    }
+
+    async renameLevel(index) {
+        if (!this._canEditLevels()) return;
+        const level = this.levels[index];
+        const name = await this.showPrompt('Rename Level', 'Enter a new name:', level.name);
+        if (!name || !name.trim() || name.trim() === level.name) return;
+        if (this.levels.some((l, i) => i !== index && l.name.toLowerCase() === name.trim().toLowerCase())) {
+            this.toast('A level with that name already exists', 'error');
+            return;
+        }
+        level.name = name.trim();
+        this._renderLevelTabs();
+        this.markUnsaved();
+    }
+
+    async deleteLevel(index) {
+        if (!this._canEditLevels() || this.levels.length <= 1) return;
+        const confirmed = await this.showConfirm('Delete Level', `Delete "${this.levels[index].name}" and everything in it?`, 'Delete', 'danger');
+        if (!confirmed) return;
+        if (index === this.currentLevelIndex) {
+            const next = index > 0 ? index - 1 : 1;
+            this.scene3d.deselectAll();
+            this._loadLevelContent(this.levels[next]);
+            this.levels[next] = { name: this.levels[next].name };
+            this.currentLevelIndex = next;
+        }
+        this.levels.splice(index, 1);
+        if (index < this.currentLevelIndex) this.currentLevelIndex--;
+        this._afterLevelChange();
+    }
+
+    _afterLevelChange() {
+        // History ops point at objects of the open level, so they cannot span levels
+        this.clearHistory();
+        this.blockCode.setTarget(null);
+        this._renderLevelTabs();
+        this.refreshExplorer();
+        this.updateObjectCount();
+        this.markUnsaved();
+    }
+
     // ===== Terrain Sculpting =====
 
     initTerrainSculpting() {
@@ -9031,7 +10539,9 @@ class App {
         document.querySelectorAll('.terrain-preset-btn').forEach(btn => {
             btn.addEventListener('click', () => {
                 const res = parseInt(btn.dataset.terrainSize);
+                const before = this._gatherTerrainData();
                 this._createTerrain(50, res);
+                this._pushHistory('Create terrain', [{ type: 'terrain', from: before, to: this._gatherTerrainData() }]);
             });
         });
 
@@ -9074,7 +10584,11 @@ class App {
         // Delete terrain button
         const deleteBtn = document.getElementById('terrain-delete-btn');
         if (deleteBtn) {
-            deleteBtn.addEventListener('click', () => this._removeTerrain());
+            deleteBtn.addEventListener('click', () => {
+                const before = this._gatherTerrainData();
+                this._removeTerrain();
+                if (before) this._pushHistory('Delete terrain', [{ type: 'terrain', from: before, to: null }]);
+            });
         }
 
         // Terrain collision toggle
@@ -9091,7 +10605,7 @@ class App {
         // Terrain sculpt mouse handlers
         this.scene3d.canvas.addEventListener('pointerdown', (e) => this._onTerrainPointerDown(e));
         this.scene3d.canvas.addEventListener('pointermove', (e) => this._onTerrainPointerMove(e));
-        this.scene3d.canvas.addEventListener('pointerup', () => { this._terrainSculpting = false; });
+        this.scene3d.canvas.addEventListener('pointerup', () => this._onTerrainPointerUp());
     }
 
     _createTerrain(size, resolution) {
@@ -9208,6 +10722,29 @@ class App {
         }
     }
 
+    // Apply [index, height] entries, or [index, height, r, g, b] for the paint tool
+    _applyTerrainVertices(vertices, tool) {
+        const pos = this._terrain.geometry.attributes.position;
+        const colorAttr = this._terrain.geometry.attributes.color;
+        for (const v of vertices) {
+            const idx = v[0], height = v[1];
+            if (idx < pos.count) {
+                pos.setY(idx, height);
+                this._terrain.userData.heightData[idx] = height;
+                if (tool === 'paint' && colorAttr && v.length >= 5) {
+                    colorAttr.setXYZ(idx, v[2], v[3], v[4]);
+                }
+            }
+        }
+        pos.needsUpdate = true;
+        if (tool === 'paint' && colorAttr) {
+            colorAttr.needsUpdate = true;
+            this._terrain.userData.colorData = new Float32Array(colorAttr.array);
+        }
+        if (tool !== 'paint') this._terrain.geometry.computeVertexNormals();
+        this.scene3d._needsRender = true;
+    }
+
     _onTerrainPointerDown(e) {
         if (!this._terrain || this.scene3d.isPlaying) return;
         if (!this._collabCanEdit()) return;
@@ -9217,9 +10754,43 @@ class App {
         if (e.button !== 0) return;
 
         this._terrainSculpting = true;
+        this._terrainStroke = {
+            tool: this._terrainBrush.tool,
+            heights: new Float32Array(this._terrain.userData.heightData),
+            colors: new Float32Array(this._terrain.geometry.attributes.color.array)
+        };
         this._applyTerrainBrush(e);
     }
 
+    _onTerrainPointerUp() {
+        this._terrainSculpting = false;
+        const stroke = this._terrainStroke;
+        this._terrainStroke = null;
+        if (!stroke || !this._terrain) return;
+
+        // Record only the vertices the stroke touched
+        const heights = this._terrain.userData.heightData;
+        const colors = this._terrain.geometry.attributes.color.array;
+        const paint = stroke.tool === 'paint';
+        const from = [], to = [];
+        for (let i = 0; i < heights.length; i++) {
+            const c = i * 3;
+            const moved = heights[i] !== stroke.heights[i];
+            const painted = paint && (colors[c] !== stroke.colors[c] || colors[c + 1] !== stroke.colors[c + 1] || colors[c + 2] !== stroke.colors[c + 2]);
+            if (!moved && !painted) continue;
+            if (paint) {
+                from.push([i, stroke.heights[i], stroke.colors[c], stroke.colors[c + 1], stroke.colors[c + 2]]);
+                to.push([i, heights[i], colors[c], colors[c + 1], colors[c + 2]]);
+            } else {
+                from.push([i, stroke.heights[i]]);
+                to.push([i, heights[i]]);
+            }
+        }
+        if (to.length === 0) return;
+        const verbs = { raise: 'Raise', lower: 'Lower', smooth: 'Smooth', flatten: 'Flatten', paint: 'Paint' };
+        this._pushHistory((verbs[stroke.tool] || 'Sculpt') + ' terrain', [{ type: 'terrain-edit', tool: stroke.tool, from, to }]);
+    }
+
     _onTerrainPointerMove(e) {
         if (!this._terrain || this.scene3d.isPlaying) return;
         const terrainTab = document.getElementById('tab-terrain');
@@ -9339,6 +10910,18 @@ class App {
         this._collabSend({ type: 'set-role', targetUserId: userId, role });
     }
 
+    async _collabTransferHost(userId) {
+        const member = this._collabMembers.find(m => m.userId === userId);
+        if (!member) return;
+        const ok = await this.showConfirm(
+            'Make Host',
+            `Make ${member.displayName} the host? They will be able to manage roles and save the project.`,
+            'Make Host',
+            'primary'
+        );
+        if (ok) this._collabSend({ type: 'transfer-host', targetUserId: userId });
+    }
+
     // ===== Toast =====
 
     toast(message, type = '') {
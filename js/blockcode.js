@@ -11,11 +11,12 @@ class BlockCode {
         this.workspaceScripts = [];
         this.globalScripts = []; // Scripts not tied to any object (like Scratch stage)
         this.nextBlockId = 1;
-        this.customBlocks = {}; // user-created blocks
+        this.customBlocks = {}; // user-created blocks: id -> { id, name, params: [{ name, type }], noRefresh }
         this.customVariables = []; // user-created variable names
         this.customLocalVariables = []; // per-object local variable names
         this.customMessages = []; // user-created message names
         this.onScriptsChanged = null; // collab callback
+        this.onScriptEdit = null; // undo history callback, receives scripts before the edit
         this.drawer = document.getElementById('block-drawer');
         this.workspace = document.getElementById('workspace-canvas');
         this.palette = document.getElementById('block-palette');
@@ -44,6 +45,9 @@ class BlockCode {
         this.backpackItems = [];
         this.onBackpackChanged = null;
 
+        // Debugger breakpoints, shared with the runtime (see _breakpointKey)
+        this.breakpoints = new Set();
+
         this.initPalette();
         this.renderDrawer();
         this._updatePaletteVisibility();
@@ -57,6 +61,7 @@ class BlockCode {
             looks: { name: 'Looks', color: '#9966FF', darkColor: '#774DCB' },
             physics: { name: 'Physics', color: '#59C059', darkColor: '#45993D' },
             sensing: { name: 'Sensing', color: '#5CB1D6', darkColor: '#2E8EB8' },
+            operators: { name: 'Operators', color: '#40BF4A', darkColor: '#2E9936' },
             sound: { name: 'Sound', color: '#CF63CF', darkColor: '#BD42BD' },
             variables: { name: 'Variables', color: '#FF8C1A', darkColor: '#DB6E00' },
             myblocks: { name: 'My Blocks', color: '#FF6680', darkColor: '#CC4466' },
@@ -76,6 +81,8 @@ class BlockCode {
             'event_click': { category: 'events', type: 'hat', label: 'When this object clicked', icon: '👆', code: 'onClick' },
             'event_key': { category: 'events', type: 'hat', label: 'When key {key} pressed', icon: '⌨', inputs: { key: { type: 'select', options: ['W','A','S','D','Space','E','Q','1','2','3','ArrowUp','ArrowDown','ArrowLeft','ArrowRight'], default: 'Space' } }, code: 'onKey' },
             'event_collide': { category: 'events', type: 'hat', label: 'When touching {object}', icon: '💥', inputs: { object: { type: 'select', options: ['any','player','coin','npc'], default: 'player' } }, code: 'onCollide' },
+            'event_touch_object': { category: 'events', type: 'hat', label: 'When I {phase} touching {match} {name}', icon: '🧱', inputs: { phase: { type: 'select', options: ['begin','keep','stop'], default: 'begin' }, match: { type: 'select', options: ['object named','tag'], default: 'tag' }, name: { type: 'text', default: 'enemy' } }, code: 'onTouchObject' },
+            'event_player_land': { category: 'events', type: 'hat', label: 'When player lands on this', icon: '🛬', code: 'onPlayerLand' },
             'event_timer': { category: 'events', type: 'hat', label: 'Every {seconds} seconds', icon: '⏱', inputs: { seconds: { type: 'number', default: 1 } }, code: 'onTimer' },
             'motion_move': { category: 'motion', type: 'command', label: 'Move {direction} by {amount}', inputs: { direction: { type: 'select', options: ['forward','backward','left','right','up','down'], default: 'forward' }, amount: { type: 'number', default: 1 } }, code: 'move' },
             'motion_moveto': { category: 'motion', type: 'command', label: 'Move to X:{x} Y:{y} Z:{z}', inputs: { x: { type: 'number', default: 0 }, y: { type: 'number', default: 0 }, z: { type: 'number', default: 0 } }, code: 'moveTo' },
@@ -125,6 +132,12 @@ class BlockCode {
             'sensing_timer': { category: 'sensing', type: 'reporter', label: 'Game timer', code: 'getTimer' },
             'sensing_player_grounded': { category: 'sensing', type: 'reporter', label: 'Player on ground?', code: 'playerGrounded' },
             'sensing_random': { category: 'sensing', type: 'reporter', label: 'Random {min} to {max}', inputs: { min: { type: 'number', default: 1 }, max: { type: 'number', default: 10 } }, code: 'random' },
+            'sensing_position': { category: 'sensing', type: 'reporter', label: '{axis} of {target}', inputs: { axis: { type: 'select', options: ['x','y','z'], default: 'x' }, target: { type: 'select', options: ['this object','player'], default: 'this object' } }, code: 'positionOf' },
+            'sensing_variable': { category: 'sensing', type: 'reporter', label: 'Value of {var}', inputs: { var: { type: 'select', options: ['score','health','coins','speed','level'], default: 'score' } }, code: 'variableValue' },
+            'sensing_mouse': { category: 'sensing', type: 'reporter', label: 'Mouse {axis}', inputs: { axis: { type: 'select', options: ['x','y'], default: 'x' } }, code: 'mousePosition' },
+            'operator_math': { category: 'operators', type: 'reporter', label: '{a} {op} {b}', inputs: { a: { type: 'number', default: 0 }, op: { type: 'select', options: ['+','-','*','/','mod','min','max'], default: '+' }, b: { type: 'number', default: 0 } }, code: 'math' },
+            'operator_compare': { category: 'operators', type: 'reporter', label: '{a} {op} {b}?', inputs: { a: { type: 'number', default: 0 }, op: { type: 'select', options: ['>','<','=','>=','<='], default: '>' }, b: { type: 'number', default: 0 } }, code: 'compare' },
+            'operator_func': { category: 'operators', type: 'reporter', label: '{fn} of {value}', inputs: { fn: { type: 'select', options: ['round','floor','ceil','abs','sqrt','sin','cos'], default: 'round' }, value: { type: 'number', default: 0 } }, code: 'mathFunc' },
             'sound_play': { category: 'sound', type: 'command', label: 'Play sound {sound}', inputs: { sound: { type: 'select', options: ['pop','ding','whoosh','boom','jump','coin','hurt','powerup','laser','explosion','splash','click','bell','alarm','magic','swoosh','beep','chime'], default: 'pop' } }, code: 'playSound' },
             'sound_volume': { category: 'sound', type: 'command', label: 'Set volume to {percent}%', inputs: { percent: { type: 'number', default: 100 } }, code: 'setVolume' },
             'sound_pitch': { category: 'sound', type: 'command', label: 'Tone {freq}hz for {dur}s', inputs: { freq: { type: 'number', default: 440 }, dur: { type: 'number', default: 0.3 } }, code: 'playTone' },
@@ -177,6 +190,9 @@ class BlockCode {
             'physics_remove_last': { category: 'physics', type: 'command', label: 'Remove last spawned', code: 'removeLastSpawned' },
             'physics_remove_all': { category: 'physics', type: 'command', label: 'Remove all spawned', code: 'removeAllSpawned' },
             'physics_clone_at': { category: 'physics', type: 'command', label: 'Clone at {x} {y} {z}', inputs: { x: { type: 'number', default: 0 }, y: { type: 'number', default: 0 }, z: { type: 'number', default: 0 } }, code: 'cloneAt' },
+            'physics_push': { category: 'physics', type: 'command', label: 'Push {x} {y} {z} for {secs}s', inputs: { x: { type: 'number', default: 0 }, y: { type: 'number', default: 0 }, z: { type: 'number', default: -10 }, secs: { type: 'number', default: 1 } }, code: 'applyForce' },
+            'physics_impulse_xyz': { category: 'physics', type: 'command', label: 'Impulse {x} {y} {z}', inputs: { x: { type: 'number', default: 0 }, y: { type: 'number', default: 5 }, z: { type: 'number', default: 0 } }, code: 'applyImpulse' },
+            'physics_spin': { category: 'physics', type: 'command', label: 'Spin {x} {y} {z} deg/s', inputs: { x: { type: 'number', default: 0 }, y: { type: 'number', default: 90 }, z: { type: 'number', default: 0 } }, code: 'setSpin' },
 
             // === New Sound ===
             'sound_stop_all': { category: 'sound', type: 'command', label: 'Stop all sounds', code: 'stopAllSounds' },
@@ -258,11 +274,17 @@ class BlockCode {
             'event_lives_zero': { category: 'events', type: 'hat', label: 'When lives reach 0', icon: '💀', code: 'onLivesZero' },
             'var_show_dialog': { category: 'variables', type: 'command', label: 'Dialog {text}', inputs: { text: { type: 'text', default: 'Hello!' } }, code: 'showDialog' },
             'control_next_level': { category: 'control', type: 'command', label: 'Next level', code: 'nextLevel' },
+            'control_goto_level': { category: 'control', type: 'command', label: 'Go to level {level}', inputs: { level: { type: 'select', options: ['Level 1'], default: 'Level 1' } }, code: 'gotoLevel' },
             'event_level_start': { category: 'events', type: 'hat', label: 'When level starts', icon: '🎬', code: 'onLevelStart' },
             'var_start_timer': { category: 'variables', type: 'command', label: 'Countdown {seconds}s', inputs: { seconds: { type: 'number', default: 60 } }, code: 'startCountdown' },
             'var_show_timer': { category: 'variables', type: 'command', label: 'Show timer on HUD', code: 'showTimer' },
             'event_timer_done': { category: 'events', type: 'hat', label: 'When timer ends', icon: '⏰', code: 'onTimerDone' },
 
+            // ===== Multiplayer =====
+            'event_player_joins': { category: 'events', type: 'hat', label: 'When a player joins', icon: '👋', code: 'onPlayerJoin' },
+            'event_player_leaves': { category: 'events', type: 'hat', label: 'When a player leaves', icon: '🚪', code: 'onPlayerLeave' },
+            'event_other_player_touch': { category: 'events', type: 'hat', label: 'When another player touches this', icon: '🤝', code: 'onPlayerTouch' },
+
             // ===== Visual Effects =====
             'fx_screen_shake': { category: 'effects', type: 'command', label: 'Screen shake {intensity}', inputs: { intensity: { type: 'number', default: 5 } }, code: 'screenShake' },
             'fx_fade_out': { category: 'effects', type: 'command', label: 'Fade out {seconds}s', inputs: { seconds: { type: 'number', default: 1 } }, code: 'fadeOut' },
@@ -299,6 +321,9 @@ class BlockCode {
             'cloud_get': { category: 'cloud', type: 'command', label: 'Show cloud {key}', inputs: { key: { type: 'text', default: 'highscore' } }, code: 'cloudGet' },
             'cloud_change': { category: 'cloud', type: 'command', label: 'Change cloud {key} by {amount}', inputs: { key: { type: 'text', default: 'highscore' }, amount: { type: 'number', default: 1 } }, code: 'cloudChange' },
             'cloud_if': { category: 'cloud', type: 'c-block', label: 'If cloud {key} {op} {value}', inputs: { key: { type: 'text', default: 'highscore' }, op: { type: 'select', options: ['>','<','=','>=','<='], default: '>' }, value: { type: 'number', default: 0 } }, code: 'cloudIf' },
+            'cloud_submit_score': { category: 'cloud', type: 'command', label: 'Submit {var} to board {board}', inputs: { var: { type: 'select', options: ['score','coins','health','level'], default: 'score' }, board: { type: 'text', default: 'highscores' } }, code: 'submitScore' },
+            'cloud_show_leaderboard': { category: 'cloud', type: 'command', label: 'Show leaderboard {board} {window}', inputs: { board: { type: 'text', default: 'highscores' }, window: { type: 'select', options: ['all-time','weekly','daily'], default: 'all-time' } }, code: 'showLeaderboard' },
+            'event_cloud_change': { category: 'cloud', type: 'hat', label: 'When cloud {key} changes', icon: '☁️', inputs: { key: { type: 'text', default: 'highscore' } }, code: 'onCloudChange' },
 
         };
     }
@@ -358,7 +383,7 @@ class BlockCode {
         if (this.activeCategory === 'cloud') {
             const note = document.createElement('div');
             note.style.cssText = 'padding:8px 12px;font-size:11px;color:var(--text-dim);line-height:1.5;border:1px solid var(--border);border-radius:6px;margin-bottom:8px;background:rgba(33,150,243,0.05)';
-            note.textContent = 'Cloud variables require an account and work on published projects only. Data persists across sessions.';
+            note.textContent = 'Cloud variables require an account and work on published projects only. Data persists across sessions and updates live for everyone playing.';
             this.drawer.appendChild(note);
         }
 
@@ -372,7 +397,7 @@ class BlockCode {
         }
 
         // Blocks that require an object context
-        const objectOnlyBlocks = new Set(['event_click', 'event_collide', 'event_enemy_defeated', 'event_item_collected']);
+        const objectOnlyBlocks = new Set(['event_click', 'event_collide', 'event_touch_object', 'event_player_land', 'event_enemy_defeated', 'event_item_collected', 'event_other_player_touch']);
 
         // Render built-in blocks for the active category
         Object.entries(this.blocks).forEach(([blockId, blockDef]) => {
@@ -388,60 +413,139 @@ class BlockCode {
             this.drawer.appendChild(el);
         });
 
-        // Render custom blocks for My Blocks category
+        // Render custom blocks for My Blocks category: define hat, call block and parameter reporters
         if (this.activeCategory === 'myblocks') {
-            Object.entries(this.customBlocks).forEach(([blockId, blockDef]) => {
-                // Show the hat (definition) block
-                const hatEl = this._createBlockEl(blockDef.hat, null);
-                hatEl.dataset.blockId = blockId + '_def';
-                hatEl.addEventListener('pointerdown', (e) => {
-                    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
-                    e.preventDefault();
-                    this._startDrag(e, blockId + '_def', blockDef.hat, 'drawer', hatEl);
-                });
-                this.drawer.appendChild(hatEl);
-
-                // Show the call block
-                const callEl = this._createBlockEl(blockDef.call, null);
-                callEl.dataset.blockId = blockId + '_call';
-                callEl.addEventListener('pointerdown', (e) => {
-                    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
-                    e.preventDefault();
-                    this._startDrag(e, blockId + '_call', blockDef.call, 'drawer', callEl);
+            Object.values(this.customBlocks).forEach(spec => {
+                Object.keys(BlockCode.customBlockDefs(spec)).forEach(blockId => {
+                    const blockDef = this.blocks[blockId];
+                    const el = this._createBlockEl(blockDef, null);
+                    el.dataset.blockId = blockId;
+                    el.addEventListener('pointerdown', (e) => {
+                        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+                        e.preventDefault();
+                        this._startDrag(e, blockId, blockDef, 'drawer', el);
+                    });
+                    this.drawer.appendChild(el);
                 });
-                this.drawer.appendChild(callEl);
             });
         }
     }
 
     _showMakeBlockDialog() {
-        const name = prompt('Block name:', 'my block');
-        if (!name || !name.trim()) return;
-        const id = 'custom_' + Date.now();
-        const safeName = name.trim();
-
-        // Create hat (definition) and call (command) block pair
-        this.customBlocks[id] = {
-            hat: {
-                category: 'myblocks',
-                type: 'hat',
-                label: 'Define ' + safeName,
-                icon: '🧩',
-                code: 'customDef_' + id
-            },
-            call: {
-                category: 'myblocks',
-                type: 'command',
-                label: safeName,
-                code: 'customCall_' + id
-            }
+        const modal = document.getElementById('make-block-modal');
+        const nameInput = document.getElementById('make-block-name');
+        const paramList = document.getElementById('make-block-params');
+        const noRefresh = document.getElementById('make-block-no-refresh');
+
+        if (!this._makeBlockDialogReady) {
+            this._makeBlockDialogReady = true;
+            const close = () => modal.classList.add('hidden');
+            document.getElementById('make-block-close').addEventListener('click', close);
+            document.getElementById('make-block-cancel').addEventListener('click', close);
+            modal.addEventListener('click', (e) => { if (e.target === modal) close(); });
+            modal.querySelectorAll('[data-add-param]').forEach(btn => {
+                btn.addEventListener('click', () => this._addMakeBlockParamRow(paramList, btn.dataset.addParam));
+            });
+            document.getElementById('make-block-create').addEventListener('click', () => {
+                const name = BlockCode._cleanBlockName(nameInput.value);
+                if (!name) {
+                    nameInput.focus();
+                    return;
+                }
+                const params = Array.from(paramList.querySelectorAll('.make-block-param'), (row, i) => ({
+                    name: BlockCode._cleanBlockName(row.querySelector('input').value) || 'input' + (i + 1),
+                    type: row.dataset.type
+                }));
+                if (new Set(params.map(p => p.name)).size !== params.length) {
+                    alert('Each parameter needs its own name.');
+                    return;
+                }
+                this.registerCustomBlock({ id: 'custom_' + Date.now(), name, params, noRefresh: noRefresh.checked });
+                close();
+                this.renderDrawer();
+            });
+        }
+
+        nameInput.value = 'my block';
+        paramList.innerHTML = '';
+        noRefresh.checked = false;
+        modal.classList.remove('hidden');
+        nameInput.select();
+    }
+
+    _addMakeBlockParamRow(list, type) {
+        const row = document.createElement('div');
+        row.className = 'make-block-param';
+        row.dataset.type = type;
+        row.innerHTML = `
+            <span class="make-block-param-type">${type}</span>
+            <input type="text" class="prop-input" value="${type === 'boolean' ? 'condition' : type === 'text' ? 'text' : 'number'}${list.children.length + 1}">
+            <button class="part-remove" title="Remove parameter"><span class="material-icons-round">close</span></button>
+        `;
+        row.querySelector('.part-remove').addEventListener('click', () => row.remove());
+        list.appendChild(row);
+        row.querySelector('input').select();
+    }
+
+    // ===== Custom Blocks =====
+
+    // Block definitions for a custom block, keyed by block id: the define hat, the call block
+    // (one input per parameter) and a reporter for each parameter to use inside the definition
+    static customBlockDefs(spec) {
+        const params = spec.params || [];
+        const defs = {};
+        defs[spec.id + '_def'] = {
+            category: 'myblocks',
+            type: 'hat',
+            label: 'Define ' + spec.name + params.map(p => ' (' + p.name + ')').join('') + (spec.noRefresh ? ' ⚡' : ''),
+            icon: '🧩',
+            code: 'customDef_' + spec.id,
+            params,
+            noRefresh: !!spec.noRefresh
+        };
+        const inputs = {};
+        params.forEach((p, i) => {
+            if (p.type === 'boolean') inputs['arg' + i] = { type: 'select', options: ['true', 'false'], default: 'true', boolean: true };
+            else if (p.type === 'text') inputs['arg' + i] = { type: 'text', default: '' };
+            else inputs['arg' + i] = { type: 'number', default: 0 };
+        });
+        defs[spec.id + '_call'] = {
+            category: 'myblocks',
+            type: 'command',
+            label: spec.name + params.map((p, i) => ' {arg' + i + '}').join(''),
+            inputs,
+            code: 'customCall_' + spec.id
         };
+        params.forEach((p, i) => {
+            defs[spec.id + '_arg' + i] = { category: 'myblocks', type: 'reporter', label: p.name, code: 'customArg_' + spec.id + '_' + i };
+        });
+        return defs;
+    }
 
-        // Register blocks so they can be dragged
-        this.blocks[id + '_def'] = this.customBlocks[id].hat;
-        this.blocks[id + '_call'] = this.customBlocks[id].call;
+    // Names end up in block labels, which are HTML with {input} placeholders
+    static _cleanBlockName(name) {
+        return String(name || '').replace(/[<>&"{}]/g, '').trim().slice(0, 40);
+    }
 
-        this.renderDrawer();
+    // Specs from saved or shared projects get the same cleaning as ones made in the dialog
+    registerCustomBlock(spec) {
+        spec = {
+            ...spec,
+            name: BlockCode._cleanBlockName(spec.name) || 'block',
+            params: (spec.params || []).map((p, i) => ({ ...p, name: BlockCode._cleanBlockName(p.name) || 'input' + (i + 1) }))
+        };
+        this.customBlocks[spec.id] = spec;
+        Object.assign(this.blocks, BlockCode.customBlockDefs(spec));
+    }
+
+    // Replace the custom blocks with a saved list of specs
+    setCustomBlocks(specs) {
+        Object.values(this.customBlocks).forEach(spec => {
+            Object.keys(BlockCode.customBlockDefs(spec)).forEach(blockId => delete this.blocks[blockId]);
+        });
+        this.customBlocks = {};
+        (specs || []).forEach(spec => this.registerCustomBlock(spec));
+        if (this.activeCategory === 'myblocks') this.renderDrawer();
     }
 
     _showMakeVariableDialog() {
@@ -465,7 +569,7 @@ class BlockCode {
 
     _updateVariableDropdowns() {
         const allVars = this._getAllVariableNames();
-        const varBlockIds = ['var_set', 'var_change', 'var_show', 'var_if_check'];
+        const varBlockIds = ['var_set', 'var_change', 'var_show', 'var_if_check', 'sensing_variable'];
         varBlockIds.forEach(id => {
             const block = this.blocks[id];
             if (block && block.inputs && block.inputs.var) {
@@ -558,6 +662,18 @@ class BlockCode {
         }
     }
 
+    _updateLevelDropdowns(names) {
+        const opts = (names && names.length > 0) ? [...names] : ['Level 1'];
+        const block = this.blocks['control_goto_level'];
+        if (block && block.inputs && block.inputs.level) {
+            block.inputs.level.options = opts;
+            block.inputs.level.default = opts[0];
+        }
+        if (this.activeCategory === 'control') {
+            this.renderDrawer();
+        }
+    }
+
     _updateCustomSoundDropdowns(names) {
         const opts = names.length > 0 ? [...names] : ['(none)'];
         const block = this.blocks['sound_play_custom'];
@@ -570,6 +686,24 @@ class BlockCode {
         }
     }
 
+    // Condition dropdowns keep their built-in options and add one per scene object name and tag
+    _updateTouchDropdowns(names, tags) {
+        const extra = [...names.map(n => 'touching object ' + n), ...tags.map(t => 'touching tag ' + t)];
+        if (!this._conditionOptions) this._conditionOptions = {};
+        let changed = false;
+        ['control_if', 'control_if_else', 'control_while', 'control_wait_until'].forEach(id => {
+            const input = this.blocks[id]?.inputs?.condition;
+            if (!input) return;
+            if (!this._conditionOptions[id]) this._conditionOptions[id] = [...input.options];
+            const opts = [...this._conditionOptions[id], ...extra];
+            if (opts.join('\n') !== input.options.join('\n')) changed = true;
+            input.options = opts;
+        });
+        if (changed && this.activeCategory === 'control') {
+            this.renderDrawer();
+        }
+    }
+
     _updateAnimationDropdowns(names) {
         const opts = (names && names.length > 0) ? [...names] : ['(none)'];
         const animBlockIds = ['animation_play', 'animation_play_loop'];
@@ -618,7 +752,9 @@ class BlockCode {
             Object.entries(blockDef.inputs).forEach(([key, input]) => {
                 const currentValue = instanceData?.values?.[key] ?? input.default;
                 let replacement;
-                if (input.type === 'number') {
+                if (currentValue && typeof currentValue === 'object') {
+                    replacement = this._buildReporterSlot(key, currentValue);
+                } else if (input.type === 'number') {
                     replacement = `<input type="number" class="block-input" data-input="${key}" value="${currentValue}" step="0.1">`;
                 } else if (input.type === 'text') {
                     replacement = `<input type="text" class="block-input" data-input="${key}" value="${currentValue}" style="width:80px">`;
@@ -626,7 +762,7 @@ class BlockCode {
                     const options = input.options.map(opt =>
                         `<option value="${opt}" ${opt == currentValue ? 'selected' : ''}>${opt}</option>`
                     ).join('');
-                    replacement = `<select class="block-select" data-input="${key}">${options}</select>`;
+                    replacement = `<select class="block-select" data-input="${key}"${input.boolean ? ' data-boolean="1"' : ''}>${options}</select>`;
                 } else if (input.type === 'color') {
                     replacement = `<input type="color" class="block-input" data-input="${key}" value="${currentValue}" style="width:40px;height:20px;padding:0;border-radius:4px">`;
                 }
@@ -636,6 +772,13 @@ class BlockCode {
         return icon + label;
     }
 
+    // A reporter block sitting in an input, drawn inside its parent's label
+    _buildReporterSlot(key, reporterData) {
+        const def = this.blocks[reporterData.blockId];
+        if (!def) return '?';
+        return `<span class="block block-${def.category} reporter nested-reporter" data-instance-id="${reporterData.instanceId}" data-slot="${key}">${this._buildLabel(def, reporterData)}</span>`;
+    }
+
     _getDefaults(blockDef) {
         const values = {};
         if (blockDef.inputs) {
@@ -674,6 +817,8 @@ class BlockCode {
         this._currentSnapTarget = null;
         this._currentCBlockTarget = null;
         this._highlightCBlockBody(null, false);
+        this._currentReporterSlot = null;
+        this._highlightReporterSlot(null);
         const tray = document.getElementById('backpack-tray');
         if (tray) tray.classList.remove('backpack-drop-active');
     }
@@ -727,6 +872,16 @@ class BlockCode {
         const tray = document.getElementById('backpack-tray');
         if (tray) tray.classList.toggle('backpack-drop-active', overBackpack && !overDeleteZone);
 
+        // Reporters go into inputs rather than into stacks
+        if (this._dragBlockDef?.type === 'reporter') {
+            this._currentReporterSlot = overDeleteZone ? null : this._findReporterSlotAt(e);
+            this._highlightReporterSlot(this._currentReporterSlot);
+            this._currentSnapTarget = null;
+            this._currentCBlockTarget = null;
+            this._updateSnapIndicator();
+            return;
+        }
+
         // Check if dragging a hat block (can't go in c-blocks)
         let isHat = false;
         if (this._dragBlockDef) {
@@ -784,6 +939,33 @@ class BlockCode {
         }
     }
 
+    // Innermost input under the pointer that takes a reporter: number and text inputs, condition
+    // and true/false dropdowns, and reporters already in an input (which get replaced). Hat inputs don't.
+    _findReporterSlotAt(e) {
+        const PAD = 6;
+        let best = null;
+        let bestArea = Infinity;
+        this.workspace.querySelectorAll('.block-input[type="number"], .block-input[type="text"], .block-select[data-input="condition"], .block-select[data-boolean], .nested-reporter').forEach(el => {
+            if (this._dragSourceEl && this._dragSourceEl.contains(el)) return;
+            const owner = (el.classList.contains('nested-reporter') ? el.parentElement : el).closest('.block');
+            if (!owner || owner.classList.contains('hat')) return;
+            const rect = el.getBoundingClientRect();
+            if (e.clientX < rect.left - PAD || e.clientX > rect.right + PAD ||
+                e.clientY < rect.top - PAD || e.clientY > rect.bottom + PAD) return;
+            const area = rect.width * rect.height;
+            if (area < bestArea) {
+                bestArea = area;
+                best = { el, instanceId: parseInt(owner.dataset.instanceId), key: el.dataset.input || el.dataset.slot };
+            }
+        });
+        return best;
+    }
+
+    _highlightReporterSlot(slot) {
+        this.workspace.querySelectorAll('.reporter-slot-active').forEach(el => el.classList.remove('reporter-slot-active'));
+        if (slot) slot.el.classList.add('reporter-slot-active');
+    }
+
     _isOverDeleteZone(e) {
         const el = document.elementFromPoint(e.clientX, e.clientY);
         if (!el) return false;
@@ -934,7 +1116,9 @@ class BlockCode {
             return;
         }
 
-        if (this._dragSource === 'drawer') {
+        if (this._dragBlockDef?.type === 'reporter' && this._dropReporter(overDelete)) {
+            // Placed in an input, or pulled out of one and deleted
+        } else if (this._dragSource === 'drawer') {
             if (!overDelete) {
                 this._dropNewBlock(e);
             }
@@ -964,7 +1148,7 @@ class BlockCode {
 
         // 1. Check if dropping into a c-block body (highest priority)
         const cBlockTarget = this._currentCBlockTarget || this._findCBlockBodyAt(e);
-        if (cBlockTarget && blockDef.type !== 'hat') {
+        if (cBlockTarget && blockDef.type !== 'hat' && blockDef.type !== 'reporter') {
             const parent = this.workspaceScripts[cBlockTarget.stackIdx]?.blocks[cBlockTarget.blockIdx];
             if (parent) {
                 if (!parent.children) parent.children = [];
@@ -1000,6 +1184,39 @@ class BlockCode {
         this.saveScriptsToObject();
     }
 
+    // Put the dragged reporter into the input under the pointer. One pulled out of another input
+    // leaves it (and is deleted when dropped on the drawer); anywhere else it stays where it was.
+    // Returns false when there was nothing to do.
+    _dropReporter(overDelete) {
+        const slot = overDelete ? null : this._currentReporterSlot;
+        const from = this._dragSource.reporter !== undefined ? this._findReporterParent(this._dragSource.reporter) : null;
+        if (!slot && !(from && overDelete)) return false;
+
+        this.pushScriptUndo();
+        let reporterData;
+        if (from) {
+            reporterData = from.parent.values[from.key];
+            from.parent.values[from.key] = this._getDefaults(this.blocks[from.parent.blockId])[from.key];
+        } else {
+            reporterData = {
+                instanceId: this.nextBlockId++,
+                blockId: this._dragBlockId,
+                values: this._getDefaults(this._dragBlockDef),
+                children: []
+            };
+        }
+        if (slot) {
+            const target = this._findBlockInScripts(slot.instanceId);
+            if (target) {
+                if (!target.values) target.values = {};
+                target.values[slot.key] = reporterData;
+            }
+        }
+        this.renderWorkspace();
+        this.saveScriptsToObject();
+        return true;
+    }
+
     _findCBlockBodyAt(e) {
         const bodies = this.workspace.querySelectorAll('.c-block-body');
         for (const body of bodies) {
@@ -1215,6 +1432,19 @@ class BlockCode {
             this.workspace.appendChild(stackEl);
         });
 
+        // Reporters sitting in inputs drag out on their own (the innermost one under the pointer)
+        this.workspace.querySelectorAll('.nested-reporter').forEach(el => {
+            el.addEventListener('pointerdown', (e) => {
+                if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+                e.preventDefault();
+                e.stopPropagation();
+                const instanceId = parseInt(el.dataset.instanceId);
+                const reporterData = this._findBlockInScripts(instanceId);
+                if (!reporterData) return;
+                this._startDrag(e, reporterData.blockId, this.blocks[reporterData.blockId], { reporter: instanceId }, el);
+            });
+        });
+
         // Wire up input change listeners
         this.workspace.querySelectorAll('.block-input, .block-select').forEach(input => {
             input.addEventListener('change', () => { this.pushScriptUndo(); this._onInputChange(input); });
@@ -1273,6 +1503,9 @@ class BlockCode {
             el.innerHTML = this._buildLabel(blockDef, blockData);
         }
 
+        if (blockDef.type !== 'hat' && blockDef.type !== 'reporter') this._addBreakpointToggle(el, blockData);
+        if (blockDef.type === 'hat') this._addRetriggerToggle(el, blockData);
+
         // Mid-stack split: drag a non-first block to detach it and blocks below
         if (blockIdx > 0) {
             el.addEventListener('pointerdown', (e) => {
@@ -1286,6 +1519,46 @@ class BlockCode {
         return el;
     }
 
+    _addBreakpointToggle(el, blockData) {
+        const dot = document.createElement('span');
+        dot.className = 'block-breakpoint';
+        dot.title = 'Toggle breakpoint';
+        dot.addEventListener('pointerdown', (e) => e.stopPropagation());
+        dot.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleBreakpoint(blockData.instanceId);
+        });
+        el.classList.toggle('has-breakpoint', this.breakpoints.has(this._breakpointKey(blockData.instanceId)));
+        el.prepend(dot);
+    }
+
+    // What a hat does when it fires while its script is still running (see Runtime._runScript)
+    static RETRIGGER_POLICIES = {
+        parallel: { icon: 'call_split', title: 'Retrigger: run another copy alongside the running one' },
+        restart: { icon: 'restart_alt', title: 'Retrigger: stop the running script and start over' },
+        ignore: { icon: 'block', title: 'Retrigger: ignore while the script is running' }
+    };
+
+    _addRetriggerToggle(el, blockData) {
+        const policy = blockData.retrigger || 'parallel';
+        const badge = document.createElement('span');
+        badge.className = 'hat-retrigger' + (policy !== 'parallel' ? ' active' : '');
+        badge.innerHTML = `<span class="material-icons-round">${BlockCode.RETRIGGER_POLICIES[policy].icon}</span>`;
+        badge.title = BlockCode.RETRIGGER_POLICIES[policy].title + ' (click to change)';
+        badge.addEventListener('pointerdown', (e) => e.stopPropagation());
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const policies = Object.keys(BlockCode.RETRIGGER_POLICIES);
+            const next = policies[(policies.indexOf(policy) + 1) % policies.length];
+            this.pushScriptUndo();
+            if (next === 'parallel') delete blockData.retrigger;
+            else blockData.retrigger = next;
+            this.saveScriptsToObject();
+            this.renderWorkspace();
+        });
+        el.appendChild(badge);
+    }
+
     _makeStackDraggable(stackEl, stackData) {
         let isDragging = false;
         let startX, startY, origX, origY;
@@ -1436,13 +1709,10 @@ class BlockCode {
         let value = inputEl.value;
         if (inputEl.type === 'number') value = parseFloat(value) || 0;
 
-        for (const stack of this.workspaceScripts) {
-            const block = this._findBlock(stack.blocks, instanceId);
-            if (block) {
-                if (!block.values) block.values = {};
-                block.values[inputKey] = value;
-                break;
-            }
+        const block = this._findBlockInScripts(instanceId);
+        if (block) {
+            if (!block.values) block.values = {};
+            block.values[inputKey] = value;
         }
         this.saveScriptsToObject();
     }
@@ -1454,6 +1724,47 @@ class BlockCode {
                 const found = this._findBlock(block.children, instanceId);
                 if (found) return found;
             }
+            const reporters = this._reporterInputs(block).map(([, reporter]) => reporter);
+            if (reporters.length > 0) {
+                const found = this._findBlock(reporters, instanceId);
+                if (found) return found;
+            }
+        }
+        return null;
+    }
+
+    _findBlockInScripts(instanceId) {
+        for (const stack of this.workspaceScripts) {
+            const block = this._findBlock(stack.blocks, instanceId);
+            if (block) return block;
+        }
+        return null;
+    }
+
+    // Reporter blocks sitting in a block's inputs, as [inputKey, reporterData] pairs
+    _reporterInputs(block) {
+        return Object.entries(block.values || {}).filter(([, value]) => value && typeof value === 'object' && value.blockId);
+    }
+
+    // The block and input key holding the reporter with this instance id
+    _findReporterParent(instanceId, blocks = null) {
+        if (!blocks) {
+            for (const stack of this.workspaceScripts) {
+                const found = this._findReporterParent(instanceId, stack.blocks);
+                if (found) return found;
+            }
+            return null;
+        }
+        for (const block of blocks) {
+            for (const [key, reporter] of this._reporterInputs(block)) {
+                if (reporter.instanceId === instanceId) return { parent: block, key };
+                const found = this._findReporterParent(instanceId, [reporter]);
+                if (found) return found;
+            }
+            if (block.children) {
+                const found = this._findReporterParent(instanceId, block.children);
+                if (found) return found;
+            }
         }
         return null;
     }
@@ -1489,6 +1800,7 @@ class BlockCode {
             for (const b of blocks) {
                 if (b.instanceId > max) max = b.instanceId;
                 if (b.children) max = Math.max(max, findMax(b.children));
+                max = Math.max(max, findMax(this._reporterInputs(b).map(([, reporter]) => reporter)));
             }
             return max;
         };
@@ -1513,6 +1825,7 @@ class BlockCode {
 
     pushScriptUndo() {
         if (this._undoSuppressed) return;
+        if (this.onScriptEdit) this.onScriptEdit(this.targetObject, this.workspaceScripts);
         this._scriptUndoStack.push(JSON.stringify(this.workspaceScripts));
         if (this._scriptUndoStack.length > this._maxScriptUndo) this._scriptUndoStack.shift();
         this._scriptRedoStack = [];
@@ -1604,7 +1917,13 @@ class BlockCode {
         const values = { ...defaults };
         if (block.values && typeof block.values === 'object') {
             for (const [k, v] of Object.entries(block.values)) {
-                if (k in defaults) values[k] = v;
+                if (!(k in defaults)) continue;
+                if (v && typeof v === 'object') {
+                    // Reporter blocks can fill inputs; anything else keeps the default
+                    if (this.blocks[v.blockId]?.type === 'reporter') values[k] = this._buildBlockData(v);
+                } else {
+                    values[k] = v;
+                }
             }
         }
 
@@ -1614,6 +1933,7 @@ class BlockCode {
             values,
             children: []
         };
+        if (def.type === 'hat' && Object.keys(BlockCode.RETRIGGER_POLICIES).includes(block.retrigger)) blockData.retrigger = block.retrigger;
 
         if (Array.isArray(block.children) && def.type === 'c-block') {
             for (const child of block.children.slice(0, 15)) {
@@ -1891,6 +2211,7 @@ class BlockCode {
             if (block.children) {
                 this._reassignInstanceIds(block.children);
             }
+            this._reassignInstanceIds(this._reporterInputs(block).map(([, reporter]) => reporter));
         }
     }
 
@@ -1902,6 +2223,43 @@ class BlockCode {
                e.clientY >= rect.top && e.clientY <= rect.bottom;
     }
 
+    // ===== Debugger =====
+
+    // Same keys as Runtime._scriptOwnerKey: instance ids are only unique per object
+    _breakpointKey(instanceId) {
+        return (this.targetObject ? this.targetObject.userData.id : 'global') + ':' + instanceId;
+    }
+
+    toggleBreakpoint(instanceId) {
+        const key = this._breakpointKey(instanceId);
+        if (this.breakpoints.has(key)) this.breakpoints.delete(key);
+        else this.breakpoints.add(key);
+        const el = this.workspace.querySelector(`.block[data-instance-id="${instanceId}"]`);
+        if (el) el.classList.toggle('has-breakpoint', this.breakpoints.has(key));
+    }
+
+    clearBreakpoints() {
+        this.breakpoints.clear();
+        this.workspace.querySelectorAll('.block.has-breakpoint').forEach(el => el.classList.remove('has-breakpoint'));
+    }
+
+    // Outline the block each running script of the shown object is on (threads come from
+    // Runtime.scriptThreads()); the paused one gets its own style
+    showRunningBlocks(threads) {
+        const owner = this.targetObject ? this.targetObject.userData.id : 'global';
+        const running = new Map(); // instanceId -> paused here
+        threads.forEach(t => {
+            if (t.objectKey !== owner || !t.block) return;
+            const id = String(t.block.instanceId);
+            running.set(id, running.get(id) || (t.focused && t.status === 'paused'));
+        });
+        this.workspace.querySelectorAll('.block[data-instance-id]').forEach(el => {
+            const id = el.dataset.instanceId;
+            el.classList.toggle('block-running', running.has(id));
+            el.classList.toggle('block-paused-here', running.get(id) === true);
+        });
+    }
+
     // ===== Script Compilation =====
 
     compileScripts(obj) {
@@ -1915,8 +2273,14 @@ class BlockCode {
             const compiledStack = {
                 trigger: firstDef.code,
                 triggerValues: firstBlock.values || {},
+                blockId: firstBlock.blockId,
+                instanceId: firstBlock.instanceId,
+                retrigger: firstBlock.retrigger || 'parallel',
                 commands: []
             };
+            // Define hats of custom blocks carry what a call needs to run them
+            if (firstDef.params) compiledStack.params = firstDef.params;
+            if (firstDef.noRefresh) compiledStack.noRefresh = true;
             for (let i = 1; i < stack.blocks.length; i++) {
                 compiledStack.commands.push(this._compileBlock(stack.blocks[i]));
             }
@@ -1931,11 +2295,22 @@ class BlockCode {
         const compiled = {
             code: blockDef.code,
             values: blockData.values || {},
-            type: blockDef.type
+            type: blockDef.type,
+            blockId: blockData.blockId,
+            instanceId: blockData.instanceId // lets the debugger map running commands back to blocks
         };
+        // Reporters in inputs become expression trees that Runtime evaluates each time the block runs
+        Object.entries(compiled.values).forEach(([key, value]) => {
+            if (!value || typeof value !== 'object') return;
+            if (!compiled.reporters) compiled.values = { ...compiled.values };
+            compiled.reporters = true;
+            compiled.values[key] = this._compileBlock(value);
+        });
         if (blockData.children && blockData.children.length > 0) {
             compiled.children = blockData.children.map(child => this._compileBlock(child));
         }
         return compiled;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) module.exports = BlockCode;
@@ -0,0 +1,238 @@
+/**
+ * GamePlayer - Plays a project outside the editor
+ * Wires a viewer-mode Scene3D, a script-compiling BlockCode stub and a Runtime together,
+ * and loads project levels into them. Used by the project page viewer and by exported
+ * standalone HTML games.
+ */
+class GamePlayer {
+    constructor(canvas, domMap = {}) {
+        this.scene3d = new Scene3D(canvas, { viewerMode: true });
+
+        // Minimal blockCode that can compile scripts using the real block definitions
+        const blockDefs = BlockCode.prototype.defineBlocks.call({});
+        this.blockCode = {
+            customVariables: [],
+            customMessages: [],
+            blocks: blockDefs,
+            compileScripts: BlockCode.prototype.compileScripts,
+            _compileBlock: BlockCode.prototype._compileBlock
+        };
+
+        this.runtime = new Runtime(this.scene3d, this.blockCode, domMap);
+        this.runtime.onLoadLevel = (level) => this.loadLevel(level);
+
+        this.levels = [];
+        this.settings = null;
+        this.loadingScreen = null;
+        this.terrain = null;
+    }
+
+    // Published and exported games always start from the first level. Throws when the
+    // project data is malformed (see ProjectFormat.load).
+    load(data) {
+        data = ProjectFormat.load(data);
+        this.levels = GamePlayer.levelsFromData(data);
+        this.loadLevel(this.levels[0]);
+        this.runtime.levels = this.levels;
+        this.settings = GamePlayer.settingsFromData(data, this.levels[0]);
+        this.loadingScreen = data.environment?.loadingScreen || null;
+
+        if (data.customVariables) this.blockCode.customVariables = data.customVariables;
+        if (data.customMessages) this.blockCode.customMessages = data.customMessages;
+        (data.customBlocks || []).forEach(spec => Object.assign(this.blockCode.blocks, BlockCode.customBlockDefs(spec)));
+        if (data.globalScripts) this.blockCode.globalScripts = data.globalScripts;
+        this.runtime._uiScreens = data.uiScreens || [];
+        this.runtime._customSounds = data.sounds || [];
+
+        this.scene3d._needsRender = true;
+    }
+
+    loadLevel(level) {
+        this.scene3d.deserialize(level.scene || []);
+
+        if (level.environment) {
+            const env = level.environment;
+            if (env.skyColor) this.scene3d.setSkyColor(env.skyColor);
+            if (env.skybox) this.scene3d.setSkybox(env.skybox);
+            if (env.ambientLight) this.scene3d.setAmbientIntensity(env.ambientLight / 100);
+            if (env.fogDensity) this.scene3d.setFog(parseInt(env.fogDensity));
+            if (env.shadows !== undefined) this.scene3d.setShadows(env.shadows);
+            if (env.weather) this.scene3d.setWeather(env.weather);
+        }
+
+        if (this.terrain) {
+            this.scene3d.scene.remove(this.terrain);
+            this.terrain.geometry.dispose();
+            this.terrain.material.dispose();
+            this.terrain = null;
+        }
+        if (level.terrain) {
+            this.terrain = GamePlayer.buildTerrainMesh(level.terrain);
+            this.scene3d.scene.add(this.terrain);
+        }
+        this.scene3d._needsRender = true;
+    }
+
+    // With a replay (see Runtime.lastReplay) the recorded run plays back instead of live input
+    start(replay = null) {
+        if (this.runtime.isRunning) return;
+        this.runtime.currentLevelIndex = 0;
+        this.runtime.playerColors = this.settings.playerColors;
+        this.runtime.characterParts = this.settings.characterParts;
+        this.runtime.start(this.settings, { replay });
+    }
+
+    stop() {
+        if (this.runtime.isRunning) this.runtime.stop();
+    }
+
+    // Put the first level back after a run that switched levels
+    reset() {
+        if (this.runtime._levelChanged && this.levels.length > 0) this.loadLevel(this.levels[0]);
+    }
+
+    dispose() {
+        this.stop();
+        this.scene3d.dispose();
+    }
+
+    // Entry point of exported standalone games (see App.exportPlayableHtml). Shows the loading
+    // screen, then waits for a click so audio and pointer lock are allowed before playing.
+    static bootStandalone(data) {
+        const player = new GamePlayer(document.getElementById('pp-canvas'), {
+            crosshair: document.getElementById('pp-crosshair'),
+            playOverlay: document.getElementById('pp-play-overlay'),
+            statusMode: null,
+            gameHud: document.getElementById('pp-game-hud')
+        });
+        player.load(data);
+
+        const startOverlay = document.getElementById('standalone-start');
+        startOverlay.addEventListener('click', () => {
+            startOverlay.classList.add('hidden');
+            player.start();
+        });
+        player.runtime.onStop = () => {
+            player.reset();
+            startOverlay.classList.remove('hidden');
+        };
+
+        const ls = player.loadingScreen;
+        if (ls && ls.title && ls.duration > 0) {
+            const overlay = document.getElementById('game-loading-screen');
+            startOverlay.classList.add('hidden');
+            GamePlayer.showLoadingScreen(overlay, ls, () => {
+                setTimeout(() => {
+                    overlay.classList.add('hidden');
+                    overlay.innerHTML = '';
+                }, 500);
+                startOverlay.classList.remove('hidden');
+            });
+        }
+
+        window.addEventListener('resize', () => player.scene3d.onResize());
+        player.scene3d.onResize();
+        return player;
+    }
+
+    static levelsFromData(data) {
+        const active = { scene: data.scene || [], environment: data.environment || null, terrain: data.terrain || null };
+        if (!Array.isArray(data.levels) || data.levels.length === 0) return [{ name: 'Level 1', ...active }];
+        const current = parseInt(data.currentLevel) || 0;
+        return data.levels.map((l, i) => i === current ? { ...active, name: l.name } : l);
+    }
+
+    static settingsFromData(data, firstLevel) {
+        const env = data.environment || {};
+        const firstEnv = firstLevel?.environment || {};
+        return {
+            controlScheme: env.controlScheme || 'first-person',
+            speed: env.speed || 6,
+            jumpForce: env.jumpForce || 8,
+            maxSlope: env.maxSlope ?? 45,
+            stepHeight: env.stepHeight ?? 0.35,
+            sensitivity: env.sensitivity || 5,
+            keyBindings: env.keyBindings || {
+                moveForward: 'KeyW',
+                moveBack: 'KeyS',
+                moveLeft: 'KeyA',
+                moveRight: 'KeyD',
+                lookUp: 'ArrowUp',
+                lookDown: 'ArrowDown',
+                lookLeft: 'ArrowLeft',
+                lookRight: 'ArrowRight',
+                jump: 'Space'
+            },
+            playerColors: env.playerColors || { body: '#4c97ff', head: '#f5cba7', detail: '#e0b090' },
+            characterParts: env.characterParts || null,
+            bgMusic: firstEnv.bgMusic || 'none',
+            musicVolume: firstEnv.musicVolume || 30
+        };
+    }
+
+    static buildTerrainMesh(terrain) {
+        const { size, resolution, heightData, colorData, terrainCollision } = terrain;
+        const geo = new THREE.PlaneGeometry(size, size, resolution, resolution);
+        geo.rotateX(-Math.PI / 2);
+        const pos = geo.attributes.position;
+        const hArr = new Float32Array(heightData);
+        for (let i = 0; i < pos.count && i < hArr.length; i++) {
+            pos.setY(i, hArr[i]);
+        }
+        geo.computeVertexNormals();
+        const colors = colorData ? new Float32Array(colorData) : new Float32Array(pos.count * 3);
+        if (!colorData) {
+            for (let i = 0; i < colors.length; i += 3) {
+                colors[i] = 0.29; colors[i + 1] = 0.49; colors[i + 2] = 0.25;
+            }
+        }
+        geo.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        const mat = new THREE.MeshStandardMaterial({ vertexColors: true, roughness: 0.9, metalness: 0, side: THREE.DoubleSide });
+        const mesh = new THREE.Mesh(geo, mat);
+        mesh.receiveShadow = true;
+        mesh.userData.isTerrain = true;
+        mesh.userData.terrainSize = size;
+        mesh.userData.terrainResolution = resolution;
+        mesh.userData.heightData = hArr;
+        mesh.userData.colorData = new Float32Array(colors);
+        mesh.userData.terrainCollision = terrainCollision !== false;
+        mesh.name = 'Terrain';
+        return mesh;
+    }
+
+    // Show the project's loading screen in `overlay`. Once the bar fills the overlay starts
+    // fading out and onComplete runs; hiding it afterwards is up to the caller.
+    static showLoadingScreen(overlay, ls, onComplete) {
+        overlay.classList.remove('hidden', 'fade-out');
+        overlay.style.background = ls.bgColor;
+        if (ls.bgImage) {
+            overlay.style.backgroundImage = `url(${ls.bgImage})`;
+            overlay.style.backgroundSize = 'cover';
+            overlay.style.backgroundPosition = 'center';
+        } else {
+            overlay.style.backgroundImage = '';
+        }
+        overlay.innerHTML = `
+            <span class="gls-title">${ls.title}</span>
+            ${ls.subtitle ? `<span class="gls-subtitle">${ls.subtitle}</span>` : ''}
+            <div class="gls-progress"><div class="gls-progress-fill"></div></div>
+        `;
+
+        const duration = (ls.duration || 2) * 1000;
+        const startTime = performance.now();
+        const fill = overlay.querySelector('.gls-progress-fill');
+
+        const animateProgress = () => {
+            const elapsed = performance.now() - startTime;
+            const pct = Math.min(elapsed / duration, 1);
+            if (fill) fill.style.width = (pct * 100) + '%';
+            if (pct < 1) {
+                requestAnimationFrame(animateProgress);
+            } else {
+                overlay.classList.add('fade-out');
+                onComplete();
+            }
+        };
+        requestAnimationFrame(animateProgress);
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * ProjectFormat - Versioned schema for saved project JSON
+ * Every load path runs project data through ProjectFormat.load(), which upgrades it one
+ * version at a time with the migrators below and then validates the result. The server
+ * requires this file too, so published projects are checked against the same rules.
+ */
+class ProjectFormat {
+    static CURRENT_VERSION = 3;
+
+    // MIGRATORS[n] upgrades a version n project to version n + 1, mutating it in place
+    static MIGRATORS = {
+        // Saves from before the version field existed
+        0: (data) => {
+            if (!data.type) data.type = '3d';
+            if (typeof data.name !== 'string') data.name = 'My Game';
+            if (!Array.isArray(data.scene)) data.scene = [];
+        },
+        // Levels became part of the format; older projects are a single level
+        1: (data) => {
+            if (!Array.isArray(data.levels) || data.levels.length === 0) {
+                data.levels = [{ name: 'Level 1' }];
+                data.currentLevel = 0;
+            }
+            ProjectFormat._eachSceneObject(data, item => {
+                if (!Array.isArray(item.scripts)) item.scripts = [];
+            });
+        },
+        // Unanchored objects became rigid bodies. Nothing was simulated before, and new objects
+        // used to be unanchored by default, so pin everything to keep older games as they were.
+        2: (data) => {
+            ProjectFormat._eachSceneObject(data, item => { item.anchored = true; });
+        }
+    };
+
+    static MAX_REPORTED_ERRORS = 20;
+
+    // Values of a scene object's `collider` field ('auto' picks one from the object type)
+    static COLLIDER_SHAPES = ['auto', 'box', 'sphere', 'capsule', 'hull', 'none'];
+
+    // Parameter types of custom blocks (the `customBlocks` list)
+    static CUSTOM_PARAM_TYPES = ['number', 'text', 'boolean'];
+
+    // Custom block and parameter names become block labels, which are HTML with {input} slots
+    static UNSAFE_NAME_CHARS = /[<>&"{}]/;
+
+    // Returns an upgraded copy of `data`. Throws an Error with an `errors` list when the
+    // project is malformed or was saved by a newer version of the editor.
+    static load(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw ProjectFormat._error(['Project data must be a JSON object']);
+        }
+        const migrated = ProjectFormat.migrate(data);
+        const errors = ProjectFormat.validate(migrated);
+        if (errors.length > 0) throw ProjectFormat._error(errors);
+        return migrated;
+    }
+
+    static migrate(data) {
+        const out = JSON.parse(JSON.stringify(data));
+        let version = out.version === undefined ? 0 : out.version;
+        if (!Number.isInteger(version) || version < 0) return out;
+        while (version < ProjectFormat.CURRENT_VERSION) {
+            ProjectFormat.MIGRATORS[version](out);
+            version++;
+        }
+        out.version = version;
+        return out;
+    }
+
+    // Readable list of problems ("scene[3].position.x must be a number"); empty when valid
+    static validate(data) {
+        const errors = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return ['Project data must be a JSON object'];
+
+        if (!Number.isInteger(data.version) || data.version < 0) {
+            errors.push('version must be a whole number');
+        } else if (data.version > ProjectFormat.CURRENT_VERSION) {
+            errors.push(`This project uses format version ${data.version}, but this editor only supports up to version ${ProjectFormat.CURRENT_VERSION}`);
+            return errors;
+        }
+        if (data.name !== undefined && typeof data.name !== 'string') errors.push('name must be text');
+
+        ProjectFormat._checkScene(data.scene, 'scene', errors);
+        ['customVariables', 'customLocalVariables', 'customMessages', 'customBlocks', 'globalScripts', 'customObjects', 'uiScreens', 'sounds'].forEach(key => {
+            if (data[key] !== undefined && !Array.isArray(data[key])) errors.push(`${key} must be a list`);
+        });
+        if (Array.isArray(data.customBlocks)) ProjectFormat._checkCustomBlocks(data.customBlocks, errors);
+        if (data.environment !== undefined && !ProjectFormat._isObject(data.environment)) errors.push('environment must be an object');
+        if (data.terrain) ProjectFormat._checkTerrain(data.terrain, 'terrain', errors);
+
+        if (!Array.isArray(data.levels) || data.levels.length === 0) {
+            errors.push('levels must be a non-empty list');
+        } else {
+            const current = data.currentLevel === undefined ? 0 : data.currentLevel;
+            if (!Number.isInteger(current) || current < 0 || current >= data.levels.length) {
+                errors.push(`currentLevel must be between 0 and ${data.levels.length - 1}`);
+            }
+            data.levels.forEach((level, i) => {
+                const path = `levels[${i}]`;
+                if (!ProjectFormat._isObject(level)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                if (typeof level.name !== 'string') errors.push(`${path}.name must be text`);
+                // The active level's content lives at the top level, so its entry is only a name
+                if (i === current) return;
+                if (level.scene !== undefined) ProjectFormat._checkScene(level.scene, path + '.scene', errors);
+                if (level.environment !== undefined && !ProjectFormat._isObject(level.environment)) errors.push(`${path}.environment must be an object`);
+                if (level.terrain) ProjectFormat._checkTerrain(level.terrain, path + '.terrain', errors);
+            });
+        }
+
+        if (errors.length > ProjectFormat.MAX_REPORTED_ERRORS) {
+            const extra = errors.length - ProjectFormat.MAX_REPORTED_ERRORS;
+            errors.length = ProjectFormat.MAX_REPORTED_ERRORS;
+            errors.push(`...and ${extra} more problem${extra === 1 ? '' : 's'}`);
+        }
+        return errors;
+    }
+
+    static _checkScene(scene, path, errors) {
+        if (!Array.isArray(scene)) {
+            errors.push(`${path} must be a list of objects`);
+            return;
+        }
+        scene.forEach((item, i) => {
+            const itemPath = `${path}[${i}]`;
+            if (!ProjectFormat._isObject(item)) {
+                errors.push(`${itemPath} must be an object`);
+                return;
+            }
+            if (typeof item.type !== 'string' || !item.type) errors.push(`${itemPath}.type is missing`);
+            ['position', 'rotation', 'scale'].forEach(key => {
+                if (item[key] === undefined) return;
+                if (!ProjectFormat._isObject(item[key])) {
+                    errors.push(`${itemPath}.${key} must be an {x, y, z} object`);
+                    return;
+                }
+                ['x', 'y', 'z'].forEach(axis => {
+                    if (typeof item[key][axis] !== 'number' || !isFinite(item[key][axis])) {
+                        errors.push(`${itemPath}.${key}.${axis} must be a number`);
+                    }
+                });
+            });
+            if (item.color !== undefined && item.color !== null && typeof item.color !== 'string') errors.push(`${itemPath}.color must be text`);
+            if (item.scripts !== undefined && !Array.isArray(item.scripts)) errors.push(`${itemPath}.scripts must be a list`);
+            if (item.tags !== undefined && (!Array.isArray(item.tags) || item.tags.some(t => typeof t !== 'string'))) {
+                errors.push(`${itemPath}.tags must be a list of text`);
+            }
+            if (item.collider !== undefined && !ProjectFormat.COLLIDER_SHAPES.includes(item.collider)) {
+                errors.push(`${itemPath}.collider must be one of ${ProjectFormat.COLLIDER_SHAPES.join(', ')}`);
+            }
+        });
+    }
+
+    // "My Blocks" definitions: { id, name, params: [{ name, type }], noRefresh }
+    static _checkCustomBlocks(blocks, errors) {
+        blocks.forEach((block, i) => {
+            const path = `customBlocks[${i}]`;
+            if (!ProjectFormat._isObject(block)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            if (typeof block.id !== 'string' || !block.id) errors.push(`${path}.id is missing`);
+            if (typeof block.name !== 'string' || !block.name) errors.push(`${path}.name must be text`);
+            else if (ProjectFormat.UNSAFE_NAME_CHARS.test(block.name)) errors.push(`${path}.name can't contain < > & " { }`);
+            if (!Array.isArray(block.params)) {
+                errors.push(`${path}.params must be a list`);
+                return;
+            }
+            block.params.forEach((param, j) => {
+                if (!ProjectFormat._isObject(param) || typeof param.name !== 'string') {
+                    errors.push(`${path}.params[${j}].name must be text`);
+                } else if (ProjectFormat.UNSAFE_NAME_CHARS.test(param.name)) {
+                    errors.push(`${path}.params[${j}].name can't contain < > & " { }`);
+                } else if (!ProjectFormat.CUSTOM_PARAM_TYPES.includes(param.type)) {
+                    errors.push(`${path}.params[${j}].type must be one of ${ProjectFormat.CUSTOM_PARAM_TYPES.join(', ')}`);
+                }
+            });
+        });
+    }
+
+    static _checkTerrain(terrain, path, errors) {
+        if (!ProjectFormat._isObject(terrain)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        if (typeof terrain.size !== 'number' || terrain.size <= 0) errors.push(`${path}.size must be a positive number`);
+        if (!Number.isInteger(terrain.resolution) || terrain.resolution <= 0) {
+            errors.push(`${path}.resolution must be a positive whole number`);
+            return;
+        }
+        const points = (terrain.resolution + 1) * (terrain.resolution + 1);
+        if (!Array.isArray(terrain.heightData) || terrain.heightData.length !== points) {
+            errors.push(`${path}.heightData must have ${points} values`);
+        }
+        if (terrain.colorData && (!Array.isArray(terrain.colorData) || terrain.colorData.length !== points * 3)) {
+            errors.push(`${path}.colorData must have ${points * 3} values`);
+        }
+    }
+
+    // Visits the objects of the active scene and of every stored level
+    static _eachSceneObject(data, fn) {
+        const levels = Array.isArray(data.levels) ? data.levels : [];
+        [data.scene, ...levels.map(l => l && l.scene)].forEach(scene => {
+            if (!Array.isArray(scene)) return;
+            scene.forEach(item => {
+                if (ProjectFormat._isObject(item)) fn(item);
+            });
+        });
+    }
+
+    static _isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static _error(errors) {
+        const err = new Error('Invalid project: ' + errors[0]);
+        err.errors = errors;
+        return err;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ProjectFormat;
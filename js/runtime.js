@@ -3,6 +3,12 @@
  * Handles player controller, physics, script execution, and game logic
  */
 class Runtime {
+    static STEP = 1 / 60;               // seconds of game time per simulation step
+    static MAX_STEPS_PER_FRAME = 5;     // beyond this a slow frame drops time instead of catching up
+    static REPLAY_VERSION = 1;
+    static MAX_CALL_DEPTH = 100;        // nested custom block calls per script, so runaway recursion ends
+    static WARP_LOOP_PASSES = 10000;    // loop passes a no-refresh custom block runs before yielding a frame
+
     constructor(scene3d, blockCode, domMap = {}) {
         this.scene3d = scene3d;
         this.blockCode = blockCode;
@@ -18,6 +24,9 @@ class Runtime {
         this.hudElements = [];
         this.soundVolume = 1.0;
 
+        // Rigid body physics (bodies live on obj.userData._body)
+        this.physicsGravity = -20;
+
         // Projectile system
         this.projectiles = [];
         this._fireRates = new Map();
@@ -72,14 +81,72 @@ class Runtime {
         // Debug variables panel
         this._debugVarsEnabled = false;
         this._debugFrameCount = 0;
+        this._showCollisionGrid = false;
+        this._collisionGridOverlay = null;
+        this._collisionStats = null;
 
         // Number displays
         this._numberDisplays = new Map();
 
+        // Script debugger: every script run is a thread the debugger can pause and step
+        this._threads = new Set(); // { id, object, objectKey, script, block, since, background, finished, stopped }
+        this._threadSeq = 0;
+        this._threadStats = { started: 0, restarted: 0, ignored: 0, stopped: 0 };
+        this._warnings = []; // problems shown in the debugger panel, each once per run
+        this.breakpoints = new Set(); // "<object id or 'global'>:<block instanceId>", shared with the editor
+        this._debugger = { paused: false, stepping: false, frameStep: false, focus: null, waiters: [] };
+        this.onDebuggerUpdate = null; // called when pausing/resuming and every few frames while running
+
+        // Levels (set by the host before start): [{ name, scene, environment, terrain }]
+        this.levels = [];
+        this.currentLevelIndex = 0;
+        this._levelChanged = false;
+        this.onLoadLevel = null;
+
+        // Live multiplayer (wired up by the host when the game is played online)
+        this.remotePlayers = new Map(); // playerId → { mesh, label, displayName, target, targetYaw, level, touching }
+        this.netTickRate = 10;
+        this.onNetworkState = null; // called at the tick rate with the local player's transform
+        this.onNetworkBroadcast = null; // called when a script broadcasts, to relay it to other players
+        this._netSendTimer = 0;
+        this._netLastState = null;
+
+        // Cloud variables: live updates over a WebSocket subscription, REST as a fallback
+        this.cloudProjectId = null; // set by the host; defaults to the project open in the editor
+        this._cloudWs = null;
+        this._cloudServerValues = {}; // last value the server reported, to detect real changes
+        this._cloudSynced = false; // true once the subscription snapshot arrived
+
+        // Fixed-timestep simulation: the loop runs whole steps and rendering interpolates between
+        // the last two, so a run depends only on its seed and its input (see Replays)
+        this.frame = 0;
+        this.simTime = 0;
+        this.seed = 0;
+        this.random = Math.random; // seeded per run
+        this._accumulator = 0;
+        this._lastLoopTime = null;
+        this._renderAlpha = 1;
+        this._interpolated = new Map(); // Object3D -> { position, quaternion, stamp } before the last step
+        this._simTimers = []; // { due, interval, fn, seq } on the simulated clock; sleep() uses these too
+        this._timerSeq = 0;
+        this._drainChannel = null;
+
+        // Input recording and replay
+        this._inputQueue = []; // live input waiting for the next step
+        this.mouse = { x: 0, y: 0 }; // pointer over the viewport, -1..1 from bottom left, as of the last step
+        this._recording = null;
+        this._replay = null; // recording being played back
+        this._replayCursor = 0;
+        this.lastReplay = null; // recording of the last finished run
+
         // Reusable temp objects to reduce allocations in hot loops
         this._tempVec3 = new THREE.Vector3();
         this._tempBox3 = new THREE.Box3();
+        this._tempQuat = new THREE.Quaternion();
         this._closestPoint = new THREE.Vector3();
+        this._hullCache = new Map();
+        this._hullGeometryCache = new WeakMap();
+        this._colliderCache = new Map();
 
         // Audio context for sound effects
         this.audioCtx = null;
@@ -97,11 +164,37 @@ class Runtime {
 
     // ===== Start/Stop =====
 
-    start(settings = {}) {
+    // options.replay plays back a recording (see lastReplay) instead of taking live input
+    start(settings = {}, options = {}) {
         if (this.isRunning) return;
         this.isRunning = true;
         this.gameTimer = 0;
-        this.variables = { score: 0, health: 100, coins: 0, speed: 5, level: 1 };
+
+        // The same seed and the same input on the same frames give the same run
+        this._replay = options.replay || null;
+        this._replayCursor = 0;
+        this.seed = this._replay ? this._replay.seed : Math.floor(Math.random() * 0x100000000);
+        this.random = Runtime.seededRandom(this.seed);
+        this.frame = 0;
+        this.simTime = 0;
+        this._simTimers = [];
+        this._inputQueue = [];
+        this._interpolated.clear();
+        this.keys = {};
+        this.mouse = { x: 0, y: 0 };
+        this._threads.clear();
+        this._threadStats = { started: 0, restarted: 0, ignored: 0, stopped: 0 };
+        this._warnings = [];
+        this._debugger = { paused: false, stepping: false, frameStep: false, focus: null, waiters: [] };
+        this._recording = this._replay ? null : {
+            version: Runtime.REPLAY_VERSION,
+            seed: this.seed,
+            level: this.currentLevelIndex,
+            frames: 0,
+            inputs: [],
+            cloud: {} // first value each cloud key was read with, served back during playback
+        };
+        this.variables = { score: 0, health: 100, coins: 0, speed: 5, level: this.currentLevelIndex + 1 };
         // Init custom variables
         if (this.blockCode.customVariables) {
             this.blockCode.customVariables.forEach(name => { this.variables[name] = 0; });
@@ -135,6 +228,7 @@ class Runtime {
             this.scene3d.scene.remove(obj);
             const idx = this.scene3d.objects.indexOf(obj);
             if (idx !== -1) this.scene3d.objects.splice(idx, 1);
+            this.scene3d.spatialGrid.remove(obj);
         });
         this._spawnedObjects = [];
 
@@ -144,7 +238,6 @@ class Runtime {
         this._livesWasAboveZero = true;
 
         // Countdown timer
-        if (this._countdownInterval) clearInterval(this._countdownInterval);
         this._countdown = null;
         this._showingTimer = false;
         this._countdownInterval = null;
@@ -164,14 +257,19 @@ class Runtime {
         // Music system
         this._stopMusic();
 
+        this._levelChanged = false;
+
         this.settings = settings;
 
         // Apply settings
         this.controlScheme = settings.controlScheme || 'first-person';
         this.playerSpeed = settings.speed || 6;
         this.playerJumpForce = settings.jumpForce || 8;
+        this.playerMaxSlope = settings.maxSlope ?? 45;
+        this.playerStepHeight = settings.stepHeight ?? 0.35;
         this.lookSpeed = (settings.sensitivity || 5) * 0.5;
         this._moveTarget = null; // for point-click
+        this.physicsGravity = -20;
 
         // Key bindings (customizable)
         this.keyBindings = settings.keyBindings || {
@@ -186,33 +284,14 @@ class Runtime {
             jump: 'Space'
         };
 
-        // Save object states
+        // Save object states, start quick animations and compile object scripts
         this.objectStates.clear();
-        this.scene3d.objects.forEach(obj => {
-            this.objectStates.set(obj.userData.id, {
-                position: obj.position.clone(),
-                rotation: obj.rotation.clone(),
-                scale: obj.scale.clone(),
-                visible: obj.visible,
-                color: obj.material ? obj.material.color.clone() : null,
-                opacity: obj.material ? obj.material.opacity : 1,
-                textureId: obj.userData.textureId || null,
-                tileScale: obj.userData.tileScale || null
-            });
-        });
-
-        // Init local vars on each object
-        this.scene3d.objects.forEach(obj => {
-            obj.userData.localVars = {};
-        });
+        this._initSceneObjects();
 
         // Cloud cache
         this._cloudCache = {};
-
-        // Pre-cache bounding boxes for collision detection
-        this.scene3d.objects.forEach(obj => {
-            obj.userData._cachedBox = new THREE.Box3().setFromObject(obj);
-        });
+        this._cloudServerValues = {};
+        this._cloudSynced = false;
 
         // Save editor camera state
         this._savedCameraPos = this.scene3d.camera.position.clone();
@@ -231,13 +310,10 @@ class Runtime {
         // Setup player
         this.initPlayer();
 
-        // Hide camera objects during play
+        // Reset camera overrides
         this._cameraOverride = false;
         this._cameraObj = null;
         this._cameraFollow = null;
-        this.scene3d.objects.forEach(obj => {
-            if (obj.userData.type === 'camera') obj.visible = false;
-        });
 
         // Setup input
         document.addEventListener('keydown', this._boundKeyDown);
@@ -284,21 +360,6 @@ class Runtime {
         if (this._gameCrosshair) this._gameCrosshair.classList.remove('hidden');
         viewportContainer.style.cursor = 'none';
 
-        // Start quick animations on all objects
-        this.scene3d.objects.forEach(obj => this.startQuickAnimations(obj));
-
-        // Compile and start scripts
-        this.scene3d.objects.forEach(obj => {
-            const compiled = this.blockCode.compileScripts(obj);
-            compiled.forEach(script => {
-                this.runningScripts.push({
-                    object: obj,
-                    script: script,
-                    state: 'pending'
-                });
-            });
-        });
-
         // Compile global (game-level) scripts
         if (this.blockCode.globalScripts && this.blockCode.globalScripts.length > 0) {
             const globalObj = { userData: { scripts: this.blockCode.globalScripts, name: 'Game Scripts', isGlobal: true } };
@@ -317,12 +378,18 @@ class Runtime {
 
         // Start timers
         this.startTimers();
-
-        // Main game loop
-        this._gameLoop = () => {
+        this._cloudConnect();
+
+        // Main game loop: whole simulation steps, with rendering interpolated between them
+        this._accumulator = 0;
+        this._lastLoopTime = null;
+        this._renderAlpha = 1;
+        this.scene3d.onBeforeRender = () => this._interpolateForRender();
+        this.scene3d.onAfterRender = () => this._restoreAfterRender();
+        this._gameLoop = async (now) => {
             if (!this.isRunning) return;
-            this.update();
-            requestAnimationFrame(this._gameLoop);
+            await this._advance(now);
+            if (this.isRunning) requestAnimationFrame(this._gameLoop);
         };
         requestAnimationFrame(this._gameLoop);
 
@@ -351,15 +418,100 @@ class Runtime {
             'point-click': 'Click to move | Space to jump | Click objects | ESC to stop'
         };
         const hintEl = (playOverlay || document).querySelector('.play-info span');
-        if (hintEl) hintEl.textContent = hints[this.controlScheme] || hints['first-person'];
+        if (hintEl) hintEl.textContent = this._replay ? 'Watching a replay | ESC to stop' : (hints[this.controlScheme] || hints['first-person']);
+    }
+
+    // Prepare the objects of the loaded scene (on start and after each level change)
+    _initSceneObjects() {
+        this.scene3d.objects.forEach(obj => {
+            this.objectStates.set(obj.userData.id, {
+                position: obj.position.clone(),
+                rotation: obj.rotation.clone(),
+                scale: obj.scale.clone(),
+                visible: obj.visible,
+                color: obj.material ? obj.material.color.clone() : null,
+                opacity: obj.material ? obj.material.opacity : 1,
+                textureId: obj.userData.textureId || null,
+                tileScale: obj.userData.tileScale || null
+            });
+
+            // Init local vars
+            obj.userData.localVars = {};
+            delete obj.userData._body;
+            delete obj.userData._touching;
+
+            // Hide camera objects during play
+            if (obj.userData.type === 'camera') obj.visible = false;
+        });
+
+        this._colliderCache.clear();
+
+        // Rebuild the broad phase from scratch so no editor-time boxes carry over
+        this.scene3d.spatialGrid.clear();
+        this.scene3d.spatialGrid.sync(this.scene3d.objects);
+
+        // Start quick animations on all objects
+        this.scene3d.objects.forEach(obj => this.startQuickAnimations(obj));
+
+        // Compile and start scripts
+        this._touchWatchers = [];
+        this.scene3d.objects.forEach(obj => this._addObjectScripts(obj));
+    }
+
+    // Register an object's scripts with the running game. Used for the scene at start and for
+    // clones made while playing, which join in from then on ("when game starts" has passed).
+    _addObjectScripts(obj) {
+        const compiled = this.blockCode.compileScripts(obj);
+        compiled.forEach(script => {
+            this.runningScripts.push({
+                object: obj,
+                script: script,
+                state: 'pending'
+            });
+        });
+        // Only objects that listen for other objects take part in the object collision pass
+        const listens = compiled.some(script => script.trigger === 'onTouchObject' ||
+            (script.trigger === 'onCollide' && script.triggerValues.object !== 'player'));
+        if (listens) this._touchWatchers.push(obj);
+    }
+
+    // Take an object deleted while playing out of the script and collision bookkeeping
+    _removeObjectScripts(obj) {
+        this.runningScripts = this.runningScripts.filter(rs => rs.object !== obj);
+        this._touchWatchers = this._touchWatchers.filter(watcher => watcher !== obj);
+        this._touchWatchers.forEach(watcher => {
+            if (watcher.userData._touching) watcher.userData._touching.delete(obj);
+        });
     }
 
     stop() {
         if (!this.isRunning) return;
         this.isRunning = false;
 
+        // Stop simulating: pending timers and sleeping scripts are dropped with the clock
+        this._simTimers = [];
+        this._releaseDebugger();
+        this._threads.clear();
+        this._inputQueue = [];
+        this.scene3d.onBeforeRender = null;
+        this.scene3d.onAfterRender = null;
+        this._restoreAfterRender();
+        this._interpolated.clear();
+        if (this._drainChannel) {
+            this._drainChannel.port1.close();
+            this._drainChannel = null;
+        }
+        if (this._recording) {
+            this._recording.frames = this.frame;
+            this.lastReplay = this._recording;
+            this._recording = null;
+        }
+        this._replay = null;
+
         // Restore object states
         this.scene3d.objects.forEach(obj => {
+            delete obj.userData._body;
+            delete obj.userData._touching;
             const state = this.objectStates.get(obj.userData.id);
             if (state) {
                 obj.position.copy(state.position);
@@ -405,6 +557,14 @@ class Runtime {
         this._fireRates.clear();
         this._projectileConfig.clear();
 
+        // Close the cloud variable subscription
+        this._cloudDisconnect();
+
+        // Clean up remote player avatars
+        this.clearRemotePlayers();
+        this._netSendTimer = 0;
+        this._netLastState = null;
+
         // Clean up enemy health bars
         this._enemyBars.forEach(el => el.remove());
         this._enemyBars.clear();
@@ -424,7 +584,7 @@ class Runtime {
         this._spawnedObjects = [];
 
         // Clean up countdown timer
-        if (this._countdownInterval) { clearInterval(this._countdownInterval); this._countdownInterval = null; }
+        this._countdownInterval = null;
 
         // Clean up screen overlay
         if (this._screenOverlay) { this._screenOverlay.remove(); this._screenOverlay = null; }
@@ -435,6 +595,7 @@ class Runtime {
         this._debugFrameCount = 0;
         const debugPanel = document.getElementById('debug-vars-panel');
         if (debugPanel) debugPanel.classList.add('hidden');
+        this._removeCollisionGridOverlay();
 
         // Clean up UI screens
         this._activeScreens.forEach(el => el.remove());
@@ -534,13 +695,249 @@ class Runtime {
         // Restore editor grid (only in editor mode, not viewer)
         if (!this.scene3d.viewerMode) this.scene3d.setGridVisible(true);
 
-        // Clear timers
+        this._timerIntervals = [];
+
+        if (this.onStop) this.onStop();
+    }
+
+    // ===== Levels =====
+
+    _findLevelIndex(name) {
+        const target = String(name || '').trim().toLowerCase();
+        return this.levels.findIndex(l => (l.name || '').toLowerCase() === target);
+    }
+
+    loadLevel(index) {
+        const level = this.levels[index];
+        if (!level || !this.onLoadLevel || !this.isRunning) return false;
+
+        // Stop scripts belonging to the outgoing scene; global scripts keep running
+        this.scene3d.objects.forEach(obj => { obj.userData._unloaded = true; });
+        this.runningScripts = this.runningScripts.filter(rs => rs.object.userData.isGlobal);
         if (this._timerIntervals) {
-            this._timerIntervals.forEach(id => clearInterval(id));
+            this._timerIntervals.forEach(timer => this._cancelTimer(timer));
             this._timerIntervals = [];
         }
 
-        if (this.onStop) this.onStop();
+        // Clean up per-scene play state
+        if (this._particles) {
+            this._particles.forEach(p => {
+                this.scene3d.scene.remove(p);
+                p.geometry.dispose();
+                p.material.dispose();
+            });
+            this._particles = [];
+        }
+        this.projectiles.forEach(p => {
+            this.scene3d.scene.remove(p.mesh);
+            p.mesh.geometry.dispose();
+            p.mesh.material.dispose();
+            if (p.light) this.scene3d.scene.remove(p.light);
+        });
+        this.projectiles = [];
+        this._fireRates.clear();
+        this._projectileConfig.clear();
+        this._enemyBars.forEach(el => el.remove());
+        this._enemyBars.clear();
+        this._enemies.clear();
+        this._contactDamage.clear();
+        this._pickupConfig.clear();
+        this._spawnedObjects = [];
+        this._checkpoint = null;
+        this._cameraOverride = false;
+        this._cameraObj = null;
+        this._cameraFollow = null;
+        this._moveTarget = null;
+        document.querySelectorAll('.speech-bubble-3d').forEach(el => el.remove());
+
+        // Swap scene contents (objects, environment, terrain)
+        this.onLoadLevel(level);
+        this.currentLevelIndex = index;
+        this._levelChanged = true;
+        this.variables.level = index + 1;
+        this._initSceneObjects();
+
+        // Switch music if the new level uses a different track
+        const env = level.environment || {};
+        const track = env.bgMusic || 'none';
+        if (track !== this._musicTrack) {
+            this._musicVolume = (parseInt(env.musicVolume) || 30) / 100;
+            this._startMusic(track);
+        }
+
+        // Move the player to the new spawn point
+        if (this.playerController) {
+            const spawnPos = new THREE.Vector3(0, 1.5, 0);
+            this.scene3d.objects.forEach(obj => {
+                if (obj.userData.type === 'spawn') {
+                    spawnPos.copy(obj.position);
+                    spawnPos.y += 1.5;
+                }
+            });
+            this.playerController.mesh.position.copy(spawnPos);
+            this.playerController.velocity.set(0, 0, 0);
+            this.playerController.isGrounded = false;
+        }
+
+        this.runningScripts.forEach(rs => {
+            if (rs.script.trigger === 'onStart' && !rs.object.userData.isGlobal) {
+                this._runScript(rs);
+            }
+        });
+        this.startTimers();
+        this._cloudConnect();
+        this.triggerEvent('onLevelStart');
+        return true;
+    }
+
+    // ===== Multiplayer =====
+
+    // Add another player's avatar. `announce` fires "when a player joins" scripts.
+    addRemotePlayer(player, announce = false) {
+        if (!this.isRunning) return;
+        this.removeRemotePlayer(player.playerId);
+
+        let mesh;
+        if (player.characterParts && player.characterParts.length > 0) {
+            mesh = this._buildCustomCharacterMesh(player.characterParts);
+            // Match the local player: group origin at the geometric center
+            const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3());
+            mesh.children.forEach(child => child.position.sub(center));
+        } else {
+            mesh = this._buildDefaultCharacterMesh(player.playerColors);
+        }
+        mesh.userData.remotePlayerId = player.playerId;
+
+        const state = player.state || {};
+        const target = new THREE.Vector3(state.position?.x || 0, state.position?.y || 0, state.position?.z || 0);
+        mesh.position.copy(target);
+        mesh.rotation.y = state.yaw || 0;
+        this.scene3d.scene.add(mesh);
+
+        const label = document.createElement('div');
+        label.style.cssText = 'position:fixed;pointer-events:none;z-index:999;transform:translate(-50%,-100%);background:rgba(0,0,0,0.55);color:#fff;padding:2px 8px;border-radius:8px;font-size:12px;white-space:nowrap;';
+        label.textContent = player.displayName || 'Player';
+        document.body.appendChild(label);
+
+        this.remotePlayers.set(player.playerId, {
+            mesh,
+            label,
+            displayName: player.displayName || 'Player',
+            target,
+            targetYaw: state.yaw || 0,
+            level: state.level || 0,
+            touching: new Set()
+        });
+
+        if (announce) this.triggerEvent('onPlayerJoin', { playerId: player.playerId, name: player.displayName });
+    }
+
+    // Remove another player's avatar. `announce` fires "when a player leaves" scripts.
+    removeRemotePlayer(playerId, announce = false) {
+        const rp = this.remotePlayers.get(playerId);
+        if (!rp) return;
+        this.scene3d.scene.remove(rp.mesh);
+        rp.mesh.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        rp.label.remove();
+        this.remotePlayers.delete(playerId);
+        if (announce) this.triggerEvent('onPlayerLeave', { playerId, name: rp.displayName });
+    }
+
+    clearRemotePlayers() {
+        [...this.remotePlayers.keys()].forEach(id => this.removeRemotePlayer(id));
+    }
+
+    // Set where another player's avatar should move to; the avatar eases there every frame
+    setRemotePlayerState(playerId, state) {
+        const rp = this.remotePlayers.get(playerId);
+        if (!rp || !state) return;
+        if (state.position) rp.target.set(state.position.x || 0, state.position.y || 0, state.position.z || 0);
+        rp.targetYaw = state.yaw || 0;
+        rp.level = state.level || 0;
+    }
+
+    // A broadcast sent by another player's scripts
+    receiveNetworkBroadcast(msg) {
+        if (!this.isRunning) return;
+        this.triggerEvent('onMessage', { msg });
+    }
+
+    updateRemotePlayers(dt) {
+        const t = Math.min(1, dt * 12);
+        const rect = this.remotePlayers.size > 0 ? this.scene3d.canvas.getBoundingClientRect() : null;
+        this.remotePlayers.forEach(rp => {
+            const visible = rp.level === this.currentLevelIndex;
+            rp.mesh.visible = visible;
+            if (!visible) {
+                rp.label.style.display = 'none';
+                rp.touching.clear();
+                return;
+            }
+            rp.mesh.position.lerp(rp.target, t);
+            let dYaw = rp.targetYaw - rp.mesh.rotation.y;
+            dYaw = Math.atan2(Math.sin(dYaw), Math.cos(dYaw));
+            rp.mesh.rotation.y += dYaw * t;
+
+            const pos = this._tempVec3.copy(rp.mesh.position);
+            pos.y += 1.4;
+            pos.project(this.scene3d.camera);
+            rp.label.style.display = pos.z < 1 ? '' : 'none';
+            rp.label.style.left = ((pos.x + 1) / 2 * rect.width + rect.left) + 'px';
+            rp.label.style.top = ((-pos.y + 1) / 2 * rect.height + rect.top) + 'px';
+        });
+        this._checkRemotePlayerTouches();
+
+        // Send our own transform at the session tick rate, skipping ticks where nothing moved
+        const pc = this.playerController;
+        if (!this.onNetworkState || !pc) return;
+        this._netSendTimer += dt;
+        if (this._netSendTimer < 1 / this.netTickRate) return;
+        this._netSendTimer = 0;
+        const p = pc.mesh.position;
+        const state = {
+            position: { x: +p.x.toFixed(3), y: +p.y.toFixed(3), z: +p.z.toFixed(3) },
+            yaw: +pc.mesh.rotation.y.toFixed(3),
+            level: this.currentLevelIndex
+        };
+        const key = JSON.stringify(state);
+        if (key === this._netLastState) return;
+        this._netLastState = key;
+        this.onNetworkState(state);
+    }
+
+    // Fire "when another player touches this" once each time a remote avatar starts touching an object
+    _checkRemotePlayerTouches() {
+        if (this.remotePlayers.size === 0) return;
+        const targets = new Set();
+        this.runningScripts.forEach(rs => {
+            if (rs.script.trigger === 'onPlayerTouch' && rs.object.visible) targets.add(rs.object);
+        });
+
+        const box = this._tempBox3;
+        const cp = this._closestPoint;
+        const radius = 0.5;
+        this.remotePlayers.forEach((rp, playerId) => {
+            if (!rp.mesh.visible) return;
+            const pos = rp.mesh.position;
+            const nowTouching = new Set();
+            targets.forEach(obj => {
+                box.copy(this.scene3d.spatialGrid.getBox(obj));
+                cp.set(
+                    Math.max(box.min.x, Math.min(pos.x, box.max.x)),
+                    Math.max(box.min.y, Math.min(pos.y, box.max.y)),
+                    Math.max(box.min.z, Math.min(pos.z, box.max.z))
+                );
+                if (pos.distanceTo(cp) >= radius) return;
+                nowTouching.add(obj);
+                if (!rp.touching.has(obj)) {
+                    this.triggerEvent('onPlayerTouch', { playerId, name: rp.displayName }, obj);
+                }
+            });
+            rp.touching = nowTouching;
+        });
     }
 
     // ===== Player Controller =====
@@ -585,34 +982,15 @@ class Runtime {
             const playerMat = new THREE.MeshBasicMaterial({ visible: false });
             playerMesh = new THREE.Mesh(playerGeom, playerMat);
             playerMesh.position.copy(spawnPos);
+        } else if (showBody) {
+            playerMesh = this._buildDefaultCharacterMesh(this.playerColors);
+            playerMesh.position.copy(spawnPos);
         } else {
-            // Default character
+            // Default first-person: invisible collision body
             const playerGeom = new THREE.CylinderGeometry(0.3, 0.3, 1.6, 8);
-            const bodyColor = this.playerColors?.body || '#4c97ff';
-            const playerMat = showBody
-                ? new THREE.MeshStandardMaterial({ color: bodyColor, roughness: 0.6 })
-                : new THREE.MeshBasicMaterial({ visible: false });
+            const playerMat = new THREE.MeshBasicMaterial({ visible: false });
             playerMesh = new THREE.Mesh(playerGeom, playerMat);
             playerMesh.position.copy(spawnPos);
-            playerMesh.castShadow = showBody;
-            playerMesh.receiveShadow = showBody;
-
-            if (showBody) {
-                const headGeom = new THREE.SphereGeometry(0.25, 12, 8);
-                const headColor = this.playerColors?.head || '#f5cba7';
-                const headMat = new THREE.MeshStandardMaterial({ color: headColor, roughness: 0.6 });
-                const head = new THREE.Mesh(headGeom, headMat);
-                head.position.y = 1.05;
-                head.castShadow = true;
-                playerMesh.add(head);
-
-                const noseGeom = new THREE.BoxGeometry(0.08, 0.08, 0.12);
-                const detailColor = this.playerColors?.detail || '#e0b090';
-                const noseMat = new THREE.MeshStandardMaterial({ color: detailColor });
-                const nose = new THREE.Mesh(noseGeom, noseMat);
-                nose.position.set(0, 1.03, 0.28);
-                playerMesh.add(nose);
-            }
         }
 
         this.scene3d.scene.add(playerMesh);
@@ -622,6 +1000,8 @@ class Runtime {
             velocity: new THREE.Vector3(),
             speed: this.playerSpeed,
             jumpForce: this.playerJumpForce,
+            maxSlope: this.playerMaxSlope,
+            stepHeight: this.playerStepHeight,
             gravity: -20,
             isGrounded: false,
             yaw: 0,
@@ -654,6 +1034,29 @@ class Runtime {
         }
     }
 
+    // Default character: body cylinder with a head and nose
+    _buildDefaultCharacterMesh(colors) {
+        const bodyGeom = new THREE.CylinderGeometry(0.3, 0.3, 1.6, 8);
+        const bodyMat = new THREE.MeshStandardMaterial({ color: colors?.body || '#4c97ff', roughness: 0.6 });
+        const body = new THREE.Mesh(bodyGeom, bodyMat);
+        body.castShadow = true;
+        body.receiveShadow = true;
+
+        const headGeom = new THREE.SphereGeometry(0.25, 12, 8);
+        const headMat = new THREE.MeshStandardMaterial({ color: colors?.head || '#f5cba7', roughness: 0.6 });
+        const head = new THREE.Mesh(headGeom, headMat);
+        head.position.y = 1.05;
+        head.castShadow = true;
+        body.add(head);
+
+        const noseGeom = new THREE.BoxGeometry(0.08, 0.08, 0.12);
+        const noseMat = new THREE.MeshStandardMaterial({ color: colors?.detail || '#e0b090' });
+        const nose = new THREE.Mesh(noseGeom, noseMat);
+        nose.position.set(0, 1.03, 0.28);
+        body.add(nose);
+        return body;
+    }
+
     _buildCustomCharacterMesh(parts) {
         const group = new THREE.Group();
         parts.forEach(part => {
@@ -713,15 +1116,10 @@ class Runtime {
         this.scene3d.camera.lookAt(target);
     }
 
-    onPointClick(e) {
+    // `mouse` is the click in normalized device coordinates
+    onPointClick(mouse) {
         if (!this.isRunning || !this.playerController) return;
 
-        const rect = this.scene3d.canvas.getBoundingClientRect();
-        const mouse = new THREE.Vector2(
-            ((e.clientX - rect.left) / rect.width) * 2 - 1,
-            -((e.clientY - rect.top) / rect.height) * 2 + 1
-        );
-
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(mouse, this.scene3d.camera);
 
@@ -761,9 +1159,9 @@ class Runtime {
         }
     }
 
+    // Keys and clicks are queued and applied at the start of the next step, so a recording can
+    // replay them on exactly the same frame
     onKeyDown(e) {
-        this.keys[e.code] = true;
-
         // Prevent default for arrow keys and space to avoid page scroll
         if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight','Space'].includes(e.code)) {
             e.preventDefault();
@@ -774,21 +1172,14 @@ class Runtime {
             return;
         }
 
-        // Trigger block code key events using display names
-        const codeToLabel = {
-            'KeyW': 'W', 'KeyA': 'A', 'KeyS': 'S', 'KeyD': 'D',
-            'Space': 'Space', 'KeyE': 'E', 'KeyQ': 'Q',
-            'Digit1': '1', 'Digit2': '2', 'Digit3': '3',
-            'ArrowUp': 'ArrowUp', 'ArrowDown': 'ArrowDown',
-            'ArrowLeft': 'ArrowLeft', 'ArrowRight': 'ArrowRight',
-            'ShiftLeft': 'Shift', 'ShiftRight': 'Shift'
-        };
-        const label = codeToLabel[e.code] || e.key;
-        this.triggerEvent('onKey', { key: label });
+        // A replay only takes the recorded input
+        if (this._replay) return;
+        this._inputQueue.push({ type: 'key', code: e.code, key: e.key, down: true });
     }
 
     onKeyUp(e) {
-        this.keys[e.code] = false;
+        if (this._replay) return;
+        this._inputQueue.push({ type: 'key', code: e.code, down: false });
     }
 
     onMouseMove(e) {
@@ -799,23 +1190,70 @@ class Runtime {
             this._gameCrosshair.style.left = e.clientX + 'px';
             this._gameCrosshair.style.top = e.clientY + 'px';
         }
+
+        // Mouse reporters read the position through the input queue so replays see it too;
+        // only the last move before each step is kept
+        if (this._replay) return;
+        const rect = this.scene3d.canvas.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+        const last = this._inputQueue[this._inputQueue.length - 1];
+        if (last && last.type === 'mouse') {
+            last.x = x;
+            last.y = y;
+        } else {
+            this._inputQueue.push({ type: 'mouse', x, y });
+        }
     }
 
     onGameClick(e) {
-        if (!this.isRunning || !this.playerController) return;
+        if (!this.isRunning || !this.playerController || this._replay) return;
 
         const rect = this.scene3d.canvas.getBoundingClientRect();
-        const mouse = new THREE.Vector2(
-            ((e.clientX - rect.left) / rect.width) * 2 - 1,
-            -((e.clientY - rect.top) / rect.height) * 2 + 1
-        );
+        this._inputQueue.push({
+            type: 'click',
+            x: ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            y: -((e.clientY - rect.top) / rect.height) * 2 + 1
+        });
+    }
+
+    _applyInput(input) {
+        if (input.type === 'key') {
+            this.keys[input.code] = input.down;
+            if (!input.down) return;
+
+            // Trigger block code key events using display names
+            const codeToLabel = {
+                'KeyW': 'W', 'KeyA': 'A', 'KeyS': 'S', 'KeyD': 'D',
+                'Space': 'Space', 'KeyE': 'E', 'KeyQ': 'Q',
+                'Digit1': '1', 'Digit2': '2', 'Digit3': '3',
+                'ArrowUp': 'ArrowUp', 'ArrowDown': 'ArrowDown',
+                'ArrowLeft': 'ArrowLeft', 'ArrowRight': 'ArrowRight',
+                'ShiftLeft': 'Shift', 'ShiftRight': 'Shift'
+            };
+            const label = codeToLabel[input.code] || input.key;
+            this.triggerEvent('onKey', { key: label });
+        } else if (input.type === 'click') {
+            this._handleClick(new THREE.Vector2(input.x, input.y));
+        } else if (input.type === 'mouse') {
+            this.mouse.x = input.x;
+            this.mouse.y = input.y;
+        }
+    }
+
+    _handleClick(mouse) {
+        if (!this.playerController) return;
+
+        // The last render may have left interpolated matrices behind
+        this.scene3d.scene.updateMatrixWorld();
+        this.scene3d.camera.updateMatrixWorld();
 
         const raycaster = new THREE.Raycaster();
         raycaster.setFromCamera(mouse, this.scene3d.camera);
 
         // Check for object clicks first
         const meshes = [];
-        this.scene3d.objects.forEach(obj => {
+        this.scene3d.spatialGrid.queryRay(raycaster.ray, this.scene3d.camera.far).forEach(obj => {
             if (!obj.visible) return;
             if (obj.isMesh) meshes.push(obj);
             else obj.traverse(child => { if (child.isMesh) meshes.push(child); });
@@ -837,21 +1275,30 @@ class Runtime {
 
         // Point-click movement: raycast against ground plane
         if (this.controlScheme === 'point-click') {
-            this.onPointClick(e);
+            this.onPointClick(mouse);
         }
     }
 
     // ===== Game Loop =====
 
     update() {
-        const rawDt = 1 / 60; // Fixed timestep
+        const rawDt = Runtime.STEP;
         const dt = rawDt * this._timeScale;
         this.gameTimer += rawDt; // timer always runs at real speed
 
+        // Scripts may have moved objects since the last frame
+        this._collisionStats = this.scene3d.spatialGrid.resetStats();
+        this.scene3d.spatialGrid.sync(this.scene3d.objects);
+
         this.updatePlayer(dt);
         this.updateAnimations(dt);
+        this.scene3d.spatialGrid.sync(this.scene3d.objects);
+        this.updatePhysics(dt);
+        this._carryPlayer();
         this.updateProjectiles(dt);
         this.checkCollisions();
+        this.checkObjectCollisions();
+        this.updateRemotePlayers(rawDt);
         this.updateHUD();
         this.updateEnemyHealthBars();
         this._checkHealthZero();
@@ -859,6 +1306,182 @@ class Runtime {
         this.updateDebugVars();
     }
 
+    // ===== Fixed Timestep =====
+
+    // Run the steps that fit in the time since the last frame. Scripts woken by a step finish
+    // reacting to it before the next one runs, as they would at one step per frame.
+    async _advance(now) {
+        if (this._debugger.paused) {
+            this._lastLoopTime = now;
+            return;
+        }
+        const elapsed = this._lastLoopTime === null ? Runtime.STEP : Math.min((now - this._lastLoopTime) / 1000, 0.25);
+        this._lastLoopTime = now;
+        this._accumulator += elapsed;
+        let steps = 0;
+        while (this.isRunning && !this._debugger.paused && this._accumulator >= Runtime.STEP) {
+            if (steps === Runtime.MAX_STEPS_PER_FRAME) {
+                // Too far behind to catch up: slow down rather than spiral
+                this._accumulator = 0;
+                break;
+            }
+            this._accumulator -= Runtime.STEP;
+            this._step();
+            steps++;
+            await this._drainScripts();
+            if (this._replay && this.frame >= this._replay.frames) this.stop();
+            if (this._debugger.frameStep) {
+                this._debugger.frameStep = false;
+                this.pauseScripts();
+                break;
+            }
+        }
+        this._renderAlpha = Math.min(this._accumulator / Runtime.STEP, 1);
+    }
+
+    _step() {
+        this._applyFrameInputs();
+        this._snapshotTransforms();
+        this.update();
+        this.frame++;
+        this.simTime = this.frame * Runtime.STEP;
+        this._runTimers();
+    }
+
+    // Resolves once every pending microtask has run (a message is a new task)
+    _drainScripts() {
+        if (!this._drainChannel) this._drainChannel = new MessageChannel();
+        const channel = this._drainChannel;
+        return new Promise(resolve => {
+            channel.port1.onmessage = () => resolve();
+            channel.port2.postMessage(null);
+        });
+    }
+
+    // Run fn every `seconds` of game time until cancelled or the game stops
+    _every(seconds, fn) {
+        const timer = { due: this.simTime + seconds, interval: seconds, fn, seq: this._timerSeq++ };
+        this._simTimers.push(timer);
+        return timer;
+    }
+
+    _after(seconds, fn) {
+        const timer = { due: this.simTime + seconds, interval: 0, fn, seq: this._timerSeq++ };
+        this._simTimers.push(timer);
+        return timer;
+    }
+
+    _cancelTimer(timer) {
+        const idx = this._simTimers.indexOf(timer);
+        if (idx !== -1) this._simTimers.splice(idx, 1);
+    }
+
+    // Fire what came due this step, earliest first and in creation order on ties
+    _runTimers() {
+        const now = this.simTime + 1e-9;
+        const due = this._simTimers.filter(t => t.due <= now);
+        if (due.length === 0) return;
+        due.sort((a, b) => a.due - b.due || a.seq - b.seq);
+        due.forEach(timer => {
+            if (!this._simTimers.includes(timer)) return; // cancelled by an earlier one
+            if (timer.interval > 0) timer.due += timer.interval;
+            else this._cancelTimer(timer);
+            timer.fn();
+        });
+    }
+
+    // Remember where things were before the step, for render interpolation
+    _snapshotTransforms() {
+        const track = (obj) => {
+            let entry = this._interpolated.get(obj);
+            if (!entry) {
+                entry = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion(), stamp: 0, applied: false };
+                this._interpolated.set(obj, entry);
+            }
+            entry.position.copy(obj.position);
+            entry.quaternion.copy(obj.quaternion);
+            entry.stamp = this.frame;
+        };
+        this.scene3d.objects.forEach(track);
+        if (this.playerController) track(this.playerController.mesh);
+        track(this.scene3d.camera);
+        this._interpolated.forEach((entry, obj) => {
+            if (entry.stamp !== this.frame) this._interpolated.delete(obj);
+        });
+    }
+
+    // Draw everything part way between the previous and the current step. Only the render
+    // matrices change; positions stay exactly as simulated.
+    _interpolateForRender() {
+        const alpha = this._renderAlpha;
+        this._interpolated.forEach((entry, obj) => {
+            // Teleports snap instead of sweeping across the level
+            if (alpha >= 1 || entry.position.distanceToSquared(obj.position) > 25) return;
+            this._tempVec3.lerpVectors(entry.position, obj.position, alpha);
+            this._tempQuat.copy(entry.quaternion).slerp(obj.quaternion, alpha);
+            obj.matrix.compose(this._tempVec3, this._tempQuat, obj.scale);
+            obj.matrixAutoUpdate = false;
+            obj.matrixWorldNeedsUpdate = true;
+            entry.applied = true;
+        });
+    }
+
+    _restoreAfterRender() {
+        this._interpolated.forEach((entry, obj) => {
+            if (!entry.applied) return;
+            obj.matrixAutoUpdate = true;
+            entry.applied = false;
+        });
+    }
+
+    // ===== Replays =====
+
+    // Small fast PRNG (mulberry32); every gameplay random number comes from here during a run
+    static seededRandom(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Recordings hold the seed, every key and click with the step it landed on, and the first
+    // value read from each cloud variable. Later cloud changes and other online players are not
+    // recorded, so games that depend on them may drift.
+    static isValidReplay(replay) {
+        return !!replay && typeof replay === 'object' &&
+            replay.version === Runtime.REPLAY_VERSION &&
+            Number.isInteger(replay.seed) && Number.isInteger(replay.frames) && replay.frames >= 0 &&
+            Array.isArray(replay.inputs) &&
+            replay.inputs.every(input => input && Number.isInteger(input.f) && Runtime._isValidReplayInput(input));
+    }
+
+    static _isValidReplayInput(input) {
+        if (input.type === 'key' || input.type === 'click') return true;
+        return input.type === 'mouse' && Number.isFinite(input.x) && Number.isFinite(input.y);
+    }
+
+    // Apply this step's input: live input queued since the last step (which gets recorded),
+    // or the recorded input when replaying
+    _applyFrameInputs() {
+        let inputs;
+        if (this._replay) {
+            inputs = [];
+            const recorded = this._replay.inputs;
+            while (this._replayCursor < recorded.length && recorded[this._replayCursor].f <= this.frame) {
+                inputs.push(recorded[this._replayCursor++]);
+            }
+        } else {
+            inputs = this._inputQueue;
+            this._inputQueue = [];
+            if (this._recording) inputs.forEach(input => this._recording.inputs.push({ f: this.frame, ...input }));
+        }
+        inputs.forEach(input => this._applyInput(input));
+    }
+
     _isKeyBound(action) {
         const code = this.keyBindings[action];
         return this.keys[code];
@@ -867,6 +1490,8 @@ class Runtime {
     updatePlayer(dt) {
         const pc = this.playerController;
         if (!pc) return;
+        // Platforms moved by scripts since the last frame
+        this._carryPlayer();
 
         const moveDir = new THREE.Vector3();
         const sprint = this.keys['ShiftLeft'] || this.keys['ShiftRight'] ? 1.6 : 1;
@@ -944,88 +1569,34 @@ class Runtime {
 
         newPos.y += pc.velocity.y * dt;
 
-        // Simple ground collision
+        // Collide with nearby objects in sub-steps, so fast falls can't pass through thin platforms
+        const wasGrounded = pc.isGrounded;
+        const previousGround = pc.groundObject;
         pc.isGrounded = false;
-        const playerRadius = 0.3;
-        const playerBottom = newPos.y - pc.height / 2;
-
-        // Check collisions with objects
-        this.scene3d.objects.forEach(obj => {
-            if (!obj.userData.collidable || !obj.visible) return;
-            if (obj.userData.type === 'spawn') return;
-            if (obj.userData.type === 'coin' || obj.userData.type === 'light-point') return;
-
-            const box = new THREE.Box3().setFromObject(obj);
-
-            // Simple AABB collision for ground
-            if (newPos.x + playerRadius > box.min.x && newPos.x - playerRadius < box.max.x &&
-                newPos.z + playerRadius > box.min.z && newPos.z - playerRadius < box.max.z) {
-
-                // Landing on top
-                if (playerBottom <= box.max.y && playerBottom >= box.max.y - 0.5 && pc.velocity.y <= 0) {
-                    newPos.y = box.max.y + pc.height / 2;
-                    pc.velocity.y = 0;
-                    pc.isGrounded = true;
-                }
-                // Hitting from below (head hits ceiling/roof)
-                else if (newPos.y + pc.height / 2 >= box.min.y && playerBottom < box.min.y && pc.velocity.y > 0) {
-                    newPos.y = box.min.y - pc.height / 2;
-                    pc.velocity.y = 0;
-                }
-                // Side collision (only if player vertically overlaps the object — not just underneath it)
-                else if (playerBottom < box.max.y - 0.3 && newPos.y + pc.height / 2 > box.min.y) {
-                    // Push out
-                    const centerX = (box.min.x + box.max.x) / 2;
-                    const centerZ = (box.min.z + box.max.z) / 2;
-                    const dx = newPos.x - centerX;
-                    const dz = newPos.z - centerZ;
-                    const halfW = (box.max.x - box.min.x) / 2 + playerRadius;
-                    const halfD = (box.max.z - box.min.z) / 2 + playerRadius;
-
-                    const overlapX = halfW - Math.abs(dx);
-                    const overlapZ = halfD - Math.abs(dz);
-
-                    if (overlapX > 0 && overlapZ > 0) {
-                        if (overlapX < overlapZ) {
-                            newPos.x += Math.sign(dx) * overlapX;
-                        } else {
-                            newPos.z += Math.sign(dz) * overlapZ;
-                        }
-                    }
-                }
-            }
-        });
+        pc.groundObject = null;
+        const start = pc.mesh.position;
+        const delta = newPos.clone().sub(start);
+        const steps = Math.min(8, Math.max(1, Math.ceil(delta.length() / 0.25)));
+        const colliders = this._gatherPlayerColliders(start, newPos);
+        newPos.copy(start);
+        for (let i = 0; i < steps; i++) {
+            newPos.addScaledVector(delta, 1 / steps);
+            this._resolvePlayerContacts(newPos, colliders, wasGrounded);
+        }
+        // Follow ramps and stairs down instead of launching off them
+        if (wasGrounded && !pc.isGrounded && pc.velocity.y <= 0) this._snapPlayerDown(newPos, colliders);
+        if (pc.groundObject && pc.groundObject !== previousGround) this.triggerEvent('onPlayerLand', {}, pc.groundObject);
 
         // Terrain heightmap collision
-        this.scene3d.scene.children.forEach(child => {
-            if (!child.userData.isTerrain || !child.userData.terrainCollision) return;
-            const td = child.userData;
-            const halfSize = td.terrainSize / 2;
-            const res = td.terrainResolution;
-            // Player position relative to terrain
-            const lx = newPos.x - child.position.x + halfSize;
-            const lz = newPos.z - child.position.z + halfSize;
-            if (lx < 0 || lx > td.terrainSize || lz < 0 || lz > td.terrainSize) return;
-            // Grid coords
-            const gx = (lx / td.terrainSize) * res;
-            const gz = (lz / td.terrainSize) * res;
-            const ix = Math.floor(gx), iz = Math.floor(gz);
-            const fx = gx - ix, fz = gz - iz;
-            const stride = res + 1;
-            // Bilinear interpolation of height
-            const h00 = td.heightData[iz * stride + ix] || 0;
-            const h10 = td.heightData[iz * stride + Math.min(ix + 1, res)] || 0;
-            const h01 = td.heightData[Math.min(iz + 1, res) * stride + ix] || 0;
-            const h11 = td.heightData[Math.min(iz + 1, res) * stride + Math.min(ix + 1, res)] || 0;
-            const terrainY = h00 * (1 - fx) * (1 - fz) + h10 * fx * (1 - fz) + h01 * (1 - fx) * fz + h11 * fx * fz;
-            const groundY = terrainY + child.position.y;
+        const groundY = this._terrainHeightAt(newPos.x, newPos.z);
+        if (groundY !== null) {
             const playerFeet = newPos.y - pc.height / 2;
             if (playerFeet < groundY && playerFeet > groundY - 2 && pc.velocity.y <= 0) {
                 newPos.y = groundY + pc.height / 2;
                 pc.velocity.y = 0;
                 pc.isGrounded = true;
             }
-        });
+        }
 
         // World ground
         if (newPos.y - pc.height / 2 < 0) {
@@ -1045,9 +1616,11 @@ class Runtime {
             });
             newPos.copy(spawnPos);
             pc.velocity.set(0, 0, 0);
+            pc.groundObject = null;
         }
 
         pc.mesh.position.copy(newPos);
+        this._rememberPlayerGround();
 
         // Update camera based on scheme (skip if camera override from code blocks)
         const cam = this.scene3d.camera;
@@ -1134,11 +1707,6 @@ class Runtime {
 
             anim.elapsed += dt;
 
-            // Invalidate bounding box cache for animated objects
-            if (anim.object && anim.object.userData) {
-                anim.object.userData._cachedBox = null;
-            }
-
             switch (anim.type) {
                 case 'spin':
                     const axis = anim.axis.toLowerCase();
@@ -1189,20 +1757,6 @@ class Runtime {
                     break;
                 }
 
-                case 'gravity': {
-                    if (!anim.object.userData.anchored) {
-                        anim.velocity += -20 * dt;
-                        anim.object.position.y += anim.velocity * dt;
-                        // Ground collision
-                        const box = new THREE.Box3().setFromObject(anim.object);
-                        if (box.min.y <= 0) {
-                            anim.object.position.y += (0 - box.min.y);
-                            anim.velocity = 0;
-                        }
-                    }
-                    break;
-                }
-
                 case 'orbit': {
                     const angle = anim.elapsed * anim.speed;
                     anim.object.position.x = anim.centerX + Math.cos(angle) * anim.radius;
@@ -1248,11 +1802,11 @@ class Runtime {
 
                 case 'wander': {
                     if (anim.elapsed > anim.nextChange) {
-                        const angle = Math.random() * Math.PI * 2;
-                        const dist = Math.random() * anim.radius;
+                        const angle = this.random() * Math.PI * 2;
+                        const dist = this.random() * anim.radius;
                         anim.targetX = anim.baseX + Math.cos(angle) * dist;
                         anim.targetZ = anim.baseZ + Math.sin(angle) * dist;
-                        anim.nextChange = anim.elapsed + 2 + Math.random() * 3;
+                        anim.nextChange = anim.elapsed + 2 + this.random() * 3;
                     }
                     const dx = anim.targetX - anim.object.position.x;
                     const dz = anim.targetZ - anim.object.position.z;
@@ -1339,9 +1893,9 @@ class Runtime {
                 case 'cameraShake': {
                     if (anim.elapsed * 1000 < anim.duration) {
                         const cam = this.scene3d.camera;
-                        cam.position.x = anim.originalPos.x + (Math.random() - 0.5) * anim.intensity * 2;
-                        cam.position.y = anim.originalPos.y + (Math.random() - 0.5) * anim.intensity * 2;
-                        cam.position.z = anim.originalPos.z + (Math.random() - 0.5) * anim.intensity * 2;
+                        cam.position.x = anim.originalPos.x + (this.random() - 0.5) * anim.intensity * 2;
+                        cam.position.y = anim.originalPos.y + (this.random() - 0.5) * anim.intensity * 2;
+                        cam.position.z = anim.originalPos.z + (this.random() - 0.5) * anim.intensity * 2;
                     } else {
                         this.scene3d.camera.position.copy(anim.originalPos);
                         anim.done = true;
@@ -1386,21 +1940,16 @@ class Runtime {
         if (!this.playerController) return;
         const playerPos = this.playerController.mesh.position;
         const playerRadius = 0.8;
-        const box = this._tempBox3;
+        const grid = this.scene3d.spatialGrid;
         const cp = this._closestPoint;
+        const near = this._tempBox3;
+        near.min.copy(playerPos).subScalar(playerRadius);
+        near.max.copy(playerPos).addScalar(playerRadius);
 
-        this.scene3d.objects.forEach(obj => {
+        grid.queryBox(near).forEach(obj => {
             if (!obj.visible) return;
 
-            // Use cached bounding box if available, otherwise compute
-            if (obj.userData._cachedBox) {
-                box.copy(obj.userData._cachedBox);
-            } else {
-                box.setFromObject(obj);
-                if (!obj.userData._cachedBox) obj.userData._cachedBox = new THREE.Box3();
-                obj.userData._cachedBox.copy(box);
-            }
-
+            const box = grid.getBox(obj);
             cp.set(
                 Math.max(box.min.x, Math.min(playerPos.x, box.max.x)),
                 Math.max(box.min.y, Math.min(playerPos.y, box.max.y)),
@@ -1436,6 +1985,554 @@ class Runtime {
         });
     }
 
+    // ===== Player Collision =====
+
+    // Shape the player controller collides with. 'auto' fits boxes and spheres exactly and wraps
+    // everything else (ramps, stairs, domes, groups) in a convex hull per mesh part.
+    _colliderShape(obj) {
+        const shape = obj.userData.collider || 'auto';
+        if (shape !== 'auto') return shape;
+        if (obj.userData.type === 'sphere') return 'sphere';
+        if (['box', 'plane'].includes(obj.userData.type)) return 'box';
+        return 'hull';
+    }
+
+    _gatherPlayerColliders(from, to) {
+        const pc = this.playerController;
+        const reach = 0.3 + pc.stepHeight + 0.5;
+        const area = this._tempBox3.makeEmpty().expandByPoint(from).expandByPoint(to);
+        area.min.x -= reach; area.min.z -= reach;
+        area.max.x += reach; area.max.z += reach;
+        area.min.y -= pc.height / 2 + reach;
+        area.max.y += pc.height / 2 + reach;
+
+        const parts = [];
+        this.scene3d.spatialGrid.queryBox(area).forEach(obj => {
+            if (!obj.userData.collidable || !obj.visible) return;
+            if (['spawn', 'coin', 'light-point'].includes(obj.userData.type)) return;
+            if (this._colliderShape(obj) === 'none') return;
+            parts.push(...this._colliderParts(obj));
+        });
+        return parts;
+    }
+
+    // World-space collider parts of an object for this frame. Local shape data is cached per
+    // object for the run, since geometry never changes during play.
+    _colliderParts(obj) {
+        const shape = this._colliderShape(obj);
+        obj.updateWorldMatrix(false, true);
+        let local = this._colliderCache.get(obj);
+        if (!local) {
+            local = { bounds: this._localBounds(obj), meshes: [] };
+            obj.traverse(child => {
+                if (child.isMesh && child.visible && !child.userData.isOutline) local.meshes.push(child);
+            });
+            this._colliderCache.set(obj, local);
+        }
+        if (local.bounds.isEmpty()) return [];
+
+        if (shape === 'hull' && local.meshes.length > 0) {
+            return local.meshes.map(mesh => {
+                const nm = new THREE.Matrix3().getNormalMatrix(mesh.matrixWorld);
+                const planes = this._hullPlanes(mesh.geometry).map(p => p.clone().applyMatrix4(mesh.matrixWorld, nm));
+                if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+                const box = mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrixWorld);
+                return { kind: 'hull', object: obj, planes, top: box.max.y, refY: (box.min.y + box.max.y) / 2 };
+            });
+        }
+
+        // Box, sphere and capsule are fitted to the object's bounds and turn with it
+        const center = local.bounds.getCenter(new THREE.Vector3()).applyMatrix4(obj.matrixWorld);
+        const axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        obj.matrixWorld.extractBasis(axes[0], axes[1], axes[2]);
+        const size = local.bounds.getSize(new THREE.Vector3());
+        const half = axes.map((axis, i) => {
+            const scale = axis.length();
+            axis.divideScalar(scale || 1);
+            return size.getComponent(i) / 2 * scale;
+        });
+        const top = this.scene3d.spatialGrid.getBox(obj).max.y;
+        if (shape === 'sphere') {
+            return [{ kind: 'sphere', object: obj, center, radius: Math.max(...half), top, refY: center.y }];
+        }
+        if (shape === 'capsule') {
+            const radius = Math.max(half[0], half[2]);
+            const reach = Math.max(0, half[1] - radius);
+            return [{
+                kind: 'capsule', object: obj, radius, top, refY: center.y,
+                a: center.clone().addScaledVector(axes[1], -reach),
+                b: center.clone().addScaledVector(axes[1], reach)
+            }];
+        }
+        return [{ kind: 'box', object: obj, center, axes, half, top, refY: center.y }];
+    }
+
+    // Bounds of all of an object's meshes, in the object's own space
+    _localBounds(obj) {
+        const bounds = new THREE.Box3();
+        const toLocal = new THREE.Matrix4().copy(obj.matrixWorld).invert();
+        const rel = new THREE.Matrix4();
+        obj.traverse(child => {
+            if (!child.isMesh || !child.visible || child.userData.isOutline) return;
+            if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+            rel.multiplyMatrices(toLocal, child.matrixWorld);
+            bounds.union(child.geometry.boundingBox.clone().applyMatrix4(rel));
+        });
+        return bounds;
+    }
+
+    // Convex hull of a geometry as supporting planes: one per face direction plus the box and
+    // corner directions, so flat and non-convex meshes still get a closed shape
+    _hullPlanes(geometry) {
+        const pos = geometry.attributes.position;
+        const params = geometry.parameters;
+        const key = params && Object.values(params).every(v => typeof v === 'number' || typeof v === 'boolean')
+            ? geometry.type + JSON.stringify(params) + pos.count + ':' + pos.getX(0) + ',' + pos.getY(0) + ',' + pos.getZ(0)
+            : null;
+        const cached = key ? this._hullCache.get(key) : this._hullGeometryCache.get(geometry);
+        if (cached) return cached;
+
+        const dirs = new Map();
+        const addDir = (v) => {
+            if (v.lengthSq() < 1e-12) return;
+            v.normalize();
+            const id = Math.round(v.x * 1000) + ',' + Math.round(v.y * 1000) + ',' + Math.round(v.z * 1000);
+            if (!dirs.has(id)) dirs.set(id, v.clone());
+        };
+        for (let x = -1; x <= 1; x++) {
+            for (let y = -1; y <= 1; y++) {
+                for (let z = -1; z <= 1; z++) {
+                    if (Math.abs(x) + Math.abs(y) + Math.abs(z) !== 2) addDir(new THREE.Vector3(x, y, z));
+                }
+            }
+        }
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        const index = geometry.index;
+        const triCount = index ? index.count / 3 : pos.count / 3;
+        for (let t = 0; t < triCount; t++) {
+            const i0 = index ? index.getX(t * 3) : t * 3;
+            a.fromBufferAttribute(pos, i0);
+            b.fromBufferAttribute(pos, index ? index.getX(t * 3 + 1) : t * 3 + 1).sub(a);
+            c.fromBufferAttribute(pos, index ? index.getX(t * 3 + 2) : t * 3 + 2).sub(a);
+            addDir(b.cross(c));
+        }
+
+        const v = new THREE.Vector3();
+        const planes = [];
+        dirs.forEach(dir => {
+            let max = -Infinity;
+            for (let i = 0; i < pos.count; i++) max = Math.max(max, dir.dot(v.fromBufferAttribute(pos, i)));
+            planes.push(new THREE.Plane(dir, -max));
+        });
+        if (key) this._hullCache.set(key, planes);
+        else this._hullGeometryCache.set(geometry, planes);
+        return planes;
+    }
+
+    // Signed distance from `p` to a collider part (negative inside), with the outward normal
+    _partDistance(part, p, normal) {
+        switch (part.kind) {
+            case 'sphere': {
+                normal.subVectors(p, part.center);
+                const len = normal.length();
+                if (len < 1e-9) normal.set(0, 1, 0);
+                else normal.divideScalar(len);
+                return len - part.radius;
+            }
+            case 'capsule': {
+                const ab = this._tempVec3.subVectors(part.b, part.a);
+                const lenSq = ab.lengthSq();
+                const t = lenSq > 0 ? Math.max(0, Math.min(1, normal.subVectors(p, part.a).dot(ab) / lenSq)) : 0;
+                normal.copy(part.a).addScaledVector(ab, t);
+                normal.subVectors(p, normal);
+                const len = normal.length();
+                if (len < 1e-9) normal.set(0, 1, 0);
+                else normal.divideScalar(len);
+                return len - part.radius;
+            }
+            case 'box': {
+                const d = this._tempVec3.subVectors(p, part.center);
+                normal.set(0, 0, 0);
+                let deepest = -Infinity, deepAxis = 0, deepSign = 1;
+                for (let i = 0; i < 3; i++) {
+                    const x = d.dot(part.axes[i]);
+                    const h = part.half[i];
+                    if (x > h) normal.addScaledVector(part.axes[i], x - h);
+                    else if (x < -h) normal.addScaledVector(part.axes[i], x + h);
+                    if (Math.abs(x) - h > deepest) {
+                        deepest = Math.abs(x) - h;
+                        deepAxis = i;
+                        deepSign = x >= 0 ? 1 : -1;
+                    }
+                }
+                const len = normal.length();
+                if (len > 1e-9) {
+                    normal.divideScalar(len);
+                    return len;
+                }
+                normal.copy(part.axes[deepAxis]).multiplyScalar(deepSign);
+                return deepest;
+            }
+            case 'hull': {
+                let best = -Infinity;
+                part.planes.forEach(plane => {
+                    const dist = plane.distanceToPoint(p);
+                    if (dist > best) {
+                        best = dist;
+                        normal.copy(plane.normal);
+                    }
+                });
+                return best;
+            }
+        }
+        return Infinity;
+    }
+
+    // How deep the player's capsule sinks into a part (0 when apart); sets the push-out normal
+    _playerContactDepth(part, pos, normal) {
+        const pc = this.playerController;
+        const radius = 0.3;
+        const lo = pos.y - pc.height / 2 + radius;
+        const hi = pos.y + pc.height / 2 - radius;
+        const p = this._closestPoint.set(pos.x, Math.max(lo, Math.min(hi, part.refY)), pos.z);
+        // Move along the capsule axis towards the nearest surface point, then measure again
+        let dist = this._partDistance(part, p, normal);
+        p.y = Math.max(lo, Math.min(hi, p.y - normal.y * dist));
+        dist = this._partDistance(part, p, normal);
+        return Math.max(0, radius - dist);
+    }
+
+    _resolvePlayerContacts(pos, colliders, wasGrounded) {
+        const pc = this.playerController;
+        const minGroundY = Math.cos(THREE.MathUtils.degToRad(pc.maxSlope)) - 1e-3;
+        const normal = new THREE.Vector3();
+        for (let iteration = 0; iteration < 4; iteration++) {
+            let touched = false;
+            colliders.forEach(part => {
+                const depth = this._playerContactDepth(part, pos, normal);
+                if (depth < 1e-4) return;
+                touched = true;
+                if (normal.y >= minGroundY) {
+                    // Walkable: lift straight up so the player doesn't slide down slopes
+                    pos.y += depth / Math.max(normal.y, 0.1);
+                    if (pc.velocity.y < 0) pc.velocity.y = 0;
+                    pc.isGrounded = true;
+                    pc.groundObject = part.object;
+                    return;
+                }
+                if (normal.y < -0.5) {
+                    pos.addScaledVector(normal, depth);
+                    if (pc.velocity.y > 0) pc.velocity.y = 0;
+                    return;
+                }
+                // Low ledges are stepped onto rather than blocking
+                const rise = part.top - (pos.y - pc.height / 2);
+                if ((wasGrounded || pc.isGrounded) && pc.velocity.y <= 0 && rise > 0 && rise <= pc.stepHeight) {
+                    pos.y += rise + 0.001;
+                    pc.isGrounded = true;
+                    pc.groundObject = part.object;
+                    return;
+                }
+                // Too steep: push out sideways only, so it can't be climbed
+                const side = Math.hypot(normal.x, normal.z);
+                if (side < 1e-6) return;
+                const push = Math.min(depth / side, depth * 3) / side;
+                pos.x += normal.x * push;
+                pos.z += normal.z * push;
+            });
+            if (!touched) break;
+        }
+    }
+
+    // Drop onto ground up to one step below, keeping the player on descending ramps and stairs
+    _snapPlayerDown(pos, colliders) {
+        const pc = this.playerController;
+        const probe = pos.clone();
+        probe.y -= pc.stepHeight;
+        const velocityY = pc.velocity.y;
+        this._resolvePlayerContacts(probe, colliders, false);
+        if (pc.isGrounded && probe.y <= pos.y) {
+            pos.y = probe.y;
+        } else {
+            pc.isGrounded = false;
+            pc.groundObject = null;
+            pc.velocity.y = velocityY;
+        }
+    }
+
+    // ===== Moving Platforms =====
+
+    // Yaw of an object in world space, read from its X axis so tilted objects still work
+    _worldYaw(obj) {
+        const e = obj.matrixWorld.elements;
+        return Math.atan2(-e[2], e[0]);
+    }
+
+    _rememberPlayerGround() {
+        const pc = this.playerController;
+        const ground = pc.groundObject;
+        if (!ground) {
+            pc.groundAnchor = null;
+            return;
+        }
+        ground.updateWorldMatrix(false, false);
+        pc.groundAnchor = { position: ground.position.clone(), yaw: this._worldYaw(ground) };
+    }
+
+    // Move the player with the object it stands on: the object's translation since it was last
+    // remembered, plus its turn around the vertical axis (which also turns the player's view)
+    _carryPlayer() {
+        const pc = this.playerController;
+        if (!pc || !pc.groundObject || !pc.groundAnchor) return;
+        const ground = pc.groundObject;
+        if (!ground.parent || !ground.visible) return;
+        ground.updateWorldMatrix(false, false);
+        const anchor = pc.groundAnchor;
+        const turn = this._worldYaw(ground) - anchor.yaw;
+        const yawDelta = Math.atan2(Math.sin(turn), Math.cos(turn));
+        const offset = this._tempVec3.subVectors(pc.mesh.position, anchor.position);
+        offset.applyAxisAngle(new THREE.Vector3(0, 1, 0), yawDelta);
+        pc.mesh.position.copy(ground.position).add(offset);
+        if (yawDelta !== 0) {
+            pc.yaw += yawDelta;
+            pc.mesh.rotation.y += yawDelta;
+        }
+        this._rememberPlayerGround();
+    }
+
+    // ===== Object Collisions =====
+
+    // Markers and hidden objects can't be touched
+    _isTouchable(obj) {
+        return obj.visible && !['spawn', 'camera', 'light-point'].includes(obj.userData.type);
+    }
+
+    // Touchable objects overlapping `box`, other than `self`. The one contact test behind the
+    // object collision pass, the "touching" condition and projectile hits.
+    _touchingObjects(box, self) {
+        return this.scene3d.spatialGrid.queryBox(box).filter(other => other !== self && this._isTouchable(other));
+    }
+
+    _matchesTouchTarget(other, match, name) {
+        if (!other || !name) return false;
+        if (match === 'tag') return (other.userData.tags || []).includes(name);
+        return other.userData.name === name;
+    }
+
+    // Enter/stay/exit contacts between objects, for objects whose scripts listen for them.
+    // "When touching {object}" fires once when the contact starts (it fires every frame for the player).
+    checkObjectCollisions() {
+        if (!this._touchWatchers || this._touchWatchers.length === 0) return;
+        const grid = this.scene3d.spatialGrid;
+
+        this._touchWatchers.forEach(obj => {
+            const before = obj.userData._touching || new Set();
+            const now = new Set();
+            if (obj.parent && this._isTouchable(obj)) {
+                // Small margin so boxes that meet face to face (a body resting on the floor) count
+                const box = this._tempBox3.copy(grid.getBox(obj)).expandByScalar(0.05);
+                this._touchingObjects(box, obj).forEach(other => now.add(other));
+            }
+            obj.userData._touching = now;
+
+            now.forEach(other => {
+                if (before.has(other)) {
+                    this.triggerEvent('onTouchObject', { phase: 'keep', other }, obj);
+                } else {
+                    this.triggerEvent('onCollide', { object: other.userData.type }, obj);
+                    this.triggerEvent('onTouchObject', { phase: 'begin', other }, obj);
+                }
+            });
+            before.forEach(other => {
+                if (!now.has(other)) this.triggerEvent('onTouchObject', { phase: 'stop', other }, obj);
+            });
+        });
+    }
+
+    // "touching object <name>" / "touching tag <tag>" conditions, checked on demand
+    _isTouchingTarget(obj, match, name) {
+        if (!obj.position || !obj.parent) return false;
+        const grid = this.scene3d.spatialGrid;
+        const box = new THREE.Box3().copy(grid.getBox(obj)).expandByScalar(0.05);
+        return this._touchingObjects(box, obj).some(other => this._matchesTouchTarget(other, match, name));
+    }
+
+    // ===== Rigid Body Physics =====
+
+    // Unanchored objects are simulated. Their body state is created on demand, so objects that
+    // get unanchored mid-game (blocks, clones) are picked up without any registration step.
+    _isDynamic(obj) {
+        if (obj.userData.anchored !== false || !obj.visible || !obj.parent) return false;
+        return !['spawn', 'camera', 'light-point'].includes(obj.userData.type);
+    }
+
+    _getBody(obj) {
+        if (!obj.userData._body) {
+            obj.userData._body = {
+                velocity: new THREE.Vector3(),
+                angularVelocity: new THREE.Vector3(),
+                forces: [],
+                grounded: false
+            };
+        }
+        return obj.userData._body;
+    }
+
+    _bodyMass(obj) {
+        return Math.max(0.01, parseFloat(obj.userData.mass) || 1);
+    }
+
+    _anchorBody(obj) {
+        obj.userData.anchored = true;
+        delete obj.userData._body;
+    }
+
+    // Instant change in momentum, so heavier objects react less
+    _applyImpulse(obj, impulse) {
+        obj.userData.anchored = false;
+        this._getBody(obj).velocity.addScaledVector(impulse, 1 / this._bodyMass(obj));
+    }
+
+    updatePhysics(dt) {
+        const bodies = this.scene3d.objects.filter(obj => this._isDynamic(obj));
+        if (bodies.length === 0) return;
+
+        bodies.forEach(obj => {
+            const body = this._getBody(obj);
+            const invMass = 1 / this._bodyMass(obj);
+            for (let i = body.forces.length - 1; i >= 0; i--) {
+                const f = body.forces[i];
+                body.velocity.addScaledVector(f.force, invMass * dt);
+                f.remaining -= dt;
+                if (f.remaining <= 0) body.forces.splice(i, 1);
+            }
+            body.velocity.y += this.physicsGravity * dt;
+            obj.position.addScaledVector(body.velocity, dt);
+            obj.rotation.x += body.angularVelocity.x * dt;
+            obj.rotation.y += body.angularVelocity.y * dt;
+            obj.rotation.z += body.angularVelocity.z * dt;
+            body.grounded = false;
+            this.scene3d.spatialGrid.update(obj);
+        });
+
+        bodies.forEach(obj => this._resolveBodyContacts(obj));
+    }
+
+    _resolveBodyContacts(obj) {
+        const body = obj.userData._body;
+        const grid = this.scene3d.spatialGrid;
+        const box = new THREE.Box3().copy(grid.getBox(obj));
+        const normal = new THREE.Vector3();
+
+        const others = obj.userData.collidable ? grid.queryBox(box) : [];
+        others.forEach(other => {
+            if (other === obj || !other.visible || !other.userData.collidable) return;
+            if (['spawn', 'coin', 'light-point', 'camera'].includes(other.userData.type)) return;
+            const otherBody = this._isDynamic(other) ? this._getBody(other) : null;
+            const otherBox = grid.getBox(other);
+            if (!box.intersectsBox(otherBox)) return;
+
+            // Separate along the axis of least overlap
+            const px = Math.min(box.max.x, otherBox.max.x) - Math.max(box.min.x, otherBox.min.x);
+            const py = Math.min(box.max.y, otherBox.max.y) - Math.max(box.min.y, otherBox.min.y);
+            const pz = Math.min(box.max.z, otherBox.max.z) - Math.max(box.min.z, otherBox.min.z);
+            if (px <= 0 || py <= 0 || pz <= 0) return;
+            normal.set(0, 0, 0);
+            let depth;
+            if (py <= px && py <= pz) {
+                depth = py;
+                normal.y = box.min.y + box.max.y >= otherBox.min.y + otherBox.max.y ? 1 : -1;
+            } else if (px <= pz) {
+                depth = px;
+                normal.x = box.min.x + box.max.x >= otherBox.min.x + otherBox.max.x ? 1 : -1;
+            } else {
+                depth = pz;
+                normal.z = box.min.z + box.max.z >= otherBox.min.z + otherBox.max.z ? 1 : -1;
+            }
+            const moved = this._applyContact(obj, body, other, otherBody, normal, depth);
+            box.translate(normal.clone().multiplyScalar(moved));
+            if (otherBody) grid.update(other);
+        });
+
+        // Terrain and the world ground plane
+        const terrainY = this._terrainHeightAt(obj.position.x, obj.position.z);
+        const floorY = Math.max(0, terrainY !== null ? terrainY : 0);
+        if (box.min.y < floorY) {
+            normal.set(0, 1, 0);
+            const depth = floorY - box.min.y;
+            this._applyContact(obj, body, null, null, normal, depth);
+        }
+        grid.update(obj);
+    }
+
+    // Push `obj` out of `other` along `normal` (pointing towards obj) and exchange momentum.
+    // Returns how far obj itself was moved; a dynamic `other` takes the rest by mass ratio.
+    _applyContact(obj, body, other, otherBody, normal, depth) {
+        const invA = 1 / this._bodyMass(obj);
+        const invB = otherBody ? 1 / this._bodyMass(other) : 0;
+        const share = invA / (invA + invB);
+        obj.position.addScaledVector(normal, depth * share);
+        if (otherBody) other.position.addScaledVector(normal, -depth * (1 - share));
+
+        if (normal.y > 0.5) body.grounded = true;
+        if (otherBody && normal.y < -0.5) otherBody.grounded = true;
+
+        const rel = body.velocity.clone();
+        if (otherBody) rel.sub(otherBody.velocity);
+        const vn = rel.dot(normal);
+        if (vn >= 0) return depth * share;
+
+        const bounciness = Math.max(obj.userData.bounciness ?? 0, other ? other.userData.bounciness ?? 0 : 0);
+        const friction = Math.sqrt((obj.userData.friction ?? 0.5) * (other ? other.userData.friction ?? 0.5 : 0.5));
+        // Slow impacts don't bounce, so resting and stacked bodies settle instead of jittering
+        const restitution = -vn > 1 ? bounciness : 0;
+        const j = -(1 + restitution) * vn / (invA + invB);
+        body.velocity.addScaledVector(normal, j * invA);
+        if (otherBody) otherBody.velocity.addScaledVector(normal, -j * invB);
+
+        // Coulomb friction opposes sliding, capped by how hard the bodies press together
+        const tangent = rel.addScaledVector(normal, -vn);
+        const slide = tangent.length();
+        if (slide > 1e-6) {
+            const jt = Math.min(slide / (invA + invB), friction * j);
+            tangent.divideScalar(slide);
+            body.velocity.addScaledVector(tangent, -jt * invA);
+            if (otherBody) otherBody.velocity.addScaledVector(tangent, jt * invB);
+        }
+        body.angularVelocity.multiplyScalar(1 - friction * 0.1);
+        return depth * share;
+    }
+
+    // Highest collidable terrain surface under (x, z), or null when there is none
+    _terrainHeightAt(x, z) {
+        let height = null;
+        this.scene3d.scene.children.forEach(child => {
+            if (!child.userData.isTerrain || !child.userData.terrainCollision) return;
+            const td = child.userData;
+            const halfSize = td.terrainSize / 2;
+            const res = td.terrainResolution;
+            // Position relative to terrain
+            const lx = x - child.position.x + halfSize;
+            const lz = z - child.position.z + halfSize;
+            if (lx < 0 || lx > td.terrainSize || lz < 0 || lz > td.terrainSize) return;
+            // Grid coords
+            const gx = (lx / td.terrainSize) * res;
+            const gz = (lz / td.terrainSize) * res;
+            const ix = Math.floor(gx), iz = Math.floor(gz);
+            const fx = gx - ix, fz = gz - iz;
+            const stride = res + 1;
+            // Bilinear interpolation of height
+            const h00 = td.heightData[iz * stride + ix] || 0;
+            const h10 = td.heightData[iz * stride + Math.min(ix + 1, res)] || 0;
+            const h01 = td.heightData[Math.min(iz + 1, res) * stride + ix] || 0;
+            const h11 = td.heightData[Math.min(iz + 1, res) * stride + Math.min(ix + 1, res)] || 0;
+            const terrainY = h00 * (1 - fx) * (1 - fz) + h10 * fx * (1 - fz) + h01 * (1 - fx) * fz + h11 * fx * fz;
+            const groundY = terrainY + child.position.y;
+            if (height === null || groundY > height) height = groundY;
+        });
+        return height;
+    }
+
     // ===== Projectile System =====
 
     updateProjectiles(dt) {
@@ -1454,28 +2551,26 @@ class Runtime {
             p.mesh.position.add(this._tempVec3);
             if (p.light) p.light.position.copy(p.mesh.position);
 
-            // Check collision with scene objects
+            // Check collision with scene objects, using the projectile's own bounds
             let hit = false;
-            for (const obj of this.scene3d.objects) {
-                if (!obj.visible || !obj.userData.collidable) continue;
-                if (obj === p.owner) continue;
-                if (obj.userData.type === 'spawn' || obj.userData.type === 'light-point') continue;
-
-                const box = new THREE.Box3().setFromObject(obj);
-                if (box.containsPoint(p.mesh.position)) {
-                    this.triggerEvent('onProjectileHit', { damage: p.damage, shooter: p.owner }, obj);
-                    // Damage enemies
-                    const enemyData = this._enemies.get(obj.userData.id);
-                    if (enemyData) {
-                        enemyData.health -= p.damage;
-                        this._checkEnemyDeath(obj);
-                    }
-                    this._spawnImpactEffect(p.mesh.position.clone(), p.color);
-                    this._playImpactSound();
-                    this._removeProjectile(i);
-                    hit = true;
-                    break;
+            const bounds = this._tempBox3;
+            bounds.min.copy(p.mesh.position).subScalar(p.size);
+            bounds.max.copy(p.mesh.position).addScalar(p.size);
+            for (const obj of this._touchingObjects(bounds, p.owner)) {
+                if (!obj.userData.collidable) continue;
+
+                this.triggerEvent('onProjectileHit', { damage: p.damage, shooter: p.owner }, obj);
+                // Damage enemies
+                const enemyData = this._enemies.get(obj.userData.id);
+                if (enemyData) {
+                    enemyData.health -= p.damage;
+                    this._checkEnemyDeath(obj);
                 }
+                this._spawnImpactEffect(p.mesh.position.clone(), p.color);
+                this._playImpactSound();
+                this._removeProjectile(i);
+                hit = true;
+                break;
             }
             if (hit) continue;
 
@@ -1539,7 +2634,7 @@ class Runtime {
             this.scene3d.scene.add(light);
         }
 
-        const projectile = { mesh, light, velocity: velocity.clone(), damage, lifetime, elapsed: 0, owner, color };
+        const projectile = { mesh, light, velocity: velocity.clone(), damage, lifetime, elapsed: 0, owner, color, size };
         this.projectiles.push(projectile);
         this._spawnMuzzleFlash(position.clone(), color);
         return projectile;
@@ -1594,9 +2689,9 @@ class Runtime {
             positions[i * 3 + 1] = position.y;
             positions[i * 3 + 2] = position.z;
             velocities.push(new THREE.Vector3(
-                (Math.random() - 0.5) * 3,
-                Math.random() * 2 + 1,
-                (Math.random() - 0.5) * 3
+                (this.random() - 0.5) * 3,
+                this.random() * 2 + 1,
+                (this.random() - 0.5) * 3
             ));
         }
         const geo = new THREE.BufferGeometry();
@@ -1656,6 +2751,328 @@ class Runtime {
         noise.start(now);
     }
 
+    // ===== Script Threads & Debugger =====
+
+    // Breakpoint keys and thread owners name objects by id; game scripts use 'global'
+    _scriptOwnerKey(obj) {
+        return obj.userData.isGlobal ? 'global' : obj.userData.id;
+    }
+
+    // Run a script from its first block as a new thread. The hat's retrigger policy decides
+    // what happens when the script is still running from an earlier trigger: 'parallel' runs
+    // another copy alongside it, 'restart' stops the old run first, 'ignore' drops the trigger.
+    _runScript(rs) {
+        const policy = rs.script.retrigger || 'parallel';
+        if (policy !== 'parallel') {
+            const running = this._threadsOf(rs.object).filter(t => t.script === rs.script);
+            if (running.length > 0) {
+                if (policy === 'ignore') {
+                    this._threadStats.ignored++;
+                    return null;
+                }
+                running.forEach(t => this._stopThread(t));
+                this._threadStats.restarted++;
+            }
+        }
+
+        const thread = {
+            id: ++this._threadSeq,
+            object: rs.object,
+            objectKey: this._scriptOwnerKey(rs.object),
+            script: rs.script,
+            block: null,
+            since: this.frame,
+            background: 0, // forever loops still going after the stack itself ended
+            finished: false,
+            stopped: false
+        };
+        this._threads.add(thread);
+        this._threadStats.started++;
+        this.executeCommands(rs.object, rs.script.commands, thread).finally(() => {
+            thread.finished = true;
+            this._threadFinished(thread);
+        });
+        return thread;
+    }
+
+    _threadFinished(thread) {
+        if (!thread.finished || thread.background > 0) return;
+        this._dropThread(thread);
+    }
+
+    _dropThread(thread) {
+        if (!this._threads.delete(thread)) return;
+        // Stepping a thread that just ended pauses the game where it is
+        if (this._debugger.stepping && this._debugger.focus === thread) {
+            this._debugger.focus = null;
+            this.pauseScripts();
+        }
+    }
+
+    // Cancel a thread: it ends at its next block, loop pass or wake-up from a wait, and its
+    // forever loops end with it. It leaves the thread list right away.
+    _stopThread(thread) {
+        if (thread.stopped) return;
+        thread.stopped = true;
+        this._threadStats.stopped++;
+        this._dropThread(thread);
+    }
+
+    _threadsOf(obj) {
+        return Array.from(this._threads).filter(t => t.object === obj);
+    }
+
+    // Whether loops and waits of `thread` on `obj` should keep going
+    _threadAlive(obj, thread) {
+        return this.isRunning && !obj.userData._unloaded && !(thread && thread.stopped);
+    }
+
+    // Runs before each block while debugging: stops at breakpoints and holds threads while paused
+    async _debugCheckpoint(thread, cmd) {
+        const dbg = this._debugger;
+        if (dbg.stepping && dbg.focus === thread) {
+            this.pauseScripts(thread);
+        } else if (!dbg.paused && this.breakpoints.has(thread.objectKey + ':' + cmd.instanceId)) {
+            this.pauseScripts(thread);
+        }
+        while (dbg.paused && this.isRunning) {
+            await new Promise(resolve => dbg.waiters.push(resolve));
+        }
+        thread.since = this.frame;
+    }
+
+    // Freeze the simulation and every script at its next block. `thread` is the one to step.
+    pauseScripts(thread = null) {
+        if (!this.isRunning) return;
+        const dbg = this._debugger;
+        dbg.paused = true;
+        dbg.stepping = false;
+        if (thread) dbg.focus = thread;
+        this._notifyDebugger();
+    }
+
+    scriptsPaused() {
+        return this._debugger.paused;
+    }
+
+    resumeScripts() {
+        const dbg = this._debugger;
+        if (!dbg.paused) return;
+        dbg.focus = null;
+        this._releaseDebugger();
+        this._notifyDebugger();
+    }
+
+    // Run the paused thread to its next block (the game keeps going meanwhile, so waits finish),
+    // or advance a single frame when no thread is paused
+    stepScripts() {
+        const dbg = this._debugger;
+        if (!dbg.paused) return;
+        if (dbg.focus && this._threads.has(dbg.focus)) {
+            this._releaseDebugger();
+            dbg.stepping = true;
+        } else {
+            dbg.focus = null;
+            this._releaseDebugger();
+            dbg.frameStep = true;
+        }
+        this._notifyDebugger();
+    }
+
+    _releaseDebugger() {
+        const dbg = this._debugger;
+        dbg.paused = false;
+        dbg.stepping = false;
+        dbg.frameStep = false;
+        const waiters = dbg.waiters;
+        dbg.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Snapshot of the running scripts for the watch panel and block highlighting
+    scriptThreads() {
+        const dbg = this._debugger;
+        return Array.from(this._threads, t => ({
+            id: t.id,
+            object: t.object,
+            objectKey: t.objectKey,
+            trigger: t.script.blockId,
+            triggerValues: t.script.triggerValues,
+            block: t.block,
+            status: dbg.paused ? 'paused' : (this.frame > t.since ? 'waiting' : 'running'),
+            focused: dbg.focus === t
+        }));
+    }
+
+    // List a problem in the debugger panel (once per run)
+    _warn(message) {
+        if (this._warnings.includes(message)) return;
+        this._warnings.push(message);
+        if (this._debugVarsEnabled) this._renderDebugVars();
+    }
+
+    _notifyDebugger() {
+        if (this._debugVarsEnabled) this._renderDebugVars();
+        if (this.onDebuggerUpdate) this.onDebuggerUpdate();
+    }
+
+    // Readable block text with its input values filled in ("Move 10 steps")
+    _blockText(blockId, values = {}) {
+        const def = this.blockCode.blocks[blockId];
+        if (!def) return blockId || '';
+        return def.label.replace(/\{(\w+)\}/g, (m, key) => {
+            const value = values[key];
+            if (value && typeof value === 'object') return '(' + this._blockText(value.blockId, value.values) + ')';
+            return value !== undefined ? value : '';
+        });
+    }
+
+    // ===== Reporter Expressions =====
+
+    // A command's input values with the reporters in them evaluated (see BlockCode._compileBlock)
+    _evaluateInputs(obj, values, args = null) {
+        const out = {};
+        for (const key in values) out[key] = this._evaluateInput(obj, values[key], args);
+        return out;
+    }
+
+    _evaluateInput(obj, value, args = null) {
+        return value && typeof value === 'object' ? this._evaluateReporter(obj, value, args) : value;
+    }
+
+    // Numbers for number reporters and booleans for the "?" ones
+    _evaluateReporter(obj, expr, args = null) {
+        if (expr.code.startsWith('customArg_')) return this._customArgValue(expr.code, args);
+        const v = expr.reporters ? this._evaluateInputs(obj, expr.values, args) : expr.values;
+        const num = (value) => parseFloat(value) || 0;
+        const pc = this.playerController;
+        switch (expr.code) {
+            case 'distanceToPlayer':
+                return pc && obj.position ? obj.position.distanceTo(pc.mesh.position) : 0;
+            case 'isTouching': {
+                if (!obj.position) return false;
+                if (v.object === 'player') return !!pc && obj.position.distanceTo(pc.mesh.position) < 2;
+                if (!obj.parent) return false;
+                const grid = this.scene3d.spatialGrid;
+                const box = new THREE.Box3().copy(grid.getBox(obj)).expandByScalar(0.05);
+                if (v.object === 'ground') {
+                    // Same floor rigid bodies rest on: the terrain, or y = 0 without one
+                    const terrainY = this._terrainHeightAt(obj.position.x, obj.position.z);
+                    return box.min.y <= Math.max(0, terrainY !== null ? terrainY : 0);
+                }
+                return grid.queryBox(box).some(other => other !== obj && this._isTouchable(other));
+            }
+            case 'isKeyHeld': {
+                const key = v.key || 'Space';
+                if (key === 'Shift') return !!(this.keys.ShiftLeft || this.keys.ShiftRight);
+                return !!this.keys[key.length === 1 ? 'Key' + key : key];
+            }
+            case 'getTimer':
+                return this.gameTimer;
+            case 'playerGrounded':
+                return !!pc && pc.isGrounded;
+            case 'random': {
+                const min = Math.min(num(v.min), num(v.max));
+                const max = Math.max(num(v.min), num(v.max));
+                if (Number.isInteger(min) && Number.isInteger(max)) return min + Math.floor(this.random() * (max - min + 1));
+                return min + this.random() * (max - min);
+            }
+            case 'positionOf': {
+                const target = v.target === 'player' ? pc && pc.mesh : obj;
+                const axis = ['x', 'y', 'z'].includes(v.axis) ? v.axis : 'x';
+                return target && target.position ? target.position[axis] : 0;
+            }
+            case 'variableValue':
+                return num(this.variables[v.var || 'score']);
+            case 'mousePosition':
+                return v.axis === 'y' ? this.mouse.y : this.mouse.x;
+            case 'math': {
+                const a = num(v.a), b = num(v.b);
+                switch (v.op) {
+                    case '-': return a - b;
+                    case '*': return a * b;
+                    case '/': return b === 0 ? 0 : a / b;
+                    case 'mod': return b === 0 ? 0 : ((a % b) + b) % b;
+                    case 'min': return Math.min(a, b);
+                    case 'max': return Math.max(a, b);
+                    default: return a + b;
+                }
+            }
+            case 'compare': {
+                const a = num(v.a), b = num(v.b);
+                switch (v.op) {
+                    case '<': return a < b;
+                    case '=': return a === b;
+                    case '>=': return a >= b;
+                    case '<=': return a <= b;
+                    default: return a > b;
+                }
+            }
+            case 'mathFunc': {
+                const x = num(v.value);
+                switch (v.fn) {
+                    case 'floor': return Math.floor(x);
+                    case 'ceil': return Math.ceil(x);
+                    case 'abs': return Math.abs(x);
+                    case 'sqrt': return x < 0 ? 0 : Math.sqrt(x);
+                    case 'sin': return Math.sin(THREE.MathUtils.degToRad(x));
+                    case 'cos': return Math.cos(THREE.MathUtils.degToRad(x));
+                    default: return Math.round(x);
+                }
+            }
+            default:
+                return 0;
+        }
+    }
+
+    // ===== Custom Blocks =====
+
+    // Run a custom block's define stack with the call's input values as its arguments. The
+    // definition is looked up on the calling object, then in the game scripts.
+    async _callCustomBlock(obj, customId, values, thread, callerArgs) {
+        const depth = callerArgs ? callerArgs.depth + 1 : 1;
+        if (depth > Runtime.MAX_CALL_DEPTH) {
+            this._warn(`Custom block calls nested deeper than ${Runtime.MAX_CALL_DEPTH}; skipping the rest (runaway recursion?)`);
+            return;
+        }
+        const defCode = 'customDef_' + customId;
+        const rs = this.runningScripts.find(r => r.object === obj && r.script.trigger === defCode) ||
+            this.runningScripts.find(r => r.object.userData.isGlobal && r.script.trigger === defCode);
+        if (!rs) return;
+
+        const params = rs.script.params || [];
+        const argValues = params.map((param, i) => {
+            const value = values['arg' + i];
+            if (param.type === 'boolean') return value === true || value === 'true';
+            if (param.type === 'text') return value === undefined ? '' : String(value);
+            return parseFloat(value) || 0;
+        });
+        const args = {
+            customId,
+            values: argValues,
+            depth,
+            // No-refresh mode carries over to whatever the block calls
+            warp: callerArgs && callerArgs.warp ? callerArgs.warp : (rs.script.noRefresh ? { passes: 0 } : null)
+        };
+        await this.executeCommands(obj, rs.script.commands, thread, args);
+    }
+
+    // Parameter reporters read the innermost call of their own block; elsewhere they report 0
+    _customArgValue(code, args) {
+        const split = code.lastIndexOf('_');
+        const customId = code.slice('customArg_'.length, split);
+        if (!args || args.customId !== customId) return 0;
+        const value = args.values[parseInt(code.slice(split + 1))];
+        return value === undefined ? 0 : value;
+    }
+
+    // Loops wait a frame between passes, except inside a no-refresh custom block, where they
+    // only yield every WARP_LOOP_PASSES passes so a runaway loop can't freeze the game
+    _loopShouldYield(args) {
+        if (!args || !args.warp) return true;
+        return ++args.warp.passes % Runtime.WARP_LOOP_PASSES === 0;
+    }
+
     // ===== Script Execution =====
 
     triggerEvent(eventType, eventData = {}, specificObject = null) {
@@ -1671,12 +3088,19 @@ class Runtime {
                 if (rs.script.triggerValues.object !== 'any' &&
                     rs.script.triggerValues.object !== eventData.object) return;
             }
+            if (eventType === 'onTouchObject') {
+                const tv = rs.script.triggerValues;
+                if ((tv.phase || 'begin') !== eventData.phase) return;
+                if (!this._matchesTouchTarget(eventData.other, tv.match, tv.name)) return;
+            }
             if (eventType === 'onMessage') {
                 if (rs.script.triggerValues.msg !== eventData.msg) return;
             }
+            if (eventType === 'onCloudChange') {
+                if ((rs.script.triggerValues.key || 'highscore') !== eventData.key) return;
+            }
 
-            // Execute commands
-            this.executeCommands(rs.object, rs.script.commands);
+            this._runScript(rs);
         });
     }
 
@@ -1685,28 +3109,36 @@ class Runtime {
         this.runningScripts.forEach(rs => {
             if (rs.script.trigger === 'onTimer') {
                 const seconds = parseFloat(rs.script.triggerValues.seconds) || 1;
-                const id = setInterval(() => {
-                    if (!this.isRunning) return;
-                    this.executeCommands(rs.object, rs.script.commands);
-                }, seconds * 1000);
-                this._timerIntervals.push(id);
+                const timer = this._every(seconds, () => this._runScript(rs));
+                this._timerIntervals.push(timer);
             }
         });
     }
 
-    async executeCommands(obj, commands) {
+    // `thread` is the script run the commands belong to (see _runScript); `args` is the
+    // custom block call they run inside, if any (see _callCustomBlock)
+    async executeCommands(obj, commands, thread = null, args = null) {
         if (!commands || !this.isRunning) return;
 
         for (const cmd of commands) {
             if (!cmd || !this.isRunning) break;
-            await this.executeCommand(obj, cmd);
+            if (thread) {
+                if (thread.stopped) break;
+                thread.block = cmd;
+                thread.since = this.frame;
+                if (this._debugger.paused || this._debugger.stepping || this.breakpoints.size > 0) {
+                    await this._debugCheckpoint(thread, cmd);
+                    if (!this.isRunning || thread.stopped) break;
+                }
+            }
+            await this.executeCommand(obj, cmd, thread, args);
         }
     }
 
-    async executeCommand(obj, cmd) {
-        if (!this.isRunning || !obj) return;
+    async executeCommand(obj, cmd, thread = null, args = null) {
+        if (!this.isRunning || !obj || obj.userData._unloaded || (thread && thread.stopped)) return;
 
-        const v = cmd.values || {};
+        const v = cmd.reporters ? this._evaluateInputs(obj, cmd.values, args) : (cmd.values || {});
 
         switch (cmd.code) {
             // Motion
@@ -1802,52 +3234,48 @@ class Runtime {
             }
             case 'repeat': {
                 const times = parseInt(v.times) || 10;
-                for (let i = 0; i < times && this.isRunning; i++) {
+                for (let i = 0; i < times && this._threadAlive(obj, thread); i++) {
                     if (cmd.children) {
-                        await this.executeCommands(obj, cmd.children);
+                        await this.executeCommands(obj, cmd.children, thread, args);
                     }
                 }
                 break;
             }
             case 'forever': {
                 const foreverLoop = async () => {
-                    while (this.isRunning) {
+                    while (this._threadAlive(obj, thread)) {
                         if (cmd.children) {
-                            await this.executeCommands(obj, cmd.children);
+                            await this.executeCommands(obj, cmd.children, thread, args);
                         }
                         await this.sleep(16); // ~60fps
                     }
                 };
-                foreverLoop(); // Don't await - runs in background
+                // Don't await - runs in background, keeping its thread alive
+                if (thread) thread.background++;
+                foreverLoop().finally(() => {
+                    if (!thread) return;
+                    thread.background--;
+                    this._threadFinished(thread);
+                });
                 break;
             }
             case 'if': {
-                let condition = false;
-                switch (v.condition) {
-                    case 'touching player':
-                        if (this.playerController) {
-                            const dist = obj.position.distanceTo(this.playerController.mesh.position);
-                            condition = dist < 2;
-                        }
-                        break;
-                    case 'key pressed':
-                        condition = Object.values(this.keys).some(k => k);
-                        break;
-                    case 'variable > 0':
-                        condition = (this.variables.score || 0) > 0;
-                        break;
-                    case 'random chance':
-                        condition = Math.random() > 0.5;
-                        break;
-                }
+                const condition = this._evaluateCondition(obj, v.condition);
                 if (condition && cmd.children) {
-                    await this.executeCommands(obj, cmd.children);
+                    await this.executeCommands(obj, cmd.children, thread, args);
                 }
                 break;
             }
             case 'stop': {
-                // Stop script execution
-                return;
+                // 'other scripts' are the other scripts of this object; the game keeps running
+                const what = v.what || 'this script';
+                if (what === 'all scripts') {
+                    Array.from(this._threads).forEach(t => this._stopThread(t));
+                } else if (what === 'other scripts') {
+                    this._threadsOf(obj).forEach(t => { if (t !== thread) this._stopThread(t); });
+                }
+                if (what !== 'other scripts' && thread) this._stopThread(thread);
+                break;
             }
 
             // Looks
@@ -2028,45 +3456,49 @@ class Runtime {
             // Physics
             case 'enableGravity': {
                 obj.userData.anchored = false;
-                this.activeAnimations.push({
-                    type: 'gravity',
-                    object: obj,
-                    velocity: 0,
-                    elapsed: 0
-                });
                 break;
             }
             case 'disableGravity': {
-                obj.userData.anchored = true;
+                this._anchorBody(obj);
                 break;
             }
             case 'setVelocity': {
-                // Find or create gravity animation
-                let gravAnim = this.activeAnimations.find(a => a.type === 'gravity' && a.object === obj);
-                if (!gravAnim) {
-                    gravAnim = { type: 'gravity', object: obj, velocity: 0, elapsed: 0 };
-                    this.activeAnimations.push(gravAnim);
-                    obj.userData.anchored = false;
-                }
-                obj.position.x += (parseFloat(v.x) || 0) * 0.016;
-                obj.position.z += (parseFloat(v.z) || 0) * 0.016;
-                gravAnim.velocity = parseFloat(v.y) || 0;
+                obj.userData.anchored = false;
+                this._getBody(obj).velocity.set(parseFloat(v.x) || 0, parseFloat(v.y) || 0, parseFloat(v.z) || 0);
                 break;
             }
             case 'impulse': {
                 const force = parseFloat(v.force) || 5;
-                const dir2 = v.direction || 'up';
-                switch (dir2) {
-                    case 'up': obj.position.y += force * 0.1; break;
-                    case 'forward': obj.position.z -= force * 0.1; break;
-                    case 'backward': obj.position.z += force * 0.1; break;
-                    case 'left': obj.position.x -= force * 0.1; break;
-                    case 'right': obj.position.x += force * 0.1; break;
-                }
+                const dirs = { up: [0, 1, 0], forward: [0, 0, -1], backward: [0, 0, 1], left: [-1, 0, 0], right: [1, 0, 0] };
+                const d = dirs[v.direction] || dirs.up;
+                this._applyImpulse(obj, new THREE.Vector3(d[0], d[1], d[2]).multiplyScalar(force));
+                break;
+            }
+            case 'applyImpulse': {
+                this._applyImpulse(obj, new THREE.Vector3(parseFloat(v.x) || 0, parseFloat(v.y) || 0, parseFloat(v.z) || 0));
+                break;
+            }
+            case 'applyForce': {
+                const secs = parseFloat(v.secs);
+                obj.userData.anchored = false;
+                this._getBody(obj).forces.push({
+                    force: new THREE.Vector3(parseFloat(v.x) || 0, parseFloat(v.y) || 0, parseFloat(v.z) || 0),
+                    remaining: isNaN(secs) ? 1 : Math.max(0, secs)
+                });
+                break;
+            }
+            case 'setSpin': {
+                obj.userData.anchored = false;
+                this._getBody(obj).angularVelocity.set(
+                    THREE.MathUtils.degToRad(parseFloat(v.x) || 0),
+                    THREE.MathUtils.degToRad(parseFloat(v.y) || 0),
+                    THREE.MathUtils.degToRad(parseFloat(v.z) || 0)
+                );
                 break;
             }
             case 'setAnchored': {
-                obj.userData.anchored = v.state === 'true';
+                if (v.state === 'true') this._anchorBody(obj);
+                else obj.userData.anchored = false;
                 break;
             }
             case 'destroy': {
@@ -2079,6 +3511,7 @@ class Runtime {
                 if (clone) {
                     clone.userData.isClone = true;
                     clone.position.y += 1;
+                    this._addObjectScripts(clone);
                 }
                 break;
             }
@@ -2121,7 +3554,7 @@ class Runtime {
                 break;
             }
             case 'resetVars': {
-                this.variables = { score: 0, health: 100, coins: 0, speed: 5, level: 1 };
+                this.variables = { score: 0, health: 100, coins: 0, speed: 5, level: this.currentLevelIndex + 1 };
                 if (this.blockCode.customVariables) {
                     this.blockCode.customVariables.forEach(name => { this.variables[name] = 0; });
                 }
@@ -2139,7 +3572,7 @@ class Runtime {
                     case '<=': cond = varVal <= checkVal; break;
                 }
                 if (cond && cmd.children) {
-                    await this.executeCommands(obj, cmd.children);
+                    await this.executeCommands(obj, cmd.children, thread, args);
                 }
                 break;
             }
@@ -2169,7 +3602,7 @@ class Runtime {
                     case '<=': lvCond = lvVal <= lvCheck; break;
                 }
                 if (lvCond && cmd.children) {
-                    await this.executeCommands(obj, cmd.children);
+                    await this.executeCommands(obj, cmd.children, thread, args);
                 }
                 break;
             }
@@ -2186,24 +3619,23 @@ class Runtime {
             case 'cloudSet': {
                 const ck = v.key || 'highscore';
                 const cv = String(v.value ?? 0);
-                if (!this._cloudCache) this._cloudCache = {};
-                this._cloudCache[ck] = cv;
+                this._setCloudCache(ck, cv);
                 this._cloudStore(ck, cv);
                 break;
             }
             case 'cloudGet': {
                 const ck2 = v.key || 'highscore';
-                const val = await this._cloudFetch(ck2);
-                this.addHUDElement('cloud:' + ck2, val);
+                await this._cloudFetch(ck2);
+                this.addHUDElement('cloud:' + ck2);
                 break;
             }
             case 'cloudChange': {
                 const ck3 = v.key || 'highscore';
+                const amount = parseFloat(v.amount) || 1;
+                // Optimistic local value; the server applies the increment atomically and echoes the result
                 const current = parseFloat(await this._cloudFetch(ck3)) || 0;
-                const newVal = current + (parseFloat(v.amount) || 1);
-                if (!this._cloudCache) this._cloudCache = {};
-                this._cloudCache[ck3] = String(newVal);
-                this._cloudStore(ck3, String(newVal));
+                this._setCloudCache(ck3, String(current + amount));
+                this._cloudIncrement(ck3, amount);
                 break;
             }
             case 'cloudIf': {
@@ -2219,10 +3651,19 @@ class Runtime {
                     case '<=': cloudCond = cloudVal <= cloudCheck; break;
                 }
                 if (cloudCond && cmd.children) {
-                    await this.executeCommands(obj, cmd.children);
+                    await this.executeCommands(obj, cmd.children, thread, args);
                 }
                 break;
             }
+            case 'submitScore': {
+                const score = parseFloat(this.variables[v.var || 'score']) || 0;
+                await this._submitLeaderboardScore(v.board || 'highscores', score);
+                break;
+            }
+            case 'showLeaderboard': {
+                await this._showLeaderboard(v.board || 'highscores', v.window || 'all-time');
+                break;
+            }
 
             // New motion blocks
             case 'orbit': {
@@ -2244,8 +3685,8 @@ class Runtime {
             }
             case 'randomPos': {
                 const range = parseFloat(v.range) || 10;
-                obj.position.x = (Math.random() - 0.5) * range * 2;
-                obj.position.z = (Math.random() - 0.5) * range * 2;
+                obj.position.x = (this.random() - 0.5) * range * 2;
+                obj.position.z = (this.random() - 0.5) * range * 2;
                 break;
             }
             case 'pushFromPlayer': {
@@ -2260,34 +3701,14 @@ class Runtime {
 
             // New control
             case 'ifElse': {
-                let cond2 = false;
-                switch (v.condition) {
-                    case 'touching player':
-                        if (this.playerController) cond2 = obj.position.distanceTo(this.playerController.mesh.position) < 2;
-                        break;
-                    case 'key pressed': cond2 = Object.values(this.keys).some(k => k); break;
-                    case 'variable > 0': cond2 = (this.variables.score || 0) > 0; break;
-                    case 'health < 50': cond2 = (this.variables.health || 100) < 50; break;
-                    case 'random chance': cond2 = Math.random() > 0.5; break;
-                    case 'distance < 3':
-                        if (this.playerController) cond2 = obj.position.distanceTo(this.playerController.mesh.position) < 3;
-                        break;
-                }
-                if (cond2 && cmd.children) await this.executeCommands(obj, cmd.children);
+                const cond2 = this._evaluateCondition(obj, v.condition);
+                if (cond2 && cmd.children) await this.executeCommands(obj, cmd.children, thread, args);
                 break;
             }
             case 'waitUntil': {
                 const checkCond = async () => {
-                    while (this.isRunning) {
-                        let met = false;
-                        switch (v.condition) {
-                            case 'touching player':
-                                if (this.playerController) met = obj.position.distanceTo(this.playerController.mesh.position) < 2;
-                                break;
-                            case 'key pressed': met = Object.values(this.keys).some(k => k); break;
-                            case 'timer > 5': met = this.gameTimer > 5; break;
-                        }
-                        if (met) break;
+                    while (this._threadAlive(obj, thread)) {
+                        if (this._evaluateCondition(obj, this._evaluateInput(obj, cmd.values.condition, args))) break;
                         await this.sleep(50);
                     }
                 };
@@ -2326,6 +3747,11 @@ class Runtime {
                     const dist = other.position.distanceTo(obj.position);
                     if (dist < radius && dist > 0.1) {
                         const pushDir = new THREE.Vector3().subVectors(other.position, obj.position).normalize();
+                        if (this._isDynamic(other)) {
+                            pushDir.y += 0.5;
+                            this._applyImpulse(other, pushDir.multiplyScalar((1 - dist / radius) * force));
+                            return;
+                        }
                         const strength = (1 - dist / radius) * force * 0.1;
                         other.position.add(pushDir.multiplyScalar(strength));
                         other.position.y += strength * 0.5;
@@ -2385,27 +3811,27 @@ class Runtime {
                     let vx, vy, vz;
                     switch (pType) {
                         case 'burst':
-                            vx = (Math.random() - 0.5) * 4;
-                            vy = Math.random() * 5 + 2;
-                            vz = (Math.random() - 0.5) * 4;
+                            vx = (this.random() - 0.5) * 4;
+                            vy = this.random() * 5 + 2;
+                            vz = (this.random() - 0.5) * 4;
                             break;
                         case 'sparkle':
-                            vx = (Math.random() - 0.5) * 2;
-                            vy = Math.random() * 3 + 1;
-                            vz = (Math.random() - 0.5) * 2;
+                            vx = (this.random() - 0.5) * 2;
+                            vy = this.random() * 3 + 1;
+                            vz = (this.random() - 0.5) * 2;
                             break;
                         case 'fire':
-                            vx = (Math.random() - 0.5) * 0.8;
-                            vy = Math.random() * 4 + 2;
-                            vz = (Math.random() - 0.5) * 0.8;
+                            vx = (this.random() - 0.5) * 0.8;
+                            vy = this.random() * 4 + 2;
+                            vz = (this.random() - 0.5) * 0.8;
                             break;
                         case 'snow':
-                            vx = (Math.random() - 0.5) * 0.5;
-                            vy = -(Math.random() * 1 + 0.5);
-                            vz = (Math.random() - 0.5) * 0.5;
-                            positions[i * 3] = obj.position.x + (Math.random() - 0.5) * 10;
+                            vx = (this.random() - 0.5) * 0.5;
+                            vy = -(this.random() * 1 + 0.5);
+                            vz = (this.random() - 0.5) * 0.5;
+                            positions[i * 3] = obj.position.x + (this.random() - 0.5) * 10;
                             positions[i * 3 + 1] = obj.position.y + 8;
-                            positions[i * 3 + 2] = obj.position.z + (Math.random() - 0.5) * 10;
+                            positions[i * 3 + 2] = obj.position.z + (this.random() - 0.5) * 10;
                             break;
                     }
                     velocities.push(new THREE.Vector3(vx, vy, vz));
@@ -2504,31 +3930,15 @@ class Runtime {
             // ===== New Control Blocks =====
             case 'broadcast': {
                 this.triggerEvent('onMessage', { msg: v.msg });
+                if (this.onNetworkBroadcast) this.onNetworkBroadcast(v.msg);
                 break;
             }
             case 'while': {
-                const evalWhileCondition = () => {
-                    switch (v.condition) {
-                        case 'touching player':
-                            if (this.playerController) return obj.position.distanceTo(this.playerController.mesh.position) < 2;
-                            return false;
-                        case 'key pressed':
-                            return Object.values(this.keys).some(k => k);
-                        case 'variable > 0':
-                            return (this.variables.score || 0) > 0;
-                        case 'health > 0':
-                            return (this.variables.health || 0) > 0;
-                        case 'timer < 10':
-                            return this.gameTimer < 10;
-                        default:
-                            return false;
-                    }
-                };
-                while (this.isRunning && evalWhileCondition()) {
+                while (this._threadAlive(obj, thread) && this._evaluateCondition(obj, this._evaluateInput(obj, cmd.values.condition, args))) {
                     if (cmd.children) {
-                        await this.executeCommands(obj, cmd.children);
+                        await this.executeCommands(obj, cmd.children, thread, args);
                     }
-                    await this.sleep(16);
+                    if (this._loopShouldYield(args)) await this.sleep(16);
                 }
                 break;
             }
@@ -2538,10 +3948,10 @@ class Runtime {
                 const end = parseInt(v.end) || 10;
                 const step = start <= end ? 1 : -1;
                 for (let i = start; step > 0 ? i <= end : i >= end; i += step) {
-                    if (!this.isRunning) break;
+                    if (!this._threadAlive(obj, thread)) break;
                     this.variables[varName] = i;
                     if (cmd.children) {
-                        await this.executeCommands(obj, cmd.children);
+                        await this.executeCommands(obj, cmd.children, thread, args);
                     }
                 }
                 break;
@@ -2582,7 +3992,7 @@ class Runtime {
                 obj.traverse(child => {
                     if (child.material && child !== obj) origColors.push({ mat: child.material, color: child.material.color.clone() });
                 });
-                for (let i = 0; i < times && this.isRunning; i++) {
+                for (let i = 0; i < times && this._threadAlive(obj, thread); i++) {
                     // Flash on
                     origColors.forEach(entry => entry.mat.color.copy(flashColor));
                     await this.sleep(100);
@@ -2632,21 +4042,11 @@ class Runtime {
 
             // ===== New Physics Blocks =====
             case 'freeze': {
-                obj.userData.anchored = true;
-                // Remove any gravity animations for this object
-                this.activeAnimations = this.activeAnimations.filter(
-                    a => !(a.type === 'gravity' && a.object === obj)
-                );
+                this._anchorBody(obj);
                 break;
             }
             case 'unfreeze': {
                 obj.userData.anchored = false;
-                this.activeAnimations.push({
-                    type: 'gravity',
-                    object: obj,
-                    velocity: 0,
-                    elapsed: 0
-                });
                 break;
             }
             case 'attract': {
@@ -2673,8 +4073,9 @@ class Runtime {
             }
             case 'setWorldGravity': {
                 const g = parseFloat(v.g);
+                this.physicsGravity = isNaN(g) ? -20 : g;
                 if (this.playerController) {
-                    this.playerController.gravity = isNaN(g) ? -20 : g;
+                    this.playerController.gravity = this.physicsGravity;
                 }
                 break;
             }
@@ -2721,9 +4122,11 @@ class Runtime {
             case 'removeLastSpawned': {
                 if (this._spawnedObjects.length > 0) {
                     const last = this._spawnedObjects.pop();
+                    this._removeObjectScripts(last);
                     this.scene3d.scene.remove(last);
                     const idx = this.scene3d.objects.indexOf(last);
                     if (idx !== -1) this.scene3d.objects.splice(idx, 1);
+                    this.scene3d.spatialGrid.remove(last);
                     if (last.geometry) last.geometry.dispose();
                     if (last.material) last.material.dispose();
                 }
@@ -2731,9 +4134,11 @@ class Runtime {
             }
             case 'removeAllSpawned': {
                 this._spawnedObjects.forEach(s => {
+                    this._removeObjectScripts(s);
                     this.scene3d.scene.remove(s);
                     const idx = this.scene3d.objects.indexOf(s);
                     if (idx !== -1) this.scene3d.objects.splice(idx, 1);
+                    this.scene3d.spatialGrid.remove(s);
                     if (s.geometry) s.geometry.dispose();
                     if (s.material) s.material.dispose();
                 });
@@ -3163,10 +4568,10 @@ class Runtime {
                 break;
             }
             case 'enemyAttackRanged': {
-                const interval = (parseFloat(v.seconds) || 2) * 1000;
+                const interval = parseFloat(v.seconds) || 2;
                 const damage = parseFloat(v.damage) || 5;
-                const attackInterval = setInterval(() => {
-                    if (!this.isRunning || !obj.visible) { clearInterval(attackInterval); return; }
+                const attackInterval = this._every(interval, () => {
+                    if (!obj.visible) { this._cancelTimer(attackInterval); return; }
                     if (!this.playerController) return;
                     const dist = obj.position.distanceTo(this.playerController.mesh.position);
                     if (dist < 15) {
@@ -3179,7 +4584,7 @@ class Runtime {
                         this._projectileConfig.get(obj.userData.id).damage = damage;
                         this._createProjectile(spawnPos, dir.multiplyScalar(15), '#ff4400', obj);
                     }
-                }, interval);
+                });
                 this._timerIntervals.push(attackInterval);
                 break;
             }
@@ -3239,7 +4644,7 @@ class Runtime {
             case 'ifHasItem': {
                 const hasItem = this.inventory.some(i => i.name === (v.item || 'Item') && i.count > 0);
                 if (hasItem && cmd.children) {
-                    await this.executeCommands(obj, cmd.children);
+                    await this.executeCommands(obj, cmd.children, thread, args);
                 }
                 break;
             }
@@ -3386,24 +4791,31 @@ class Runtime {
                 break;
             }
             case 'nextLevel': {
-                this.variables.level = (this.variables.level || 1) + 1;
-                this.triggerEvent('onLevelStart');
+                // Without a following scene, fall back to bumping the level variable
+                if (!this.loadLevel(this.currentLevelIndex + 1)) {
+                    this.variables.level = (this.variables.level || 1) + 1;
+                    this.triggerEvent('onLevelStart');
+                }
+                break;
+            }
+            case 'gotoLevel': {
+                const levelIdx = this._findLevelIndex(v.level);
+                if (levelIdx !== -1) this.loadLevel(levelIdx);
                 break;
             }
             case 'startCountdown': {
                 const secs = parseFloat(v.seconds) || 60;
                 this._countdown = secs;
-                if (this._countdownInterval) clearInterval(this._countdownInterval);
-                this._countdownInterval = setInterval(() => {
-                    if (!this.isRunning) { clearInterval(this._countdownInterval); return; }
+                if (this._countdownInterval) this._cancelTimer(this._countdownInterval);
+                this._countdownInterval = this._every(1, () => {
                     this._countdown -= 1;
                     if (this._countdown <= 0) {
                         this._countdown = 0;
-                        clearInterval(this._countdownInterval);
+                        this._cancelTimer(this._countdownInterval);
                         this._countdownInterval = null;
                         this.triggerEvent('onTimerDone');
                     }
-                }, 1000);
+                });
                 break;
             }
             case 'showTimer': {
@@ -3466,9 +4878,9 @@ class Runtime {
             }
             case 'slowMotion': {
                 const slowSpeed = parseFloat(v.speed) || 0.3;
-                const slowDur = (parseFloat(v.seconds) || 3) * 1000;
+                const slowDur = parseFloat(v.seconds) || 3;
                 this._timeScale = slowSpeed;
-                setTimeout(() => { this._timeScale = 1; }, slowDur);
+                this._after(slowDur, () => { this._timeScale = 1; });
                 break;
             }
             case 'cameraZoom': {
@@ -3512,52 +4924,8 @@ class Runtime {
             }
 
             case 'showScreen': {
-                const screenName = v.screen;
-                const screenDef = (this._uiScreens || []).find(s => s.name === screenName);
-                if (!screenDef) break;
-                // Remove if already showing
-                if (this._activeScreens.has(screenName)) {
-                    this._activeScreens.get(screenName).remove();
-                }
-                // Create DOM overlay
-                const overlay = document.createElement('div');
-                overlay.className = 'game-ui-screen';
-                overlay.style.background = screenDef.bgColor;
-                overlay.dataset.screenName = screenName;
-                // Render each element (panels first, then text, then buttons for z-order)
-                const sorted = [...screenDef.elements].sort((a, b) => {
-                    const order = { panel: 0, text: 1, button: 2 };
-                    return (order[a.type] || 0) - (order[b.type] || 0);
-                });
-                const runtime = this;
-                sorted.forEach(el => {
-                    const div = document.createElement('div');
-                    div.className = 'game-ui-element';
-                    if (el.type === 'button') {
-                        div.classList.add('game-ui-button');
-                    }
-                    div.style.cssText = `
-                        left:${el.x}%;top:${el.y}%;width:${el.width}%;height:${el.height}%;
-                        font-size:${el.fontSize}px !important;color:${el.color};
-                        background:${el.bgColor === 'transparent' ? 'transparent' : el.bgColor};
-                        text-align:${el.align};display:flex;align-items:center;padding:0 12px;
-                        justify-content:${el.align === 'center' ? 'center' : el.align === 'right' ? 'flex-end' : 'flex-start'};
-                        border-radius:${el.type === 'button' ? '8px' : el.type === 'panel' ? '6px' : '0'};
-                        ${el.type === 'button' ? 'box-shadow:0 3px 10px rgba(0,0,0,0.3);font-weight:600;cursor:pointer;' : ''}
-                    `;
-                    div.textContent = el.text || '';
-                    if (el.type === 'button') {
-                        div.addEventListener('click', (e) => {
-                            e.stopPropagation();
-                            if (el.action && runtime.isRunning) {
-                                runtime.triggerEvent('onMessage', { msg: el.action });
-                            }
-                        });
-                    }
-                    overlay.appendChild(div);
-                });
-                (this._getElement('playOverlay', 'play-overlay') || document.getElementById('viewport-container') || document.body).appendChild(overlay);
-                this._activeScreens.set(screenName, overlay);
+                const screenDef = (this._uiScreens || []).find(s => s.name === v.screen);
+                if (screenDef) this._showUIScreen(v.screen, screenDef);
                 break;
             }
             case 'hideScreen': {
@@ -3682,23 +5050,182 @@ class Runtime {
             default: {
                 // Handle custom block calls (customCall_xxx)
                 if (cmd.code.startsWith('customCall_')) {
-                    const customId = cmd.code.replace('customCall_', '');
-                    const defCode = 'customDef_' + customId;
-                    // Find the define hat's commands on this object
-                    for (const rs of this.runningScripts) {
-                        if (rs.object === obj && rs.script.trigger === defCode) {
-                            await this.executeCommands(obj, rs.script.commands);
-                            break;
-                        }
-                    }
+                    await this._callCustomBlock(obj, cmd.code.replace('customCall_', ''), v, thread, args);
                 }
                 break;
             }
         }
     }
 
+    // Shared by if, if/else, while and wait until. A reporter in the condition input arrives
+    // here already evaluated.
+    _evaluateCondition(obj, condition) {
+        if (typeof condition === 'boolean' || typeof condition === 'number') return !!condition;
+        if (typeof condition === 'string') {
+            if (condition.startsWith('touching object ')) return this._isTouchingTarget(obj, 'object named', condition.slice('touching object '.length));
+            if (condition.startsWith('touching tag ')) return this._isTouchingTarget(obj, 'tag', condition.slice('touching tag '.length));
+        }
+        switch (condition) {
+            case 'touching player':
+                return !!this.playerController && obj.position.distanceTo(this.playerController.mesh.position) < 2;
+            case 'distance < 3':
+                return !!this.playerController && obj.position.distanceTo(this.playerController.mesh.position) < 3;
+            case 'key pressed':
+                return Object.values(this.keys).some(k => k);
+            case 'variable > 0':
+                return (this.variables.score || 0) > 0;
+            case 'health < 50':
+                return (this.variables.health || 100) < 50;
+            case 'health > 0':
+                return (this.variables.health || 0) > 0;
+            case 'random chance':
+                return this.random() > 0.5;
+            case 'timer > 5':
+                return this.gameTimer > 5;
+            case 'timer < 10':
+                return this.gameTimer < 10;
+            default:
+                return false;
+        }
+    }
+
+    // Waits on the simulated clock, so scripts wake on the same step in a replay
     sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        if (!this.isRunning) return new Promise(resolve => setTimeout(resolve, ms));
+        return new Promise(resolve => this._after(ms / 1000, resolve));
+    }
+
+    // ===== UI Screens =====
+
+    // Render a screen definition as a DOM overlay, replacing it if already showing
+    _showUIScreen(screenName, screenDef) {
+        if (this._activeScreens.has(screenName)) {
+            this._activeScreens.get(screenName).remove();
+        }
+        const overlay = document.createElement('div');
+        overlay.className = 'game-ui-screen';
+        overlay.style.background = screenDef.bgColor;
+        overlay.dataset.screenName = screenName;
+        // Render each element (panels first, then text, then buttons for z-order)
+        const sorted = [...screenDef.elements].sort((a, b) => {
+            const order = { panel: 0, text: 1, button: 2 };
+            return (order[a.type] || 0) - (order[b.type] || 0);
+        });
+        sorted.forEach(el => {
+            const div = document.createElement('div');
+            div.className = 'game-ui-element';
+            if (el.type === 'button') {
+                div.classList.add('game-ui-button');
+            }
+            div.style.cssText = `
+                left:${el.x}%;top:${el.y}%;width:${el.width}%;height:${el.height}%;
+                font-size:${el.fontSize}px !important;color:${el.color};
+                background:${el.bgColor === 'transparent' ? 'transparent' : el.bgColor};
+                text-align:${el.align};display:flex;align-items:center;padding:0 12px;
+                justify-content:${el.align === 'center' ? 'center' : el.align === 'right' ? 'flex-end' : 'flex-start'};
+                border-radius:${el.type === 'button' ? '8px' : el.type === 'panel' ? '6px' : '0'};
+                ${el.type === 'button' ? 'box-shadow:0 3px 10px rgba(0,0,0,0.3);font-weight:600;cursor:pointer;' : ''}
+            `;
+            div.textContent = el.text || '';
+            if (el.type === 'button') {
+                div.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    // Built-in screens (leaderboards) use closeScreen buttons instead of messages
+                    if (el.closeScreen) {
+                        overlay.remove();
+                        if (this._activeScreens.get(screenName) === overlay) this._activeScreens.delete(screenName);
+                    }
+                    if (el.action && this.isRunning) {
+                        this.triggerEvent('onMessage', { msg: el.action });
+                    }
+                });
+            }
+            overlay.appendChild(div);
+        });
+        (this._getElement('playOverlay', 'play-overlay') || document.getElementById('viewport-container') || document.body).appendChild(overlay);
+        this._activeScreens.set(screenName, overlay);
+        return overlay;
+    }
+
+    // ===== Leaderboards =====
+
+    _leaderboardUrl(board, suffix = '') {
+        const projId = this._cloudProjectId();
+        if (!projId) return null;
+        return `/api/leaderboards/${projId}/${encodeURIComponent(board)}${suffix}`;
+    }
+
+    async _submitLeaderboardScore(board, score) {
+        // A replay is somebody else's run; never post scores for the viewer
+        if (this._replay) return;
+        const url = this._leaderboardUrl(board);
+        if (!url) return;
+        try {
+            const resp = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ score })
+            });
+            if (!resp.ok) this._warn('Score not submitted: ' + (await resp.json()).error);
+        } catch { /* silent */ }
+    }
+
+    // Show the top 10 as a UI screen, plus the rows around the player if they are further down
+    async _showLeaderboard(board, windowLabel) {
+        const windowName = { daily: 'daily', weekly: 'weekly' }[windowLabel] || 'all';
+        const query = `?window=${windowName}`;
+        const url = this._leaderboardUrl(board, query + '&limit=10');
+        let top = [];
+        let around = [];
+        let message = null;
+        if (!url) {
+            message = 'Publish this game to use leaderboards';
+        } else {
+            try {
+                const [topResp, aroundResp] = await Promise.all([
+                    fetch(url),
+                    fetch(this._leaderboardUrl(board, '/around-me' + query + '&range=2'))
+                ]);
+                if (topResp.ok) top = (await topResp.json()).entries;
+                else message = 'Leaderboard unavailable';
+                // Signed-out players just see the top list
+                if (aroundResp.ok) around = (await aroundResp.json()).entries;
+            } catch {
+                message = 'Leaderboard unavailable';
+            }
+        }
+        if (!this.isRunning) return;
+
+        const myId = window._app?._cachedUser?.id ?? null;
+        const rows = [...top];
+        if (around.length > 0 && !top.some(e => e.userId === myId)) {
+            rows.push(null, ...around.filter(e => !top.some(t => t.userId === e.userId)));
+        }
+        if (!message && rows.length === 0) message = 'No scores yet';
+
+        const title = board + (windowName === 'all' ? '' : ` (${windowLabel})`);
+        const elements = [
+            { type: 'panel', x: 50, y: 50, width: 40, height: 80, bgColor: 'rgba(20,24,40,0.92)' },
+            { type: 'text', text: '🏆 ' + title, x: 50, y: 16, width: 36, height: 7, fontSize: 24, color: '#ffd700', bgColor: 'transparent', align: 'center' }
+        ];
+        if (message) {
+            elements.push({ type: 'text', text: message, x: 50, y: 45, width: 36, height: 6, fontSize: 16, color: '#cccccc', bgColor: 'transparent', align: 'center' });
+        }
+        rows.forEach((entry, i) => {
+            const y = 23 + i * 3.6;
+            if (!entry) {
+                elements.push({ type: 'text', text: '⋯', x: 50, y, width: 36, height: 3.5, fontSize: 14, color: '#888888', bgColor: 'transparent', align: 'center' });
+                return;
+            }
+            const mine = entry.userId === myId;
+            elements.push(
+                { type: 'text', text: `#${entry.rank}  ${entry.displayName}`, x: 43, y, width: 22, height: 3.5, fontSize: 15, color: mine ? '#ffd700' : '#ffffff', bgColor: 'transparent', align: 'left' },
+                { type: 'text', text: String(entry.score), x: 62, y, width: 12, height: 3.5, fontSize: 15, color: mine ? '#ffd700' : '#ffffff', bgColor: 'transparent', align: 'right' }
+            );
+        });
+        elements.push({ type: 'button', text: 'Close', x: 50, y: 85, width: 14, height: 6, fontSize: 16, color: '#ffffff', bgColor: '#4C97FF', align: 'center', closeScreen: true });
+
+        this._showUIScreen('leaderboard:' + board, { bgColor: 'rgba(0,0,0,0.35)', elements });
     }
 
     // ===== HUD =====
@@ -3800,13 +5327,55 @@ class Runtime {
         this._debugVarsEnabled = !this._debugVarsEnabled;
         const panel = document.getElementById('debug-vars-panel');
         if (panel) panel.classList.toggle('hidden', !this._debugVarsEnabled);
+        if (this._debugVarsEnabled) this._renderDebugVars();
+        else this._removeCollisionGridOverlay();
+    }
+
+    // Outlines of the occupied spatial grid cells, drawn while the inspector is open
+    toggleCollisionGrid() {
+        this._showCollisionGrid = !this._showCollisionGrid;
+        const btn = document.getElementById('debug-grid-toggle');
+        if (btn) btn.classList.toggle('active', this._showCollisionGrid);
+        if (!this._showCollisionGrid) this._removeCollisionGridOverlay();
+    }
+
+    _updateCollisionGridOverlay() {
+        const positions = [];
+        this.scene3d.spatialGrid.forEachCell((x, y, z, size) => {
+            const x2 = x + size, y2 = y + size, z2 = z + size;
+            positions.push(
+                x, y, z, x2, y, z,   x2, y, z, x2, y, z2,   x2, y, z2, x, y, z2,   x, y, z2, x, y, z,
+                x, y2, z, x2, y2, z,   x2, y2, z, x2, y2, z2,   x2, y2, z2, x, y2, z2,   x, y2, z2, x, y2, z,
+                x, y, z, x, y2, z,   x2, y, z, x2, y2, z,   x2, y, z2, x2, y2, z2,   x, y, z2, x, y2, z2
+            );
+        });
+        if (!this._collisionGridOverlay) {
+            const mat = new THREE.LineBasicMaterial({ color: 0x22d3ee, transparent: true, opacity: 0.35, depthTest: false });
+            this._collisionGridOverlay = new THREE.LineSegments(new THREE.BufferGeometry(), mat);
+            this._collisionGridOverlay.renderOrder = 999;
+            this.scene3d.scene.add(this._collisionGridOverlay);
+        }
+        const geo = this._collisionGridOverlay.geometry;
+        geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geo.computeBoundingSphere();
+    }
+
+    _removeCollisionGridOverlay() {
+        if (!this._collisionGridOverlay) return;
+        this.scene3d.scene.remove(this._collisionGridOverlay);
+        this._collisionGridOverlay.geometry.dispose();
+        this._collisionGridOverlay.material.dispose();
+        this._collisionGridOverlay = null;
     }
 
     updateDebugVars() {
-        if (!this._debugVarsEnabled) return;
         this._debugFrameCount++;
         if (this._debugFrameCount % 6 !== 0) return;
+        if (this.onDebuggerUpdate) this.onDebuggerUpdate();
+        if (this._debugVarsEnabled) this._renderDebugVars();
+    }
 
+    _renderDebugVars() {
         const content = document.getElementById('debug-vars-content');
         if (!content) return;
 
@@ -3828,15 +5397,59 @@ class Runtime {
             }
         });
 
+        // Running scripts and the block each one is on
+        const threads = this.scriptThreads();
+        const esc = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+        html += '<div class="debug-section-label" style="margin-top:6px">Scripts (' + threads.length + ')' + (this._debugger.paused ? ' · paused' : '') + '</div>';
+        threads.forEach(t => {
+            const owner = t.object.userData.name || 'Object';
+            const block = t.block ? this._blockText(t.block.blockId, t.block.values) : this._blockText(t.trigger, t.triggerValues);
+            html += '<div class="debug-var-row' + (t.focused ? ' debug-thread-focused' : '') + '" title="' + esc(owner + ': ' + block) + '">' +
+                '<span class="debug-var-name debug-thread-name">' + esc(owner + ': ' + block) + '</span>' +
+                '<span class="debug-var-value">' + t.status + '</span></div>';
+        });
+
+        if (this._warnings.length > 0) {
+            html += '<div class="debug-section-label" style="margin-top:6px">Warnings</div>';
+            this._warnings.forEach(message => {
+                html += '<div class="debug-var-row debug-warning" title="' + esc(message) + '"><span class="debug-var-name">' + esc(message) + '</span></div>';
+            });
+        }
+
         html += '<div class="debug-section-label" style="margin-top:6px">System</div>';
         html += '<div class="debug-var-row"><span class="debug-var-name">lives</span><span class="debug-var-value">' + this._lives + '</span></div>';
         html += '<div class="debug-var-row"><span class="debug-var-name">gameTimer</span><span class="debug-var-value">' + this.gameTimer.toFixed(1) + 's</span></div>';
+        html += '<div class="debug-var-row"><span class="debug-var-name">frame</span><span class="debug-var-value">' + this.frame + (this._replay ? ' / ' + this._replay.frames : '') + '</span></div>';
+        html += '<div class="debug-var-row"><span class="debug-var-name">seed</span><span class="debug-var-value">' + this.seed + '</span></div>';
         html += '<div class="debug-var-row"><span class="debug-var-name">projectiles</span><span class="debug-var-value">' + this.projectiles.length + '</span></div>';
         html += '<div class="debug-var-row"><span class="debug-var-name">activeScripts</span><span class="debug-var-value">' + this.runningScripts.length + '</span></div>';
+        const byStatus = {};
+        threads.forEach(t => { byStatus[t.status] = (byStatus[t.status] || 0) + 1; });
+        const breakdown = Object.entries(byStatus).map(([status, n]) => n + ' ' + status).join(', ');
+        const threadStats = this._threadStats;
+        html += '<div class="debug-var-row"><span class="debug-var-name">threads</span><span class="debug-var-value">' + threads.length + (breakdown ? ' (' + breakdown + ')' : '') + '</span></div>';
+        html += '<div class="debug-var-row" title="Threads started / restarted / triggers ignored / stopped since the game started"><span class="debug-var-name">threadStarts</span><span class="debug-var-value">' +
+            threadStats.started + ' / ' + threadStats.restarted + ' / ' + threadStats.ignored + ' / ' + threadStats.stopped + '</span></div>';
         if (this._countdown !== null) {
             html += '<div class="debug-var-row"><span class="debug-var-name">countdown</span><span class="debug-var-value">' + Math.ceil(this._countdown) + 's</span></div>';
         }
 
+        // Broad phase work done during the previous frame
+        const stats = this._collisionStats;
+        if (stats) {
+            html += '<div class="debug-section-label" style="margin-top:6px">Collisions (per frame)</div>';
+            [
+                ['objects', stats.objects + (stats.large ? ' (' + stats.large + ' large)' : '')],
+                ['gridCells', stats.cells],
+                ['queries', stats.queries],
+                ['candidates', stats.candidates],
+                ['boxesRebuilt', stats.rebuilt]
+            ].forEach(([k, v]) => {
+                html += '<div class="debug-var-row"><span class="debug-var-name">' + k + '</span><span class="debug-var-value">' + v + '</span></div>';
+            });
+        }
+        if (this._showCollisionGrid) this._updateCollisionGridOverlay();
+
         content.innerHTML = html;
     }
 
@@ -4544,23 +6157,114 @@ class Runtime {
     }
 
     // === Cloud Data Helpers ===
+    _cloudProjectId() {
+        return this.cloudProjectId || window._app?.currentProjectId || null;
+    }
+
+    // Cache a cloud value and mirror it into the HUD variable shown by "Show cloud"
+    _setCloudCache(key, value) {
+        if (!this._cloudCache) this._cloudCache = {};
+        this._cloudCache[key] = value;
+        this.variables['cloud:' + key] = value;
+    }
+
+    _cloudSocketOpen() {
+        return this._cloudWs && this._cloudWs.readyState === WebSocket.OPEN;
+    }
+
+    _usesCloud(commands) {
+        return (commands || []).some(cmd => cmd && ((cmd.code || '').startsWith('cloud') || this._usesCloud(cmd.children)));
+    }
+
+    // Subscribe to live cloud variable updates if any running script uses cloud blocks
+    // Replays never connect: live values would steer the run away from the recording
+    _cloudConnect() {
+        if (this._cloudWs || !this.isRunning || this._replay) return;
+        const projId = this._cloudProjectId();
+        if (!projId) return;
+        const needed = this.runningScripts.some(rs => rs.script.trigger === 'onCloudChange' || this._usesCloud(rs.script.commands));
+        if (!needed) return;
+
+        const proto = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const ws = new WebSocket(`${proto}//${location.host}`);
+        this._cloudWs = ws;
+        ws.onopen = () => ws.send(JSON.stringify({ type: 'cloud-subscribe', projectId: projId }));
+        ws.onmessage = (e) => {
+            let msg;
+            try { msg = JSON.parse(e.data); } catch { return; }
+            if (msg.projectId && msg.projectId !== projId) return;
+            if (msg.type === 'cloud-snapshot') {
+                Object.entries(msg.values || {}).forEach(([key, value]) => this._applyCloudValue(key, value));
+                this._cloudSynced = true;
+            } else if (msg.type === 'cloud-update') {
+                this._applyCloudValue(msg.key, msg.value);
+            } else if (msg.type === 'cloud-error') {
+                this._warn('Cloud variable error: ' + msg.error);
+            }
+        };
+        // Without a socket (signed out, server restart) the blocks fall back to REST
+        ws.onclose = () => {
+            if (this._cloudWs === ws) this._cloudWs = null;
+            this._cloudSynced = false;
+        };
+    }
+
+    _cloudDisconnect() {
+        if (!this._cloudWs) return;
+        const ws = this._cloudWs;
+        this._cloudWs = null;
+        ws.close();
+    }
+
+    // A value pushed by the server; fires "when cloud changes" scripts if it actually changed
+    _applyCloudValue(key, value) {
+        // Keys missing from the snapshot read as '0', like the REST fallback
+        const previous = this._cloudServerValues[key] ?? (this._cloudSynced ? '0' : undefined);
+        this._cloudServerValues[key] = value;
+        this._setCloudCache(key, value);
+        if (previous !== undefined && previous !== value && this.isRunning) {
+            this.triggerEvent('onCloudChange', { key, value });
+        }
+    }
+
+    // Reads go through the recording: a live run notes the first value of each key, and a
+    // replay serves those values back ('0' for keys the recording doesn't have)
     async _cloudFetch(key) {
         if (!this._cloudCache) this._cloudCache = {};
+        if (this._replay) {
+            if (this._cloudCache[key] === undefined) {
+                const recorded = this._replay.cloud && this._replay.cloud[key];
+                this._setCloudCache(key, recorded !== undefined ? String(recorded) : '0');
+            }
+            return this._cloudCache[key];
+        }
+        const value = await this._cloudRead(key);
+        if (this._recording && this._recording.cloud[key] === undefined) this._recording.cloud[key] = value;
+        return value;
+    }
+
+    async _cloudRead(key) {
         if (this._cloudCache[key] !== undefined) return this._cloudCache[key];
         try {
-            const projId = window._app?.currentProjectId;
+            const projId = this._cloudProjectId();
             if (!projId) return '0';
             const resp = await fetch(`/api/cloud-data/${projId}/${encodeURIComponent(key)}`);
             if (!resp.ok) return '0';
             const data = await resp.json();
-            this._cloudCache[key] = data.value || '0';
+            this._setCloudCache(key, data.value || '0');
+            if (this._cloudServerValues[key] === undefined) this._cloudServerValues[key] = this._cloudCache[key];
             return this._cloudCache[key];
         } catch { return '0'; }
     }
 
     async _cloudStore(key, value) {
+        if (this._replay) return;
+        if (this._cloudSocketOpen()) {
+            this._cloudWs.send(JSON.stringify({ type: 'cloud-set', key, value }));
+            return;
+        }
         try {
-            const projId = window._app?.currentProjectId;
+            const projId = this._cloudProjectId();
             if (!projId) return;
             await fetch(`/api/cloud-data/${projId}/${encodeURIComponent(key)}`, {
                 method: 'PUT',
@@ -4569,4 +6273,22 @@ class Runtime {
             });
         } catch { /* silent */ }
     }
+
+    async _cloudIncrement(key, amount) {
+        if (this._replay) return;
+        if (this._cloudSocketOpen()) {
+            this._cloudWs.send(JSON.stringify({ type: 'cloud-change', key, amount }));
+            return;
+        }
+        try {
+            const projId = this._cloudProjectId();
+            if (!projId) return;
+            const resp = await fetch(`/api/cloud-data/${projId}/${encodeURIComponent(key)}/increment`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ amount })
+            });
+            if (resp.ok) this._setCloudCache(key, (await resp.json()).value);
+        } catch { /* silent */ }
+    }
 }
@@ -6,6 +6,7 @@ class Scene3D {
     constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.objects = [];
+        this.spatialGrid = new SpatialGrid(4);
         this.selectedObject = null;
         this.selectedObjects = [];
         this.nextId = 1;
@@ -38,6 +39,10 @@ class Scene3D {
         this.onMultiSelect = null;
         this.onObjectAdded = null;
         this.onObjectRemoved = null;
+        this.onTransformStart = null;
+        this.onTransformEnd = null;
+        this.onBeforeRender = null; // set by the runtime during play to interpolate between steps
+        this.onAfterRender = null;
         this._collabIdCounter = 0;
 
         // Render-on-demand: dirty flag
@@ -204,6 +209,9 @@ class Scene3D {
         this.transformControls.addEventListener('dragging-changed', (e) => {
             this.orbitControls.enabled = !e.value;
             this._needsRender = true;
+            const target = this.transformControls.object;
+            if (e.value && this.onTransformStart && target) this.onTransformStart(target);
+            if (!e.value && this.onTransformEnd && target) this.onTransformEnd(target);
         });
 
         this.transformControls.addEventListener('objectChange', () => {
@@ -791,9 +799,13 @@ class Scene3D {
             name: name,
             type: type,
             collabId: options.collabId || this._generateCollabId(),
-            anchored: options.anchored !== undefined ? options.anchored : false,
+            anchored: options.anchored !== undefined ? options.anchored : true,
             collidable: options.collidable !== undefined ? options.collidable : true,
             mass: options.mass || 1,
+            tags: options.tags ? [...options.tags] : [],
+            friction: options.friction !== undefined ? options.friction : 0.5,
+            bounciness: options.bounciness !== undefined ? options.bounciness : 0,
+            collider: options.collider || 'auto',
             locked: false,
             visible: true,
             scripts: [],
@@ -821,6 +833,7 @@ class Scene3D {
         if (idx !== -1) {
             this.objects.splice(idx, 1);
         }
+        this.spatialGrid.remove(obj);
         // Remove from multi-select array
         const multiIdx = this.selectedObjects.indexOf(obj);
         if (multiIdx !== -1) {
@@ -869,7 +882,11 @@ class Scene3D {
             color: color,
             anchored: obj.userData.anchored,
             collidable: obj.userData.collidable,
-            mass: obj.userData.mass
+            mass: obj.userData.mass,
+            tags: obj.userData.tags,
+            friction: obj.userData.friction,
+            bounciness: obj.userData.bounciness,
+            collider: obj.userData.collider
         });
 
         dup.rotation.copy(obj.rotation);
@@ -899,7 +916,7 @@ class Scene3D {
         this.deselect();
 
         this.selectedObject = obj;
-        if (this.transformControls) this.transformControls.attach(obj);
+        if (this.transformControls && !obj.userData.remoteLock) this.transformControls.attach(obj);
         this._needsRender = true;
 
         // Highlight
@@ -1090,9 +1107,15 @@ class Scene3D {
         );
     }
 
-    _getSceneMeshes() {
+    // Meshes of scene objects; with a ray, only objects whose bounds it crosses (via the spatial grid)
+    _getSceneMeshes(ray = null, far = Infinity) {
         const meshes = [];
-        this.objects.forEach(obj => {
+        let objects = this.objects;
+        if (ray) {
+            this.spatialGrid.sync(this.objects);
+            objects = this.spatialGrid.queryRay(ray, Math.min(far, this.camera.far));
+        }
+        objects.forEach(obj => {
             if (obj.isMesh) {
                 meshes.push(obj);
             } else {
@@ -1123,7 +1146,7 @@ class Scene3D {
         this._pointerDownPos.copy(this.mouse);
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const meshes = this._getSceneMeshes();
+        const meshes = this._getSceneMeshes(this.raycaster.ray, this.raycaster.far);
         const intersects = this.raycaster.intersectObjects(meshes, false);
 
         if (intersects.length > 0) {
@@ -1134,6 +1157,8 @@ class Scene3D {
                     return;
                 }
                 this.selectObject(target);
+                // Another collaborator is editing it — selectable, but not draggable
+                if (target.userData.remoteLock) return;
 
                 // Set up drag plane at object's Y, facing up
                 this._dragPlane.set(new THREE.Vector3(0, 1, 0), -target.position.y);
@@ -1191,6 +1216,7 @@ class Scene3D {
             this.orbitControls.enabled = false;
             // Hide transform gizmo while direct-dragging
             this.transformControls.detach();
+            if (this.onTransformStart) this.onTransformStart(this._dragObject);
         }
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
@@ -1239,6 +1265,7 @@ class Scene3D {
             if (this.selectedObject) {
                 this.transformControls.attach(this.selectedObject);
             }
+            if (this.onTransformEnd) this.onTransformEnd(this._dragObject);
         }
 
         this._isDragging = false;
@@ -1630,7 +1657,9 @@ class Scene3D {
 
         // Render-on-demand: skip render when nothing changed in editor mode
         if (this.isPlaying || this._needsRender) {
+            if (this.onBeforeRender) this.onBeforeRender();
             this.renderer.render(this.scene, this.camera);
+            if (this.onAfterRender) this.onAfterRender();
             this._needsRender = false;
         }
 
@@ -1784,60 +1813,66 @@ class Scene3D {
     // ===== Serialization =====
 
     serialize() {
-        return this.objects.map(obj => {
-            let color = '#4a90d9';
-            if (obj.material && obj.material.color) {
-                color = '#' + obj.material.color.getHexString();
-            }
+        return this.objects.map(obj => this.serializeObject(obj));
+    }
 
-            // Collect child mesh colors for group objects (npc, tree, house, etc.)
-            let childColors = null;
-            if (!obj.isMesh && obj.isGroup !== false) {
-                const children = [];
-                obj.traverse(child => {
-                    if (child.isMesh && child.material && child.material.color && child !== obj) {
-                        children.push('#' + child.material.color.getHexString());
-                    }
-                });
-                if (children.length > 0) childColors = children;
-            }
+    serializeObject(obj) {
+        let color = '#4a90d9';
+        if (obj.material && obj.material.color) {
+            color = '#' + obj.material.color.getHexString();
+        }
 
-            const data = {
-                type: obj.userData.type,
-                name: obj.userData.name,
-                collabId: obj.userData.collabId,
-                position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
-                rotation: {
-                    x: THREE.MathUtils.radToDeg(obj.rotation.x),
-                    y: THREE.MathUtils.radToDeg(obj.rotation.y),
-                    z: THREE.MathUtils.radToDeg(obj.rotation.z)
-                },
-                scale: { x: obj.scale.x, y: obj.scale.y, z: obj.scale.z },
-                color: color,
-                anchored: obj.userData.anchored,
-                collidable: obj.userData.collidable,
-                mass: obj.userData.mass,
-                scripts: obj.userData.scripts,
-                material: obj.material ? {
-                    roughness: obj.material.roughness,
-                    metalness: obj.material.metalness,
-                    opacity: obj.material.opacity
-                } : null,
-                textureId: obj.userData.textureId || null,
-                tileScale: obj.userData.tileScale || null,
-                childColors: childColors,
-                animations: obj.userData.animations || null,
-                quickAnimations: obj.userData.quickAnimations || null
-            };
+        // Collect child mesh colors for group objects (npc, tree, house, etc.)
+        let childColors = null;
+        if (!obj.isMesh && obj.isGroup !== false) {
+            const children = [];
+            obj.traverse(child => {
+                if (child.isMesh && child.material && child.material.color && child !== obj && !child.userData.isOutline) {
+                    children.push('#' + child.material.color.getHexString());
+                }
+            });
+            if (children.length > 0) childColors = children;
+        }
 
-            // Custom object data
-            if (obj.userData.type === 'custom') {
-                data.customObjectId = obj.userData.customObjectId;
-                data.customParts = obj.userData.customParts;
-            }
+        const data = {
+            type: obj.userData.type,
+            name: obj.userData.name,
+            collabId: obj.userData.collabId,
+            position: { x: obj.position.x, y: obj.position.y, z: obj.position.z },
+            rotation: {
+                x: THREE.MathUtils.radToDeg(obj.rotation.x),
+                y: THREE.MathUtils.radToDeg(obj.rotation.y),
+                z: THREE.MathUtils.radToDeg(obj.rotation.z)
+            },
+            scale: { x: obj.scale.x, y: obj.scale.y, z: obj.scale.z },
+            color: color,
+            anchored: obj.userData.anchored,
+            collidable: obj.userData.collidable,
+            mass: obj.userData.mass,
+            tags: obj.userData.tags && obj.userData.tags.length ? obj.userData.tags : undefined,
+            friction: obj.userData.friction,
+            bounciness: obj.userData.bounciness,
+            collider: obj.userData.collider && obj.userData.collider !== 'auto' ? obj.userData.collider : undefined,
+            scripts: obj.userData.scripts,
+            material: obj.material ? {
+                roughness: obj.material.roughness,
+                metalness: obj.material.metalness,
+                opacity: obj.material.opacity
+            } : null,
+            textureId: obj.userData.textureId || null,
+            tileScale: obj.userData.tileScale || null,
+            childColors: childColors,
+            animations: obj.userData.animations || null,
+            quickAnimations: obj.userData.quickAnimations || null
+        };
 
-            return data;
-        });
+        // Custom object data
+        if (obj.userData.type === 'custom') {
+            data.customObjectId = obj.userData.customObjectId;
+            data.customParts = obj.userData.customParts;
+        }
+
+        return data;
     }
 
     deserialize(data) {
@@ -1845,60 +1880,128 @@ class Scene3D {
         [...this.objects].forEach(obj => this.removeObject(obj));
         this._needsRender = true;
 
-        data.forEach(item => {
-            const opts = {
-                name: item.name,
-                collabId: item.collabId,
-                position: item.position,
-                rotation: item.rotation,
-                scale: item.scale,
-                color: item.color,
-                anchored: item.anchored,
-                collidable: item.collidable,
-                mass: item.mass
-            };
+        data.forEach(item => this.deserializeObject(item));
+    }
 
-            // Pass childColors for NPC and other group objects
-            if (item.childColors) {
-                opts.childColors = item.childColors;
-            }
+    deserializeObject(item) {
+        const opts = {
+            name: item.name,
+            collabId: item.collabId,
+            position: item.position,
+            rotation: item.rotation,
+            scale: item.scale,
+            color: item.color,
+            anchored: item.anchored,
+            collidable: item.collidable,
+            mass: item.mass,
+            tags: item.tags,
+            friction: item.friction,
+            bounciness: item.bounciness,
+            collider: item.collider
+        };
 
-            // Pass custom object data
-            if (item.type === 'custom') {
-                opts.customParts = item.customParts;
-                opts.customObjectId = item.customObjectId;
-            }
+        // Pass childColors for NPC and other group objects
+        if (item.childColors) {
+            opts.childColors = item.childColors;
+        }
 
-            const obj = this.addObject(item.type, opts);
-            obj.userData.scripts = item.scripts || [];
-            if (item.animations) obj.userData.animations = item.animations;
-            if (item.quickAnimations) obj.userData.quickAnimations = item.quickAnimations;
-            if (item.material && obj.material) {
-                obj.material.roughness = item.material.roughness;
-                obj.material.metalness = item.material.metalness;
-                obj.material.opacity = item.material.opacity;
-                obj.material.transparent = item.material.opacity < 1;
-            }
+        // Pass custom object data
+        if (item.type === 'custom') {
+            opts.customParts = item.customParts;
+            opts.customObjectId = item.customObjectId;
+        }
 
-            // Restore texture
-            if (item.textureId && typeof TextureManager !== 'undefined') {
-                const mgr = window._textureManager || (window._textureManager = new TextureManager());
-                mgr.applyTexture(obj, item.textureId, item.tileScale || 1);
-            }
+        const obj = this.addObject(item.type, opts);
+        obj.userData.scripts = item.scripts || [];
+        if (item.animations) obj.userData.animations = item.animations;
+        if (item.quickAnimations) obj.userData.quickAnimations = item.quickAnimations;
+        if (item.material && obj.material) {
+            obj.material.roughness = item.material.roughness;
+            obj.material.metalness = item.material.metalness;
+            obj.material.opacity = item.material.opacity;
+            obj.material.transparent = item.material.opacity < 1;
+        }
 
-            // Apply childColors to existing group children (for non-NPC groups that don't use opts.childColors in addObject)
-            if (item.childColors && !obj.isMesh && item.type !== 'npc') {
-                const meshChildren = [];
-                obj.traverse(child => {
-                    if (child.isMesh && child !== obj) meshChildren.push(child);
-                });
-                item.childColors.forEach((c, i) => {
-                    if (meshChildren[i] && meshChildren[i].material) {
-                        meshChildren[i].material.color.set(c);
-                    }
-                });
+        // Restore texture
+        if (item.textureId && typeof TextureManager !== 'undefined') {
+            const mgr = window._textureManager || (window._textureManager = new TextureManager());
+            mgr.applyTexture(obj, item.textureId, item.tileScale || 1);
+        }
+
+        // Apply childColors to existing group children (for non-NPC groups that don't use opts.childColors in addObject)
+        if (item.childColors && !obj.isMesh && item.type !== 'npc') {
+            const meshChildren = [];
+            obj.traverse(child => {
+                if (child.isMesh && child !== obj) meshChildren.push(child);
+            });
+            item.childColors.forEach((c, i) => {
+                if (meshChildren[i] && meshChildren[i].material) {
+                    meshChildren[i].material.color.set(c);
+                }
+            });
+        }
+
+        return obj;
+    }
+
+    // ===== Preview Ghosts =====
+    // Translucent stand-ins for changes that are not applied yet (AI build previews). Ghosts
+    // live in the scene but not in `objects`, so they can't be picked, saved, simulated or synced.
+
+    // Ghost of a new object, built exactly like addObject would build it
+    addGhost(type, options = {}) {
+        const savedAdded = this.onObjectAdded;
+        this.onObjectAdded = null;
+        const mesh = this.addObject(type, options);
+        this.onObjectAdded = savedAdded;
+        this.objects.splice(this.objects.indexOf(mesh), 1);
+        this.nextId--;
+        this._ghostify(mesh, null);
+        mesh.userData = { ghost: true, ownsGeometry: true };
+        return mesh;
+    }
+
+    // Ghost copy of an existing object, e.g. to show it after a change, or tinted over it to
+    // mark it for removal
+    cloneAsGhost(obj, tint = null) {
+        const ghost = obj.clone();
+        this._ghostify(ghost, tint);
+        ghost.userData = { ghost: true, ownsGeometry: false };
+        this.scene.add(ghost);
+        this._needsRender = true;
+        return ghost;
+    }
+
+    removeGhost(ghost) {
+        if (!ghost) return;
+        this.scene.remove(ghost);
+        ghost.traverse(child => {
+            if (child.geometry && ghost.userData.ownsGeometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        this._needsRender = true;
+    }
+
+    _ghostify(mesh, tint) {
+        mesh.traverse(child => {
+            child.castShadow = false;
+            child.receiveShadow = false;
+            if (!child.material) return;
+            // Clones share materials with their source, so give each ghost its own
+            const source = Array.isArray(child.material) ? child.material[0] : child.material;
+            const material = source.clone();
+            material.transparent = true;
+            material.opacity = tint ? 0.55 : 0.45;
+            material.depthWrite = false;
+            if (tint && material.emissive) {
+                material.color.set(tint);
+                material.emissive.set(tint);
+                material.emissiveIntensity = 0.6;
             }
+            child.material = material;
         });
+        if (tint) mesh.scale.multiplyScalar(1.02);
+        mesh.renderOrder = 1;
     }
 
     // ===== Collaboration Helpers =====
@@ -1911,6 +2014,16 @@ class Scene3D {
         return this.objects.find(obj => obj.userData.collabId === collabId) || null;
     }
 
+    // lock is { userId, displayName } while another collaborator has the object selected
+    setRemoteLock(obj, lock) {
+        obj.userData.remoteLock = lock || null;
+        if (obj === this.selectedObject && this.transformControls) {
+            if (lock) this.transformControls.detach();
+            else this.transformControls.attach(obj);
+            this._needsRender = true;
+        }
+    }
+
     remoteAddObject(type, opts) {
         const savedAdded = this.onObjectAdded;
         this.onObjectAdded = null;
@@ -1960,6 +2073,17 @@ class Scene3D {
             case 'mass':
                 obj.userData.mass = value;
                 break;
+            case 'tags':
+                obj.userData.tags = Array.isArray(value) ? value : [];
+                break;
+            case 'friction':
+            case 'bounciness':
+                // 0..1, the range of the Properties panel; other values are ignored
+                if (typeof value === 'number' && isFinite(value)) obj.userData[prop] = Math.max(0, Math.min(1, value));
+                break;
+            case 'collider':
+                obj.userData.collider = value || 'auto';
+                break;
             case 'visible':
                 obj.visible = value;
                 obj.userData.visible = value;
@@ -1994,6 +2118,25 @@ class Scene3D {
             case 'quickAnimations':
                 obj.userData.quickAnimations = value;
                 break;
+            case 'animations':
+                obj.userData.animations = value;
+                break;
+            case 'childColors': {
+                if (!Array.isArray(value)) break;
+                const meshChildren = [];
+                obj.traverse(child => {
+                    if (child.isMesh && child !== obj && child.material && child.material.color && !child.userData.isOutline) meshChildren.push(child);
+                });
+                value.forEach((c, i) => {
+                    if (meshChildren[i]) meshChildren[i].material.color.set(c);
+                });
+                break;
+            }
+            case 'texture':
+                if (window._textureManager) {
+                    window._textureManager.applyTexture(obj, value && value.textureId, value && value.tileScale);
+                }
+                break;
         }
         this._needsRender = true;
     }
@@ -0,0 +1,289 @@
+/**
+ * ScriptSchema - Checks block scripts against the block definitions
+ * registry() turns BlockCode.defineBlocks() into a plain JSON registry of block types and
+ * inputs, and validateStacks() checks AI-written stacks against it, repairing what it can.
+ * The server requires this file and blockcode.js, so AI output is held to the same blocks
+ * the editor offers.
+ */
+class ScriptSchema {
+    static MAX_STACKS = 10;
+    static MAX_BLOCKS = 20;
+    static MAX_CHILDREN = 15;
+    static MAX_DEPTH = 4;
+
+    // Select inputs whose options come from the project (variables, messages, screens, levels,
+    // animations, uploaded sounds), so any name is accepted. Keys are input names, or
+    // "blockId.input" where the input name is also used by fixed selects.
+    static OPEN_SELECTS = ['var', 'msg', 'screen', 'level', 'anim', 'sound_play_custom.sound'];
+
+    // Condition options the editor adds for each scene object name and tag
+    static CONDITION_PREFIXES = ['touching object ', 'touching tag '];
+
+    static RETRIGGER_POLICIES = ['parallel', 'restart', 'ignore'];
+
+    // { blockId: { type, inputs: { key: { type, default, options?, open?, reporter? } } } }
+    // `reporter` marks inputs a reporter block can fill, as in BlockCode._findReporterSlotAt
+    static registry(blocks) {
+        const registry = {};
+        Object.entries(blocks).forEach(([id, def]) => {
+            const inputs = {};
+            Object.entries(def.inputs || {}).forEach(([key, input]) => {
+                const entry = { type: input.type, default: input.default };
+                if (input.type === 'select') {
+                    if (ScriptSchema.OPEN_SELECTS.includes(key) || ScriptSchema.OPEN_SELECTS.includes(id + '.' + key)) {
+                        entry.open = true;
+                    } else {
+                        entry.options = [...input.options];
+                    }
+                }
+                const fillable = input.type === 'number' || input.type === 'text' || key === 'condition' || input.boolean;
+                if (fillable && def.type !== 'hat') entry.reporter = true;
+                inputs[key] = entry;
+            });
+            registry[id] = { type: def.type, inputs };
+        });
+        return registry;
+    }
+
+    // Returns { stacks, report }. `report` has one entry per stack the model wrote:
+    // { index, kept, errors, repairs }, where kept says whether it made it into `stacks`. Repairs are fixes made here, like a misspelled block id or a
+    // select value in the wrong case. Errors are problems that lost the model's intent: a block
+    // that had to be dropped, an input set back to its default. Stacks left with no blocks are
+    // dropped from `stacks`.
+    static validateStacks(stacks, registry) {
+        const out = [];
+        const report = [];
+        if (!Array.isArray(stacks)) return { stacks: out, report: [{ index: 1, kept: false, errors: ['Output must be a list of stacks'], repairs: [] }] };
+
+        stacks.slice(0, ScriptSchema.MAX_STACKS).forEach((stack, i) => {
+            const entry = { index: i + 1, kept: false, errors: [], repairs: [] };
+            report.push(entry);
+            if (!ScriptSchema._isObject(stack) || !Array.isArray(stack.blocks)) {
+                entry.errors.push('Stack must be an object with a "blocks" list');
+                return;
+            }
+
+            const result = {};
+            if (Number.isInteger(stack.replaceStack) && stack.replaceStack > 0) {
+                result.replaceStack = stack.replaceStack;
+            } else if (Number.isInteger(stack.appendToStack) && stack.appendToStack > 0) {
+                result.appendToStack = stack.appendToStack;
+            }
+
+            const blocks = stack.blocks.slice(0, ScriptSchema.MAX_BLOCKS);
+            if (stack.blocks.length > blocks.length) entry.repairs.push(`Kept the first ${ScriptSchema.MAX_BLOCKS} blocks`);
+            // Appended blocks go under an existing hat, so only new and replacing stacks start with one
+            result.blocks = ScriptSchema._checkList(blocks, registry, entry, !result.appendToStack, 0);
+
+            if (result.blocks.length === 0) {
+                entry.errors.push('Nothing usable was left in this stack');
+                return;
+            }
+            if (!result.appendToStack && registry[result.blocks[0].blockId].type !== 'hat') {
+                entry.errors.push('Stack must start with an event (hat) block, or it will never run');
+            }
+            entry.kept = true;
+            out.push(result);
+        });
+        if (stacks.length > ScriptSchema.MAX_STACKS) {
+            report[report.length - 1].repairs.push(`Only the first ${ScriptSchema.MAX_STACKS} stacks were kept`);
+        }
+        return { stacks: out, report };
+    }
+
+    static countErrors(report) {
+        return report.reduce((sum, entry) => sum + entry.errors.length, 0);
+    }
+
+    // Readable problem list for asking the model to try again
+    static describeErrors(report) {
+        return report.filter(entry => entry.errors.length > 0)
+            .map(entry => entry.errors.map(err => `- Stack ${entry.index}: ${err}`).join('\n'))
+            .join('\n');
+    }
+
+    static _checkList(blocks, registry, entry, hatFirst, depth) {
+        const out = [];
+        const queue = [...blocks];
+        while (queue.length > 0) {
+            const block = queue.shift();
+            const checked = ScriptSchema._checkBlock(block, registry, entry, depth);
+            if (!checked) continue;
+            const def = registry[checked.blockId];
+
+            if (def.type === 'hat' && (!hatFirst || out.length > 0)) {
+                entry.errors.push(`${checked.blockId} is an event block and can only start a stack; it was dropped`);
+                continue;
+            }
+            if (def.type === 'reporter') {
+                entry.errors.push(`${checked.blockId} is a reporter and only fits inside another block's input; it was dropped`);
+                continue;
+            }
+            if (Array.isArray(block.children) && block.children.length > 0) {
+                if (def.type === 'c-block') {
+                    if (depth + 1 >= ScriptSchema.MAX_DEPTH) {
+                        entry.errors.push(`${checked.blockId} is nested too deeply; its inner blocks were dropped`);
+                    } else {
+                        const children = block.children.slice(0, ScriptSchema.MAX_CHILDREN);
+                        if (block.children.length > children.length) entry.repairs.push(`${checked.blockId}: kept the first ${ScriptSchema.MAX_CHILDREN} inner blocks`);
+                        checked.children = ScriptSchema._checkList(children, registry, entry, false, depth + 1);
+                    }
+                } else {
+                    // Only c-blocks hold blocks; run the rest after it instead
+                    entry.repairs.push(`${checked.blockId} cannot hold blocks, so its inner blocks were moved after it`);
+                    queue.unshift(...block.children);
+                }
+            }
+            out.push(checked);
+        }
+        return out;
+    }
+
+    // A block with known id and checked values, or null when it has to be dropped
+    static _checkBlock(block, registry, entry, depth) {
+        if (!ScriptSchema._isObject(block) || typeof block.blockId !== 'string') {
+            entry.errors.push('A block without a "blockId" was dropped');
+            return null;
+        }
+        let blockId = block.blockId;
+        if (!registry[blockId]) {
+            const guess = ScriptSchema._closest(blockId, Object.keys(registry));
+            if (!guess) {
+                entry.errors.push(`Unknown block "${blockId}" was dropped`);
+                return null;
+            }
+            entry.repairs.push(`Unknown block "${blockId}" was replaced with ${guess}`);
+            blockId = guess;
+        }
+        const def = registry[blockId];
+        const checked = { blockId, values: ScriptSchema._checkValues(blockId, def, block.values, registry, entry, depth) };
+        if (def.type === 'hat' && ScriptSchema.RETRIGGER_POLICIES.includes(block.retrigger)) checked.retrigger = block.retrigger;
+        return checked;
+    }
+
+    static _checkValues(blockId, def, values, registry, entry, depth) {
+        const out = {};
+        if (values === undefined || values === null) return out;
+        if (!ScriptSchema._isObject(values)) {
+            entry.errors.push(`${blockId}: "values" must be an object; defaults were used`);
+            return out;
+        }
+        const keys = Object.keys(def.inputs);
+        Object.entries(values).forEach(([rawKey, value]) => {
+            let key = rawKey;
+            if (!def.inputs[key]) {
+                key = keys.find(k => k.toLowerCase() === rawKey.toLowerCase()) || ScriptSchema._closest(rawKey, keys);
+                if (!key) {
+                    const known = keys.length > 0 ? ` (inputs: ${keys.join(', ')})` : ' (it has no inputs)';
+                    entry.errors.push(`${blockId}: unknown input "${rawKey}" was ignored${known}`);
+                    return;
+                }
+                entry.repairs.push(`${blockId}: input "${rawKey}" renamed to "${key}"`);
+            }
+            const checked = ScriptSchema._checkValue(blockId, key, def.inputs[key], value, registry, entry, depth);
+            if (checked !== undefined) out[key] = checked;
+        });
+        return out;
+    }
+
+    // The value to keep, or undefined to fall back to the input's default
+    static _checkValue(blockId, key, input, value, registry, entry, depth) {
+        const where = `${blockId}.${key}`;
+        if (ScriptSchema._isObject(value)) {
+            if (!input.reporter) {
+                entry.errors.push(`${where} cannot hold a reporter block; the default was used`);
+                return undefined;
+            }
+            if (depth + 1 >= ScriptSchema.MAX_DEPTH * 2) {
+                entry.errors.push(`${where}: reporters are nested too deeply; the default was used`);
+                return undefined;
+            }
+            const reporter = ScriptSchema._checkBlock(value, registry, entry, depth + 1);
+            if (!reporter) return undefined;
+            if (registry[reporter.blockId].type !== 'reporter') {
+                entry.errors.push(`${where}: ${reporter.blockId} is not a reporter; the default was used`);
+                return undefined;
+            }
+            return reporter;
+        }
+
+        switch (input.type) {
+            case 'number': {
+                if (typeof value === 'number' && isFinite(value)) return value;
+                const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+                if (isFinite(num)) return num;
+                entry.errors.push(`${where} must be a number, not ${JSON.stringify(value)}; the default was used`);
+                return undefined;
+            }
+            case 'text':
+                if (typeof value === 'string') return value;
+                if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+                entry.errors.push(`${where} must be text; the default was used`);
+                return undefined;
+            case 'color':
+                if (typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value)) return value;
+                if (typeof value === 'string' && /^#?[0-9a-fA-F]{6}$/.test(value.trim())) {
+                    entry.repairs.push(`${where}: color "${value}" written as #${value.trim().replace('#', '')}`);
+                    return '#' + value.trim().replace('#', '');
+                }
+                entry.errors.push(`${where} must be a color like "#ff0000", not ${JSON.stringify(value)}; the default was used`);
+                return undefined;
+            case 'select': {
+                if (typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean') {
+                    entry.errors.push(`${where} must be one of the listed options; the default was used`);
+                    return undefined;
+                }
+                const text = String(value);
+                if (input.open) return text;
+                if (input.options.includes(text)) return text;
+                if (key === 'condition' && ScriptSchema.CONDITION_PREFIXES.some(prefix => text.startsWith(prefix))) return text;
+                const match = input.options.find(option => option.toLowerCase() === text.toLowerCase().trim());
+                if (match) {
+                    if (typeof value === 'string') entry.repairs.push(`${where}: "${value}" corrected to "${match}"`);
+                    return match;
+                }
+                const shown = input.options.slice(0, 10).map(o => `"${o}"`).join(', ') + (input.options.length > 10 ? ', ...' : '');
+                entry.errors.push(`${where}: "${text}" is not an option (${shown}); the default was used`);
+                return undefined;
+            }
+            default:
+                return value;
+        }
+    }
+
+    // The one candidate `name` unambiguously means: the same name up to case and separators, or
+    // (for names longer than 3 characters) one typo away from exactly one candidate. Anything
+    // looser could swap in a block that does something else, so it returns null instead
+    static _closest(name, candidates) {
+        const normalize = (text) => text.toLowerCase().replace(/[\s_\-.]/g, '');
+        const target = normalize(name);
+        const same = candidates.filter(candidate => normalize(candidate) === target);
+        if (same.length > 0) return same.length === 1 ? same[0] : null;
+        if (target.length <= 3) return null;
+        const near = candidates.filter(candidate => ScriptSchema._editDistance(target, normalize(candidate), 2) === 1);
+        return near.length === 1 ? near[0] : null;
+    }
+
+    // Levenshtein distance, giving up (returning `limit`) once it reaches `limit`
+    static _editDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) >= limit) return limit;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (row[j] < rowMin) rowMin = row[j];
+            }
+            if (rowMin >= limit) return limit;
+            prev = row;
+        }
+        return Math.min(prev[b.length], limit);
+    }
+
+    static _isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ScriptSchema;
@@ -0,0 +1,221 @@
+/**
+ * SpatialGrid - Uniform grid broad phase over scene objects
+ * Buckets each object's world bounding box into fixed-size cells so collision checks and
+ * picking only look at nearby objects. Entries are refreshed lazily: sync() re-buckets objects
+ * whose transform changed since the last call, so callers never have to report moves.
+ */
+class SpatialGrid {
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.cells = new Map();      // "x,y,z" -> Set of objects
+        this.entries = new Map();    // object -> { box, keys, transform, stamp }
+        this.large = new Set();      // objects spanning too many cells to bucket
+        this.maxCellsPerObject = 512;
+        this._stamp = 0;
+        this._syncStamp = 0;
+        this.stats = { queries: 0, candidates: 0, rebuilt: 0 };
+    }
+
+    // Bring the grid in line with `objects`: add new ones, drop missing ones, re-bucket moved ones
+    sync(objects) {
+        const syncStamp = ++this._syncStamp;
+        objects.forEach(obj => {
+            const entry = this.update(obj);
+            entry.synced = syncStamp;
+        });
+        this.entries.forEach((entry, obj) => {
+            if (entry.synced !== syncStamp) this.remove(obj);
+        });
+    }
+
+    // Re-bucket one object if it moved (or always, with force). Returns its entry.
+    update(obj, force = false) {
+        let entry = this.entries.get(obj);
+        if (!entry) {
+            entry = { box: new THREE.Box3(), keys: [], transform: new Array(10).fill(NaN), stamp: 0, synced: 0 };
+            this.entries.set(obj, entry);
+            force = true;
+        }
+        if (!force && !this._transformChanged(obj, entry.transform)) return entry;
+
+        this._unbucket(obj, entry);
+        entry.box.setFromObject(obj);
+        this._storeTransform(obj, entry.transform);
+        this.stats.rebuilt++;
+        if (entry.box.isEmpty()) return entry;
+
+        const min = this._cellCoords(entry.box.min);
+        const max = this._cellCoords(entry.box.max);
+        const count = (max.x - min.x + 1) * (max.y - min.y + 1) * (max.z - min.z + 1);
+        if (count > this.maxCellsPerObject) {
+            this.large.add(obj);
+            return entry;
+        }
+        for (let x = min.x; x <= max.x; x++) {
+            for (let y = min.y; y <= max.y; y++) {
+                for (let z = min.z; z <= max.z; z++) {
+                    const key = x + ',' + y + ',' + z;
+                    let cell = this.cells.get(key);
+                    if (!cell) this.cells.set(key, cell = new Set());
+                    cell.add(obj);
+                    entry.keys.push(key);
+                }
+            }
+        }
+        return entry;
+    }
+
+    remove(obj) {
+        const entry = this.entries.get(obj);
+        if (!entry) return;
+        this._unbucket(obj, entry);
+        this.entries.delete(obj);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.large.clear();
+    }
+
+    // World bounding box as of the object's last update
+    getBox(obj) {
+        return (this.entries.get(obj) || this.update(obj)).box;
+    }
+
+    // Objects whose boxes intersect `box`
+    queryBox(box, out = []) {
+        const stamp = this._beginQuery();
+        const min = this._cellCoords(box.min);
+        const max = this._cellCoords(box.max);
+        const count = (max.x - min.x + 1) * (max.y - min.y + 1) * (max.z - min.z + 1);
+        const test = (obj) => {
+            const entry = this.entries.get(obj);
+            if (entry.stamp === stamp) return;
+            entry.stamp = stamp;
+            this.stats.candidates++;
+            if (entry.box.intersectsBox(box)) out.push(obj);
+        };
+        if (count > this.maxCellsPerObject) {
+            // Huge query: a straight scan is cheaper than walking the cells
+            this.entries.forEach((entry, obj) => test(obj));
+            return out;
+        }
+        for (let x = min.x; x <= max.x; x++) {
+            for (let y = min.y; y <= max.y; y++) {
+                for (let z = min.z; z <= max.z; z++) {
+                    const cell = this.cells.get(x + ',' + y + ',' + z);
+                    if (cell) cell.forEach(test);
+                }
+            }
+        }
+        this.large.forEach(test);
+        return out;
+    }
+
+    queryPoint(point, out = []) {
+        const stamp = this._beginQuery();
+        const c = this._cellCoords(point);
+        const test = (obj) => {
+            const entry = this.entries.get(obj);
+            if (entry.stamp === stamp) return;
+            entry.stamp = stamp;
+            this.stats.candidates++;
+            if (entry.box.containsPoint(point)) out.push(obj);
+        };
+        const cell = this.cells.get(c.x + ',' + c.y + ',' + c.z);
+        if (cell) cell.forEach(test);
+        this.large.forEach(test);
+        return out;
+    }
+
+    // Objects whose boxes the ray passes through within `far`, walking cells along the ray
+    queryRay(ray, far, out = []) {
+        const stamp = this._beginQuery();
+        const size = this.cellSize;
+        const test = (obj) => {
+            const entry = this.entries.get(obj);
+            if (entry.stamp === stamp) return;
+            entry.stamp = stamp;
+            this.stats.candidates++;
+            if (ray.intersectsBox(entry.box)) out.push(obj);
+        };
+        const cell = this._cellCoords(ray.origin);
+        const dir = ray.direction;
+        const step = { x: Math.sign(dir.x), y: Math.sign(dir.y), z: Math.sign(dir.z) };
+        const next = {}, delta = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            if (step[axis] === 0) {
+                next[axis] = Infinity;
+                delta[axis] = Infinity;
+                return;
+            }
+            const boundary = (cell[axis] + (step[axis] > 0 ? 1 : 0)) * size;
+            next[axis] = (boundary - ray.origin[axis]) / dir[axis];
+            delta[axis] = size / Math.abs(dir[axis]);
+        });
+        let t = 0;
+        while (t <= far) {
+            const bucket = this.cells.get(cell.x + ',' + cell.y + ',' + cell.z);
+            if (bucket) bucket.forEach(test);
+            const axis = next.x < next.y ? (next.x < next.z ? 'x' : 'z') : (next.y < next.z ? 'y' : 'z');
+            t = next[axis];
+            cell[axis] += step[axis];
+            next[axis] += delta[axis];
+        }
+        this.large.forEach(test);
+        return out;
+    }
+
+    // Bounds of every occupied cell, for the debug overlay
+    forEachCell(fn) {
+        const size = this.cellSize;
+        this.cells.forEach((set, key) => {
+            const [x, y, z] = key.split(',').map(Number);
+            fn(x * size, y * size, z * size, size, set.size);
+        });
+    }
+
+    resetStats() {
+        const last = { ...this.stats, objects: this.entries.size, cells: this.cells.size, large: this.large.size };
+        this.stats.queries = 0;
+        this.stats.candidates = 0;
+        this.stats.rebuilt = 0;
+        return last;
+    }
+
+    _beginQuery() {
+        this.stats.queries++;
+        return ++this._stamp;
+    }
+
+    _cellCoords(v) {
+        const size = this.cellSize;
+        return { x: Math.floor(v.x / size), y: Math.floor(v.y / size), z: Math.floor(v.z / size) };
+    }
+
+    _unbucket(obj, entry) {
+        entry.keys.forEach(key => {
+            const cell = this.cells.get(key);
+            if (!cell) return;
+            cell.delete(obj);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+        entry.keys.length = 0;
+        this.large.delete(obj);
+    }
+
+    _transformChanged(obj, t) {
+        const p = obj.position, q = obj.quaternion, s = obj.scale;
+        return t[0] !== p.x || t[1] !== p.y || t[2] !== p.z ||
+            t[3] !== q.x || t[4] !== q.y || t[5] !== q.z || t[6] !== q.w ||
+            t[7] !== s.x || t[8] !== s.y || t[9] !== s.z;
+    }
+
+    _storeTransform(obj, t) {
+        const p = obj.position, q = obj.quaternion, s = obj.scale;
+        t[0] = p.x; t[1] = p.y; t[2] = p.z;
+        t[3] = q.x; t[4] = q.y; t[5] = q.z; t[6] = q.w;
+        t[7] = s.x; t[8] = s.y; t[9] = s.z;
+    }
+}
@@ -7,6 +7,9 @@ const cookieParser = require('cookie-parser');
 const crypto = require('crypto');
 const path = require('path');
 const { WebSocketServer } = require('ws');
+const ProjectFormat = require('./js/project-format.js');
+const BlockCode = require('./js/blockcode.js');
+const ScriptSchema = require('./js/script-schema.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -82,9 +85,19 @@ function getPgConfig() {
 
 const pool = new Pool(getPgConfig());
 
+// ===== AI Providers =====
+// Avatar moderation, the build assistant and the script assistant all talk to the model through
+// getAiProvider(). AI_PROVIDER picks the adapter:
+//   openai - any OpenAI-compatible /v1/chat/completions service (the default, and what the
+//            Cloud Foundry genai binding provides)
+//   ollama - a local Ollama-style server (/api/chat), GENAI_API_BASE defaults to localhost:11434
+//   mock   - canned scenes and scripts, no network; for developing the AI features offline
+const AI_PROVIDERS = ['openai', 'ollama', 'mock'];
+
 // Parse VCAP_SERVICES for GenAI service
 function getGenaiConfig() {
-    if (process.env.VCAP_SERVICES) {
+    const provider = AI_PROVIDERS.includes(process.env.AI_PROVIDER) ? process.env.AI_PROVIDER : 'openai';
+    if (process.env.VCAP_SERVICES && provider === 'openai') {
         const vcap = JSON.parse(process.env.VCAP_SERVICES);
         const genaiService = (vcap.genai || [])[0];
         if (genaiService && genaiService.credentials) {
@@ -93,14 +106,232 @@ function getGenaiConfig() {
             const apiBase = creds.api_base || (creds.endpoint && creds.endpoint.api_base) || '';
             const apiKey = creds.api_key || (creds.endpoint && creds.endpoint.api_key) || '';
             const model = creds.model_name || '';
-            return { apiBase, apiKey, model };
+            return { provider, apiBase, apiKey, model };
         }
     }
     // Local fallback (set env vars for local dev)
     return {
-        apiBase: process.env.GENAI_API_BASE || '',
+        provider,
+        apiBase: process.env.GENAI_API_BASE || (provider === 'ollama' ? 'http://localhost:11434' : ''),
         apiKey: process.env.GENAI_API_KEY || '',
-        model: process.env.GENAI_MODEL || ''
+        model: process.env.GENAI_MODEL || (provider === 'ollama' ? 'llama3.1' : '')
+    };
+}
+
+// Every adapter has the same two calls. `messages` are OpenAI-style chat messages; options are
+// { task, temperature, maxTokens, signal }, where task ('moderation', 'build', 'script',
+// 'explain') only matters to the mock.
+//   chat(messages, options) -> the reply text
+//   stream(messages, options, onText) -> resolves once the reply has been fed to onText in pieces
+// Failed requests reject with an Error whose `status` is the service's HTTP status.
+// Returns null when no service is configured.
+function getAiProvider() {
+    const config = getGenaiConfig();
+    if (config.provider === 'mock') return createMockProvider();
+    if (!config.apiBase) return null;
+    return config.provider === 'ollama' ? createOllamaProvider(config) : createOpenAiProvider(config);
+}
+
+function aiServiceError(status, detail) {
+    const err = new Error('AI service error ' + status + (detail ? ': ' + detail.slice(0, 500) : ''));
+    err.status = status;
+    return err;
+}
+
+async function postAiRequest(url, apiKey, payload, signal) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': 'Bearer ' + apiKey } : {})
+        },
+        body: JSON.stringify(payload),
+        signal
+    });
+    if (!response.ok) {
+        const errText = await response.text().catch(() => '');
+        throw aiServiceError(response.status, errText);
+    }
+    return response;
+}
+
+// Calls onLine with each complete line of a streamed response body
+async function readResponseLines(response, onLine) {
+    const decoder = new TextDecoder();
+    let pending = '';
+    for await (const chunk of response.body) {
+        pending += decoder.decode(chunk, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        for (const line of lines) {
+            if (onLine(line.trim()) === false) return;
+        }
+    }
+    if (pending.trim()) onLine(pending.trim());
+}
+
+function createOpenAiProvider(config) {
+    const url = config.apiBase.replace(/\/+$/, '') + '/v1/chat/completions';
+    const payload = (messages, options, stream) => ({
+        model: config.model || undefined,
+        messages,
+        temperature: options.temperature,
+        max_tokens: options.maxTokens,
+        ...(stream ? { stream: true } : {})
+    });
+
+    return {
+        name: 'openai',
+        async chat(messages, options = {}) {
+            const response = await postAiRequest(url, config.apiKey, payload(messages, options, false), options.signal);
+            const data = await response.json();
+            return data.choices?.[0]?.message?.content || '';
+        },
+        async stream(messages, options, onText) {
+            const response = await postAiRequest(url, config.apiKey, payload(messages, options, true), options.signal);
+            // Services that ignore "stream" answer with a single JSON completion
+            if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+                const data = await response.json();
+                onText(data.choices?.[0]?.message?.content || '');
+                return;
+            }
+            // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+            await readResponseLines(response, line => {
+                if (!line.startsWith('data:')) return;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return false;
+                try {
+                    const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+                    if (delta) onText(delta);
+                } catch (e) {
+                    // Keep-alive comments and partial lines are not JSON
+                }
+            });
+        }
+    };
+}
+
+function createOllamaProvider(config) {
+    const url = config.apiBase.replace(/\/+$/, '') + '/api/chat';
+    // Ollama takes images as base64 in a message's `images` list instead of content parts
+    const toOllamaMessage = (msg) => {
+        if (!Array.isArray(msg.content)) return msg;
+        const text = msg.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+        const images = msg.content
+            .filter(part => part.type === 'image_url')
+            .map(part => String(part.image_url?.url || '').replace(/^data:[^,]*,/, ''));
+        return { role: msg.role, content: text, ...(images.length > 0 ? { images } : {}) };
+    };
+    const payload = (messages, options, stream) => ({
+        model: config.model,
+        messages: messages.map(toOllamaMessage),
+        stream,
+        options: { temperature: options.temperature, num_predict: options.maxTokens }
+    });
+
+    return {
+        name: 'ollama',
+        async chat(messages, options = {}) {
+            const response = await postAiRequest(url, config.apiKey, payload(messages, options, false), options.signal);
+            const data = await response.json();
+            return data.message?.content || '';
+        },
+        async stream(messages, options, onText) {
+            const response = await postAiRequest(url, config.apiKey, payload(messages, options, true), options.signal);
+            // Newline-delimited JSON, one { message: { content }, done } object per line
+            await readResponseLines(response, line => {
+                if (!line) return;
+                let data;
+                try { data = JSON.parse(line); } catch (e) { return; }
+                if (data.message?.content) onText(data.message.content);
+                if (data.done) return false;
+            });
+        }
+    };
+}
+
+// Canned replies for AI_PROVIDER=mock, picked by the first keyword found in the user's prompt
+const MOCK_AI_BUILDS = [
+    { keywords: ['snow', 'mountain', 'valley', 'winter'], objects: [
+        { action: 'environment', skybox: 'sunset', fogDensity: 25, weather: 'snow', ambientLight: 45, bgMusic: 'chill' },
+        { action: 'terrain', tool: 'raise', x: -12, z: -10, radius: 12, height: 10 },
+        { action: 'terrain', tool: 'raise', x: 12, z: -8, radius: 10, height: 7 },
+        { action: 'terrain', tool: 'paint', x: 0, z: 0, radius: 40, color: '#FFFAFA' },
+        { type: 'tree', name: 'Pine 1', position: { x: -4, y: 0, z: 4 }, scale: { x: 1, y: 1.4, z: 1 }, color: '#1B5E20' },
+        { type: 'tree', name: 'Pine 2', position: { x: 3, y: 0, z: 6 }, scale: { x: 0.9, y: 1.2, z: 0.9 }, color: '#2E7D32' },
+        { type: 'house', name: 'Cabin', position: { x: 0, y: 0, z: 2 }, scale: { x: 1, y: 1, z: 1 }, color: '#8B4513', texture: 'wood_log' }
+    ] },
+    { keywords: ['tower', 'castle'], objects: [
+        { type: 'cylinder', name: 'Tower', position: { x: 0, y: 3, z: 0 }, scale: { x: 2, y: 6, z: 2 }, color: '#9E9E9E' },
+        { type: 'cone', name: 'Tower Roof', position: { x: 0, y: 7, z: 0 }, scale: { x: 2.4, y: 2, z: 2.4 }, color: '#8B0000' },
+        { type: 'box', name: 'Tower Door', position: { x: 0, y: 1, z: 1.01 }, scale: { x: 0.8, y: 1.6, z: 0.1 }, color: '#5D4037' }
+    ] },
+    { keywords: ['tree', 'forest', 'park'], objects: [
+        { type: 'tree', name: 'Tree 1', position: { x: -3, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#2E7D32' },
+        { type: 'tree', name: 'Tree 2', position: { x: 0, y: 0, z: -3 }, scale: { x: 1.3, y: 1.3, z: 1.3 }, color: '#388E3C' },
+        { type: 'tree', name: 'Tree 3', position: { x: 3, y: 0, z: 1 }, scale: { x: 0.8, y: 0.8, z: 0.8 }, color: '#1B5E20' }
+    ] },
+    { keywords: ['coin', 'gem', 'collect'], objects: [
+        { type: 'coin', name: 'Coin 1', position: { x: -2, y: 1, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#FFD700' },
+        { type: 'coin', name: 'Coin 2', position: { x: 0, y: 1, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#FFD700' },
+        { type: 'coin', name: 'Coin 3', position: { x: 2, y: 1, z: 0 }, scale: { x: 1, y: 1, z: 1 }, color: '#FFD700' }
+    ] },
+    { keywords: [], objects: [
+        { type: 'platform', name: 'Platform', position: { x: 0, y: 0.25, z: 0 }, scale: { x: 4, y: 0.5, z: 4 }, color: '#607D8B' },
+        { type: 'stairs', name: 'Stairs', position: { x: 0, y: 0.5, z: 3 }, scale: { x: 2, y: 1, z: 2 }, color: '#795548' },
+        { type: 'crate', name: 'Crate', position: { x: 1, y: 1, z: -1 }, scale: { x: 1, y: 1, z: 1 }, color: '#A1887F' }
+    ] }
+];
+
+const MOCK_AI_SCRIPTS = [
+    { keywords: ['jump', 'bounce'], stacks: [
+        { blocks: [{ blockId: 'event_collide' }, { blockId: 'physics_launch_player', values: { force: 12 } }] }
+    ] },
+    { keywords: ['move', 'patrol', 'back and forth'], stacks: [
+        { blocks: [{ blockId: 'event_start' }, { blockId: 'control_forever', children: [
+            { blockId: 'motion_move', values: { direction: 'forward', amount: 5 } },
+            { blockId: 'control_wait', values: { seconds: 1 } },
+            { blockId: 'motion_move', values: { direction: 'backward', amount: 5 } },
+            { blockId: 'control_wait', values: { seconds: 1 } }
+        ] }] }
+    ] },
+    { keywords: [], stacks: [
+        { blocks: [{ blockId: 'event_click' }, { blockId: 'control_repeat', values: { times: 36 }, children: [
+            { blockId: 'motion_rotate', values: { axis: 'Y', degrees: 10 } }
+        ] }] }
+    ] }
+];
+
+function createMockProvider() {
+    const pick = (list, messages) => {
+        const last = [...messages].reverse().find(msg => msg.role === 'user');
+        const prompt = String(last ? last.content : '').toLowerCase();
+        return list.find(entry => entry.keywords.some(word => prompt.includes(word))) || list[list.length - 1];
+    };
+    const reply = (messages, options) => {
+        switch (options.task) {
+            case 'moderation': return 'safe';
+            case 'explain': return 'This is the offline mock AI provider, so there is no real explanation. Set AI_PROVIDER to openai or ollama to use a model.';
+            case 'script': return JSON.stringify(pick(MOCK_AI_SCRIPTS, messages).stacks);
+            case 'build': return JSON.stringify(pick(MOCK_AI_BUILDS, messages).objects);
+            default: return '';
+        }
+    };
+
+    return {
+        name: 'mock',
+        async chat(messages, options = {}) {
+            return reply(messages, options);
+        },
+        // Hands the reply out in small pieces, like a real stream, so partial parsing gets exercised
+        async stream(messages, options, onText) {
+            const text = reply(messages, options);
+            for (let i = 0; i < text.length; i += 24) {
+                if (options.signal && options.signal.aborted) throw options.signal.reason;
+                await new Promise(resolve => setTimeout(resolve, 15));
+                onText(text.slice(i, i + 24));
+            }
+        }
     };
 }
 
@@ -250,12 +481,63 @@ async function initDb() {
             created_at BIGINT NOT NULL
         )
     `);
+    // Collaboration rooms (canonical room document, restored after restarts)
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS collab_rooms (
+            code TEXT PRIMARY KEY,
+            host_user_id INTEGER NOT NULL REFERENCES users(id),
+            project_name TEXT NOT NULL,
+            doc TEXT NOT NULL,
+            roles TEXT DEFAULT '{}',
+            updated_at BIGINT NOT NULL
+        )
+    `);
+    // Owner-declared cloud key modes (keys without a row are public)
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS cloud_key_rules (
+            project_id TEXT NOT NULL REFERENCES shared_projects(id) ON DELETE CASCADE,
+            key TEXT NOT NULL,
+            mode TEXT NOT NULL CHECK (mode IN ('readonly', 'player')),
+            PRIMARY KEY (project_id, key)
+        )
+    `);
+    // Leaderboards: best score per player per day, so daily/weekly/all-time windows are one query
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS leaderboards (
+            project_id TEXT NOT NULL REFERENCES shared_projects(id) ON DELETE CASCADE,
+            board TEXT NOT NULL,
+            user_id INTEGER NOT NULL REFERENCES users(id),
+            day INTEGER NOT NULL,
+            score DOUBLE PRECISION NOT NULL,
+            updated_at BIGINT NOT NULL,
+            PRIMARY KEY (project_id, board, user_id, day)
+        )
+    `);
+    // Replays: a recorded run (seed plus timed input) that players share on the project page.
+    // project_version is the published_at of the game version it was recorded on.
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS replays (
+            id SERIAL PRIMARY KEY,
+            project_id TEXT NOT NULL REFERENCES shared_projects(id) ON DELETE CASCADE,
+            user_id INTEGER NOT NULL REFERENCES users(id),
+            username TEXT NOT NULL,
+            title TEXT NOT NULL,
+            frames INTEGER NOT NULL,
+            data TEXT NOT NULL,
+            project_version BIGINT,
+            created_at BIGINT NOT NULL
+        )
+    `);
+    // Rooms nobody came back to are not worth restoring
+    await pool.query('DELETE FROM collab_rooms WHERE updated_at < $1', [Date.now() - 24 * 60 * 60 * 1000]);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_activity_user ON activity_feed(user_id, created_at DESC)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_friendships_friend ON friendships(friend_id, status)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_interactions_project_type ON project_interactions(project_id, type)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_interactions_user ON project_interactions(user_id, type)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_emoji_chats_project ON emoji_chats(project_id)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_project_views_project ON project_views(project_id, viewed_at)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_leaderboards_board ON leaderboards(project_id, board, day)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_replays_project ON replays(project_id, created_at DESC)`);
 }
 
 const AVATAR_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#9b59b6', '#e67e22', '#1abc9c', '#e91e63', '#00bcd4'];
@@ -477,35 +759,18 @@ app.post('/api/me/avatar', authenticate, async (req, res) => {
     }
 
     // AI-based image moderation
-    const config = getGenaiConfig();
-    if (config.apiBase) {
+    const ai = getAiProvider();
+    if (ai) {
         try {
-            const moderationUrl = config.apiBase.replace(/\/+$/, '') + '/v1/chat/completions';
-            const moderationBody = JSON.stringify({
-                model: config.model || undefined,
-                messages: [
-                    { role: 'system', content: 'You are a content moderator for a kids game platform. Respond with ONLY "safe" or "unsafe". An image is unsafe if it contains: nudity, sexual content, gore, violence, hate symbols, drug use, or any content inappropriate for children.' },
-                    { role: 'user', content: [
-                        { type: 'text', text: 'Is this profile picture safe for a kids platform? Reply only "safe" or "unsafe".' },
-                        { type: 'image_url', image_url: { url: image } }
-                    ]}
-                ],
-                max_tokens: 10
-            });
-            const modRes = await fetch(moderationUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...(config.apiKey ? { 'Authorization': 'Bearer ' + config.apiKey } : {})
-                },
-                body: moderationBody
-            });
-            if (modRes.ok) {
-                const modData = await modRes.json();
-                const verdict = modData.choices?.[0]?.message?.content?.trim().toLowerCase() || '';
-                if (verdict.includes('unsafe')) {
-                    return res.status(400).json({ error: 'This image is not appropriate. Please choose a different picture.' });
-                }
+            const verdict = (await ai.chat([
+                { role: 'system', content: 'You are a content moderator for a kids game platform. Respond with ONLY "safe" or "unsafe". An image is unsafe if it contains: nudity, sexual content, gore, violence, hate symbols, drug use, or any content inappropriate for children.' },
+                { role: 'user', content: [
+                    { type: 'text', text: 'Is this profile picture safe for a kids platform? Reply only "safe" or "unsafe".' },
+                    { type: 'image_url', image_url: { url: image } }
+                ]}
+            ], { task: 'moderation', maxTokens: 10 })).trim().toLowerCase();
+            if (verdict.includes('unsafe')) {
+                return res.status(400).json({ error: 'This image is not appropriate. Please choose a different picture.' });
             }
         } catch (e) {
             console.error('Image moderation error:', e.message);
@@ -696,6 +961,12 @@ app.post('/api/projects', authenticate, async (req, res) => {
     if (!projectData) {
         return res.status(400).json({ error: 'Project data is required' });
     }
+    let data;
+    try {
+        data = ProjectFormat.load(projectData);
+    } catch (err) {
+        return res.status(400).json({ error: err.message, details: err.errors });
+    }
 
     const { rows } = await pool.query('SELECT display_name FROM users WHERE id = $1', [req.user.id]);
     const creator = rows.length > 0 ? rows[0].display_name : 'Anonymous';
@@ -704,7 +975,7 @@ app.post('/api/projects', authenticate, async (req, res) => {
         `INSERT INTO shared_projects (id, user_id, name, description, creator, tags, thumbnail, published_at, project_data)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
          ON CONFLICT (id) DO UPDATE SET name = $3, description = $4, creator = $5, tags = $6, thumbnail = $7, published_at = $8, project_data = $9`,
-        [id, req.user.id, name.trim(), (description || '').trim(), creator, JSON.stringify(tags || []), thumbnail || null, Date.now(), JSON.stringify(projectData)]
+        [id, req.user.id, name.trim(), (description || '').trim(), creator, JSON.stringify(tags || []), thumbnail || null, Date.now(), JSON.stringify(data)]
     );
 
     // Log activity for friends feed
@@ -1012,13 +1283,31 @@ app.delete('/api/user/projects/:id', authenticate, async (req, res) => {
 const AI_SYSTEM_PROMPT = `You are the AI build engine for Cobalt Studio, a 3D block-building game editor. You translate natural language descriptions into precise 3D object placements. Respond with ONLY a JSON array — no text, no markdown fences, no explanation.
 
 # Object Schema
-Each object: {"action":"add|modify|remove","type","position":{"x","y","z"},"rotation":{"x","y","z"},"scale":{"x","y","z"},"color":"#hex6","name":"string","target":"exact object name"}
+Each object: {"action":"add|modify|remove","type","position":{"x","y","z"},"rotation":{"x","y","z"},"scale":{"x","y","z"},"color":"#hex6","name":"string","target":"exact object name","targetId":"object id"}
 - "action" defaults to "add" if omitted. Use "modify" or "remove" to change/delete existing objects.
-- "target" is required for modify/remove — must match an existing object name exactly (from scene context).
+- "target" and "targetId" are required for modify/remove — copy the object's exact name and its id from the scene context. Several objects can share a name; the id picks the right one.
 - For "modify": include ONLY the properties to change (e.g. just scale, just color, just position). Omit unchanged properties.
-- For "remove": only "action" and "target" are needed. No other fields required.
+- For "remove": only "action", "target" and "targetId" are needed. No other fields required.
 - rotation is in DEGREES (0-360). Optional — omit if no rotation needed.
 
+# Textures
+Add and modify may set "texture" to one of: grass, dirt, sand, snow, stone, brick, cobblestone, wood_planks, wood_log, bamboo, metal_plate, metal_grid, rust, lava, ice, crystal, magic, checkerboard, stripes, polka_dots. The texture is tinted by the object's color, so pair it with a light or matching color. Use "none" in a modify to remove a texture.
+
+# Terrain
+The editor has one heightmap terrain, 50×50 units centered on the origin (it is created for you if the scene has none). Shape and color it with terrain elements, applied in order:
+{"action":"terrain","tool":"raise|lower|flatten|paint","x":0,"z":0,"radius":8,"height":5,"color":"#hex6"}
+- "raise"/"lower": a smooth hill or hollow centered at x,z. "height" is how far the center moves (0-20); it fades to nothing at "radius" (1-40).
+- "flatten": levels the area to the absolute "height" (-10 to 20), e.g. a plateau or a flat building site.
+- "paint": colors the area with "color". Paint after sculpting. A radius of 40 at the center covers the whole terrain.
+- Place objects on raised ground by setting their y to the terrain height there.
+
+# Environment
+At most one element sets the sky, lighting and mood. Include only the fields to change:
+{"action":"environment","skybox":"default|gradient|sunset|night|cloudy","skyColor":"#hex6","ambientLight":0-100,"fogDensity":0-100,"weather":"none|rain|snow|fireflies","bgMusic":"none|adventure|chill|action|mystery|retro"}
+- Dusk or sunrise → sunset skybox with dimmer ambientLight (30-50). Night → night skybox, ambientLight 15-30.
+- Fog 20-40 suits mist, valleys and spooky scenes; 0 is clear.
+- Only use environment and terrain elements when the user describes a setting, landscape, time of day or weather.
+
 # Available Types
 Primitives: box, sphere, cylinder, cone, plane, wedge, torus, tube
 Architecture: stairs (5-step prefab), pyramid (4-sided cone), dome (half-sphere), arch (2 pillars + curved top), wall (4×2×0.3 slab), corner (L-shaped wall)
@@ -1092,17 +1381,17 @@ You can ADD, MODIFY, and REMOVE objects. Read the scene context carefully.
 When the user asks to add or extend, use action "add" (or omit action). Place new objects that complement existing ones. Do NOT recreate existing objects.
 
 ## Modifying existing objects
-When the user says things like "make it shorter", "change the color", "move it left", "that's too big", "make it look better" — use action "modify" with "target" set to the exact object name from scene context. Only include the properties to change.
+When the user says things like "make it shorter", "change the color", "move it left", "that's too big", "make it look better" — use action "modify" with "target" and "targetId" set to the object's name and id from scene context. Only include the properties to change.
 Examples:
-- "the tower is too tall" → {"action":"modify","target":"Left Tower","scale":{"x":2,"y":3,"z":2}}
-- "make the roof red" → {"action":"modify","target":"Keep Roof","color":"#8B0000"}
-- "move the bench to the left" → {"action":"modify","target":"Park Bench","position":{"x":-3,"y":0,"z":0}}
+- "the tower is too tall" → {"action":"modify","target":"Left Tower","targetId":"c1k2x_4_ab12","scale":{"x":2,"y":3,"z":2}}
+- "make the roof red" → {"action":"modify","target":"Keep Roof","targetId":"c1k2x_7_cd34","color":"#8B0000"}
+- "move the bench to the left" → {"action":"modify","target":"Park Bench","targetId":"c1k2x_9_ef56","position":{"x":-3,"y":0,"z":0}}
 
 ## Removing objects
-When the user says "remove that", "delete the tree", "get rid of the fence" — use action "remove" with "target" set to the exact object name.
+When the user says "remove that", "delete the tree", "get rid of the fence" — use action "remove" with "target" and "targetId" set to the object's name and id.
 Examples:
-- "remove the tree" → {"action":"remove","target":"Tree"}
-- "delete the left tower" → {"action":"remove","target":"Left Tower"}
+- "remove the tree" → {"action":"remove","target":"Tree","targetId":"c1k2x_2_gh78"}
+- "delete the left tower" → {"action":"remove","target":"Left Tower","targetId":"c1k2x_4_ab12"}
 
 ## Improving / Redesigning
 When the user says "make it look better", "improve this", "that looks bad" — analyze what exists in the scene context, then return a MIX of modify (fix proportions, colors, positions), remove (delete ugly/redundant parts), and add (new details, decorations, better structure). Be creative but keep the core design intent.
@@ -1112,6 +1401,9 @@ When user says "that" or "it" without specifying — look at conversation histor
 
 # Examples
 
+"a snowy mountain valley at dusk" (terrain and environment example):
+[{"action":"environment","skybox":"sunset","ambientLight":40,"fogDensity":25,"weather":"snow","bgMusic":"chill"},{"action":"terrain","tool":"raise","x":-14,"z":-10,"radius":12,"height":12},{"action":"terrain","tool":"raise","x":14,"z":-12,"radius":11,"height":9},{"action":"terrain","tool":"flatten","x":0,"z":6,"radius":8,"height":0},{"action":"terrain","tool":"paint","x":0,"z":0,"radius":40,"color":"#FFFAFA"},{"action":"terrain","tool":"paint","x":0,"z":8,"radius":6,"color":"#8B7355"},{"type":"house","position":{"x":0,"y":0,"z":6},"scale":{"x":1,"y":1,"z":1},"color":"#A0522D","name":"Cabin","texture":"wood_log"},{"type":"tree","position":{"x":-5,"y":0,"z":9},"scale":{"x":1,"y":1.4,"z":1},"color":"#1B5E20","name":"Pine 1"},{"type":"tree","position":{"x":5,"y":0,"z":10},"scale":{"x":0.9,"y":1.2,"z":0.9},"color":"#2E7D32","name":"Pine 2"},{"type":"light-point","position":{"x":0,"y":1.5,"z":8},"scale":{"x":1,"y":1,"z":1},"color":"#FFB347","name":"Cabin Lantern"}]
+
 "a medieval castle":
 [{"type":"box","position":{"x":0,"y":2.5,"z":0},"scale":{"x":10,"y":5,"z":8},"color":"#808080","name":"Main Keep"},{"type":"box","position":{"x":0,"y":5.1,"z":0},"scale":{"x":10.5,"y":0.2,"z":8.5},"color":"#696969","name":"Keep Roof Edge"},{"type":"cylinder","position":{"x":-5.5,"y":3,"z":-4.5},"scale":{"x":2,"y":6,"z":2},"color":"#808080","name":"Left Back Tower"},{"type":"cone","position":{"x":-5.5,"y":6.5,"z":-4.5},"scale":{"x":2.8,"y":2,"z":2.8},"color":"#8B0000","name":"Left Back Roof"},{"type":"cylinder","position":{"x":5.5,"y":3,"z":-4.5},"scale":{"x":2,"y":6,"z":2},"color":"#808080","name":"Right Back Tower"},{"type":"cone","position":{"x":5.5,"y":6.5,"z":-4.5},"scale":{"x":2.8,"y":2,"z":2.8},"color":"#8B0000","name":"Right Back Roof"},{"type":"cylinder","position":{"x":-5.5,"y":3,"z":4.5},"scale":{"x":2,"y":6,"z":2},"color":"#808080","name":"Left Front Tower"},{"type":"cone","position":{"x":-5.5,"y":6.5,"z":4.5},"scale":{"x":2.8,"y":2,"z":2.8},"color":"#8B0000","name":"Left Front Roof"},{"type":"cylinder","position":{"x":5.5,"y":3,"z":4.5},"scale":{"x":2,"y":6,"z":2},"color":"#808080","name":"Right Front Tower"},{"type":"cone","position":{"x":5.5,"y":6.5,"z":4.5},"scale":{"x":2.8,"y":2,"z":2.8},"color":"#8B0000","name":"Right Front Roof"},{"type":"arch","position":{"x":0,"y":0,"z":4.5},"scale":{"x":1.5,"y":1.8,"z":1},"color":"#696969","name":"Castle Gate"},{"type":"box","position":{"x":0,"y":0.75,"z":4.6},"scale":{"x":1.5,"y":2.5,"z":0.15},"color":"#654321","name":"Gate Door"},{"type":"cylinder","position":{"x":-5.5,"y":0.4,"z":6},"scale":{"x":0.15,"y":0.8,"z":0.15},"color":"#8B4513","name":"Left Torch Post"},{"type":"gem","position":{"x":-5.5,"y":0.9,"z":6},"scale":{"x":0.6,"y":0.6,"z":0.6},"color":"#FF6347","name":"Left Torch Flame"},{"type":"cylinder","position":{"x":5.5,"y":0.4,"z":6},"scale":{"x":0.15,"y":0.8,"z":0.15},"color":"#8B4513","name":"Right Torch Post"},{"type":"gem","position":{"x":5.5,"y":0.9,"z":6},"scale":{"x":0.6,"y":0.6,"z":0.6},"color":"#FF6347","name":"Right Torch Flame"}]
 
@@ -1124,6 +1416,213 @@ When user says "that" or "it" without specifying — look at conversation histor
 "a park bench":
 [{"type":"custom","position":{"x":0,"y":0,"z":0},"scale":{"x":1,"y":1,"z":1},"name":"Park Bench","customParts":[{"shape":"box","offset":{"x":0,"y":0.45,"z":0},"scale":{"x":2,"y":0.08,"z":0.5},"color":"#8B4513"},{"shape":"box","offset":{"x":0,"y":0.8,"z":-0.22},"scale":{"x":2,"y":0.5,"z":0.06},"color":"#8B4513"},{"shape":"box","offset":{"x":-0.85,"y":0.2,"z":0.15},"scale":{"x":0.06,"y":0.4,"z":0.06},"color":"#3E3E3E"},{"shape":"box","offset":{"x":0.85,"y":0.2,"z":0.15},"scale":{"x":0.06,"y":0.4,"z":0.06},"color":"#3E3E3E"},{"shape":"box","offset":{"x":-0.85,"y":0.2,"z":-0.15},"scale":{"x":0.06,"y":0.4,"z":0.06},"color":"#3E3E3E"},{"shape":"box","offset":{"x":0.85,"y":0.2,"z":-0.15},"scale":{"x":0.06,"y":0.4,"z":0.06},"color":"#3E3E3E"},{"shape":"box","offset":{"x":-0.85,"y":0.55,"z":-0.22},"scale":{"x":0.06,"y":0.2,"z":0.06},"color":"#3E3E3E"},{"shape":"box","offset":{"x":0.85,"y":0.55,"z":-0.22},"scale":{"x":0.06,"y":0.2,"z":0.06},"color":"#3E3E3E"}]}]`;
 
+const AI_BUILD_MAX_OBJECTS = 50;
+const AI_BUILD_TYPES = new Set(['box','sphere','cylinder','cone','plane','wedge','torus','tube','stairs','pyramid','dome','arch','wall','corner','tree','house','platform','bridge','crate','gem','coin','light-point','custom']);
+const AI_BUILD_SHAPES = new Set(['box','sphere','cylinder','cone','pyramid','dome','wedge']);
+const AI_BUILD_ACTIONS = new Set(['add', 'modify', 'remove', 'terrain', 'environment']);
+// Option lists of the editor: TextureManager ids, terrain brushes and the Environment panel
+const AI_BUILD_TEXTURES = new Set(['grass','dirt','sand','snow','stone','brick','cobblestone','wood_planks','wood_log','bamboo','metal_plate','metal_grid','rust','lava','ice','crystal','magic','checkerboard','stripes','polka_dots']);
+const AI_BUILD_TERRAIN_TOOLS = new Set(['raise', 'lower', 'flatten', 'paint']);
+const AI_BUILD_SKYBOXES = new Set(['default', 'gradient', 'sunset', 'night', 'cloudy']);
+const AI_BUILD_WEATHER = new Set(['none', 'rain', 'snow', 'fireflies']);
+const AI_BUILD_MUSIC = new Set(['none', 'adventure', 'chill', 'action', 'mystery', 'retro']);
+
+function clampNumber(value, min, max, fallback) {
+    const n = Number(value);
+    return isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+// Terrain element: one brush applied to the heightmap around (x, z)
+function sanitizeTerrainChange(obj) {
+    if (!AI_BUILD_TERRAIN_TOOLS.has(obj.tool)) return null;
+    const result = {
+        action: 'terrain',
+        tool: obj.tool,
+        x: clampNumber(obj.x, -50, 50, 0),
+        z: clampNumber(obj.z, -50, 50, 0),
+        radius: clampNumber(obj.radius, 1, 40, 5)
+    };
+    if (obj.tool === 'paint') {
+        if (!/^#[0-9a-fA-F]{6}$/.test(obj.color)) return null;
+        result.color = obj.color;
+    } else if (obj.tool === 'flatten') {
+        result.height = clampNumber(obj.height, -10, 20, 0);
+    } else {
+        result.height = Math.abs(clampNumber(obj.height, -20, 20, 0));
+        if (result.height === 0) return null;
+    }
+    return result;
+}
+
+// Environment element: only the fields the model set, each checked against the panel's options
+function sanitizeEnvironmentChange(obj) {
+    const result = { action: 'environment' };
+    if (AI_BUILD_SKYBOXES.has(obj.skybox)) result.skybox = obj.skybox;
+    if (/^#[0-9a-fA-F]{6}$/.test(obj.skyColor)) result.skyColor = obj.skyColor;
+    if (obj.ambientLight !== undefined) result.ambientLight = Math.round(clampNumber(obj.ambientLight, 0, 100, 60));
+    if (obj.fogDensity !== undefined) result.fogDensity = Math.round(clampNumber(obj.fogDensity, 0, 100, 0));
+    if (AI_BUILD_WEATHER.has(obj.weather)) result.weather = obj.weather;
+    if (AI_BUILD_MUSIC.has(obj.bgMusic)) result.bgMusic = obj.bgMusic;
+    return Object.keys(result).length > 1 ? result : null;
+}
+
+// Validate one element of the model's output array; null when it is unusable
+function sanitizeBuildObject(obj) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+    const action = AI_BUILD_ACTIONS.has(obj.action) ? obj.action : 'add';
+    if (action === 'terrain') return sanitizeTerrainChange(obj);
+    if (action === 'environment') return sanitizeEnvironmentChange(obj);
+
+    // Modify and remove name their object; the id wins when both are given (see AI_SYSTEM_PROMPT)
+    const target = typeof obj.target === 'string' ? obj.target.trim().slice(0, 50) : '';
+    const targetId = typeof obj.targetId === 'string' && /^[\w-]{1,64}$/.test(obj.targetId) ? obj.targetId : '';
+
+    // Remove action — just need the target
+    if (action === 'remove') {
+        if (!target && !targetId) return null;
+        return { action: 'remove', target, ...(targetId ? { targetId } : {}) };
+    }
+
+    // Modify action — only changed properties + target
+    if (action === 'modify') {
+        if (!target && !targetId) return null;
+        const result = { action: 'modify', target, ...(targetId ? { targetId } : {}) };
+        if (obj.position) {
+            result.position = {
+                x: Number(obj.position.x) || 0,
+                y: Number(obj.position.y) || 0,
+                z: Number(obj.position.z) || 0
+            };
+        }
+        if (obj.scale) {
+            result.scale = {
+                x: Math.min(Math.abs(Number(obj.scale.x) || 1), 50),
+                y: Math.min(Math.abs(Number(obj.scale.y) || 1), 50),
+                z: Math.min(Math.abs(Number(obj.scale.z) || 1), 50)
+            };
+        }
+        if (obj.color && /^#[0-9a-fA-F]{6}$/.test(obj.color)) result.color = obj.color;
+        if (obj.rotation) {
+            result.rotation = {
+                x: Number(obj.rotation.x) || 0,
+                y: Number(obj.rotation.y) || 0,
+                z: Number(obj.rotation.z) || 0
+            };
+        }
+        if (typeof obj.name === 'string') result.name = obj.name.slice(0, 50);
+        if (obj.texture === 'none' || AI_BUILD_TEXTURES.has(obj.texture)) result.texture = obj.texture;
+        return result;
+    }
+
+    // Add action (default)
+    const result = {
+        action: 'add',
+        type: AI_BUILD_TYPES.has(obj.type) ? obj.type : 'box',
+        position: {
+            x: Number(obj.position?.x) || 0,
+            y: Number(obj.position?.y) || 0,
+            z: Number(obj.position?.z) || 0
+        },
+        scale: {
+            x: Math.min(Math.abs(Number(obj.scale?.x) || 1), 50),
+            y: Math.min(Math.abs(Number(obj.scale?.y) || 1), 50),
+            z: Math.min(Math.abs(Number(obj.scale?.z) || 1), 50)
+        },
+        color: /^#[0-9a-fA-F]{6}$/.test(obj.color) ? obj.color : '#4a90d9',
+        name: (typeof obj.name === 'string' ? obj.name : 'Object').slice(0, 50)
+    };
+    // Add rotation if provided
+    if (obj.rotation && (obj.rotation.x || obj.rotation.y || obj.rotation.z)) {
+        result.rotation = {
+            x: Number(obj.rotation.x) || 0,
+            y: Number(obj.rotation.y) || 0,
+            z: Number(obj.rotation.z) || 0
+        };
+    }
+    if (AI_BUILD_TEXTURES.has(obj.texture)) result.texture = obj.texture;
+    // Add custom parts if type is custom
+    if (result.type === 'custom' && Array.isArray(obj.customParts)) {
+        result.customParts = obj.customParts.slice(0, 20).map(p => ({
+            shape: AI_BUILD_SHAPES.has(p.shape) ? p.shape : 'box',
+            offset: {
+                x: Number(p.offset?.x) || 0,
+                y: Number(p.offset?.y) || 0,
+                z: Number(p.offset?.z) || 0
+            },
+            scale: {
+                x: Math.min(Math.abs(Number(p.scale?.x) || 1), 20),
+                y: Math.min(Math.abs(Number(p.scale?.y) || 1), 20),
+                z: Math.min(Math.abs(Number(p.scale?.z) || 1), 20)
+            },
+            color: /^#[0-9a-fA-F]{6}$/.test(p.color) ? p.color : '#4a90d9'
+        }));
+    }
+    return result;
+}
+
+// Incremental parser for a JSON array arriving in pieces. Calls onElement with each top-level
+// object as soon as its closing brace arrives, so a truncated stream still yields every
+// element that completed. Text before the first '[' (prose, code fences) is skipped.
+function createJsonArrayStream(onElement) {
+    let buffer = '';
+    let pos = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let elementStart = -1;
+
+    const stream = {
+        started: false,
+        complete: false,
+        push(text) {
+            if (stream.complete) return;
+            buffer += text;
+            for (; pos < buffer.length; pos++) {
+                const ch = buffer[pos];
+                if (!stream.started) {
+                    if (ch === '[') stream.started = true;
+                    continue;
+                }
+                if (inString) {
+                    if (escaped) escaped = false;
+                    else if (ch === '\\') escaped = true;
+                    else if (ch === '"') inString = false;
+                    continue;
+                }
+                if (ch === '"') {
+                    inString = true;
+                } else if (ch === '{' || ch === '[') {
+                    if (depth === 0 && ch === '{') elementStart = pos;
+                    depth++;
+                } else if (ch === '}' || ch === ']') {
+                    if (depth === 0) {
+                        // End of the outer array
+                        stream.complete = true;
+                        break;
+                    }
+                    depth--;
+                    if (depth === 0 && elementStart !== -1) {
+                        const json = buffer.slice(elementStart, pos + 1);
+                        elementStart = -1;
+                        let element;
+                        try { element = JSON.parse(json); } catch (e) { element = undefined; }
+                        if (element !== undefined) onElement(element);
+                    }
+                }
+            }
+            // Everything before an unfinished element has been consumed
+            const keep = elementStart !== -1 ? elementStart : pos;
+            buffer = buffer.slice(keep);
+            pos -= keep;
+            if (elementStart !== -1) elementStart = 0;
+        }
+    };
+    return stream;
+}
+
+// Streams the build as server-sent events: one "object" event per sanitized element as the
+// model writes it, then "done" ({ count, complete }). When no object could be sent the reply
+// is a plain JSON error as usual.
 app.post('/api/ai/build', authenticate, async (req, res) => {
     const { prompt, history, sceneContext } = req.body;
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
@@ -1133,20 +1632,22 @@ app.post('/api/ai/build', authenticate, async (req, res) => {
         return res.status(400).json({ error: 'Prompt too long (max 1000 characters)' });
     }
 
-    const config = getGenaiConfig();
-    if (!config.apiBase) {
+    const ai = getAiProvider();
+    if (!ai) {
         return res.status(503).json({ error: 'AI service not configured' });
     }
 
-    try {
-        const url = config.apiBase.replace(/\/+$/, '') + '/v1/chat/completions';
+    // The client cancels by dropping the connection; stop paying for tokens when it does
+    const upstream = new AbortController();
+    res.on('close', () => upstream.abort());
 
+    try {
         // Build conversation messages with context
         const messages = [{ role: 'system', content: AI_SYSTEM_PROMPT }];
 
         // Inject scene context if available
         if (sceneContext && typeof sceneContext === 'string' && sceneContext.length > 0) {
-            messages.push({ role: 'system', content: 'Current scene objects already placed:\n' + sceneContext + '\n\nCRITICAL: Output ONLY new objects the user is asking for. Do NOT recreate or re-output any existing objects. Each request should produce ONLY the new objects, not everything combined. Use modify/remove actions only when the user asks to change or delete existing objects.' });
+            messages.push({ role: 'system', content: 'Current scene objects already placed, then the terrain and environment:\n' + sceneContext + '\n\nCRITICAL: Output ONLY new objects the user is asking for. Do NOT recreate or re-output any existing objects. Each request should produce ONLY the new objects, not everything combined. Use modify/remove actions only when the user asks to change or delete existing objects. Only output terrain or environment elements for changes the user asks for.' });
         }
 
         // Add conversation history (last 6 exchanges max)
@@ -1162,144 +1663,52 @@ app.post('/api/ai/build', authenticate, async (req, res) => {
         // Add current user prompt
         messages.push({ role: 'user', content: prompt.trim() });
 
-        const body = JSON.stringify({
-            model: config.model || undefined,
-            messages,
-            temperature: 0.7,
-            max_tokens: 4096
-        });
+        // The event stream opens with the first object, so failures before that are plain JSON
+        const send = (event, data) => {
+            if (!res.headersSent) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                });
+            }
+            res.write('event: ' + event + '\ndata: ' + JSON.stringify(data) + '\n\n');
+        };
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                ...(config.apiKey ? { 'Authorization': 'Bearer ' + config.apiKey } : {})
-            },
-            body
+        let count = 0;
+        const parser = createJsonArrayStream(element => {
+            if (count >= AI_BUILD_MAX_OBJECTS) return;
+            const obj = sanitizeBuildObject(element);
+            if (!obj) return;
+            count++;
+            send('object', obj);
         });
 
-        if (!response.ok) {
-            const errText = await response.text().catch(() => '');
-            console.error('GenAI API error:', response.status, errText);
-            return res.status(502).json({ error: 'AI service error' });
-        }
-
-        const data = await response.json();
-        const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
-        if (!content) {
-            return res.status(502).json({ error: 'Empty AI response' });
-        }
-
-        // Extract JSON array from response (handle potential markdown fences)
-        let jsonStr = content.trim();
-        const fenceMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (fenceMatch) jsonStr = fenceMatch[1].trim();
-
-        // Find the JSON array in the response
-        const arrStart = jsonStr.indexOf('[');
-        const arrEnd = jsonStr.lastIndexOf(']');
-        if (arrStart === -1 || arrEnd === -1) {
-            return res.status(502).json({ error: 'AI response was not valid JSON' });
+        try {
+            await ai.stream(messages, { task: 'build', temperature: 0.7, maxTokens: 4096, signal: upstream.signal }, text => parser.push(text));
+        } catch (err) {
+            if (upstream.signal.aborted) return;
+            if (count === 0) throw err;
+            // Keep what already arrived; the client decides what to do with a partial build
+            console.error('AI build stream error:', err);
         }
-        jsonStr = jsonStr.substring(arrStart, arrEnd + 1);
 
-        const objects = JSON.parse(jsonStr);
-        if (!Array.isArray(objects)) {
-            return res.status(502).json({ error: 'AI response was not an array' });
+        if (count === 0) {
+            return res.status(502).json({ error: parser.started ? 'AI response had no usable objects' : 'AI response was not valid JSON' });
         }
-
-        // Validate and sanitize each object
-        const validTypes = new Set(['box','sphere','cylinder','cone','plane','wedge','torus','tube','stairs','pyramid','dome','arch','wall','corner','tree','house','platform','bridge','crate','gem','coin','light-point','custom']);
-        const validShapes = new Set(['box','sphere','cylinder','cone','pyramid','dome','wedge']);
-        const validActions = new Set(['add', 'modify', 'remove']);
-        const sanitized = objects.slice(0, 50).map(obj => {
-            const action = validActions.has(obj.action) ? obj.action : 'add';
-
-            // Remove action — just need target name
-            if (action === 'remove') {
-                if (typeof obj.target !== 'string' || !obj.target.trim()) return null;
-                return { action: 'remove', target: obj.target.slice(0, 50) };
-            }
-
-            // Modify action — only changed properties + target
-            if (action === 'modify') {
-                if (typeof obj.target !== 'string' || !obj.target.trim()) return null;
-                const result = { action: 'modify', target: obj.target.slice(0, 50) };
-                if (obj.position) {
-                    result.position = {
-                        x: Number(obj.position.x) || 0,
-                        y: Number(obj.position.y) || 0,
-                        z: Number(obj.position.z) || 0
-                    };
-                }
-                if (obj.scale) {
-                    result.scale = {
-                        x: Math.min(Math.abs(Number(obj.scale.x) || 1), 50),
-                        y: Math.min(Math.abs(Number(obj.scale.y) || 1), 50),
-                        z: Math.min(Math.abs(Number(obj.scale.z) || 1), 50)
-                    };
-                }
-                if (obj.color && /^#[0-9a-fA-F]{6}$/.test(obj.color)) result.color = obj.color;
-                if (obj.rotation) {
-                    result.rotation = {
-                        x: Number(obj.rotation.x) || 0,
-                        y: Number(obj.rotation.y) || 0,
-                        z: Number(obj.rotation.z) || 0
-                    };
-                }
-                if (typeof obj.name === 'string') result.name = obj.name.slice(0, 50);
-                return result;
-            }
-
-            // Add action (default)
-            const result = {
-                action: 'add',
-                type: validTypes.has(obj.type) ? obj.type : 'box',
-                position: {
-                    x: Number(obj.position?.x) || 0,
-                    y: Number(obj.position?.y) || 0,
-                    z: Number(obj.position?.z) || 0
-                },
-                scale: {
-                    x: Math.min(Math.abs(Number(obj.scale?.x) || 1), 50),
-                    y: Math.min(Math.abs(Number(obj.scale?.y) || 1), 50),
-                    z: Math.min(Math.abs(Number(obj.scale?.z) || 1), 50)
-                },
-                color: /^#[0-9a-fA-F]{6}$/.test(obj.color) ? obj.color : '#4a90d9',
-                name: (typeof obj.name === 'string' ? obj.name : 'Object').slice(0, 50)
-            };
-            // Add rotation if provided
-            if (obj.rotation && (obj.rotation.x || obj.rotation.y || obj.rotation.z)) {
-                result.rotation = {
-                    x: Number(obj.rotation.x) || 0,
-                    y: Number(obj.rotation.y) || 0,
-                    z: Number(obj.rotation.z) || 0
-                };
-            }
-            // Add custom parts if type is custom
-            if (result.type === 'custom' && Array.isArray(obj.customParts)) {
-                result.customParts = obj.customParts.slice(0, 20).map(p => ({
-                    shape: validShapes.has(p.shape) ? p.shape : 'box',
-                    offset: {
-                        x: Number(p.offset?.x) || 0,
-                        y: Number(p.offset?.y) || 0,
-                        z: Number(p.offset?.z) || 0
-                    },
-                    scale: {
-                        x: Math.min(Math.abs(Number(p.scale?.x) || 1), 20),
-                        y: Math.min(Math.abs(Number(p.scale?.y) || 1), 20),
-                        z: Math.min(Math.abs(Number(p.scale?.z) || 1), 20)
-                    },
-                    color: /^#[0-9a-fA-F]{6}$/.test(p.color) ? p.color : '#4a90d9'
-                }));
-            }
-            return result;
-        }).filter(Boolean);
-
-        res.json({ objects: sanitized });
+        send('done', { count, complete: parser.complete });
+        res.end();
     } catch (err) {
+        if (upstream.signal.aborted) return;
         console.error('AI build error:', err);
-        res.status(500).json({ error: 'Failed to generate structure' });
+        if (res.headersSent) {
+            res.end();
+        } else if (err.status) {
+            res.status(502).json({ error: 'AI service error' });
+        } else {
+            res.status(500).json({ error: 'Failed to generate structure' });
+        }
     }
 });
 
@@ -1314,6 +1723,8 @@ event_start | (none)
 event_click | (none)
 event_key | key:select[W,A,S,D,Space,E,Q,1,2,3,ArrowUp,ArrowDown,ArrowLeft,ArrowRight]=Space
 event_collide | object:select[any,player,coin,npc]=player
+event_touch_object | phase:select[begin,keep,stop]=begin, match:select[object named,tag]=tag, name:text=enemy — another object (not the player) starts touching, keeps touching or stops touching this one
+event_player_land | (none) — the player lands or steps onto this object
 event_timer | seconds:number=1
 event_message | msg:select[message1,message2,message3,go,stop,reset]=message1
 event_health_zero | (none)
@@ -1322,6 +1733,9 @@ event_item_collected | (none)
 event_lives_zero | (none)
 event_level_start | (none)
 event_timer_done | (none)
+event_player_joins | (none)
+event_player_leaves | (none)
+event_other_player_touch | (none)
 shoot_event_fire | (none)
 shoot_event_hit | (none)
 
@@ -1356,11 +1770,12 @@ control_forever | [c-block]
 control_if | condition:select[touching player,key pressed,variable > 0,random chance]=touching player [c-block]
 control_if_else | condition:select[touching player,key pressed,variable > 0,health < 50,random chance,distance < 3]=touching player [c-block]
 control_wait_until | condition:select[touching player,key pressed,timer > 5]=touching player
-control_stop | what:select[this script,all scripts,other scripts]=this script
+control_stop | what:select[this script,all scripts,other scripts]=this script   (other scripts = the other scripts of this object)
 control_broadcast | msg:select[message1,message2,message3,go,stop,reset]=message1
 control_while | condition:select[touching player,key pressed,variable > 0,health > 0,timer < 10]=touching player [c-block]
 control_for_each | var:select[i,j,count]=i, start:number=1, end:number=10 [c-block]
 control_next_level | (none)
+control_goto_level | level:select[Level 1,Level 2,Level 3]=Level 2
 
 ## Looks (command)
 looks_color | color:color=#ff0000
@@ -1404,6 +1819,9 @@ physics_spawn_at_player | shape:select[box,sphere,cylinder,cone,wall,platform,py
 physics_remove_last | (none)
 physics_remove_all | (none)
 physics_clone_at | x:number=0, y:number=0, z:number=0
+physics_push | x:number=0, y:number=0, z:number=-10, secs:number=1
+physics_impulse_xyz | x:number=0, y:number=5, z:number=0
+physics_spin | x:number=0, y:number=90, z:number=0
 health_set_damage | damage:number=10
 
 ## Sound (command)
@@ -1499,6 +1917,21 @@ ui_add_text | text:text=Hello, x:number=50, y:number=50
 ui_add_button | text:text=Click, msg:text=clicked
 ui_hide_all | (none)
 
+## Reporters (values — only inside another block's number input or condition input)
+sensing_distance | (none) — distance from this object to the player
+sensing_position | axis:select[x,y,z]=x, target:select[this object,player]=this object
+sensing_variable | var:select[score,health,coins,speed,level]=score
+sensing_timer | (none) — seconds since the game started
+sensing_random | min:number=1, max:number=10 — whole numbers when both ends are whole
+sensing_mouse | axis:select[x,y]=x — pointer over the game view, -1 to 1
+sensing_touching | object:select[player,any,ground]=player — true/false
+sensing_key_held | key:select[W,A,S,D,Space,Shift]=Space — true/false
+sensing_player_grounded | (none) — true/false
+operator_math | a:number=0, op:select[+,-,*,/,mod,min,max]=+, b:number=0
+operator_compare | a:number=0, op:select[>,<,=,>=,<=]=>, b:number=0 — true/false
+operator_func | fn:select[round,floor,ceil,abs,sqrt,sin,cos]=round, value:number=0 — sin/cos take degrees
+A reporter goes in "values" in place of the number: { "blockId": "motion_move", "values": { "amount": { "blockId": "sensing_random", "values": { "min": 1, "max": 5 } } } }. Reporters nest (operator_math inputs can hold reporters). True/false reporters fit the "condition" input of control_if, control_if_else, control_while and control_wait_until, e.g. "condition": { "blockId": "operator_compare", "values": { "a": { "blockId": "sensing_distance" }, "op": "<", "b": 5 } }.
+
 ## HUD / Display (from Variables category)
 var_show | var:select[score,health,coins,speed,level,timer]=score — shows variable as persistent HUD element
 var_show_message | text:text=You win!, time:number=3 — temporary centered message
@@ -1513,7 +1946,7 @@ looks_billboard_text | text:text=Label — permanent label floating above object
 # Rules
 1. Every NEW stack MUST start with a hat block (event_*,shoot_event_*).
 2. Only c-blocks (control_repeat,control_forever,control_if,control_if_else,control_while,control_for_each,var_if_check,item_has) have "children" arrays.
-3. Command blocks and c-blocks go inside stacks. Reporters cannot be standalone.
+3. Command blocks and c-blocks go inside stacks. Reporters cannot be standalone; they only fill inputs (see Reporters).
 4. Keep scripts focused: one behavior per stack. Use multiple stacks for different triggers.
 5. When the user says "also", "add", "make it also", or refers to extending existing behavior, APPEND to an existing stack using "appendToStack" instead of creating a duplicate hat.
 6. When the user gives FEEDBACK about existing scripts ("too fast", "too slow", "too big", "change the color", "make it slower", "reduce the damage", "wrong direction", etc.), use "replaceStack" to modify the existing stack with corrected values. Keep all the blocks the same but adjust the values they're complaining about.
@@ -1544,6 +1977,7 @@ Replace/modify existing: { "replaceStack": <stack number>, "blocks": [ ...comple
 When appending, do NOT include a hat block — just the command/c-blocks to add.
 When replacing, include the FULL stack (including the hat block) with modified values.
 Only include "values" keys that differ from defaults. Omit "children" if empty.
+A hat block may set "retrigger" for when it fires while its script is still running: "parallel" (default, run another copy), "restart" (stop the running copy and start over) or "ignore". Use "ignore" for touch/collide hats that would otherwise stack up, and "restart" for things like door cycles.
 Existing scripts context labels stacks as "Stack 1:", "Stack 2:", etc. Use those numbers for appendToStack/replaceStack.
 
 # Common Patterns
@@ -1687,6 +2121,28 @@ Replace example — existing Stack 1 has event_start → enemy_set_as health=50
 Replace example — existing Stack 1 has event_collide → health_change amount=-20. User says "it does too much damage, make it 5":
 [{"replaceStack":1,"blocks":[{"blockId":"event_collide"},{"blockId":"health_change","values":{"amount":-5}}]}]`;
 
+// Registry of the editor's own blocks; AI scripts are checked against it (see ScriptSchema)
+const AI_BLOCK_REGISTRY = ScriptSchema.registry(BlockCode.prototype.defineBlocks.call({}));
+
+// The JSON array in a model reply, allowing for prose or a code fence around it; null if none
+function extractJsonArray(content) {
+    let jsonStr = String(content || '').trim();
+    const fenceMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenceMatch) jsonStr = fenceMatch[1].trim();
+    const arrStart = jsonStr.indexOf('[');
+    const arrEnd = jsonStr.lastIndexOf(']');
+    if (arrStart === -1 || arrEnd === -1) return null;
+    try {
+        const parsed = JSON.parse(jsonStr.substring(arrStart, arrEnd + 1));
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Responds with { stacks, report: { stacks: [{ index, kept, errors, repairs }], reprompted } }. Every
+// block is checked against AI_BLOCK_REGISTRY; small mistakes are repaired, and when something
+// can't be, the model is asked once more with the list of problems.
 app.post('/api/ai/script', authenticate, async (req, res) => {
     const { prompt, history, existingScripts, explain, replaceMode, customSoundNames } = req.body;
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
@@ -1696,14 +2152,12 @@ app.post('/api/ai/script', authenticate, async (req, res) => {
         return res.status(400).json({ error: 'Prompt too long' });
     }
 
-    const config = getGenaiConfig();
-    if (!config.apiBase) {
+    const ai = getAiProvider();
+    if (!ai) {
         return res.status(503).json({ error: 'AI service not configured' });
     }
 
     try {
-        const url = config.apiBase.replace(/\/+$/, '') + '/v1/chat/completions';
-
         // Explain mode: different system prompt
         if (explain) {
             const messages = [
@@ -1714,15 +2168,7 @@ app.post('/api/ai/script', authenticate, async (req, res) => {
             }
             messages.push({ role: 'user', content: prompt.trim() });
 
-            const body = JSON.stringify({ model: config.model || undefined, messages, temperature: 0.3, max_tokens: 300 });
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', ...(config.apiKey ? { 'Authorization': 'Bearer ' + config.apiKey } : {}) },
-                body
-            });
-            if (!response.ok) return res.status(502).json({ error: 'AI service error' });
-            const data = await response.json();
-            const content = data.choices?.[0]?.message?.content || 'Could not generate explanation';
+            const content = await ai.chat(messages, { task: 'explain', temperature: 0.3, maxTokens: 300 }) || 'Could not generate explanation';
             return res.json({ explanation: content.trim() });
         }
 
@@ -1755,154 +2201,618 @@ app.post('/api/ai/script', authenticate, async (req, res) => {
 
         messages.push({ role: 'user', content: prompt.trim() });
 
-        const body = JSON.stringify({
-            model: config.model || undefined,
-            messages,
-            temperature: 0.7,
-            max_tokens: 4096
-        });
-
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                ...(config.apiKey ? { 'Authorization': 'Bearer ' + config.apiKey } : {})
-            },
-            body
-        });
-
-        if (!response.ok) {
-            const errText = await response.text().catch(() => '');
-            console.error('AI script error:', response.status, errText);
-            return res.status(502).json({ error: 'AI service error' });
-        }
-
-        const data = await response.json();
-        const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+        const options = { task: 'script', temperature: 0.7, maxTokens: 4096 };
+        const content = await ai.chat(messages, options);
         if (!content) {
             return res.status(502).json({ error: 'Empty AI response' });
         }
-
-        // Extract JSON array
-        let jsonStr = content.trim();
-        const fenceMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (fenceMatch) jsonStr = fenceMatch[1].trim();
-
-        const arrStart = jsonStr.indexOf('[');
-        const arrEnd = jsonStr.lastIndexOf(']');
-        if (arrStart === -1 || arrEnd === -1) {
-            return res.status(502).json({ error: 'AI response was not valid JSON' });
+        const parsed = extractJsonArray(content);
+        let result = parsed && ScriptSchema.validateStacks(parsed, AI_BLOCK_REGISTRY);
+
+        let reprompted = false;
+        if (!result || ScriptSchema.countErrors(result.report) > 0) {
+            reprompted = true;
+            const problems = result ? ScriptSchema.describeErrors(result.report) : '- The reply was not a JSON array of stacks';
+            messages.push({ role: 'assistant', content: content.slice(0, 4000) });
+            messages.push({ role: 'user', content: 'Those scripts have problems:\n' + problems + '\n\nUse only blockIds and input names from the Block Catalog, with select values from their option lists. Reply with the complete corrected JSON array of stacks.' });
+            try {
+                const retried = extractJsonArray(await ai.chat(messages, options));
+                const retry = retried && ScriptSchema.validateStacks(retried, AI_BLOCK_REGISTRY);
+                if (retry && (!result || ScriptSchema.countErrors(retry.report) <= ScriptSchema.countErrors(result.report))) result = retry;
+            } catch (err) {
+                // The first answer, repaired as far as it could be, is still worth showing
+                if (!result) throw err;
+                console.error('AI script retry error:', err.message);
+            }
         }
-        jsonStr = jsonStr.substring(arrStart, arrEnd + 1);
-
-        const stacks = JSON.parse(jsonStr);
-        if (!Array.isArray(stacks)) {
-            return res.status(502).json({ error: 'AI response was not an array' });
+        if (!result) {
+            return res.status(502).json({ error: 'AI response was not valid JSON' });
         }
 
-        // Sanitize: max 10 stacks, 20 blocks each, 15 children per c-block
-        const sanitized = stacks.slice(0, 10).map(stack => {
-            if (!stack.blocks || !Array.isArray(stack.blocks)) return null;
-            const blocks = stack.blocks.slice(0, 20).map(b => {
-                const block = {
-                    blockId: typeof b.blockId === 'string' ? b.blockId : '',
-                    values: (b.values && typeof b.values === 'object') ? b.values : {}
-                };
-                if (Array.isArray(b.children) && b.children.length > 0) {
-                    block.children = b.children.slice(0, 15).map(c => ({
-                        blockId: typeof c.blockId === 'string' ? c.blockId : '',
-                        values: (c.values && typeof c.values === 'object') ? c.values : {}
-                    }));
-                }
-                return block;
-            });
-            const result = { blocks };
-            if (typeof stack.replaceStack === 'number' && stack.replaceStack > 0) {
-                result.replaceStack = stack.replaceStack;
-            } else if (typeof stack.appendToStack === 'number' && stack.appendToStack > 0) {
-                result.appendToStack = stack.appendToStack;
-            }
-            return result;
-        }).filter(Boolean);
-
-        res.json({ stacks: sanitized });
+        res.json({ stacks: result.stacks, report: { stacks: result.report, reprompted } });
     } catch (err) {
         console.error('AI script error:', err);
+        if (err.status) return res.status(502).json({ error: 'AI service error' });
         res.status(500).json({ error: 'Failed to generate script' });
     }
 });
 
 // ===== Cloud Data API =====
+// Cloud data belongs to a published game (shared_projects row). The owner can give keys a mode:
+//   public   — any player can write (default for keys without a rule)
+//   readonly — players can read, only the owner can write
+//   player   — every player gets their own value, stored as player:<userId>:<key>
 const _cloudRateLimit = new Map(); // userId -> { count, resetAt }
+const _cloudSocketRateLimit = new Map(); // userId -> { count, resetAt }
+const CLOUD_SOCKET_WRITES_PER_MIN = 120;
+const CLOUD_NUMBER_PATTERN = '^\\s*-?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?\\s*$';
+const CLOUD_KEY_MODES = ['public', 'readonly', 'player'];
+const CLOUD_PLAYER_KEY = /^player:(\d+):(.*)$/s;
 
-app.get('/api/cloud-data/:projectId', authenticate, async (req, res) => {
-    const { rows } = await pool.query('SELECT key, value, updated_at FROM cloud_data WHERE project_id = $1', [req.params.projectId]);
-    res.json(rows);
-});
-
-app.get('/api/cloud-data/:projectId/:key', authenticate, async (req, res) => {
-    const { rows } = await pool.query('SELECT value FROM cloud_data WHERE project_id = $1 AND key = $2', [req.params.projectId, req.params.key]);
-    res.json({ value: rows.length ? rows[0].value : '0' });
-});
+// Running games subscribed to live cloud updates: projectId → Set<ws>
+const cloudSubscribers = new Map();
 
-app.put('/api/cloud-data/:projectId/:key', authenticate, async (req, res) => {
-    // Rate limit: 10 writes per minute per user
+// Fixed one-minute write window per user; returns true once the user is over `max`
+function cloudRateLimited(limits, userId, max) {
     const now = Date.now();
-    let rl = _cloudRateLimit.get(req.user.id);
-    if (!rl || now > rl.resetAt) { rl = { count: 0, resetAt: now + 60000 }; _cloudRateLimit.set(req.user.id, rl); }
+    let rl = limits.get(userId);
+    if (!rl || now > rl.resetAt) { rl = { count: 0, resetAt: now + 60000 }; limits.set(userId, rl); }
     rl.count++;
-    if (rl.count > 10) return res.status(429).json({ error: 'Rate limit exceeded (10/min)' });
+    return rl.count > max;
+}
 
-    const value = String(req.body.value ?? '0').slice(0, 1000);
+function cloudStorageKey(key, playerId) {
+    return playerId ? `player:${playerId}:${key}` : key;
+}
+
+// Owner and key rules of a published game, or null if the project is not published
+async function getCloudProject(projectId) {
+    const { rows } = await pool.query('SELECT user_id FROM shared_projects WHERE id = $1', [projectId]);
+    if (rows.length === 0) return null;
+    const rules = await pool.query('SELECT key, mode FROM cloud_key_rules WHERE project_id = $1', [projectId]);
+    return { ownerId: rows[0].user_id, rules: new Map(rules.rows.map(r => [r.key, r.mode])) };
+}
+
+// Work out whose value a player's read or write of `key` touches.
+// Returns { playerId } (null for shared keys) or { status, error } when not allowed.
+function resolveCloudKey(project, key, user, write) {
+    if (!key || CLOUD_PLAYER_KEY.test(key)) return { status: 400, error: 'Invalid key' };
+    const mode = project.rules.get(key) || 'public';
+    if (mode === 'player') return { playerId: user.id };
+    if (write && mode === 'readonly' && user.id !== project.ownerId) {
+        return { status: 403, error: 'This cloud variable is read-only' };
+    }
+    return { playerId: null };
+}
+
+async function getCloudValue(projectId, key, playerId = null) {
+    const { rows } = await pool.query('SELECT value FROM cloud_data WHERE project_id = $1 AND key = $2', [projectId, cloudStorageKey(key, playerId)]);
+    return rows.length ? rows[0].value : '0';
+}
+
+async function setCloudValue(projectId, key, value, playerId = null) {
+    value = String(value ?? '0').slice(0, 1000);
     await pool.query(
         `INSERT INTO cloud_data (project_id, key, value, updated_at) VALUES ($1, $2, $3, $4)
          ON CONFLICT (project_id, key) DO UPDATE SET value = $3, updated_at = $4`,
-        [req.params.projectId, req.params.key, value, now]
+        [projectId, cloudStorageKey(key, playerId), value, Date.now()]
     );
-    res.json({ ok: true });
-});
+    broadcastCloudUpdate(projectId, key, value, playerId);
+    return value;
+}
 
-app.delete('/api/cloud-data/:projectId/:key', authenticate, async (req, res) => {
-    await pool.query('DELETE FROM cloud_data WHERE project_id = $1 AND key = $2', [req.params.projectId, req.params.key]);
-    res.json({ ok: true });
-});
+// Add to a numeric cloud value in one statement so concurrent players never clobber each other
+async function incrementCloudValue(projectId, key, amount, playerId = null) {
+    const { rows } = await pool.query(
+        `INSERT INTO cloud_data (project_id, key, value, updated_at) VALUES ($1, $2, ($3::double precision)::text, $4)
+         ON CONFLICT (project_id, key) DO UPDATE SET
+             value = ((CASE WHEN cloud_data.value ~ $5 THEN cloud_data.value::double precision ELSE 0 END) + $3::double precision)::text,
+             updated_at = $4
+         RETURNING value`,
+        [projectId, cloudStorageKey(key, playerId), amount, Date.now(), CLOUD_NUMBER_PATTERN]
+    );
+    broadcastCloudUpdate(projectId, key, rows[0].value, playerId);
+    return rows[0].value;
+}
 
-// ===== Template Marketplace API =====
+// Delete a key; for shared keys also every player's copy of it
+async function resetCloudKey(projectId, key, playerId = null) {
+    if (playerId) {
+        await pool.query('DELETE FROM cloud_data WHERE project_id = $1 AND key = $2', [projectId, cloudStorageKey(key, playerId)]);
+        broadcastCloudUpdate(projectId, key, '0', playerId);
+        return;
+    }
+    const { rows } = await pool.query(
+        `DELETE FROM cloud_data WHERE project_id = $1
+         AND (key = $2 OR (key LIKE 'player:%' AND regexp_replace(key, '^player:[0-9]+:', '') = $2))
+         RETURNING key`,
+        [projectId, key]
+    );
+    rows.forEach(r => {
+        const m = r.key.match(CLOUD_PLAYER_KEY);
+        broadcastCloudUpdate(projectId, key, '0', m ? Number(m[1]) : null);
+    });
+}
 
-app.get('/api/templates', async (req, res) => {
-    const sort = req.query.sort === 'newest' ? 'published_at DESC' : 'use_count DESC';
-    const search = req.query.search ? `%${req.query.search}%` : null;
-    let query = `SELECT id, name, description, creator, tags, thumbnail, published_at, use_count FROM shared_templates`;
-    const params = [];
-    if (search) { query += ` WHERE name ILIKE $1 OR description ILIKE $1`; params.push(search); }
-    query += ` ORDER BY ${sort} LIMIT 50`;
-    const { rows } = await pool.query(query, params);
-    res.json(rows.map(r => ({ ...r, tags: JSON.parse(r.tags || '[]') })));
-});
+// Values one player can see: shared keys plus their own per-player keys (un-namespaced)
+function visibleCloudValues(rows, userId) {
+    const values = {};
+    rows.forEach(r => {
+        const m = r.key.match(CLOUD_PLAYER_KEY);
+        if (!m) {
+            if (values[r.key] === undefined) values[r.key] = r.value;
+        } else if (Number(m[1]) === userId) {
+            values[m[2]] = r.value;
+        }
+    });
+    return values;
+}
 
-app.post('/api/templates', authenticate, async (req, res) => {
-    const { name, description, tags, thumbnail, templateData } = req.body;
-    if (!name || !templateData) return res.status(400).json({ error: 'Name and data required' });
-    const id = 'tmpl_' + crypto.randomBytes(8).toString('hex');
-    const { rows: userRows } = await pool.query('SELECT display_name FROM users WHERE id = $1', [req.user.id]);
-    const creator = userRows[0]?.display_name || req.user.username;
-    await pool.query(
-        `INSERT INTO shared_templates (id, user_id, name, description, creator, tags, thumbnail, template_data, published_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-        [id, req.user.id, name.slice(0, 60), (description || '').slice(0, 200), creator, JSON.stringify(tags || []), thumbnail || null, JSON.stringify(templateData), Date.now()]
-    );
-    // Log activity
-    await pool.query('INSERT INTO activity_feed (user_id, type, data, created_at) VALUES ($1, $2, $3, $4)',
-        [req.user.id, 'published_template', JSON.stringify({ templateId: id, name }), Date.now()]);
-    res.json({ id });
-});
+function broadcastCloudUpdate(projectId, key, value, playerId = null) {
+    const subs = cloudSubscribers.get(projectId);
+    if (!subs) return;
+    const data = JSON.stringify({ type: 'cloud-update', projectId, key, value });
+    for (const ws of subs) {
+        if (playerId && ws._user.id !== playerId) continue;
+        if (ws.readyState === 1) ws.send(data);
+    }
+}
 
-app.delete('/api/templates/:id', authenticate, async (req, res) => {
-    await pool.query('DELETE FROM shared_templates WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
-    res.json({ ok: true });
-});
+function unsubscribeCloud(ws) {
+    const projectId = ws._cloudProjectId;
+    if (!projectId) return;
+    ws._cloudProjectId = null;
+    const subs = cloudSubscribers.get(projectId);
+    if (!subs) return;
+    subs.delete(ws);
+    if (subs.size === 0) cloudSubscribers.delete(projectId);
+}
 
-app.post('/api/templates/:id/use', async (req, res) => {
+// Subscribe a socket to one project's cloud variables and send it the current values
+async function subscribeCloud(ws, projectId) {
+    unsubscribeCloud(ws);
+    projectId = String(projectId || '');
+    if (!projectId) return;
+    try {
+        const { rows: published } = await pool.query('SELECT 1 FROM shared_projects WHERE id = $1', [projectId]);
+        if (published.length === 0) {
+            ws.send(JSON.stringify({ type: 'cloud-error', projectId, error: 'Cloud variables are only available for published games' }));
+            return;
+        }
+        const { rows } = await pool.query('SELECT key, value FROM cloud_data WHERE project_id = $1', [projectId]);
+        // The socket may have closed, or subscribed elsewhere, while the queries ran
+        if (ws.readyState !== 1) return;
+        unsubscribeCloud(ws);
+        if (!cloudSubscribers.has(projectId)) cloudSubscribers.set(projectId, new Set());
+        cloudSubscribers.get(projectId).add(ws);
+        ws._cloudProjectId = projectId;
+        ws.send(JSON.stringify({ type: 'cloud-snapshot', projectId, values: visibleCloudValues(rows, ws._user.id) }));
+    } catch (err) {
+        console.error('Cloud subscribe error:', err.message);
+    }
+}
+
+async function handleCloudWrite(ws, user, msg) {
+    const projectId = ws._cloudProjectId;
+    const key = typeof msg.key === 'string' ? msg.key.slice(0, 100) : '';
+    if (!key) return;
+    // Same answer as the REST routes' 404; the socket isn't subscribed when the game isn't published
+    const unpublished = JSON.stringify({ type: 'cloud-error', key, error: 'Cloud variables are only available for published games' });
+    if (!projectId) {
+        ws.send(unpublished);
+        return;
+    }
+    if (cloudRateLimited(_cloudSocketRateLimit, user.id, CLOUD_SOCKET_WRITES_PER_MIN)) {
+        ws.send(JSON.stringify({ type: 'cloud-error', key, error: `Rate limit exceeded (${CLOUD_SOCKET_WRITES_PER_MIN}/min)` }));
+        return;
+    }
+    try {
+        const project = await getCloudProject(projectId);
+        if (!project) {
+            ws.send(unpublished);
+            return;
+        }
+        const target = resolveCloudKey(project, key, user, true);
+        if (target.error) {
+            // Undo the game's optimistic value with the real one
+            ws.send(JSON.stringify({ type: 'cloud-error', key, error: target.error }));
+            ws.send(JSON.stringify({ type: 'cloud-update', projectId, key, value: await getCloudValue(projectId, key) }));
+            return;
+        }
+        if (msg.type === 'cloud-change') {
+            const amount = Number(msg.amount);
+            if (!isFinite(amount)) return;
+            await incrementCloudValue(projectId, key, amount, target.playerId);
+        } else {
+            await setCloudValue(projectId, key, msg.value, target.playerId);
+        }
+    } catch (err) {
+        console.error('Cloud write error:', err.message);
+        ws.send(JSON.stringify({ type: 'cloud-error', key, error: 'Failed to save cloud variable' }));
+    }
+}
+
+app.get('/api/cloud-data/:projectId', authenticate, async (req, res) => {
+    const project = await getCloudProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: 'Cloud variables are only available for published games' });
+    const { rows } = await pool.query('SELECT key, value, updated_at FROM cloud_data WHERE project_id = $1', [req.params.projectId]);
+    const values = visibleCloudValues(rows, req.user.id);
+    res.json(Object.entries(values).map(([key, value]) => ({ key, value })));
+});
+
+app.get('/api/cloud-data/:projectId/:key', authenticate, async (req, res) => {
+    const project = await getCloudProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: 'Cloud variables are only available for published games' });
+    const target = resolveCloudKey(project, req.params.key, req.user, false);
+    if (target.error) return res.status(target.status).json({ error: target.error });
+    res.json({ value: await getCloudValue(req.params.projectId, req.params.key, target.playerId) });
+});
+
+app.put('/api/cloud-data/:projectId/:key', authenticate, async (req, res) => {
+    // Rate limit: 10 writes per minute per user
+    if (cloudRateLimited(_cloudRateLimit, req.user.id, 10)) return res.status(429).json({ error: 'Rate limit exceeded (10/min)' });
+    const project = await getCloudProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: 'Cloud variables are only available for published games' });
+    const target = resolveCloudKey(project, req.params.key, req.user, true);
+    if (target.error) return res.status(target.status).json({ error: target.error });
+
+    await setCloudValue(req.params.projectId, req.params.key, req.body.value, target.playerId);
+    res.json({ ok: true });
+});
+
+app.post('/api/cloud-data/:projectId/:key/increment', authenticate, async (req, res) => {
+    if (cloudRateLimited(_cloudRateLimit, req.user.id, 10)) return res.status(429).json({ error: 'Rate limit exceeded (10/min)' });
+    const amount = Number(req.body.amount);
+    if (!isFinite(amount)) return res.status(400).json({ error: 'amount must be a number' });
+    try {
+        const project = await getCloudProject(req.params.projectId);
+        if (!project) return res.status(404).json({ error: 'Cloud variables are only available for published games' });
+        const target = resolveCloudKey(project, req.params.key, req.user, true);
+        if (target.error) return res.status(target.status).json({ error: target.error });
+
+        const value = await incrementCloudValue(req.params.projectId, req.params.key, amount, target.playerId);
+        res.json({ value });
+    } catch (err) {
+        console.error('Cloud increment error:', err.message);
+        res.status(500).json({ error: 'Failed to update cloud variable' });
+    }
+});
+
+app.delete('/api/cloud-data/:projectId/:key', authenticate, async (req, res) => {
+    const project = await getCloudProject(req.params.projectId);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (project.ownerId !== req.user.id) return res.status(403).json({ error: 'Not your project' });
+    await resetCloudKey(req.params.projectId, req.params.key);
+    res.json({ ok: true });
+});
+
+// ===== Cloud Data Dashboard (owner only) =====
+
+async function requireCloudOwner(req, res) {
+    const project = await getCloudProject(req.params.projectId);
+    if (!project) { res.status(404).json({ error: 'Project not found' }); return null; }
+    if (project.ownerId !== req.user.id) { res.status(403).json({ error: 'Not your project' }); return null; }
+    return project;
+}
+
+// GET /api/cloud-admin/:projectId — every key with its mode, per-player values listed by player
+app.get('/api/cloud-admin/:projectId', authenticate, async (req, res) => {
+    const project = await requireCloudOwner(req, res);
+    if (!project) return;
+    const { rows } = await pool.query('SELECT key, value, updated_at FROM cloud_data WHERE project_id = $1 ORDER BY key', [req.params.projectId]);
+    const playerIds = [...new Set(rows.map(r => r.key.match(CLOUD_PLAYER_KEY)).filter(Boolean).map(m => Number(m[1])))];
+    const names = new Map();
+    if (playerIds.length > 0) {
+        const users = await pool.query('SELECT id, display_name FROM users WHERE id = ANY($1)', [playerIds]);
+        users.rows.forEach(u => names.set(u.id, u.display_name));
+    }
+    const entries = rows.map(r => {
+        const m = r.key.match(CLOUD_PLAYER_KEY);
+        if (!m) return { key: r.key, value: r.value, updatedAt: r.updated_at, userId: null };
+        const userId = Number(m[1]);
+        return { key: m[2], value: r.value, updatedAt: r.updated_at, userId, displayName: names.get(userId) || 'Unknown' };
+    });
+    res.json({ rules: Object.fromEntries(project.rules), entries });
+});
+
+// PUT /api/cloud-admin/:projectId/rules/:key — set a key's mode
+app.put('/api/cloud-admin/:projectId/rules/:key', authenticate, async (req, res) => {
+    const project = await requireCloudOwner(req, res);
+    if (!project) return;
+    const { mode } = req.body;
+    if (!CLOUD_KEY_MODES.includes(mode)) return res.status(400).json({ error: 'mode must be public, readonly or player' });
+    if (CLOUD_PLAYER_KEY.test(req.params.key)) return res.status(400).json({ error: 'Invalid key' });
+    if (mode === 'public') {
+        await pool.query('DELETE FROM cloud_key_rules WHERE project_id = $1 AND key = $2', [req.params.projectId, req.params.key]);
+    } else {
+        await pool.query(
+            `INSERT INTO cloud_key_rules (project_id, key, mode) VALUES ($1, $2, $3)
+             ON CONFLICT (project_id, key) DO UPDATE SET mode = $3`,
+            [req.params.projectId, req.params.key, mode]
+        );
+    }
+    res.json({ ok: true });
+});
+
+// PUT /api/cloud-admin/:projectId/keys/:key — edit a value ({ value, userId } for one player's copy)
+app.put('/api/cloud-admin/:projectId/keys/:key', authenticate, async (req, res) => {
+    const project = await requireCloudOwner(req, res);
+    if (!project) return;
+    if (CLOUD_PLAYER_KEY.test(req.params.key)) return res.status(400).json({ error: 'Invalid key' });
+    const playerId = req.body.userId ? Number(req.body.userId) : null;
+    if (playerId !== null && !Number.isInteger(playerId)) return res.status(400).json({ error: 'Invalid userId' });
+    const value = await setCloudValue(req.params.projectId, req.params.key, req.body.value, playerId);
+    res.json({ value });
+});
+
+// DELETE /api/cloud-admin/:projectId/keys/:key[?userId=] — reset one player's value, or the key for everyone
+app.delete('/api/cloud-admin/:projectId/keys/:key', authenticate, async (req, res) => {
+    const project = await requireCloudOwner(req, res);
+    if (!project) return;
+    const playerId = req.query.userId ? Number(req.query.userId) : null;
+    if (playerId !== null && !Number.isInteger(playerId)) return res.status(400).json({ error: 'Invalid userId' });
+    await resetCloudKey(req.params.projectId, req.params.key, playerId);
+    res.json({ ok: true });
+});
+
+// ===== Leaderboards API =====
+const LEADERBOARD_WINDOWS = { daily: 1, weekly: 7 }; // days; anything else is all-time
+const _leaderboardRateLimit = new Map(); // userId -> { count, resetAt }
+
+function leaderboardDay(ts = Date.now()) {
+    return Math.floor(ts / (24 * 60 * 60 * 1000));
+}
+
+function leaderboardBoard(name) {
+    return String(name || '').trim().slice(0, 50);
+}
+
+// Each player's best score inside the window, ranked highest first (ties share a rank).
+// Query parameters: $1 project id, $2 board.
+function rankedLeaderboardSql(windowName) {
+    const days = LEADERBOARD_WINDOWS[windowName];
+    const windowClause = days ? `AND day > ${leaderboardDay() - days}` : '';
+    return `WITH best AS (
+                SELECT user_id, MAX(score) AS score FROM leaderboards
+                WHERE project_id = $1 AND board = $2 ${windowClause}
+                GROUP BY user_id
+            )
+            SELECT b.user_id, u.display_name, b.score,
+                   RANK() OVER (ORDER BY b.score DESC) AS rank,
+                   ROW_NUMBER() OVER (ORDER BY b.score DESC, u.display_name) AS position
+            FROM best b JOIN users u ON u.id = b.user_id`;
+}
+
+function formatLeaderboardEntry(row) {
+    return { rank: Number(row.rank), userId: row.user_id, displayName: row.display_name, score: row.score };
+}
+
+async function getLeaderboardEntry(projectId, board, windowName, userId) {
+    const { rows } = await pool.query(
+        `SELECT * FROM (${rankedLeaderboardSql(windowName)}) ranked WHERE user_id = $3`,
+        [projectId, board, userId]
+    );
+    return rows.length ? formatLeaderboardEntry(rows[0]) : null;
+}
+
+// Submit a score; only the player's best of the day is kept
+app.post('/api/leaderboards/:projectId/:board', authenticate, async (req, res) => {
+    const board = leaderboardBoard(req.params.board);
+    const score = Number(req.body.score);
+    if (!board) return res.status(400).json({ error: 'Board name required' });
+    if (!isFinite(score)) return res.status(400).json({ error: 'Score must be a number' });
+    if (cloudRateLimited(_leaderboardRateLimit, req.user.id, 30)) return res.status(429).json({ error: 'Rate limit exceeded (30/min)' });
+
+    try {
+        const { rows } = await pool.query('SELECT 1 FROM shared_projects WHERE id = $1', [req.params.projectId]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Leaderboards are only available for published games' });
+
+        await pool.query(
+            `INSERT INTO leaderboards (project_id, board, user_id, day, score, updated_at) VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (project_id, board, user_id, day) DO UPDATE
+             SET score = GREATEST(leaderboards.score, $5),
+                 updated_at = CASE WHEN $5 > leaderboards.score THEN $6 ELSE leaderboards.updated_at END`,
+            [req.params.projectId, board, req.user.id, leaderboardDay(), score, Date.now()]
+        );
+        res.json({ entry: await getLeaderboardEntry(req.params.projectId, board, 'all', req.user.id) });
+    } catch (err) {
+        console.error('Leaderboard submit error:', err.message);
+        res.status(500).json({ error: 'Failed to submit score' });
+    }
+});
+
+// Top N for a window (?window=daily|weekly|all&limit=10)
+app.get('/api/leaderboards/:projectId/:board', async (req, res) => {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+    try {
+        const { rows } = await pool.query(
+            `SELECT * FROM (${rankedLeaderboardSql(req.query.window)}) ranked ORDER BY position LIMIT $3`,
+            [req.params.projectId, leaderboardBoard(req.params.board), limit]
+        );
+        res.json({ entries: rows.map(formatLeaderboardEntry) });
+    } catch (err) {
+        console.error('Leaderboard error:', err.message);
+        res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+});
+
+// The signed-in player's rank and best score, or null if they have not played
+app.get('/api/leaderboards/:projectId/:board/me', authenticate, async (req, res) => {
+    try {
+        res.json({ entry: await getLeaderboardEntry(req.params.projectId, leaderboardBoard(req.params.board), req.query.window, req.user.id) });
+    } catch (err) {
+        console.error('Leaderboard rank error:', err.message);
+        res.status(500).json({ error: 'Failed to load rank' });
+    }
+});
+
+// Entries just above and below the signed-in player (?range=5)
+app.get('/api/leaderboards/:projectId/:board/around-me', authenticate, async (req, res) => {
+    const range = Math.min(25, Math.max(1, parseInt(req.query.range) || 5));
+    try {
+        const { rows } = await pool.query(
+            `WITH ranked AS (${rankedLeaderboardSql(req.query.window)})
+             SELECT r.* FROM ranked r, ranked me
+             WHERE me.user_id = $3 AND r.position BETWEEN me.position - $4 AND me.position + $4
+             ORDER BY r.position`,
+            [req.params.projectId, leaderboardBoard(req.params.board), req.user.id, range]
+        );
+        res.json({ entries: rows.map(formatLeaderboardEntry) });
+    } catch (err) {
+        console.error('Leaderboard error:', err.message);
+        res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+});
+
+// ===== Replays API =====
+
+const REPLAY_VERSION = 1; // matches Runtime.REPLAY_VERSION
+const MAX_REPLAY_BYTES = 2 * 1024 * 1024;
+const MAX_REPLAY_FRAMES = 60 * 60 * 30; // 30 minutes of play at 60 steps per second
+const _replayRateLimit = new Map(); // userId -> { count, resetAt }
+
+// Error message for a malformed replay, or null
+function isReplayInput(input) {
+    if (input.type === 'key' || input.type === 'click') return true;
+    return input.type === 'mouse' && Number.isFinite(input.x) && Number.isFinite(input.y);
+}
+
+function replayError(replay) {
+    if (!replay || typeof replay !== 'object' || Array.isArray(replay)) return 'Replay must be an object';
+    if (replay.version !== REPLAY_VERSION) return 'Unsupported replay version';
+    if (!Number.isInteger(replay.seed)) return 'Replay seed must be a whole number';
+    if (!Number.isInteger(replay.frames) || replay.frames <= 0 || replay.frames > MAX_REPLAY_FRAMES) return 'Replay is empty or too long';
+    if (!Array.isArray(replay.inputs)) return 'Replay inputs must be a list';
+    const bad = replay.inputs.some(input => !input || !Number.isInteger(input.f) || input.f < 0 || input.f > replay.frames ||
+        !isReplayInput(input));
+    if (bad) return 'Replay has invalid inputs';
+    if (replay.cloud !== undefined) {
+        if (!replay.cloud || typeof replay.cloud !== 'object' || Array.isArray(replay.cloud)) return 'Replay cloud values must be an object';
+        if (Object.values(replay.cloud).some(value => typeof value !== 'string' && typeof value !== 'number')) return 'Replay has invalid cloud values';
+    }
+    return null;
+}
+
+// Latest replays shared for a published game
+app.get('/api/projects/:id/replays', async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT r.id, r.username, r.title, r.frames, r.created_at, r.project_version IS DISTINCT FROM sp.published_at AS outdated
+             FROM replays r JOIN shared_projects sp ON sp.id = r.project_id
+             WHERE r.project_id = $1 ORDER BY r.created_at DESC LIMIT 20`,
+            [req.params.id]
+        );
+        res.json({ replays: rows });
+    } catch (err) {
+        console.error('Replays error:', err.message);
+        res.status(500).json({ error: 'Failed to load replays' });
+    }
+});
+
+// Replay ids are SERIAL; anything else (or too long for an integer) can't name one
+function isReplayId(id) {
+    return /^\d{1,9}$/.test(id);
+}
+
+app.get('/api/replays/:id', async (req, res) => {
+    if (!isReplayId(req.params.id)) return res.status(404).json({ error: 'Replay not found' });
+    try {
+        const { rows } = await pool.query(
+            `SELECT r.*, r.project_version IS DISTINCT FROM sp.published_at AS outdated
+             FROM replays r JOIN shared_projects sp ON sp.id = r.project_id WHERE r.id = $1`,
+            [parseInt(req.params.id)]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Replay not found' });
+        const r = rows[0];
+        res.json({ id: r.id, projectId: r.project_id, username: r.username, title: r.title, outdated: r.outdated, replay: JSON.parse(r.data) });
+    } catch (err) {
+        console.error('Replay error:', err.message);
+        res.status(500).json({ error: 'Failed to load replay' });
+    }
+});
+
+app.post('/api/projects/:id/replays', authenticate, async (req, res) => {
+    const { replay } = req.body;
+    const title = String(req.body.title || '').trim().slice(0, 60) || 'Untitled run';
+    const error = replayError(replay);
+    if (error) return res.status(400).json({ error });
+    const data = JSON.stringify(replay);
+    if (data.length > MAX_REPLAY_BYTES) return res.status(413).json({ error: 'Replay too large' });
+    if (cloudRateLimited(_replayRateLimit, req.user.id, 5)) return res.status(429).json({ error: 'Rate limit exceeded (5/min)' });
+
+    try {
+        const project = await pool.query('SELECT published_at FROM shared_projects WHERE id = $1', [req.params.id]);
+        if (project.rows.length === 0) return res.status(404).json({ error: 'Replays can only be shared for published games' });
+        // projectVersion is the publishedAt of the version the run was played on
+        const version = project.rows[0].published_at;
+        if (req.body.projectVersion !== undefined && String(req.body.projectVersion) !== String(version)) {
+            return res.status(409).json({ error: 'This game was updated after your run, so the replay would not match it' });
+        }
+        const user = await pool.query('SELECT display_name FROM users WHERE id = $1', [req.user.id]);
+        const username = user.rows.length > 0 ? user.rows[0].display_name : 'Anonymous';
+        const { rows } = await pool.query(
+            `INSERT INTO replays (project_id, user_id, username, title, frames, data, created_at, project_version)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id, username, title, frames, created_at`,
+            [req.params.id, req.user.id, username, title, replay.frames, data, Date.now(), version]
+        );
+        res.json({ replay: rows[0] });
+    } catch (err) {
+        console.error('Replay share error:', err.message);
+        res.status(500).json({ error: 'Failed to share replay' });
+    }
+});
+
+// Owners can take their replay down; admins can remove any
+app.delete('/api/replays/:id', authenticate, async (req, res) => {
+    if (!isReplayId(req.params.id)) return res.status(404).json({ error: 'Replay not found' });
+    try {
+        const { rows } = await pool.query('SELECT user_id FROM replays WHERE id = $1', [parseInt(req.params.id)]);
+        if (rows.length === 0) return res.status(404).json({ error: 'Replay not found' });
+        if (rows[0].user_id !== req.user.id && !isAdmin(req.user)) return res.status(403).json({ error: 'Forbidden' });
+        await pool.query('DELETE FROM replays WHERE id = $1', [parseInt(req.params.id)]);
+        res.json({ ok: true });
+    } catch (err) {
+        console.error('Replay delete error:', err.message);
+        res.status(500).json({ error: 'Failed to delete replay' });
+    }
+});
+
+// ===== Template Marketplace API =====
+
+app.get('/api/templates', async (req, res) => {
+    const sort = req.query.sort === 'newest' ? 'published_at DESC' : 'use_count DESC';
+    const search = req.query.search ? `%${req.query.search}%` : null;
+    let query = `SELECT id, name, description, creator, tags, thumbnail, published_at, use_count FROM shared_templates`;
+    const params = [];
+    if (search) { query += ` WHERE name ILIKE $1 OR description ILIKE $1`; params.push(search); }
+    query += ` ORDER BY ${sort} LIMIT 50`;
+    const { rows } = await pool.query(query, params);
+    res.json(rows.map(r => ({ ...r, tags: JSON.parse(r.tags || '[]') })));
+});
+
+app.post('/api/templates', authenticate, async (req, res) => {
+    const { name, description, tags, thumbnail, templateData } = req.body;
+    if (!name || !templateData) return res.status(400).json({ error: 'Name and data required' });
+    const id = 'tmpl_' + crypto.randomBytes(8).toString('hex');
+    const { rows: userRows } = await pool.query('SELECT display_name FROM users WHERE id = $1', [req.user.id]);
+    const creator = userRows[0]?.display_name || req.user.username;
+    await pool.query(
+        `INSERT INTO shared_templates (id, user_id, name, description, creator, tags, thumbnail, template_data, published_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [id, req.user.id, name.slice(0, 60), (description || '').slice(0, 200), creator, JSON.stringify(tags || []), thumbnail || null, JSON.stringify(templateData), Date.now()]
+    );
+    // Log activity
+    await pool.query('INSERT INTO activity_feed (user_id, type, data, created_at) VALUES ($1, $2, $3, $4)',
+        [req.user.id, 'published_template', JSON.stringify({ templateId: id, name }), Date.now()]);
+    res.json({ id });
+});
+
+app.delete('/api/templates/:id', authenticate, async (req, res) => {
+    await pool.query('DELETE FROM shared_templates WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    res.json({ ok: true });
+});
+
+app.post('/api/templates/:id/use', async (req, res) => {
     await pool.query('UPDATE shared_templates SET use_count = use_count + 1 WHERE id = $1', [req.params.id]);
     const { rows } = await pool.query('SELECT template_data FROM shared_templates WHERE id = $1', [req.params.id]);
     if (!rows.length) return res.status(404).json({ error: 'Template not found' });
@@ -1986,8 +2896,29 @@ app.get('/api/activity', authenticate, async (req, res) => {
 const server = http.createServer(app);
 const wss = new WebSocketServer({ noServer: true });
 
-// Room data: roomCode → { hostWs, hostUserId, projectName, members: Map<ws, {userId, displayName, avatar}> }
+// Room data: roomCode → {
+//   hostUserId, projectName,
+//   doc: canonical project data, edits are applied here and snapshotted to collab_rooms,
+//   members: Map<ws, {userId, displayName, avatar}> (connected sockets only),
+//   roles: Map<userId, 'editor'|'viewer'> (kept so members rejoin with the same role),
+//   hostTimer / closeTimer: grace periods while the host or everyone is disconnected,
+//   seq: sequence number stamped on every relayed edit,
+//   versions: Map<collabId, {version, userId}> (last accepted edit per object),
+//   locks: Map<collabId, {userId, displayName}> (soft lock held by whoever has it selected)
+// }
 const rooms = new Map();
+const ROOM_RECONNECT_GRACE = 60 * 1000;
+const ROOM_SNAPSHOT_INTERVAL = 10 * 1000;
+const ROOM_MAX_MEMBERS = 4;
+
+// Mirrors the material presets applied by Scene3D.remoteUpdateProperty
+const MATERIAL_PRESETS = {
+    metallic: { metalness: 0.8, roughness: 0.2 },
+    glass: { opacity: 0.4, roughness: 0.1, metalness: 0 },
+    flat: { roughness: 1, metalness: 0 },
+    default: { roughness: 0.6, metalness: 0.1 }
+};
+const TERRAIN_DEFAULT_COLOR = [0.29, 0.49, 0.25];
 
 function generateRoomCode() {
     const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
@@ -2009,40 +2940,528 @@ function broadcastToRoom(roomCode, msg, excludeWs) {
 
 function getMemberList(room) {
     const list = [];
-    for (const [ws, info] of room.members) {
-        const member = { userId: info.userId, displayName: info.displayName, avatar: info.avatar, role: ws === room.hostWs ? 'host' : (info.role || 'editor') };
+    for (const [, info] of room.members) {
+        const member = { userId: info.userId, displayName: info.displayName, avatar: info.avatar, role: getMemberRole(room, info.userId) };
         if (info.avatarUrl) member.avatarUrl = info.avatarUrl;
         if (info.avatarColor) member.avatarColor = info.avatarColor;
         list.push(member);
     }
-    return list;
+    // Host first
+    return list.sort((a, b) => (b.role === 'host') - (a.role === 'host'));
+}
+
+function getMemberRole(room, userId) {
+    if (userId === room.hostUserId) return 'host';
+    return room.roles.get(userId) || 'editor';
 }
 
-function removeFromRoom(ws) {
+function findMemberRoom(ws) {
     for (const [code, room] of rooms) {
-        if (room.members.has(ws)) {
-            const info = room.members.get(ws);
-            room.members.delete(ws);
-
-            if (ws === room.hostWs) {
-                // Host left — close entire room
-                for (const [memberWs] of room.members) {
-                    if (memberWs.readyState === 1) {
-                        memberWs.send(JSON.stringify({ type: 'room-closed' }));
-                    }
+        if (room.members.has(ws)) return { code, room };
+    }
+    return null;
+}
+
+function isRoomHost(room, ws) {
+    const info = room.members.get(ws);
+    return !!info && info.userId === room.hostUserId;
+}
+
+function buildMemberInfo(user) {
+    const avatarVal = user.avatar || 'default';
+    const info = { userId: user.id, displayName: user.displayName, avatar: avatarVal, avatarColor: user.avatarColor };
+    if (avatarVal.startsWith('custom:')) info.avatarUrl = '/api/avatars/' + avatarVal.replace('custom:', '');
+    return info;
+}
+
+// Apply a collab edit message to the room's canonical document
+function applyRoomEdit(doc, msg) {
+    if (!Array.isArray(doc.scene)) doc.scene = [];
+    const findObject = (collabId) => doc.scene.find(o => o.collabId === collabId);
+
+    switch (msg.type) {
+        case 'add-object': {
+            if (!msg.objectData || !msg.objectData.collabId) return;
+            doc.scene = doc.scene.filter(o => o.collabId !== msg.objectData.collabId);
+            doc.scene.push({ ...msg.objectData, type: msg.objectType });
+            break;
+        }
+        case 'remove-object':
+            doc.scene = doc.scene.filter(o => o.collabId !== msg.collabId);
+            break;
+        case 'update-transform': {
+            const obj = findObject(msg.collabId);
+            if (!obj) return;
+            if (msg.position) obj.position = msg.position;
+            if (msg.rotation) obj.rotation = msg.rotation;
+            if (msg.scale) obj.scale = msg.scale;
+            break;
+        }
+        case 'update-property': {
+            const obj = findObject(msg.collabId);
+            if (obj) applyRoomProperty(obj, msg.prop, msg.value);
+            break;
+        }
+        case 'update-environment':
+            if (typeof msg.prop !== 'string') return;
+            doc.environment = { ...(doc.environment || {}), [msg.prop]: msg.value };
+            break;
+        case 'update-character':
+            doc.environment = { ...(doc.environment || {}), characterParts: msg.characterParts || null };
+            break;
+        case 'terrain-create': {
+            const resolution = Math.max(1, Math.min(256, parseInt(msg.resolution) || 1));
+            const count = (resolution + 1) * (resolution + 1);
+            doc.terrain = {
+                size: Number(msg.size) || 50,
+                resolution,
+                heightData: new Array(count).fill(0),
+                colorData: Array.from({ length: count * 3 }, (_, i) => TERRAIN_DEFAULT_COLOR[i % 3]),
+                terrainCollision: true
+            };
+            break;
+        }
+        case 'terrain-edit': {
+            const terrain = doc.terrain;
+            if (!terrain || !Array.isArray(msg.vertices)) return;
+            for (const v of msg.vertices) {
+                const idx = v[0];
+                if (!Number.isInteger(idx) || idx < 0 || idx >= terrain.heightData.length) continue;
+                terrain.heightData[idx] = v[1];
+                if (msg.tool === 'paint' && v.length >= 5) {
+                    terrain.colorData[idx * 3] = v[2];
+                    terrain.colorData[idx * 3 + 1] = v[3];
+                    terrain.colorData[idx * 3 + 2] = v[4];
                 }
-                rooms.delete(code);
-            } else {
-                // Guest left — notify remaining
-                broadcastToRoom(code, {
-                    type: 'member-left',
-                    userId: info.userId,
-                    displayName: info.displayName,
-                    members: getMemberList(room)
-                });
             }
+            break;
+        }
+        case 'terrain-remove':
+            delete doc.terrain;
+            break;
+    }
+}
+
+// Property values are relayed as sent, so ranges the editor enforces are enforced here too.
+// Returns undefined for a value that should be dropped.
+function sanitizeRoomProperty(prop, value) {
+    if (prop === 'friction' || prop === 'bounciness') {
+        // 0..1, like the Properties panel and the physics step
+        return typeof value === 'number' && isFinite(value) ? Math.min(Math.max(value, 0), 1) : undefined;
+    }
+    return value;
+}
+
+function applyRoomProperty(obj, prop, value) {
+    switch (prop) {
+        case 'name':
+        case 'color':
+        case 'anchored':
+        case 'collidable':
+        case 'mass':
+        case 'tags':
+        case 'friction':
+        case 'bounciness':
+        case 'collider':
+        case 'visible':
+        case 'locked':
+        case 'scripts':
+        case 'quickAnimations':
+        case 'animations':
+        case 'childColors':
+            obj[prop] = value;
+            break;
+        case 'roughness':
+        case 'metalness':
+        case 'opacity':
+            obj.material = { ...(obj.material || {}), [prop]: value };
+            break;
+        case 'materialType':
+            obj.material = { ...(obj.material || {}), ...(MATERIAL_PRESETS[value] || {}) };
+            break;
+        case 'texture':
+            obj.textureId = (value && value.textureId) || null;
+            obj.tileScale = obj.textureId ? (value.tileScale || 1) : null;
+            break;
+    }
+}
+
+async function saveRoomSnapshot(code, room) {
+    room.dirty = false;
+    try {
+        await pool.query(
+            `INSERT INTO collab_rooms (code, host_user_id, project_name, doc, roles, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             ON CONFLICT (code) DO UPDATE SET host_user_id = $2, project_name = $3, doc = $4, roles = $5, updated_at = $6`,
+            [code, room.hostUserId, room.projectName, JSON.stringify(room.doc), JSON.stringify(Object.fromEntries(room.roles)), Date.now()]
+        );
+    } catch (err) {
+        room.dirty = true;
+        console.error('Room snapshot error:', err.message);
+    }
+}
+
+// Bring a room back from its last snapshot (e.g. after a server restart)
+async function restoreRoom(code) {
+    if (rooms.has(code)) return rooms.get(code);
+    const { rows } = await pool.query('SELECT * FROM collab_rooms WHERE code = $1', [code]);
+    if (rows.length === 0 || rooms.has(code)) return rooms.get(code) || null;
+    const row = rows[0];
+    const room = {
+        hostUserId: row.host_user_id,
+        projectName: row.project_name,
+        doc: JSON.parse(row.doc || '{}'),
+        members: new Map(),
+        roles: new Map(Object.entries(JSON.parse(row.roles || '{}')).map(([id, role]) => [parseInt(id), role])),
+        dirty: false,
+        hostTimer: null,
+        closeTimer: null,
+        seq: 0,
+        versions: new Map(),
+        locks: new Map()
+    };
+    rooms.set(code, room);
+    return room;
+}
+
+function sendRoomState(ws, room) {
+    ws.send(JSON.stringify({
+        type: 'room-state',
+        projectData: room.doc,
+        seq: room.seq,
+        versions: Object.fromEntries([...room.versions].map(([id, v]) => [id, v.version])),
+        locks: [...room.locks].map(([collabId, lock]) => ({ collabId, ...lock }))
+    }));
+}
+
+function releaseLocks(code, room, userId) {
+    for (const [collabId, lock] of room.locks) {
+        if (lock.userId !== userId) continue;
+        room.locks.delete(collabId);
+        broadcastToRoom(code, { type: 'object-unlocked', collabId });
+    }
+}
+
+// Check an object edit against soft locks and the object's version; returns a reason when rejected
+function checkObjectEdit(room, userId, msg) {
+    const collabId = msg.collabId;
+    if (!collabId) return null;
+    const lock = room.locks.get(collabId);
+    if (lock && lock.userId !== userId) return { reason: 'locked', displayName: lock.displayName };
+    // Only edits made on top of someone else's newer change are stale
+    const entry = room.versions.get(collabId);
+    if (entry && entry.userId !== userId && (msg.baseVersion || 0) < entry.version) return { reason: 'stale' };
+    return null;
+}
+
+function closeRoom(code) {
+    const room = rooms.get(code);
+    if (!room) return;
+    clearTimeout(room.hostTimer);
+    clearTimeout(room.closeTimer);
+    for (const [memberWs] of room.members) {
+        if (memberWs.readyState === 1) {
+            memberWs.send(JSON.stringify({ type: 'room-closed' }));
+        }
+    }
+    rooms.delete(code);
+    pool.query('DELETE FROM collab_rooms WHERE code = $1', [code]).catch(err => {
+        console.error('Room delete error:', err.message);
+    });
+}
+
+function setRoomHost(code, room, userId) {
+    clearTimeout(room.hostTimer);
+    room.hostTimer = null;
+    const previousHost = room.hostUserId;
+    room.hostUserId = userId;
+    room.roles.delete(userId);
+    if (previousHost !== userId) room.roles.set(previousHost, 'editor');
+    room.dirty = true;
+    const newHost = [...room.members.values()].find(info => info.userId === userId);
+    broadcastToRoom(code, {
+        type: 'host-changed',
+        hostUserId: userId,
+        displayName: newHost ? newHost.displayName : 'Someone',
+        members: getMemberList(room)
+    });
+}
+
+// Hand the room to the longest-connected member, or close it when nobody is left
+function handOffHost(code, room) {
+    const next = [...room.members.values()].find(info => info.userId !== room.hostUserId);
+    if (next) setRoomHost(code, room, next.userId);
+    else if (room.members.size === 0) closeRoom(code);
+}
+
+function removeFromRoom(ws, leaving) {
+    const found = findMemberRoom(ws);
+    if (!found) return;
+    const { code, room } = found;
+    const info = room.members.get(ws);
+    room.members.delete(ws);
+    const wasHost = info.userId === room.hostUserId;
+    releaseLocks(code, room, info.userId);
+
+    if (room.members.size === 0) {
+        // Nobody left — an explicit leave closes the room, a dropped connection gets a grace period
+        if (leaving) {
+            closeRoom(code);
+        } else {
+            clearTimeout(room.closeTimer);
+            room.closeTimer = setTimeout(() => closeRoom(code), ROOM_RECONNECT_GRACE);
+        }
+        return;
+    }
+
+    broadcastToRoom(code, {
+        type: 'member-left',
+        userId: info.userId,
+        displayName: info.displayName,
+        disconnected: !leaving,
+        members: getMemberList(room)
+    });
+
+    if (wasHost) {
+        if (leaving) {
+            handOffHost(code, room);
+        } else {
+            clearTimeout(room.hostTimer);
+            room.hostTimer = setTimeout(() => handOffHost(code, room), ROOM_RECONNECT_GRACE);
+        }
+    }
+}
+
+async function joinRoom(ws, user, msg) {
+    const code = (msg.roomCode || '').toUpperCase().trim();
+    let room;
+    try {
+        room = await restoreRoom(code);
+    } catch (err) {
+        console.error('Room restore error:', err.message);
+    }
+    // The socket may have closed while the room was restored
+    if (ws.readyState !== 1) return;
+    if (!room) {
+        // A member coming back to a room that expired is told it is gone
+        ws.send(JSON.stringify(msg.rejoin ? { type: 'room-closed' } : { type: 'error', message: 'Room not found' }));
+        return;
+    }
+
+    // Drop a stale socket of the same user that has not timed out yet
+    for (const [memberWs, info] of room.members) {
+        if (info.userId === user.id && memberWs !== ws) {
+            room.members.delete(memberWs);
+            memberWs.terminate();
+        }
+    }
+    if (room.members.size >= ROOM_MAX_MEMBERS && !room.members.has(ws)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Room is full (max 4)' }));
+        return;
+    }
+
+    // Remove from any other room first
+    const current = findMemberRoom(ws);
+    if (current && current.room !== room) removeFromRoom(ws, true);
+    room.members.set(ws, buildMemberInfo(user));
+    clearTimeout(room.closeTimer);
+    room.closeTimer = null;
+    if (user.id === room.hostUserId) {
+        clearTimeout(room.hostTimer);
+        room.hostTimer = null;
+    } else if (!room.hostTimer && ![...room.members.values()].some(info => info.userId === room.hostUserId)) {
+        // Restored room whose host has not come back yet
+        room.hostTimer = setTimeout(() => handOffHost(code, room), ROOM_RECONNECT_GRACE);
+    }
+
+    const role = getMemberRole(room, user.id);
+    ws.send(JSON.stringify({
+        type: 'room-joined',
+        roomCode: code,
+        role,
+        hostUserId: room.hostUserId,
+        hostName: [...room.members.values()].find(info => info.userId === room.hostUserId)?.displayName || 'Host',
+        members: getMemberList(room)
+    }));
+
+    // The server holds the canonical scene, so joiners sync from it directly
+    sendRoomState(ws, room);
+
+    broadcastToRoom(code, {
+        type: 'member-joined',
+        userId: user.id,
+        displayName: user.displayName,
+        avatar: user.avatar,
+        members: getMemberList(room)
+    }, ws);
+}
+
+// ===== Live Play Sessions =====
+
+// Play sessions: publishedProjectId → {
+//   players: Map<ws, {playerId, userId, displayName, characterParts, playerColors, state, moved}>,
+//   messages: broadcasts queued since the last tick
+// }
+// Everyone playing the same published game shares one session. The server does not
+// simulate anything; it only relays player transforms and broadcasts at a fixed tick rate.
+const playSessions = new Map();
+const PLAY_TICK_RATE = 10; // ticks per second
+const PLAY_MAX_PLAYERS = 16;
+const PLAY_MAX_MESSAGES_PER_TICK = 20;
+const CHARACTER_PART_SHAPES = new Set(['box','sphere','cylinder','cone','pyramid','dome','wedge','torus']);
+let nextPlayerId = 1;
+
+function broadcastToSession(projectId, msg, excludeWs) {
+    const session = playSessions.get(projectId);
+    if (!session) return;
+    const data = JSON.stringify(msg);
+    for (const [ws] of session.players) {
+        if (ws !== excludeWs && ws.readyState === 1) ws.send(data);
+    }
+}
+
+function findPlaySession(ws) {
+    if (!ws._playProjectId) return null;
+    const session = playSessions.get(ws._playProjectId);
+    return session && session.players.has(ws) ? session : null;
+}
+
+function getPlayerList(session, excludeWs) {
+    const list = [];
+    for (const [ws, p] of session.players) {
+        if (ws === excludeWs) continue;
+        list.push({
+            playerId: p.playerId,
+            userId: p.userId,
+            displayName: p.displayName,
+            characterParts: p.characterParts,
+            playerColors: p.playerColors,
+            state: p.state
+        });
+    }
+    return list;
+}
+
+// Coerce a client-sent transform into plain numbers
+function sanitizePlayerState(state) {
+    const num = (v) => (typeof v === 'number' && isFinite(v) ? Math.round(v * 1000) / 1000 : 0);
+    const pos = state && state.position ? state.position : {};
+    return {
+        position: { x: num(pos.x), y: num(pos.y), z: num(pos.z) },
+        yaw: num(state && state.yaw),
+        level: Math.max(0, Math.floor(num(state && state.level)))
+    };
+}
+
+// Characters are relayed to every other player and built into meshes there, so only
+// well-formed parts and colors get through
+function sanitizeCharacterParts(parts) {
+    if (!Array.isArray(parts)) return null;
+    const num = (v, fallback, max) => Math.max(-max, Math.min(max, Number(v) || fallback));
+    const vec = (v, fallback, max) => ({
+        x: num(v?.x, fallback, max),
+        y: num(v?.y, fallback, max),
+        z: num(v?.z, fallback, max)
+    });
+    return parts.slice(0, 32).filter(p => p && typeof p === 'object').map(p => {
+        const scale = vec(p.scale, 1, 20);
+        return {
+            shape: CHARACTER_PART_SHAPES.has(p.shape) ? p.shape : 'box',
+            offset: vec(p.offset, 0, 20),
+            scale: { x: Math.abs(scale.x), y: Math.abs(scale.y), z: Math.abs(scale.z) },
+            rotation: vec(p.rotation, 0, 360),
+            color: /^#[0-9a-fA-F]{6}$/.test(p.color) ? p.color : '#4c97ff'
+        };
+    });
+}
+
+function sanitizePlayerColors(colors) {
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) return null;
+    const result = {};
+    for (const part of ['body', 'head', 'detail']) {
+        if (/^#[0-9a-fA-F]{6}$/.test(colors[part])) result[part] = colors[part];
+    }
+    return result;
+}
+
+function leavePlaySession(ws) {
+    const session = findPlaySession(ws);
+    const projectId = ws._playProjectId;
+    ws._playProjectId = null;
+    if (!session) return;
+    const player = session.players.get(ws);
+    session.players.delete(ws);
+    if (session.players.size === 0) {
+        playSessions.delete(projectId);
+        return;
+    }
+    broadcastToSession(projectId, { type: 'player-left', playerId: player.playerId, displayName: player.displayName });
+}
+
+async function joinPlaySession(ws, user, msg) {
+    const projectId = String(msg.projectId || '');
+    leavePlaySession(ws);
+    try {
+        const { rows } = await pool.query('SELECT 1 FROM shared_projects WHERE id = $1', [projectId]);
+        if (rows.length === 0) {
+            ws.send(JSON.stringify({ type: 'play-error', error: 'Game not found' }));
             return;
         }
+    } catch (err) {
+        console.error('Play session join error:', err.message);
+        ws.send(JSON.stringify({ type: 'play-error', error: 'Could not join game' }));
+        return;
+    }
+    // The socket may have closed, or joined another game, while the query ran
+    if (ws.readyState !== 1) return;
+    leavePlaySession(ws);
+
+    let session = playSessions.get(projectId);
+    if (!session) {
+        session = { players: new Map(), messages: [] };
+        playSessions.set(projectId, session);
+    }
+    if (session.players.size >= PLAY_MAX_PLAYERS) {
+        ws.send(JSON.stringify({ type: 'play-error', error: 'This game is full' }));
+        return;
+    }
+
+    const player = {
+        playerId: nextPlayerId++,
+        userId: user.id,
+        displayName: user.displayName,
+        characterParts: sanitizeCharacterParts(msg.characterParts),
+        playerColors: sanitizePlayerColors(msg.playerColors),
+        state: sanitizePlayerState(msg.state),
+        moved: false
+    };
+    session.players.set(ws, player);
+    ws._playProjectId = projectId;
+
+    ws.send(JSON.stringify({
+        type: 'play-joined',
+        playerId: player.playerId,
+        tickRate: PLAY_TICK_RATE,
+        players: getPlayerList(session, ws)
+    }));
+    broadcastToSession(projectId, {
+        type: 'player-joined',
+        player: getPlayerList(session).find(p => p.playerId === player.playerId)
+    }, ws);
+}
+
+// Relay moved players and queued broadcasts to every session once per tick
+function tickPlaySessions() {
+    for (const [projectId, session] of playSessions) {
+        const players = [];
+        for (const p of session.players.values()) {
+            if (!p.moved) continue;
+            players.push({ playerId: p.playerId, state: p.state });
+            p.moved = false;
+        }
+        if (players.length === 0 && session.messages.length === 0) continue;
+        broadcastToSession(projectId, { type: 'play-tick', players, messages: session.messages });
+        session.messages = [];
     }
 }
 
@@ -2085,19 +3504,24 @@ wss.on('connection', (ws) => {
         switch (msg.type) {
             case 'create-room': {
                 // Remove from any existing room first
-                removeFromRoom(ws);
+                removeFromRoom(ws, true);
                 const code = generateRoomCode();
                 const room = {
-                    hostWs: ws,
                     hostUserId: user.id,
                     projectName: msg.projectName || 'Untitled',
-                    members: new Map()
+                    doc: msg.projectData && typeof msg.projectData === 'object' ? msg.projectData : { scene: [] },
+                    members: new Map(),
+                    roles: new Map(),
+                    dirty: false,
+                    hostTimer: null,
+                    closeTimer: null,
+                    seq: 0,
+                    versions: new Map(),
+                    locks: new Map()
                 };
-                const avatarVal = user.avatar || 'default';
-                const memberInfo = { userId: user.id, displayName: user.displayName, avatar: avatarVal, avatarColor: user.avatarColor };
-                if (avatarVal.startsWith('custom:')) memberInfo.avatarUrl = '/api/avatars/' + avatarVal.replace('custom:', '');
-                room.members.set(ws, memberInfo);
+                room.members.set(ws, buildMemberInfo(user));
                 rooms.set(code, room);
+                saveRoomSnapshot(code, room);
                 ws.send(JSON.stringify({
                     type: 'room-created',
                     roomCode: code,
@@ -2106,88 +3530,71 @@ wss.on('connection', (ws) => {
                 break;
             }
             case 'join-room': {
-                const code = (msg.roomCode || '').toUpperCase().trim();
-                const room = rooms.get(code);
-                if (!room) {
-                    ws.send(JSON.stringify({ type: 'error', message: 'Room not found' }));
-                    return;
-                }
-                if (room.members.size >= 4) {
-                    ws.send(JSON.stringify({ type: 'error', message: 'Room is full (max 4)' }));
-                    return;
-                }
-                // Remove from any existing room first
-                removeFromRoom(ws);
-                const jAvatarVal = user.avatar || 'default';
-                const jMemberInfo = { userId: user.id, displayName: user.displayName, avatar: jAvatarVal, avatarColor: user.avatarColor };
-                if (jAvatarVal.startsWith('custom:')) jMemberInfo.avatarUrl = '/api/avatars/' + jAvatarVal.replace('custom:', '');
-                room.members.set(ws, jMemberInfo);
-
-                // Tell the joiner they're in
-                ws.send(JSON.stringify({
-                    type: 'room-joined',
-                    roomCode: code,
-                    hostName: room.members.get(room.hostWs)?.displayName || 'Host',
-                    members: getMemberList(room)
-                }));
-
-                // Tell host to send scene state to new joiner
-                if (room.hostWs.readyState === 1) {
-                    room.hostWs.send(JSON.stringify({
-                        type: 'request-state',
-                        userId: user.id,
-                        displayName: user.displayName
-                    }));
-                }
-
-                // Notify all others about the new member
-                broadcastToRoom(code, {
-                    type: 'member-joined',
-                    userId: user.id,
-                    displayName: user.displayName,
-                    avatar: user.avatar,
-                    members: getMemberList(room)
-                }, ws);
+                joinRoom(ws, user, msg);
                 break;
             }
             case 'leave-room': {
-                removeFromRoom(ws);
+                removeFromRoom(ws, true);
                 ws.send(JSON.stringify({ type: 'left-room' }));
                 break;
             }
-            case 'room-state': {
-                // Host sends full scene to a specific new joiner
-                const targetUserId = msg.targetUserId;
-                for (const [code, room] of rooms) {
-                    if (room.hostWs === ws) {
-                        for (const [memberWs, info] of room.members) {
-                            if (info.userId === targetUserId && memberWs.readyState === 1) {
-                                memberWs.send(JSON.stringify({
-                                    type: 'room-state',
-                                    projectData: msg.projectData
-                                }));
-                            }
-                        }
-                        break;
+            case 'set-role': {
+                // Host-only: change a member's role
+                const found = findMemberRoom(ws);
+                if (!found || !isRoomHost(found.room, ws)) break;
+                if (msg.role !== 'editor' && msg.role !== 'viewer') break;
+                const { code, room } = found;
+                if (msg.targetUserId === room.hostUserId) break;
+                room.roles.set(msg.targetUserId, msg.role);
+                room.dirty = true;
+                for (const [memberWs, info] of room.members) {
+                    if (info.userId === msg.targetUserId) {
+                        memberWs.send(JSON.stringify({ type: 'role-changed', role: msg.role }));
                     }
                 }
+                broadcastToRoom(code, { type: 'member-update', members: getMemberList(room) });
                 break;
             }
-            case 'set-role': {
-                // Host-only: change a member's role
-                for (const [code, room] of rooms) {
-                    if (room.hostWs === ws) {
-                        for (const [memberWs, info] of room.members) {
-                            if (info.userId === msg.targetUserId) {
-                                info.role = msg.role; // 'editor' or 'viewer'
-                                memberWs.send(JSON.stringify({ type: 'role-changed', role: msg.role }));
-                                broadcastToRoom(code, { type: 'member-update', members: getMemberList(room) });
-                                break;
-                            }
-                        }
-                        break;
+            case 'transfer-host': {
+                // Host-only: hand ownership to another connected member
+                const found = findMemberRoom(ws);
+                if (!found || !isRoomHost(found.room, ws)) break;
+                const target = [...found.room.members.values()].find(info => info.userId === msg.targetUserId);
+                if (!target || target.userId === found.room.hostUserId) {
+                    ws.send(JSON.stringify({ type: 'error', message: 'That member is not in the room' }));
+                    break;
+                }
+                setRoomHost(found.code, found.room, target.userId);
+                break;
+            }
+            case 'request-state': {
+                // A client noticed a gap in the sequence numbers and wants a fresh copy
+                const found = findMemberRoom(ws);
+                if (found) sendRoomState(ws, found.room);
+                break;
+            }
+            case 'lock-object':
+            case 'unlock-object': {
+                const found = findMemberRoom(ws);
+                if (!found || !msg.collabId) break;
+                const { code, room } = found;
+                const info = room.members.get(ws);
+                const lock = room.locks.get(msg.collabId);
+                if (msg.type === 'unlock-object') {
+                    if (lock && lock.userId === info.userId) {
+                        room.locks.delete(msg.collabId);
+                        broadcastToRoom(code, { type: 'object-unlocked', collabId: msg.collabId }, ws);
                     }
+                    break;
+                }
+                if (lock && lock.userId !== info.userId) {
+                    ws.send(JSON.stringify({ type: 'lock-denied', collabId: msg.collabId, ...lock }));
+                    break;
                 }
+                // One selection lock per member
+                releaseLocks(code, room, info.userId);
+                room.locks.set(msg.collabId, { userId: info.userId, displayName: info.displayName });
+                broadcastToRoom(code, { type: 'object-locked', collabId: msg.collabId, userId: info.userId, displayName: info.displayName }, ws);
                 break;
             }
             case 'add-object':
@@ -2199,37 +3606,100 @@ wss.on('connection', (ws) => {
             case 'terrain-edit':
             case 'terrain-create':
             case 'terrain-remove': {
+                const found = findMemberRoom(ws);
+                if (!found) break;
+                const { code, room } = found;
                 // Reject edit messages from viewers
-                for (const [code, room] of rooms) {
-                    if (room.members.has(ws)) {
-                        const info = room.members.get(ws);
-                        if (ws !== room.hostWs && info.role === 'viewer') {
-                            ws.send(JSON.stringify({ type: 'error', message: 'Viewers cannot edit' }));
-                            return;
-                        }
-                        broadcastToRoom(code, msg, ws);
-                        break;
-                    }
+                const info = room.members.get(ws);
+                if (getMemberRole(room, info.userId) === 'viewer') {
+                    ws.send(JSON.stringify({ type: 'error', message: 'Viewers cannot edit' }));
+                    return;
+                }
+                if (msg.type === 'update-property') {
+                    msg.value = sanitizeRoomProperty(msg.prop, msg.value);
+                    if (msg.value === undefined) return;
+                }
+                const rejected = checkObjectEdit(room, info.userId, msg);
+                if (rejected) {
+                    // Send back the canonical object so the sender can roll back its local copy
+                    ws.send(JSON.stringify({
+                        type: 'edit-rejected',
+                        collabId: msg.collabId,
+                        ...rejected,
+                        object: (room.doc.scene || []).find(o => o.collabId === msg.collabId) || null,
+                        version: room.versions.get(msg.collabId)?.version || 0
+                    }));
+                    return;
+                }
+                applyRoomEdit(room.doc, msg);
+                room.dirty = true;
+                room.seq++;
+
+                const collabId = msg.type === 'add-object' ? msg.objectData?.collabId : msg.collabId;
+                let version;
+                if (collabId && msg.type === 'remove-object') {
+                    room.versions.delete(collabId);
+                    room.locks.delete(collabId);
+                } else if (collabId) {
+                    version = (room.versions.get(collabId)?.version || 0) + 1;
+                    room.versions.set(collabId, { version, userId: info.userId });
                 }
+                delete msg.baseVersion;
+                broadcastToRoom(code, { ...msg, seq: room.seq, version, userId: info.userId }, ws);
+                ws.send(JSON.stringify({ type: 'ack', seq: room.seq, collabId, version }));
                 break;
             }
             case 'vote-request':
             case 'vote-response':
             case 'vote-passed':
             case 'vote-failed': {
-                for (const [code, room] of rooms) {
-                    if (room.members.has(ws)) {
-                        broadcastToRoom(code, msg, ws);
-                        break;
-                    }
-                }
+                const found = findMemberRoom(ws);
+                if (found) broadcastToRoom(found.code, msg, ws);
+                break;
+            }
+            case 'cloud-subscribe': {
+                subscribeCloud(ws, msg.projectId);
+                break;
+            }
+            case 'cloud-unsubscribe': {
+                unsubscribeCloud(ws);
+                break;
+            }
+            case 'cloud-set':
+            case 'cloud-change': {
+                handleCloudWrite(ws, user, msg);
+                break;
+            }
+            case 'play-join': {
+                joinPlaySession(ws, user, msg);
+                break;
+            }
+            case 'play-leave': {
+                leavePlaySession(ws);
+                break;
+            }
+            case 'play-state': {
+                const session = findPlaySession(ws);
+                if (!session) break;
+                const player = session.players.get(ws);
+                player.state = sanitizePlayerState(msg);
+                player.moved = true;
+                break;
+            }
+            case 'play-broadcast': {
+                const session = findPlaySession(ws);
+                if (!session || typeof msg.msg !== 'string' || !msg.msg) break;
+                if (session.messages.length >= PLAY_MAX_MESSAGES_PER_TICK) break;
+                session.messages.push({ playerId: session.players.get(ws).playerId, msg: msg.msg.slice(0, 64) });
                 break;
             }
         }
     });
 
     ws.on('close', () => {
-        removeFromRoom(ws);
+        removeFromRoom(ws, false);
+        leavePlaySession(ws);
+        unsubscribeCloud(ws);
     });
 });
 
@@ -2242,7 +3712,21 @@ const heartbeat = setInterval(() => {
     });
 }, 30000);
 
-wss.on('close', () => clearInterval(heartbeat));
+// Snapshot edited rooms to Postgres so they survive restarts
+const roomSnapshots = setInterval(() => {
+    for (const [code, room] of rooms) {
+        if (room.dirty) saveRoomSnapshot(code, room);
+    }
+}, ROOM_SNAPSHOT_INTERVAL);
+
+// Relay play session state at a fixed tick rate
+const playTicks = setInterval(tickPlaySessions, 1000 / PLAY_TICK_RATE);
+
+wss.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(roomSnapshots);
+    clearInterval(playTicks);
+});
 
 // Initialize DB and start server
 initDb().then(() => {